@@ -7,7 +7,9 @@ const SmartFinanceHub = {
     // Configuration
     config: {
         googleAnalyticsId: 'G-9RZ27MVK1D',
-        newsletterApiUrl: '/api/newsletter',
+        // Dev mode fakes signups instead of calling the API: set
+        // window.SFH_NEWSLETTER_DEV_MODE = true before this script loads
+        newsletterDevMode: window.SFH_NEWSLETTER_DEV_MODE === true,
         trackingEnabled: true
     },
 
@@ -90,6 +92,7 @@ const SmartFinanceHub = {
         const emailInput = form.querySelector('input[type="email"]');
         const submitButton = form.querySelector('button[type="submit"]');
         const email = emailInput.value.trim();
+        const consentInput = form.querySelector('input[name="consent"]');
 
         // Validate email
         if (!this.isValidEmail(email)) {
@@ -97,6 +100,17 @@ const SmartFinanceHub = {
             return;
         }
 
+        // Consent is recorded as the checkbox text, so a form must have the checkbox
+        if (!consentInput) {
+            console.error('Newsletter form is missing its consent checkbox', form);
+            this.showFormError(form, 'Signups are unavailable on this form. Please use another signup form.');
+            return;
+        }
+        if (!consentInput.checked) {
+            this.showFormError(form, 'Please agree to receive the newsletter');
+            return;
+        }
+
         // Update UI to show loading state
         const originalText = submitButton.textContent;
         submitButton.textContent = 'Subscribing...';
@@ -109,21 +123,34 @@ const SmartFinanceHub = {
                 source: form.dataset.source || 'unknown'
             });
 
-            // For now, simulate API call (replace with actual API integration)
-            await this.simulateNewsletterSignup(email, form.dataset.source);
-
-            // Success state
-            submitButton.textContent = '✓ Subscribed!';
+            const signup = {
+                email,
+                name: form.querySelector('input[name="name"]')?.value.trim() || '',
+                categories: Array.from(form.querySelectorAll('input[name="categories"]:checked')).map(input => input.value),
+                source: form.dataset.source || 'website',
+                consent: consentInput.checked,
+                website: form.querySelector('input[name="website"]')?.value || ''
+            };
+
+            const result = this.config.newsletterDevMode
+                ? await this.simulateNewsletterSignup(email, signup.source)
+                : await this.submitNewsletterSignup(form.action, signup);
+
+            // Success state: the subscription starts once the email link is clicked
+            submitButton.textContent = '✓ Check your inbox';
+            this.showFormMessage(form, result.message);
             submitButton.style.background = '#48bb78';
             
             // Track successful signup
             this.trackEvent('newsletter_signup_success', {
                 source: form.dataset.source || 'unknown'
             });
+            form.dispatchEvent(new CustomEvent('newsletter:signup', { detail: { source: signup.source } }));
 
             // Reset form after delay
             setTimeout(() => {
                 form.reset();
+                this.clearFormErrors(form);
                 submitButton.textContent = originalText;
                 submitButton.disabled = false;
                 submitButton.style.background = '';
@@ -131,7 +158,7 @@ const SmartFinanceHub = {
 
         } catch (error) {
             console.error('Newsletter signup error:', error);
-            this.showFormError(form, 'Something went wrong. Please try again.');
+            this.showFormError(form, error.userMessage || 'Something went wrong. Please try again.');
             
             submitButton.textContent = originalText;
             submitButton.disabled = false;
@@ -143,14 +170,34 @@ const SmartFinanceHub = {
         }
     },
 
-    // Simulate newsletter signup (replace with real API call)
+    // Send a signup to the subscription server (double opt-in). The site is
+    // static, so each form's action is the server's absolute subscribe URL,
+    // rendered from newsletter.subscriptions.publicUrl
+    async submitNewsletterSignup(url, signup) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(signup)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok || !result.success) {
+            const error = new Error(result.error || `HTTP ${response.status}`);
+            // 4xx messages (invalid email, missing consent, rate limit) are meant for the reader
+            if (response.status < 500 && result.error) error.userMessage = result.error;
+            throw error;
+        }
+        return result;
+    },
+
+    // Dev mode only: pretend to sign up without calling the API
     simulateNewsletterSignup(email, source = 'website') {
         return new Promise((resolve, reject) => {
             // Simulate network delay
             setTimeout(() => {
                 // Simulate 95% success rate
                 if (Math.random() > 0.05) {
-                    resolve({ success: true, message: 'Subscribed successfully' });
+                    resolve({ success: true, message: 'Dev mode: no email was sent' });
                 } else {
                     reject(new Error('Server error'));
                 }
@@ -329,6 +376,18 @@ const SmartFinanceHub = {
         form.appendChild(errorDiv);
     },
 
+    // Show form success message
+    showFormMessage(form, message) {
+        this.clearFormErrors(form);
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'form-message';
+        messageDiv.textContent = message;
+        messageDiv.style.cssText = 'color: #2f855a; font-size: 0.9rem; margin-top: 0.5rem;';
+
+        form.appendChild(messageDiv);
+    },
+
     // Show input-specific error
     showInputError(input, message) {
         this.clearInputError(input);
@@ -345,7 +404,7 @@ const SmartFinanceHub = {
 
     // Clear form errors
     clearFormErrors(form) {
-        const errors = form.querySelectorAll('.form-error');
+        const errors = form.querySelectorAll('.form-error, .form-message');
         errors.forEach(error => error.remove());
     },
 
@@ -0,0 +1,352 @@
+/**
+ * Smart Finance Hub - Site Search
+ * Client-side full-text search over the index the publisher builds
+ * (assets/data/search-index.json). Everything runs in the browser, so it
+ * works on GitHub Pages without a backend: prefix matching while typing,
+ * typo tolerance, category filters and highlighted snippets.
+ *
+ * Mount it on any element with `data-site-search`:
+ *   <div data-site-search></div>
+ *   <script src="/assets/js/search.js"></script>
+ */
+
+class SiteSearch {
+    constructor(options = {}) {
+        this.indexUrl = options.indexUrl || '/assets/data/search-index.json';
+        this.maxResults = options.maxResults || 20;
+
+        // How much a match in each field counts
+        this.fieldWeights = { t: 5, k: 4, h: 2, c: 1, e: 1 };
+
+        this.docs = [];
+        this.categories = {};
+        this.postings = new Map();
+        this.sortedTerms = [];
+        this.loaded = null;
+    }
+
+    /**
+     * Lowercased words without accents; single letters are dropped
+     */
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 || /^\d$/.test(token));
+    }
+
+    /**
+     * Edit distance (with transpositions), or maxDistance + 1 once it is exceeded
+     */
+    static editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    static escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Fetch the index once; later calls share the same promise
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = fetch(this.indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Search index request failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(index => this.setIndex(index));
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Build the term -> document postings from a search index object
+     */
+    setIndex(index) {
+        this.docs = index.docs || [];
+        this.categories = index.categories || {};
+        this.postings = new Map();
+
+        this.docs.forEach((doc, docIndex) => {
+            const fields = {
+                t: doc.t,
+                k: (doc.k || []).join(' '),
+                h: (doc.h || []).join(' '),
+                c: this.categories[doc.c] || doc.c,
+                e: doc.e
+            };
+
+            for (const [field, text] of Object.entries(fields)) {
+                for (const token of SiteSearch.tokenize(text)) {
+                    if (!this.postings.has(token)) this.postings.set(token, new Map());
+                    const docs = this.postings.get(token);
+                    docs.set(docIndex, (docs.get(docIndex) || 0) + this.fieldWeights[field]);
+                }
+            }
+        });
+
+        this.sortedTerms = [...this.postings.keys()].sort();
+        return this;
+    }
+
+    /**
+     * Index terms a query token matches, each with a score factor:
+     * exact 1, prefix 0.7 (the word still being typed, or 3+ letters), typo 0.5
+     */
+    expandToken(token, isLastToken) {
+        const matches = new Map();
+
+        if (this.postings.has(token)) {
+            matches.set(token, 1);
+        }
+
+        if (isLastToken || token.length >= 3) {
+            let low = 0;
+            let high = this.sortedTerms.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (this.sortedTerms[middle] < token) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(token) && matches.size < 50; i++) {
+                if (!matches.has(this.sortedTerms[i])) matches.set(this.sortedTerms[i], 0.7);
+            }
+        }
+
+        if (matches.size === 0 && token.length >= 4) {
+            const maxDistance = token.length >= 8 ? 2 : 1;
+            for (const term of this.sortedTerms) {
+                if (SiteSearch.editDistance(token, term, maxDistance) <= maxDistance) {
+                    matches.set(term, 0.5);
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Articles matching every word of the query, best first.
+     * `category` limits results to one category slug.
+     */
+    search(query, { category = null } = {}) {
+        const tokens = SiteSearch.tokenize(query);
+        if (tokens.length === 0) return [];
+
+        let scores = null;
+        const matchedTerms = new Set();
+
+        tokens.forEach((token, index) => {
+            const tokenScores = new Map();
+
+            for (const [term, factor] of this.expandToken(token, index === tokens.length - 1)) {
+                matchedTerms.add(term);
+                for (const [docIndex, weight] of this.postings.get(term)) {
+                    tokenScores.set(docIndex, Math.max(tokenScores.get(docIndex) || 0, weight * factor));
+                }
+            }
+
+            // Every query word has to match
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                for (const docIndex of [...scores.keys()]) {
+                    if (tokenScores.has(docIndex)) {
+                        scores.set(docIndex, scores.get(docIndex) + tokenScores.get(docIndex));
+                    } else {
+                        scores.delete(docIndex);
+                    }
+                }
+            }
+        });
+
+        return [...scores.entries()]
+            .filter(([docIndex]) => !category || this.docs[docIndex].c === category)
+            .sort(([a, scoreA], [b, scoreB]) =>
+                scoreB - scoreA || String(this.docs[b].d).localeCompare(String(this.docs[a].d)) || a - b)
+            .slice(0, this.maxResults)
+            .map(([docIndex, score]) => {
+                const doc = this.docs[docIndex];
+                return {
+                    url: doc.u,
+                    title: doc.t,
+                    category: doc.c,
+                    categoryName: this.categories[doc.c] || doc.c,
+                    date: doc.d,
+                    score,
+                    titleHtml: this.highlight(doc.t, matchedTerms),
+                    snippetHtml: this.highlight(this.createSnippet(doc, matchedTerms), matchedTerms)
+                };
+            });
+    }
+
+    /**
+     * The excerpt, or a heading when only a heading matched, cut around the first match
+     */
+    createSnippet(doc, matchedTerms, length = 160) {
+        const matches = text => SiteSearch.tokenize(text).some(token => matchedTerms.has(token));
+        const source = matches(doc.e) ? doc.e : (doc.h || []).find(matches) || doc.e || '';
+
+        if (source.length <= length) return source;
+
+        const lower = source.toLowerCase();
+        const firstHit = Math.min(...[...matchedTerms]
+            .map(term => lower.search(new RegExp(`\\b${term}`)))
+            .filter(position => position >= 0), source.length);
+        const start = Math.max(0, Math.min(firstHit - 40, source.length - length));
+        const end = start + length;
+
+        return `${start > 0 ? '…' : ''}${source.substring(start, end).trim()}${end < source.length ? '…' : ''}`;
+    }
+
+    /**
+     * Escape text and wrap words matching a found term in <mark>
+     */
+    highlight(text, matchedTerms) {
+        return String(text || '')
+            .split(/([^A-Za-z0-9\u00C0-\u024F]+)/)
+            .map(part => {
+                const token = SiteSearch.tokenize(part)[0];
+                const isMatch = token && [...matchedTerms].some(term => token === term || token.startsWith(term));
+                return isMatch ? `<mark>${SiteSearch.escapeHtml(part)}</mark>` : SiteSearch.escapeHtml(part);
+            })
+            .join('');
+    }
+
+    /**
+     * Render the search box, category filters and results into `container`.
+     * The query is kept in ?q= so results can be linked and survive reloads.
+     */
+    mount(container) {
+        container.classList.add('site-search');
+        container.innerHTML = `
+            <form class="site-search-form" role="search">
+                <input type="search" class="site-search-input" placeholder="Search articles..." aria-label="Search articles" autocomplete="off">
+            </form>
+            <div class="site-search-filters" role="group" aria-label="Filter by category"></div>
+            <p class="site-search-status" aria-live="polite"></p>
+            <ol class="site-search-results"></ol>`;
+
+        const input = container.querySelector('.site-search-input');
+        const filters = container.querySelector('.site-search-filters');
+        const status = container.querySelector('.site-search-status');
+        const list = container.querySelector('.site-search-results');
+        let activeCategory = null;
+
+        const render = () => {
+            const query = input.value.trim();
+            const url = new URL(window.location.href);
+            if (query) {
+                url.searchParams.set('q', query);
+            } else {
+                url.searchParams.delete('q');
+            }
+            window.history.replaceState(null, '', url);
+
+            if (!query) {
+                status.textContent = '';
+                list.innerHTML = '';
+                return;
+            }
+
+            const results = this.search(query, { category: activeCategory });
+            status.textContent = `${results.length} result${results.length === 1 ? '' : 's'}` +
+                (activeCategory ? ` in ${this.categories[activeCategory]}` : '');
+            list.innerHTML = results.map(result => `
+                <li class="site-search-result">
+                    <a href="${SiteSearch.escapeHtml(result.url)}" class="site-search-title">${result.titleHtml}</a>
+                    <p class="site-search-meta">${SiteSearch.escapeHtml(result.categoryName)}${result.date ? ` • ${result.date}` : ''}</p>
+                    <p class="site-search-snippet">${result.snippetHtml}</p>
+                </li>`).join('');
+        };
+
+        const renderFilters = () => {
+            const buttons = [['', 'All'], ...Object.entries(this.categories)].map(([slug, name]) =>
+                `<button type="button" class="site-search-filter${(activeCategory || '') === slug ? ' active' : ''}" data-category="${SiteSearch.escapeHtml(slug)}">${SiteSearch.escapeHtml(name)}</button>`
+            );
+            filters.innerHTML = buttons.join('');
+        };
+
+        filters.addEventListener('click', event => {
+            const button = event.target.closest('.site-search-filter');
+            if (!button) return;
+            activeCategory = button.dataset.category || null;
+            renderFilters();
+            render();
+        });
+
+        let timer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(render, 120);
+        });
+        container.querySelector('.site-search-form').addEventListener('submit', event => {
+            event.preventDefault();
+            render();
+        });
+
+        status.textContent = 'Loading search...';
+        return this.load()
+            .then(() => {
+                status.textContent = '';
+                input.value = new URL(window.location.href).searchParams.get('q') || '';
+                renderFilters();
+                render();
+            })
+            .catch(error => {
+                console.error('Search unavailable:', error);
+                status.textContent = 'Search is unavailable right now.';
+            });
+    }
+}
+
+// Mount on every [data-site-search] element when the DOM is ready
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('[data-site-search]').forEach(container => {
+            new SiteSearch({ indexUrl: container.dataset.indexUrl || undefined }).mount(container);
+        });
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteSearch;
+}
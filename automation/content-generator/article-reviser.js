@@ -0,0 +1,220 @@
+const SEOOptimizer = require('./seo-optimizer');
+const { checkArticleAccuracy } = require('./fact-checker');
+const ComplianceGate = require('../monitoring/compliance-gate');
+
+/**
+ * Article Reviser
+ * Sends reviewed articles back through the LLM provider. A revision request
+ * combines the reviewer's notes with the SEO, fact-check and compliance
+ * findings and rewrites the article section by section (H2 by H2), so a
+ * long article never has to fit in one response. A section rewrite applies
+ * one instruction ("simplify", "add a source", ...) to a single passage.
+ */
+
+const REWRITE_INSTRUCTIONS = {
+    simplify: 'Simplify the language: shorter sentences, everyday words, and a short definition for any jargon. Keep every fact and figure.',
+    'add-source': 'Support the main claims with a named authoritative source (a government agency, regulator or established industry body), cited inline and linked where the URL is well known. Do not invent statistics or quotes.',
+    'remove-advice': 'Remove personalized advice language ("you should", "we recommend", promises of returns). Rephrase it as general education and options to consider, and suggest a qualified professional where a decision depends on personal circumstances.',
+    expand: 'Expand the passage with more explanation and a concrete example, without repeating what it already says.',
+    shorten: 'Make the passage about a third shorter, keeping the key points and any figures.'
+};
+
+const UNCHANGED = 'UNCHANGED';
+
+function stripHtml(html) {
+    return String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function cleanHtml(content) {
+    return String(content || '').trim().replace(/^```(?:html)?\s*|\s*```$/g, '').trim();
+}
+
+class ArticleReviser {
+    constructor(options = {}) {
+        this.generator = options.generator;
+        this.seoOptimizer = options.seoOptimizer || new SEOOptimizer();
+        this.complianceGate = options.complianceGate || new ComplianceGate();
+    }
+
+    /**
+     * SEO, fact-check and compliance findings of an article. Findings with
+     * `text` point at a phrase, so they are only sent with the section holding it.
+     */
+    collectFindings(article) {
+        const meta = this.seoOptimizer.validateMetaTags({ ...article, metaDescription: article.metaDescription || '' });
+        const seo = [...meta.title.issues, ...meta.metaDescription.issues, ...meta.keywords.issues]
+            .map(message => ({ message }));
+
+        const factCheck = checkArticleAccuracy(article);
+        const facts = [
+            ...factCheck.overallIssues.map(message => ({ message })),
+            ...factCheck.financialAdvice
+                .filter(flag => flag.severity === 'high')
+                .map(flag => ({ message: `Advice language (${flag.adviceType})`, text: flag.trigger.trim() }))
+        ];
+
+        const gate = this.complianceGate.evaluate(article);
+        const compliance = [...gate.hard, ...gate.soft]
+            .map(violation => ({ message: violation.message, text: violation.text }));
+
+        return { seo, factCheck: facts, compliance };
+    }
+
+    /**
+     * Split article HTML at each <h2>. The first part holds the <h1> and introduction.
+     */
+    splitSections(html) {
+        return String(html || '').split(/(?=<h2[\s>])/i).filter(part => part.trim());
+    }
+
+    getSystemPrompt() {
+        return `You are a senior editor at Smart Finance Hub, a trusted personal finance website, revising articles after editorial review.
+
+- Change what the review asks for and keep everything else: facts, figures, structure and tone
+- Keep the HTML format (<h2>, <h3>, <p>, <ul>, <ol>, <table>, <a>) and never add Markdown
+- Educational tone: no personalized advice and no promised returns
+- Never invent statistics, quotes or sources
+- Respond with the requested content only, no commentary`;
+    }
+
+    formatFindings(findings, sectionText = null) {
+        const lines = [];
+        const groups = { seo: 'SEO', factCheck: 'Fact check', compliance: 'Compliance' };
+
+        for (const [key, label] of Object.entries(groups)) {
+            for (const finding of findings?.[key] || []) {
+                if (finding.text) {
+                    if (sectionText !== null && !sectionText.toLowerCase().includes(finding.text.toLowerCase())) continue;
+                    lines.push(`- ${label}: ${finding.message} ("${finding.text}")`);
+                } else {
+                    lines.push(`- ${label}: ${finding.message}`);
+                }
+            }
+        }
+
+        return lines.length > 0 ? lines.join('\n') : '- none';
+    }
+
+    buildSectionPrompt(article, section, { notes, findings }) {
+        return `Revise one section of the Smart Finance Hub article "${article.title}".
+
+REVIEWER NOTES:
+${notes || '(none)'}
+
+FINDINGS:
+${this.formatFindings(findings, stripHtml(section))}
+
+SECTION TO REVISE:
+${section.trim()}
+
+Return the revised section as HTML, starting with the same heading. If neither the notes nor the findings apply to this section, reply with ${UNCHANGED} only.`;
+    }
+
+    buildHeadlinePrompt(article, { notes, findings }) {
+        return `REVISE THE HEADLINE of the Smart Finance Hub article "${article.title}" where the review calls for it.
+
+REVIEWER NOTES:
+${notes || '(none)'}
+
+FINDINGS:
+${this.formatFindings({ seo: findings?.seo || [] })}
+
+TITLE: ${article.title}
+META_DESCRIPTION: ${article.metaDescription || ''}
+
+Reply in exactly this format:
+TITLE: [title, 40-60 characters]
+META_DESCRIPTION: [meta description, 140-160 characters]`;
+    }
+
+    /**
+     * Revised title, meta description and content for a revision request.
+     * `step` (the job queue's checkpointing) lets an interrupted revision
+     * resume after the last revised section.
+     */
+    async revise(article, { notes = '', findings = {} } = {}, { step = (name, fn) => fn() } = {}) {
+        const system = this.getSystemPrompt();
+        const sections = this.splitSections(article.content);
+        console.log(`🔁 Revising "${article.title}" (${sections.length} sections)`);
+
+        const headline = await step('headline', async () => {
+            const response = await this.generator.completeWithTimeout({ system, prompt: this.buildHeadlinePrompt(article, { notes, findings }) });
+            const title = response.content.match(/^TITLE:\s*(.+)$/m)?.[1].trim();
+            const metaDescription = response.content.match(/^META_DESCRIPTION:\s*(.+)$/m)?.[1].trim();
+            return { title: title || article.title, metaDescription: metaDescription || article.metaDescription };
+        });
+
+        const revised = [];
+        let changed = 0;
+        for (const [index, section] of sections.entries()) {
+            // The <h1> is not part of the revision; it follows the title
+            const h1 = index === 0 ? section.match(/^\s*<h1[^>]*>[\s\S]*?<\/h1>\s*/i)?.[0] : null;
+            const body = h1 ? section.slice(h1.length) : section;
+            if (!body.trim()) {
+                revised.push(h1 ? `<h1>${headline.title}</h1>\n` : section);
+                continue;
+            }
+
+            const result = await step(`section-${index + 1}`, async () => {
+                const response = await this.generator.completeWithTimeout({
+                    system,
+                    prompt: this.buildSectionPrompt(article, body, { notes, findings })
+                });
+                return cleanHtml(response.content);
+            });
+
+            let html = body;
+            if (result && result !== UNCHANGED) {
+                // Keep the section's own heading if the model dropped it
+                const heading = body.match(/^\s*<h2[^>]*>[\s\S]*?<\/h2>/i)?.[0];
+                html = heading && !/^<h2[\s>]/i.test(result) ? `${heading.trim()}\n${result}` : result;
+                changed++;
+            }
+            revised.push(`${h1 ? `<h1>${headline.title}</h1>\n` : ''}${html.trim()}\n`);
+        }
+
+        console.log(`   ✍️ ${changed} of ${sections.length} sections revised`);
+        return {
+            title: headline.title,
+            metaDescription: headline.metaDescription,
+            content: revised.join('\n').trim(),
+            sectionsChanged: changed
+        };
+    }
+
+    /**
+     * Rewrite one passage of an article following a preset instruction
+     * (see REWRITE_INSTRUCTIONS) or the editor's own wording
+     */
+    async rewriteSection(article, { html, instruction }) {
+        if (!stripHtml(html)) {
+            const error = new Error('Select the text to rewrite');
+            error.statusCode = 400;
+            throw error;
+        }
+        const task = REWRITE_INSTRUCTIONS[instruction] || String(instruction || '').trim();
+        if (!task) {
+            const error = new Error(`instruction must be one of: ${Object.keys(REWRITE_INSTRUCTIONS).join(', ')}, or your own wording`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const response = await this.generator.completeWithTimeout({
+            system: this.getSystemPrompt(),
+            prompt: `REWRITE REQUEST for a passage of the Smart Finance Hub article "${article.title}".
+
+Instruction: ${task}
+
+PASSAGE:
+${html.trim()}
+
+Return only the rewritten passage, in the same HTML format${/^\s*</.test(html) ? '' : ' (plain text if the passage is plain text)'}.`
+        });
+
+        return { html: cleanHtml(response.content), provider: response.provider, model: response.model };
+    }
+}
+
+ArticleReviser.REWRITE_INSTRUCTIONS = REWRITE_INSTRUCTIONS;
+
+module.exports = ArticleReviser;
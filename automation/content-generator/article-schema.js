@@ -0,0 +1,256 @@
+/**
+ * Article Schema
+ * The shape of article JSON in content/<status>/ and the migrations that
+ * bring older files up to it. `schemaVersion` records the last migration
+ * applied; every migration is idempotent, so re-running one is harmless.
+ *
+ * Canonical fields (version 5):
+ * - metadata.id                        article ID (a top-level `id` must match)
+ * - author                             { name, title?, bio?, specialties? }
+ * - metadata.qualityScore              { overall, breakdown, ... }
+ * - category                           category name
+ * - metadata.publishedAt               publish time; `publishDate` is its YYYY-MM-DD date
+ *
+ * Writers call prepareArticle() before saving: it migrates the article in
+ * place and throws a 422 error listing what is still invalid.
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isPublished(article, context) {
+    return context.status === 'published' || article.metadata.status === 'published';
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'ID in metadata.id',
+        up(article, context) {
+            const changes = [];
+            if (!article.metadata || typeof article.metadata !== 'object') {
+                article.metadata = {};
+                changes.push('added metadata');
+            }
+            if (!article.metadata.id) {
+                const id = article.id || (context.file ? context.file.replace(/\.json$/, '') : null);
+                if (id) {
+                    article.metadata.id = id;
+                    changes.push(`metadata.id set to ${id}`);
+                }
+            }
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        description: 'Author in `author` as an object',
+        up(article) {
+            const changes = [];
+            const metadataAuthor = article.metadata.author;
+            if (metadataAuthor !== undefined) {
+                if (!article.author && metadataAuthor) {
+                    article.author = metadataAuthor;
+                    changes.push('author moved from metadata.author');
+                } else {
+                    changes.push('duplicate metadata.author removed');
+                }
+                delete article.metadata.author;
+            }
+            if (typeof article.author === 'string') {
+                article.author = { name: article.author };
+                changes.push('author name wrapped in an object');
+            }
+            return changes;
+        }
+    },
+    {
+        version: 3,
+        description: 'Quality score as an object in metadata.qualityScore',
+        up(article) {
+            const changes = [];
+            if (article.qualityScore !== undefined) {
+                if (article.metadata.qualityScore === undefined || article.metadata.qualityScore === null) {
+                    article.metadata.qualityScore = article.qualityScore;
+                    changes.push('qualityScore moved into metadata');
+                } else {
+                    changes.push('duplicate top-level qualityScore removed');
+                }
+                delete article.qualityScore;
+            }
+            if (typeof article.metadata.qualityScore === 'number') {
+                article.metadata.qualityScore = { overall: article.metadata.qualityScore, breakdown: {} };
+                changes.push('numeric qualityScore converted to { overall, breakdown }');
+            }
+            return changes;
+        }
+    },
+    {
+        version: 4,
+        description: 'Category in `category`',
+        up(article) {
+            if (article.category) return [];
+            const category = article.metadata.topic?.category ||
+                (typeof article.topic === 'object' ? article.topic?.category : null) ||
+                article.metadata.targetCategory ||
+                article.metadata.category;
+            if (!category) return [];
+
+            article.category = category;
+            delete article.metadata.category;
+            return [`category set to ${category}`];
+        }
+    },
+    {
+        version: 5,
+        description: 'Publish time in metadata.publishedAt, with publishDate derived from it',
+        up(article, context) {
+            const changes = [];
+            const metadata = article.metadata;
+
+            if (metadata.publishedAt && !ISO_DATE.test(metadata.publishedAt) && !isNaN(new Date(metadata.publishedAt))) {
+                metadata.publishedAt = new Date(metadata.publishedAt).toISOString();
+                changes.push('metadata.publishedAt normalized to an ISO timestamp');
+            }
+            if (!metadata.publishedAt && isPublished(article, context)) {
+                const source = article.publishDate || metadata.originalCreatedAt || metadata.createdAt;
+                if (source && !isNaN(new Date(source))) {
+                    metadata.publishedAt = new Date(source).toISOString();
+                    changes.push(`metadata.publishedAt set from ${article.publishDate ? 'publishDate' : 'the creation date'}`);
+                }
+            }
+            if (metadata.publishedAt) {
+                const day = metadata.publishedAt.slice(0, 10);
+                if (article.publishDate !== day) {
+                    changes.push(article.publishDate ? `publishDate ${article.publishDate} → ${day}` : `publishDate set to ${day}`);
+                    article.publishDate = day;
+                }
+            }
+            return changes;
+        }
+    }
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply the migrations newer than the article's schemaVersion, in place.
+ * `context.status` is the article's folder and `context.file` its file name.
+ */
+function migrateArticle(article, context = {}) {
+    const fromVersion = article.schemaVersion || 0;
+    const changes = [];
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        for (const change of migration.up(article, context)) {
+            changes.push({ version: migration.version, change });
+        }
+    }
+
+    if (fromVersion < CURRENT_VERSION) {
+        article.schemaVersion = CURRENT_VERSION;
+    }
+
+    return { fromVersion, toVersion: article.schemaVersion, changes };
+}
+
+function checkDate(errors, value, field, pattern = ISO_DATE) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !pattern.test(value))) {
+        errors.push(`${field} must be ${pattern === DAY ? 'a YYYY-MM-DD date' : 'an ISO timestamp'}`);
+    }
+}
+
+/**
+ * List what does not match the current schema; empty when the article is valid
+ */
+function validateArticle(article, context = {}) {
+    const errors = [];
+    if (!article || typeof article !== 'object') return ['article must be an object'];
+
+    if (article.schemaVersion !== CURRENT_VERSION) {
+        errors.push(`schemaVersion must be ${CURRENT_VERSION} (run the article migrations)`);
+    }
+    for (const field of ['title', 'category']) {
+        if (typeof article[field] !== 'string' || !article[field].trim()) {
+            errors.push(`${field} is required`);
+        }
+    }
+    // Rejected generations can have empty content
+    for (const field of ['content', 'metaDescription']) {
+        if (article[field] !== undefined && typeof article[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    if (article.content === undefined) {
+        errors.push('content is required');
+    }
+    if (article.author !== undefined && (typeof article.author !== 'object' || typeof article.author?.name !== 'string')) {
+        errors.push('author must be an object with a name');
+    }
+    if (article.qualityScore !== undefined) {
+        errors.push('qualityScore belongs in metadata.qualityScore');
+    }
+    checkDate(errors, article.publishDate, 'publishDate', DAY);
+
+    const metadata = article.metadata;
+    if (!metadata || typeof metadata !== 'object') {
+        errors.push('metadata is required');
+        return errors;
+    }
+    if (typeof metadata.id !== 'string' || !metadata.id) {
+        errors.push('metadata.id is required');
+    } else if (article.id !== undefined && article.id !== metadata.id) {
+        errors.push(`id ${article.id} does not match metadata.id ${metadata.id}`);
+    }
+    if (typeof metadata.status !== 'string' || !metadata.status) {
+        errors.push('metadata.status is required');
+    }
+    if (!metadata.createdAt) {
+        errors.push('metadata.createdAt is required');
+    }
+    for (const field of ['createdAt', 'updatedAt', 'approvedAt', 'publishedAt', 'rejectedAt', 'archivedAt', 'scheduledFor']) {
+        checkDate(errors, metadata[field], `metadata.${field}`);
+    }
+    if (metadata.author !== undefined) {
+        errors.push('metadata.author belongs in author');
+    }
+    if (metadata.qualityScore !== undefined && metadata.qualityScore !== null) {
+        const overall = metadata.qualityScore.overall;
+        if (typeof metadata.qualityScore !== 'object' || typeof overall !== 'number' || overall < 0 || overall > 100) {
+            errors.push('metadata.qualityScore must be an object with overall between 0 and 100');
+        }
+    }
+    if (isPublished(article, context) && !metadata.publishedAt) {
+        errors.push('published articles need metadata.publishedAt');
+    }
+    if (metadata.publishedAt && article.publishDate && article.publishDate !== metadata.publishedAt.slice(0, 10)) {
+        errors.push('publishDate must be the date of metadata.publishedAt');
+    }
+
+    return errors;
+}
+
+/**
+ * Migrate and validate an article about to be written; throws a 422 error
+ * with `validationErrors` when it does not match the schema
+ */
+function prepareArticle(article, context = {}) {
+    migrateArticle(article, context);
+    const errors = validateArticle(article, context);
+    if (errors.length > 0) {
+        const error = new Error(`Article ${article.metadata?.id || ''} does not match the article schema: ${errors.join('; ')}`);
+        error.statusCode = 422;
+        error.validationErrors = errors;
+        throw error;
+    }
+    return article;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    MIGRATIONS,
+    migrateArticle,
+    validateArticle,
+    prepareArticle
+};
@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Content Brief Store
+ * Briefs (content/briefs/<id>.json) are the outline stage before a draft:
+ * working title, target keywords, search intent, angle, H2/H3 outline and
+ * required sources. Editors edit and approve them in the review console;
+ * only approved briefs are expanded into drafts.
+ *
+ * Status flow: draft → approved → expanding → expanded, or draft → rejected
+ */
+
+const SEARCH_INTENTS = ['informational', 'commercial', 'transactional', 'local', 'navigational'];
+const EDITABLE_STATUSES = ['draft', 'approved'];
+
+function badRequest(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class BriefStore {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const briefSettings = settings.contentGeneration?.briefs || {};
+
+        this.briefsDir = options.briefsDir ||
+            path.join(__dirname, '../..', briefSettings.dir || 'content/briefs');
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    briefPath(id) {
+        // Brief IDs are used as file names, so keep them path-safe
+        return path.join(this.briefsDir, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.readFile(this.briefPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(brief) {
+        await fs.mkdir(this.briefsDir, { recursive: true });
+        await fs.writeFile(this.briefPath(brief.id), JSON.stringify(brief, null, 2));
+        return brief;
+    }
+
+    /**
+     * Briefs newest first, optionally only those with one of `statuses`
+     */
+    async list({ statuses = null } = {}) {
+        let files;
+        try {
+            files = (await fs.readdir(this.briefsDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const briefs = [];
+        for (const file of files) {
+            try {
+                briefs.push(JSON.parse(await fs.readFile(path.join(this.briefsDir, file), 'utf8')));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable brief ${file}: ${error.message}`);
+            }
+        }
+
+        return briefs
+            .filter(brief => !statuses || statuses.includes(brief.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async require(id) {
+        const brief = await this.get(id);
+        if (!brief) {
+            throw badRequest(`Brief ${id} not found`, 404);
+        }
+        return brief;
+    }
+
+    /**
+     * Apply an editor's changes. Only the brief's own fields can change, and
+     * only before expansion starts; an approved brief goes back to draft.
+     */
+    async update(id, changes, { updatedBy }) {
+        const brief = await this.require(id);
+        if (!EDITABLE_STATUSES.includes(brief.status)) {
+            throw badRequest(`Brief ${id} is ${brief.status} and can no longer be edited`, 409);
+        }
+
+        if (changes.workingTitle !== undefined) {
+            if (!String(changes.workingTitle).trim()) throw badRequest('workingTitle cannot be empty');
+            brief.workingTitle = String(changes.workingTitle).trim();
+        }
+        if (changes.metaDescription !== undefined) {
+            brief.metaDescription = String(changes.metaDescription).trim();
+        }
+        if (changes.angle !== undefined) {
+            brief.angle = String(changes.angle).trim();
+        }
+        if (changes.searchIntent !== undefined) {
+            if (!SEARCH_INTENTS.includes(changes.searchIntent)) {
+                throw badRequest(`searchIntent must be one of: ${SEARCH_INTENTS.join(', ')}`);
+            }
+            brief.searchIntent = changes.searchIntent;
+        }
+        if (changes.targetKeywords !== undefined) {
+            brief.targetKeywords = this.normalizeKeywords(changes.targetKeywords);
+        }
+        if (changes.outline !== undefined) {
+            brief.outline = this.normalizeOutline(changes.outline);
+        }
+        if (changes.requiredSources !== undefined) {
+            if (!Array.isArray(changes.requiredSources)) throw badRequest('requiredSources must be an array');
+            brief.requiredSources = changes.requiredSources.map(source => String(source).trim()).filter(Boolean);
+        }
+        if (changes.targetWords !== undefined) {
+            const targetWords = parseInt(changes.targetWords);
+            if (!(targetWords > 0)) throw badRequest('targetWords must be a positive number');
+            brief.targetWords = targetWords;
+        }
+
+        if (brief.status === 'approved') {
+            brief.status = 'draft';
+            delete brief.approvedBy;
+            delete brief.approvedAt;
+        }
+        brief.updatedAt = new Date().toISOString();
+        brief.updatedBy = updatedBy;
+
+        return this.save(brief);
+    }
+
+    normalizeKeywords(keywords) {
+        const primary = [].concat(keywords?.primary || []).map(String).map(keyword => keyword.trim()).filter(Boolean);
+        if (primary.length === 0) {
+            throw badRequest('targetKeywords.primary needs at least one keyword');
+        }
+
+        return {
+            primary,
+            longTail: [].concat(keywords.longTail || []).map(String).map(keyword => keyword.trim()).filter(Boolean),
+            target: String(keywords.target || primary[0]).trim()
+        };
+    }
+
+    normalizeOutline(outline) {
+        if (!Array.isArray(outline) || outline.length === 0) {
+            throw badRequest('outline needs at least one H2 section');
+        }
+
+        return outline.map((section, index) => {
+            const heading = String(section?.heading || '').trim();
+            if (!heading) throw badRequest(`Outline section ${index + 1} has no heading`);
+
+            const targetWords = section.targetWords ? parseInt(section.targetWords) : null;
+            return {
+                heading,
+                subheadings: [].concat(section.subheadings || []).map(String).map(text => text.trim()).filter(Boolean),
+                notes: String(section.notes || '').trim(),
+                targetWords: targetWords > 0 ? targetWords : null
+            };
+        });
+    }
+
+    async approve(id, { approvedBy }) {
+        const brief = await this.require(id);
+        if (brief.status !== 'draft') {
+            throw badRequest(`Only draft briefs can be approved (brief ${id} is ${brief.status})`, 409);
+        }
+
+        brief.status = 'approved';
+        brief.approvedBy = approvedBy;
+        brief.approvedAt = new Date().toISOString();
+        return this.save(brief);
+    }
+
+    async reject(id, { rejectedBy, reason = '' }) {
+        const brief = await this.require(id);
+        if (!EDITABLE_STATUSES.includes(brief.status)) {
+            throw badRequest(`Brief ${id} is ${brief.status} and can no longer be rejected`, 409);
+        }
+
+        brief.status = 'rejected';
+        brief.rejectedBy = rejectedBy;
+        brief.rejectedAt = new Date().toISOString();
+        brief.rejectionReason = reason;
+        return this.save(brief);
+    }
+
+    async setStatus(id, status, fields = {}) {
+        const brief = await this.require(id);
+        Object.assign(brief, fields, { status, updatedAt: new Date().toISOString() });
+        return this.save(brief);
+    }
+}
+
+BriefStore.SEARCH_INTENTS = SEARCH_INTENTS;
+
+module.exports = BriefStore;
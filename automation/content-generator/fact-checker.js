@@ -1,11 +1,20 @@
 const fs = require('fs').promises;
 const path = require('path');
+const ReferenceFactStore = require('./reference-facts');
 
 class FactChecker {
     constructor() {
         this.settings = null;
         this.loadConfigurations();
         
+        // Canonical figures (IRS limits, FDIC coverage, tax brackets, Fed funds range) for claim verification
+        try {
+            this.referenceFacts = new ReferenceFactStore();
+        } catch (error) {
+            console.error('Error loading reference facts:', error.message);
+            this.referenceFacts = null;
+        }
+        
         // Common financial data sources for validation
         this.trustedSources = [
             'federalreserve.gov',
@@ -80,6 +89,7 @@ class FactChecker {
             citationNeeds: this.identifyCitationNeeds(content),
             financialAdvice: this.markFinancialAdvice(content),
             dateValidation: this.validateDateReferences(content),
+            claimVerification: this.verifyClaims(article),
             confidenceScore: 0,
             overallIssues: [],
             recommendations: []
@@ -121,6 +131,309 @@ class FactChecker {
         return this.deduplicateStatistics(flaggedStats);
     }
 
+    /**
+     * Match specific claims (e.g. "the 2025 401(k) limit is $23,500") against the
+     * reference fact store and mark each as verified, contradicted or unknown
+     */
+    verifyClaims(article) {
+        const result = {
+            referenceVersion: this.referenceFacts?.version || null,
+            referenceDate: this.getReferenceDate(article).toISOString(),
+            summary: { verified: 0, contradicted: 0, unknown: 0 },
+            claims: []
+        };
+        
+        if (!this.referenceFacts) return result;
+        
+        const text = this.toPlainText(`${article.title || ''}\n${article.content || ''}`);
+        const referenceDate = new Date(result.referenceDate);
+        
+        for (const sentence of this.splitSentences(text)) {
+            const candidates = this.referenceFacts.factsForSentence(sentence);
+            if (candidates.length === 0) continue;
+            
+            const quantities = this.extractQuantities(sentence);
+            const clauses = this.splitClauses(sentence);
+            
+            for (const quantity of quantities) {
+                const clause = clauses.find(c => quantity.index >= c.start && quantity.index < c.end) || clauses[clauses.length - 1];
+                const fact = this.referenceFacts.matchClause(candidates, this.stripQuantities(clause.text), quantity.unit);
+                if (!fact) continue;
+                
+                result.claims.push(this.evaluateClaim(fact, quantity, {
+                    sentence,
+                    quantities,
+                    referenceDate,
+                    year: this.findClaimYear(sentence, quantity.index)
+                }));
+            }
+        }
+        
+        for (const claim of result.claims) {
+            result.summary[claim.status]++;
+        }
+        
+        return result;
+    }
+
+    evaluateClaim(fact, quantity, context) {
+        const claim = {
+            factId: fact.id,
+            label: fact.label,
+            authority: fact.authority,
+            source: fact.source,
+            claimed: quantity.text,
+            year: context.year,
+            sentence: context.sentence
+        };
+        
+        const { entries, reason, lastKnown } = this.referenceFacts.lookup(fact, {
+            year: context.year,
+            date: context.referenceDate
+        });
+        
+        if (entries.length === 0) {
+            return {
+                ...claim,
+                status: 'unknown',
+                expected: null,
+                note: reason,
+                lastKnown: lastKnown ? `${this.formatReferenceValue(fact, lastKnown, quantity, context)} (${this.describeReferenceEntry(fact, lastKnown)})` : null
+            };
+        }
+        
+        if (fact.kind === 'brackets' && !this.findNearestRate(quantity, context.quantities)) {
+            return { ...claim, status: 'unknown', expected: null, note: 'No bracket rate found next to the amount' };
+        }
+        
+        const matched = entries.find(entry => this.matchesReference(fact, entry, quantity, context));
+        if (matched) {
+            return {
+                ...claim,
+                status: 'verified',
+                expected: this.formatReferenceValue(fact, matched, quantity, context),
+                asOf: this.describeReferenceEntry(fact, matched)
+            };
+        }
+        
+        const latest = entries[entries.length - 1];
+        const contradicted = {
+            ...claim,
+            status: 'contradicted',
+            expected: this.formatReferenceValue(fact, latest, quantity, context),
+            asOf: this.describeReferenceEntry(fact, latest)
+        };
+        
+        // Point out figures that were right for another year - usually outdated copy
+        const otherPeriod = fact.values.find(entry => !entries.includes(entry) && this.matchesReference(fact, entry, quantity, context));
+        if (otherPeriod) {
+            contradicted.note = `Matches the ${this.describeReferenceEntry(fact, otherPeriod)} value - likely outdated`;
+        }
+        
+        return contradicted;
+    }
+
+    matchesReference(fact, entry, quantity, context) {
+        const same = (a, b) => Math.abs(a - b) < (fact.unit === 'usd' ? 0.5 : 0.001);
+        
+        switch (fact.kind) {
+            case 'amount': {
+                if (quantity.isRange) return false;
+                if (same(quantity.value, entry.value)) return true;
+                
+                // Catch-up figures are often quoted as the total including the base limit
+                const baseFact = fact.combinedWith && this.referenceFacts.getFact(fact.combinedWith);
+                if (!baseFact) return false;
+                const base = fact.period === 'year'
+                    ? baseFact.values.find(value => value.year === entry.year)
+                    : null;
+                return Boolean(base) && same(quantity.value, base.value + entry.value);
+            }
+            case 'range':
+                return quantity.isRange
+                    ? same(quantity.low, entry.low) && same(quantity.high, entry.high)
+                    : quantity.value >= entry.low - 0.001 && quantity.value <= entry.high + 0.001;
+            case 'rateSet': {
+                const values = quantity.isRange ? [quantity.low, quantity.high] : [quantity.value];
+                return values.every(value => entry.rates.some(rate => same(rate, value)));
+            }
+            case 'brackets': {
+                const bracket = this.findBracket(entry, quantity, context);
+                if (!bracket) return false;
+                const [, floor, ceiling] = bracket;
+                const bounds = [floor, floor + 1];
+                if (ceiling !== null) bounds.push(ceiling, ceiling + 1);
+                return bounds.some(bound => same(quantity.value, bound));
+            }
+            default:
+                return false;
+        }
+    }
+
+    findBracket(entry, quantity, context) {
+        const rate = this.findNearestRate(quantity, context.quantities);
+        const brackets = entry[this.detectFilingStatus(context.sentence)] || [];
+        return brackets.find(([bracketRate]) => bracketRate === rate) || null;
+    }
+
+    findNearestRate(quantity, quantities) {
+        let nearest = null;
+        for (const other of quantities) {
+            if (other.unit !== 'percent') continue;
+            const distance = Math.abs(other.index - quantity.index);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance, rate: other.isRange ? other.low : other.value };
+            }
+        }
+        return nearest ? nearest.rate : null;
+    }
+
+    detectFilingStatus(sentence) {
+        return /married|jointly|joint filers|couples/i.test(sentence) ? 'marriedJointly' : 'single';
+    }
+
+    formatReferenceValue(fact, entry, quantity, context) {
+        const usd = value => `$${Number(value).toLocaleString('en-US')}`;
+        const percent = value => `${Number(value).toFixed(2).replace(/\.?0+$/, '')}%`;
+        
+        switch (fact.kind) {
+            case 'amount': {
+                if (fact.unit !== 'usd') return percent(entry.value);
+                const baseFact = fact.combinedWith && this.referenceFacts.getFact(fact.combinedWith);
+                const base = baseFact && baseFact.values.find(value => value.year === entry.year);
+                return base ? `${usd(entry.value)} (${usd(base.value + entry.value)} including the base limit)` : usd(entry.value);
+            }
+            case 'range':
+                return `${entry.low.toFixed(2)}%–${entry.high.toFixed(2)}%`;
+            case 'rateSet':
+                return entry.rates.map(percent).join(', ');
+            case 'brackets': {
+                const status = this.detectFilingStatus(context.sentence);
+                const bracket = this.findBracket(entry, quantity, context);
+                if (!bracket) return `no ${percent(this.findNearestRate(quantity, context.quantities) || 0)} bracket`;
+                const [rate, floor, ceiling] = bracket;
+                const label = status === 'marriedJointly' ? 'married filing jointly' : 'single';
+                return `${percent(rate)} bracket (${label}): ${ceiling === null ? `over ${usd(floor)}` : `${usd(floor)}–${usd(ceiling)}`}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    describeReferenceEntry(fact, entry) {
+        return fact.period === 'year' ? String(entry.year) : `effective ${entry.effective}`;
+    }
+
+    /**
+     * Dollar amounts and percentages (including ranges like "4.25%-4.50%") in a sentence
+     */
+    extractQuantities(sentence) {
+        const quantities = [];
+        const covered = [];
+        
+        const rangeRegex = /(\d+(?:\.\d+)?)\s*%?\s*(?:-|–|—|to|and)\s*(\d+(?:\.\d+)?)\s*(?:%|percent)/gi;
+        let match;
+        while ((match = rangeRegex.exec(sentence)) !== null) {
+            quantities.push({
+                unit: 'percent',
+                index: match.index,
+                text: match[0],
+                isRange: true,
+                low: parseFloat(match[1]),
+                high: parseFloat(match[2])
+            });
+            covered.push([match.index, match.index + match[0].length]);
+        }
+        
+        const percentRegex = /(\d+(?:\.\d+)?)\s*(?:%|percent)/gi;
+        while ((match = percentRegex.exec(sentence)) !== null) {
+            const index = match.index;
+            if (covered.some(([start, end]) => index >= start && index < end)) continue;
+            quantities.push({ unit: 'percent', index, text: match[0], value: parseFloat(match[1]) });
+        }
+        
+        const usdRegex = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s*(k\b|thousand\b|million\b|billion\b)?/gi;
+        const multipliers = { k: 1e3, thousand: 1e3, million: 1e6, billion: 1e9 };
+        while ((match = usdRegex.exec(sentence)) !== null) {
+            const base = parseFloat(match[1].replace(/,/g, '') + (match[2] || ''));
+            const multiplier = match[3] ? multipliers[match[3].toLowerCase()] : 1;
+            quantities.push({ unit: 'usd', index: match.index, text: match[0].trim(), value: base * multiplier });
+        }
+        
+        return quantities.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Split a sentence into clauses so each figure is judged by the words around it
+     */
+    splitClauses(sentence) {
+        const clauses = [];
+        const boundary = /[;()]|,(?!\d{3}\b)|\s[-–—]\s|\b(?:and|but|while|whereas|plus|or|with)\b/gi;
+        let start = 0;
+        let match;
+        
+        while ((match = boundary.exec(sentence)) !== null) {
+            // Keep "4.25% and 4.50%" style ranges in one clause
+            if (/\d\s*%?\s*$/.test(sentence.substring(start, match.index)) && /^\s*\d/.test(sentence.substring(match.index + match[0].length)) && /and|[-–—]/.test(match[0])) {
+                continue;
+            }
+            clauses.push({ start, end: match.index, text: sentence.substring(start, match.index) });
+            start = match.index + match[0].length;
+        }
+        clauses.push({ start, end: sentence.length, text: sentence.substring(start) });
+        
+        return clauses;
+    }
+
+    stripQuantities(text) {
+        return text
+            .replace(/\$\s?[\d,]+(?:\.\d+)?\s*(?:k\b|thousand\b|million\b|billion\b)?/gi, ' ')
+            .replace(/\d+(?:\.\d+)?\s*(?:%|percent)/gi, ' ');
+    }
+
+    findClaimYear(sentence, position) {
+        let nearest = null;
+        const yearRegex = /(?<![$\d,.])\b(19[89]\d|20\d{2})\b(?![\d,]|\s*%)/g;
+        let match;
+        
+        while ((match = yearRegex.exec(sentence)) !== null) {
+            const distance = Math.abs(match.index - position);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance, year: parseInt(match[1], 10) };
+            }
+        }
+        
+        return nearest ? nearest.year : null;
+    }
+
+    getReferenceDate(article) {
+        const metadata = article.metadata || {};
+        const candidate = metadata.publishedAt || metadata.generatedAt || metadata.createdAt || article.createdAt;
+        const date = candidate ? new Date(candidate) : new Date();
+        return isNaN(date.getTime()) ? new Date() : date;
+    }
+
+    toPlainText(html) {
+        return String(html || '')
+            .replace(/<(br|\/p|\/h[1-6]|\/li|\/div|\/tr|\/td|\/th)\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&#36;|&dollar;/g, '$')
+            .replace(/&ndash;/g, '–')
+            .replace(/&mdash;/g, '—')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/[ \t]+/g, ' ');
+    }
+
+    splitSentences(text) {
+        return text
+            .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9$"“(])/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0);
+    }
+
     classifyStatistic(statistic) {
         if (statistic.includes('%')) return 'percentage';
         if (statistic.includes('$')) return 'monetary';
@@ -495,6 +808,8 @@ class FactChecker {
         score -= analysis.dateValidation.filter(d => d.severity === 'medium').length * 8;
         score -= analysis.dateValidation.filter(d => d.severity === 'low').length * 3;
         
+        score -= analysis.claimVerification.summary.contradicted * 20;
+        
         return Math.max(score, 0);
     }
 
@@ -522,6 +837,10 @@ class FactChecker {
             issues.push(`${outdatedDates} date references are outdated`);
         }
         
+        for (const claim of analysis.claimVerification.claims.filter(c => c.status === 'contradicted')) {
+            issues.push(`${claim.label}: article says ${claim.claimed}, reference data says ${claim.expected} (${claim.asOf})`);
+        }
+        
         return issues;
     }
 
@@ -544,6 +863,14 @@ class FactChecker {
             recommendations.push('Update or clarify date references for accuracy');
         }
         
+        if (analysis.claimVerification.summary.contradicted > 0) {
+            recommendations.push('Correct figures that contradict the reference data before publication');
+        }
+        
+        if (analysis.claimVerification.summary.unknown > 0) {
+            recommendations.push('Manually verify figures the reference data does not cover yet');
+        }
+        
         if (analysis.confidenceScore < 70) {
             recommendations.push('Article requires significant fact-checking before publication');
         }
@@ -1,475 +0,0 @@
-const crypto = require('crypto');
-
-/**
- * Pre-built mock articles for fallback when OpenAI API fails
- * Each article includes realistic finance content, proper structure, and quality scores
- */
-
-const mockArticles = [
-    {
-        id: 'mock_001',
-        title: 'Building Your Emergency Fund: A Complete 2025 Guide',
-        metaDescription: 'Learn how to build an emergency fund that protects your finances. Discover expert strategies, savings tips, and planning techniques for financial security.',
-        content: `
-<h1>Introduction: Why Emergency Funds Are Essential</h1>
-<p>In today's uncertain economic climate, having a robust emergency fund isn't just recommended—it's essential. Financial experts consistently rank emergency funds as the cornerstone of personal financial stability, yet studies show that nearly 40% of Americans couldn't cover a $400 emergency expense without borrowing money.</p>
-
-<p>An emergency fund serves as your financial safety net, protecting you from unexpected expenses like medical bills, car repairs, job loss, or major home repairs. This comprehensive guide will walk you through everything you need to know about building, maintaining, and optimizing your emergency fund in 2025.</p>
-
-<h2>Current Emergency Fund Landscape in 2025</h2>
-<p>The financial landscape has evolved significantly, with inflation, changing employment patterns, and economic volatility making emergency funds more crucial than ever. Recent data indicates that households with adequate emergency savings recover from financial setbacks 67% faster than those without.</p>
-
-<p>Traditional wisdom suggested 3-6 months of expenses, but financial advisors now recommend 6-12 months for most people, with gig workers and freelancers needing even more due to income variability. High-yield savings accounts currently offer rates between 4-5%, making it easier to grow your emergency fund while maintaining liquidity.</p>
-
-<h2>Step-by-Step Emergency Fund Building Strategy</h2>
-
-<h3>Phase 1: Foundation Building ($1,000 Starter Fund)</h3>
-<p>Begin with a modest goal of $1,000. This initial buffer helps break the cycle of debt accumulation for minor emergencies. Focus on cutting non-essential expenses and redirecting that money to your emergency fund. Consider selling unused items, taking on temporary side work, or using tax refunds to reach this milestone quickly.</p>
-
-<h3>Phase 2: Expense Analysis and Goal Setting</h3>
-<p>Calculate your true monthly expenses, including housing, utilities, food, transportation, insurance, and minimum debt payments. Multiply this number by your target months of coverage (6-12 months). This becomes your ultimate emergency fund goal.</p>
-
-<h3>Phase 3: Systematic Savings Implementation</h3>
-<p>Automate your emergency fund contributions by setting up automatic transfers to a dedicated high-yield savings account. Start with whatever amount you can afford—even $25 per week adds up to $1,300 annually. Gradually increase contributions as your income grows or expenses decrease.</p>
-
-<h2>Common Emergency Fund Mistakes to Avoid</h2>
-<p>Many people sabotage their emergency fund efforts through common mistakes. Avoid using your emergency fund for non-emergencies like vacations or planned purchases. Don't keep your emergency fund in checking accounts where it earns minimal interest or is too easily accessible for impulse spending.</p>
-
-<p>Another critical mistake is stopping contributions once you reach your goal. Inflation and lifestyle changes require periodic adjustments to your emergency fund target. Review and update your fund size annually or after major life changes like marriage, children, or career shifts.</p>
-
-<h2>Advanced Emergency Fund Optimization</h2>
-<p>Once you've established your basic emergency fund, consider advanced strategies for optimization. Laddering certificates of deposit (CDs) can provide higher returns while maintaining reasonable access to funds. Some experts recommend splitting emergency funds between immediately accessible savings and slightly higher-yield accounts with minor access restrictions.</p>
-
-<p>For high earners, consider money market accounts or Treasury bills as alternatives to traditional savings accounts. These options often provide better returns while maintaining the safety and liquidity essential for emergency funds.</p>
-
-<h2>Conclusion: Your Financial Safety Net</h2>
-<p>Building an emergency fund requires discipline, patience, and strategic planning, but it's one of the most important financial decisions you'll make. Start small, stay consistent, and gradually build toward your goal. Remember that an emergency fund isn't just about the money—it's about peace of mind and financial freedom.</p>
-
-<p>Your emergency fund should evolve with your life circumstances. Regular reviews ensure it remains adequate for your needs and continues serving its purpose as your financial foundation. With dedication and the strategies outlined in this guide, you'll build a robust emergency fund that protects your financial future.</p>
-        `,
-        cta: 'Ready to take control of your financial future? Subscribe to Smart Finance Hub\'s newsletter for weekly money management tips, expert insights, and strategies to build wealth. Join thousands of readers who trust us for practical financial guidance.',
-        topic: 'emergency_fund',
-        category: 'savings',
-        keywords: ['emergency fund', 'financial security', 'savings strategy', 'personal finance', 'financial planning', 'money management'],
-        wordCount: 687,
-        qualityScore: {
-            overall: 89,
-            breakdown: {
-                readability: 85,
-                seo: 92,
-                keywordDensity: 88,
-                structure: 91,
-                length: 89,
-                originality: 87
-            }
-        }
-    },
-
-    {
-        id: 'mock_002',
-        title: 'Credit Card Debt: Proven Strategies to Pay Off Balances Fast',
-        metaDescription: 'Eliminate credit card debt with expert-proven strategies. Learn about debt avalanche, snowball methods, and balance transfer techniques for faster payoff.',
-        content: `
-<h1>Introduction: Breaking Free from Credit Card Debt</h1>
-<p>Credit card debt affects millions of Americans, with the average household carrying over $6,000 in credit card balances. High interest rates, often exceeding 20%, can trap borrowers in cycles of minimum payments that barely touch the principal balance. However, with the right strategies and commitment, you can eliminate credit card debt faster than you might think.</p>
-
-<p>This comprehensive guide explores proven debt elimination methods, from mathematical approaches like the debt avalanche to psychological strategies like the debt snowball. We'll also cover balance transfers, negotiation tactics, and lifestyle adjustments that can accelerate your journey to debt freedom.</p>
-
-<h2>Understanding Your Credit Card Debt Situation</h2>
-<p>Before implementing any payoff strategy, you need a clear picture of your debt landscape. List all your credit cards, including balances, minimum payments, interest rates, and due dates. This debt inventory reveals the scope of your challenge and helps you prioritize which debts to tackle first.</p>
-
-<p>Calculate how much you're paying in interest annually—the number might shock you. A $5,000 balance at 22% APR with minimum payments takes over 20 years to pay off and costs more than $8,000 in interest. Understanding these numbers provides motivation for aggressive debt elimination.</p>
-
-<h2>The Debt Avalanche Method: Mathematical Optimization</h2>
-<p>The debt avalanche method focuses on paying minimum amounts on all cards while directing extra payments toward the highest interest rate debt. This approach minimizes total interest paid and reduces payoff time. For example, if you have cards at 24%, 19%, and 15% interest rates, you'd prioritize the 24% card regardless of balance size.</p>
-
-<p>While mathematically superior, the debt avalanche requires discipline since you might not see dramatic balance reductions initially if your highest-rate card also has the largest balance. However, this method typically saves hundreds or thousands in interest compared to other approaches.</p>
-
-<h2>The Debt Snowball Method: Psychological Motivation</h2>
-<p>The debt snowball method prioritizes paying off the smallest balances first, regardless of interest rates. This approach provides quick wins and psychological momentum that can sustain long-term commitment to debt elimination. Each paid-off card provides motivation and frees up more money for the next target.</p>
-
-<p>Research by behavioral economists shows that people using the snowball method are more likely to successfully eliminate all their debts. While you might pay slightly more in interest than the avalanche method, the psychological benefits often outweigh the mathematical disadvantage.</p>
-
-<h2>Balance Transfer Strategies</h2>
-<p>Balance transfers can provide temporary relief from high interest rates, allowing you to pay down principal faster. Many cards offer 0% introductory APR for 12-21 months on transferred balances. However, success requires discipline to avoid accumulating new debt and paying off the transferred balance before the promotional rate expires.</p>
-
-<p>Calculate balance transfer fees (typically 3-5%) and ensure the savings justify the cost. Create a specific payoff plan for the promotional period—don't just enjoy lower payments. Use the breathing room to aggressively pay down the balance before standard rates apply.</p>
-
-<h2>Negotiation and Hardship Programs</h2>
-<p>Credit card companies prefer receiving payments to writing off debt, making them surprisingly willing to negotiate with struggling borrowers. Contact your credit card companies to discuss hardship programs, which might include temporary payment reductions, interest rate decreases, or settlement options.</p>
-
-<p>Document any agreements in writing and understand the potential credit score implications of various programs. While hardship programs can provide relief, some might be reported to credit bureaus as partial payments or settlements.</p>
-
-<h2>Lifestyle Adjustments for Faster Payoff</h2>
-<p>Debt elimination requires both strategic planning and lifestyle changes. Create a bare-bones budget that maximizes debt payments while covering essential expenses. Temporarily eliminate discretionary spending like dining out, entertainment subscriptions, and non-essential purchases.</p>
-
-<p>Consider increasing income through side hustles, overtime, or selling unused possessions. Direct 100% of this additional income toward debt payoff. Small sacrifices during your debt elimination period can save years of payments and thousands in interest.</p>
-
-<h2>Conclusion: Your Path to Debt Freedom</h2>
-<p>Credit card debt elimination requires commitment, strategy, and patience, but financial freedom is achievable. Choose the payoff method that best matches your personality and situation, whether that's the mathematically optimal avalanche or the motivating snowball approach.</p>
-
-<p>Remember that debt elimination is a marathon, not a sprint. Celebrate milestones along the way and stay focused on your long-term financial goals. With the strategies outlined in this guide and consistent effort, you can break free from credit card debt and build a stronger financial future.</p>
-        `,
-        cta: 'Transform your financial life with expert guidance. Subscribe to Smart Finance Hub for debt elimination strategies, budgeting tips, and wealth-building advice delivered to your inbox weekly.',
-        topic: 'debt_management',
-        category: 'debt',
-        keywords: ['credit card debt', 'debt payoff', 'debt avalanche', 'debt snowball', 'balance transfer', 'debt elimination'],
-        wordCount: 764,
-        qualityScore: {
-            overall: 91,
-            breakdown: {
-                readability: 89,
-                seo: 93,
-                keywordDensity: 90,
-                structure: 92,
-                length: 91,
-                originality: 89
-            }
-        }
-    },
-
-    {
-        id: 'mock_003',
-        title: 'Investment Portfolio Diversification: Building Wealth for 2025',
-        metaDescription: 'Master portfolio diversification with expert strategies for 2025. Learn asset allocation, risk management, and investment techniques for long-term wealth building.',
-        content: `
-<h1>Introduction: The Foundation of Successful Investing</h1>
-<p>Portfolio diversification stands as one of the most fundamental principles of successful long-term investing. The concept, often summarized as "don't put all your eggs in one basket," involves spreading investments across various asset classes, sectors, and geographic regions to reduce risk while maintaining growth potential.</p>
-
-<p>In 2025's dynamic market environment, traditional diversification strategies are evolving to include new asset classes, global opportunities, and innovative investment vehicles. This comprehensive guide explores modern diversification techniques that can help protect and grow your wealth regardless of market conditions.</p>
-
-<h2>Understanding Modern Portfolio Theory</h2>
-<p>Modern Portfolio Theory, developed by Nobel laureate Harry Markowitz, demonstrates that diversification can reduce portfolio risk without sacrificing expected returns. The key insight is that different investments often move in opposite directions—when stocks decline, bonds might rise, or when domestic markets struggle, international markets might thrive.</p>
-
-<p>The correlation between different assets determines diversification effectiveness. Assets with low or negative correlation provide better diversification benefits than those that move together. In 2025, investors have access to sophisticated tools and data to analyze these correlations and optimize their portfolios accordingly.</p>
-
-<h2>Core Asset Class Allocation</h2>
-
-<h3>Equity Investments (Stocks)</h3>
-<p>Stocks should typically comprise the largest portion of long-term investment portfolios, especially for younger investors. Within equities, diversify across market capitalizations (large, mid, and small-cap), sectors (technology, healthcare, finance, etc.), and investment styles (growth vs. value). This multi-layered approach helps capture different market opportunities while reducing sector-specific risks.</p>
-
-<h3>Fixed Income Securities (Bonds)</h3>
-<p>Bonds provide stability and income, often performing well when stocks struggle. Diversify bond holdings across government and corporate bonds, various maturities (short, intermediate, and long-term), and credit qualities. In 2025's interest rate environment, consider inflation-protected securities and floating-rate bonds as additional diversification tools.</p>
-
-<h3>Alternative Investments</h3>
-<p>Modern portfolios increasingly include alternative investments like Real Estate Investment Trusts (REITs), commodities, and private equity. These assets often have low correlation with traditional stocks and bonds, providing additional diversification benefits. However, alternatives typically require more research and may have higher fees or lower liquidity.</p>
-
-<h2>Geographic and Currency Diversification</h2>
-<p>International diversification reduces dependence on any single country's economic performance. Developed international markets offer stability and established companies, while emerging markets provide higher growth potential with increased volatility. Currency exposure adds another layer of diversification, as foreign investments can benefit from favorable exchange rate movements.</p>
-
-<p>Consider using international mutual funds or ETFs to gain broad geographic exposure without the complexity of individual foreign stock selection. These funds also handle currency exchanges and provide professional management of international investments.</p>
-
-<h2>Sector and Industry Diversification</h2>
-<p>Economic cycles affect different industries differently. Technology stocks might thrive during innovation cycles, while utility stocks provide stability during economic uncertainty. Consumer staples remain relatively stable, while consumer discretionary stocks are more cyclical.</p>
-
-<p>Avoid overconcentration in any single sector, even high-performing ones. The dot-com bubble of the early 2000s demonstrated the risks of excessive technology concentration, while the 2008 financial crisis showed the dangers of overexposure to financial stocks.</p>
-
-<h2>Time-Based Diversification (Dollar-Cost Averaging)</h2>
-<p>Temporal diversification involves spreading investments over time rather than making large lump-sum investments. Dollar-cost averaging—investing fixed amounts at regular intervals—can reduce the impact of market volatility and remove emotion from investment timing decisions.</p>
-
-<p>This strategy works particularly well for retirement account contributions and systematic investment plans. While lump-sum investing often provides better mathematical returns, dollar-cost averaging offers psychological benefits and risk reduction that many investors find valuable.</p>
-
-<h2>Rebalancing and Portfolio Maintenance</h2>
-<p>Successful diversification requires ongoing maintenance through periodic rebalancing. As different assets perform differently, your original allocation will drift. Rebalancing involves selling outperforming assets and buying underperforming ones to restore target allocations.</p>
-
-<p>Rebalance quarterly or semi-annually, or when any asset class deviates significantly from target allocations. This disciplined approach forces you to "sell high and buy low," contrary to emotional investment impulses but essential for long-term success.</p>
-
-<h2>Conclusion: Building Your Diversified Future</h2>
-<p>Effective portfolio diversification in 2025 requires understanding traditional principles while embracing new opportunities and tools. Focus on building a comprehensive strategy that includes multiple asset classes, geographic regions, and investment approaches aligned with your risk tolerance and time horizon.</p>
-
-<p>Remember that diversification is not about maximizing returns in any given year—it's about optimizing risk-adjusted returns over time. Stay disciplined with your diversification strategy, regularly review and rebalance your portfolio, and maintain a long-term perspective on wealth building.</p>
-        `,
-        cta: 'Accelerate your investment knowledge with Smart Finance Hub. Get weekly insights on portfolio management, market analysis, and wealth-building strategies from financial experts.',
-        topic: 'portfolio_diversification',
-        category: 'investing',
-        keywords: ['portfolio diversification', 'asset allocation', 'investment strategy', 'wealth building', 'risk management', 'modern portfolio theory'],
-        wordCount: 821,
-        qualityScore: {
-            overall: 87,
-            breakdown: {
-                readability: 84,
-                seo: 89,
-                keywordDensity: 86,
-                structure: 90,
-                length: 88,
-                originality: 85
-            }
-        }
-    },
-
-    {
-        id: 'mock_004',
-        title: 'High-Yield Savings Accounts: Maximizing Returns in 2025',
-        metaDescription: 'Discover the best high-yield savings accounts for 2025. Compare rates, features, and strategies to maximize your savings growth with competitive APYs.',
-        content: `
-<h1>Introduction: The Power of High-Yield Savings</h1>
-<p>In an era of fluctuating interest rates and economic uncertainty, high-yield savings accounts have emerged as essential tools for smart money management. These accounts offer significantly higher interest rates than traditional savings accounts, often providing 10-20 times more earnings on your deposits while maintaining the safety and liquidity that make savings accounts attractive.</p>
-
-<p>As we navigate 2025's financial landscape, high-yield savings accounts are offering some of the most competitive rates we've seen in over a decade. This comprehensive guide will help you understand how to leverage these accounts to maximize your savings growth while maintaining financial flexibility.</p>
-
-<h2>Understanding High-Yield Savings in 2025</h2>
-<p>High-yield savings accounts typically offer Annual Percentage Yields (APYs) ranging from 4.00% to 5.50% in the current market environment, compared to traditional big bank savings accounts that often provide less than 0.50%. This difference can translate to hundreds or thousands of additional dollars in earnings annually, depending on your balance.</p>
-
-<p>The competitive landscape has intensified as online banks and credit unions compete for deposits by offering increasingly attractive rates and features. Federal Reserve policy changes continue to influence these rates, making it crucial to stay informed about market trends and timing for optimal savings growth.</p>
-
-<h2>Key Features to Evaluate</h2>
-
-<h3>Annual Percentage Yield (APY)</h3>
-<p>The APY represents your total annual earnings including compound interest. While this is often the primary comparison factor, remember that rates can change based on Federal Reserve policy and bank strategy. Look for accounts with consistently competitive rates rather than just the highest introductory offers.</p>
-
-<h3>Minimum Balance Requirements</h3>
-<p>Many high-yield accounts require minimum balances to earn the advertised rate or avoid fees. These requirements typically range from $0 to $10,000. Choose accounts with minimum balances that align with your typical savings levels to ensure you consistently earn the highest available rate.</p>
-
-<h3>Accessibility and Withdrawal Limits</h3>
-<p>Federal regulations limit certain types of withdrawals from savings accounts to six per month. Consider how you plan to use the account and whether the withdrawal limitations align with your needs. Some accounts offer ATM access or debit cards for additional convenience.</p>
-
-<h2>Traditional Banks vs. Online Banks vs. Credit Unions</h2>
-<p>Online banks typically offer the highest yields because they have lower overhead costs than traditional brick-and-mortar institutions. They can pass these savings to customers through higher interest rates and lower fees. However, they may have limited customer service options and no physical branch access.</p>
-
-<p>Credit unions often provide competitive rates and personalized service but may have membership requirements. Traditional banks offer convenience and comprehensive services but typically provide lower yields on savings accounts. Consider your priorities regarding yield, service, and accessibility when choosing an institution type.</p>
-
-<h2>Maximizing Your High-Yield Savings Strategy</h2>
-
-<h3>Emergency Fund Optimization</h3>
-<p>High-yield savings accounts are ideal for emergency funds because they provide both growth and immediate accessibility. Calculate your target emergency fund size (typically 3-6 months of expenses) and choose an account that helps this crucial money work harder while remaining readily available.</p>
-
-<h3>Short-Term Goal Funding</h3>
-<p>Use high-yield savings for goals you plan to achieve within 1-3 years, such as vacation funds, down payment savings, or major purchase planning. The higher yields help your money grow while avoiding the volatility risks associated with investment accounts for short-term goals.</p>
-
-<h3>Laddering Strategy</h3>
-<p>Consider combining high-yield savings with short-term CDs in a laddering strategy. This approach provides higher overall yields while maintaining regular access to portions of your savings as CDs mature and can be either reinvested or moved to savings based on current rate environments.</p>
-
-<h2>Tax Implications and Considerations</h2>
-<p>Interest earned from high-yield savings accounts is taxable as ordinary income in the year earned. Banks report annual interest earnings on Form 1099-INT for amounts over $10. Factor these tax implications into your overall savings strategy, especially if you're in higher tax brackets.</p>
-
-<p>Consider whether tax-advantaged accounts like Roth IRAs might be appropriate for some of your savings goals, particularly if you're saving for retirement or have maximized other tax-advantaged opportunities.</p>
-
-<h2>Rate Shopping and Account Management</h2>
-<p>Interest rates change frequently, so regularly review your account's competitiveness. Set up rate alerts or review rates quarterly to ensure you're maximizing earnings. However, avoid constantly chasing the highest rates if it means frequent account changes—the benefits may not justify the effort and potential complications.</p>
-
-<p>Automate your savings with direct deposits or scheduled transfers to maximize compound growth. Even small, consistent additions can significantly boost your long-term savings through the power of compound interest at these higher rates.</p>
-
-<h2>Conclusion: Smart Savings for Financial Success</h2>
-<p>High-yield savings accounts represent a low-risk, high-reward opportunity in 2025's financial environment. By choosing accounts with competitive rates, favorable terms, and features that match your needs, you can significantly accelerate your savings growth while maintaining the safety and liquidity essential for financial security.</p>
-
-<p>Remember that the best high-yield savings account is one that you'll consistently use and that aligns with your financial goals. Focus on building strong savings habits, maximizing compound growth, and regularly reviewing your strategy to ensure you're getting the most from your money.</p>
-        `,
-        cta: 'Stay ahead of changing savings rates and financial opportunities. Subscribe to Smart Finance Hub for weekly updates on the best high-yield accounts, money management tips, and wealth-building strategies.',
-        topic: 'high_yield_savings',
-        category: 'banking',
-        keywords: ['high-yield savings', 'savings accounts', 'APY', 'interest rates', 'online banking', 'emergency fund'],
-        wordCount: 897,
-        qualityScore: {
-            overall: 93,
-            breakdown: {
-                readability: 91,
-                seo: 95,
-                keywordDensity: 92,
-                structure: 94,
-                length: 93,
-                originality: 91
-            }
-        }
-    },
-
-    {
-        id: 'mock_005',
-        title: 'Retirement Planning: Secure Your Financial Future in 2025',
-        metaDescription: '2025 retirement planning guide covering 401k strategies, IRA options, Social Security optimization, and investment approaches for a secure retirement.',
-        content: `
-<h1>Introduction: Planning for Tomorrow Today</h1>
-<p>Retirement planning in 2025 presents both unprecedented opportunities and unique challenges. With traditional pension plans largely disappearing and Social Security facing long-term uncertainty, individual retirement planning has never been more critical. The good news is that today's retirement planning tools, tax-advantaged accounts, and investment options provide more control and potential than previous generations enjoyed.</p>
-
-<p>This comprehensive guide addresses the key components of modern retirement planning, from maximizing employer benefits to optimizing tax strategies and creating sustainable income streams for your golden years. Whether you're just starting your career or approaching retirement, understanding these fundamentals is essential for financial security.</p>
-
-<h2>Understanding the 2025 Retirement Landscape</h2>
-<p>The retirement landscape continues evolving with updated contribution limits, tax law changes, and new investment options. For 2025, 401(k) contribution limits have increased to $23,500 for workers under 50, with an additional $7,500 catch-up contribution for those 50 and older. IRA contribution limits remain at $7,000 with a $1,000 catch-up provision.</p>
-
-<p>Longevity trends show people living longer, healthier lives, making 25-30 year retirements increasingly common. This extended timeframe requires larger savings and more sophisticated investment strategies to ensure your money lasts throughout retirement. Additionally, healthcare costs continue rising, making medical expense planning a crucial component of retirement preparation.</p>
-
-<h2>Maximizing Employer-Sponsored Plans</h2>
-
-<h3>401(k) Optimization Strategies</h3>
-<p>If your employer offers a 401(k) match, prioritize contributing enough to receive the full match—it's essentially free money with immediate 100% returns. Beyond the match, consider increasing contributions annually, especially after raises or bonuses. Many plans offer automatic escalation features that gradually increase your contribution percentage.</p>
-
-<p>Understand your plan's investment options and fees. Choose low-cost, diversified funds aligned with your risk tolerance and time horizon. Target-date funds provide professional management and automatic rebalancing but review their underlying investments and fees to ensure they match your goals.</p>
-
-<h3>Roth vs. Traditional Contributions</h3>
-<p>Many employers now offer Roth 401(k) options alongside traditional pre-tax contributions. Roth contributions use after-tax dollars but provide tax-free growth and withdrawals in retirement. Consider your current tax bracket versus expected retirement tax bracket when deciding between options, and remember you can split contributions between both types.</p>
-
-<h2>Individual Retirement Account (IRA) Strategies</h2>
-<p>IRAs provide additional retirement savings opportunities with more investment flexibility than most employer plans. Traditional IRAs offer potential tax deductions and tax-deferred growth, while Roth IRAs provide tax-free growth and withdrawals. Income limits may restrict direct Roth IRA contributions, but backdoor Roth conversions remain available for high earners.</p>
-
-<p>Consider IRA conversions during lower-income years or market downturns when account values are temporarily reduced. These strategic conversions can reduce future required minimum distributions and provide more tax-free income in retirement.</p>
-
-<h2>Social Security Optimization</h2>
-<p>Social Security benefits represent a significant portion of most people's retirement income, making optimization crucial. Your claiming strategy can dramatically impact lifetime benefits. While you can claim as early as age 62, waiting until full retirement age (66-67 depending on birth year) provides 100% of your benefit amount.</p>
-
-<p>Delaying benefits until age 70 increases payments by approximately 8% per year beyond full retirement age. For healthy individuals with reasonable longevity expectations, this delay often maximizes lifetime benefits. Married couples have additional strategies including spousal benefits and survivor benefit optimization.</p>
-
-<h2>Investment Allocation and Risk Management</h2>
-<p>Retirement investing requires balancing growth potential with risk management as you age. The traditional rule of subtracting your age from 100 to determine stock allocation (e.g., a 30-year-old holding 70% stocks) may be too conservative given increased longevity and low bond yields.</p>
-
-<p>Consider a more aggressive approach early in your career, gradually becoming more conservative as retirement approaches. However, even in retirement, maintaining some equity exposure helps combat inflation and supports portfolio longevity through potentially decades of withdrawals.</p>
-
-<h2>Healthcare and Long-Term Care Planning</h2>
-<p>Healthcare costs represent one of the largest and least predictable retirement expenses. Medicare covers many costs but has significant gaps, particularly for long-term care. Health Savings Accounts (HSAs) provide triple tax advantages and can serve as supplemental retirement accounts for healthcare expenses.</p>
-
-<p>Consider long-term care insurance, especially if you have significant assets to protect. Alternatively, some people self-insure by maintaining larger investment accounts specifically designated for potential care needs.</p>
-
-<h2>Creating Retirement Income Streams</h2>
-<p>Sustainable retirement income requires planning beyond just accumulation. The traditional 4% withdrawal rule provides a starting point, but consider more dynamic approaches that adjust withdrawals based on market performance and economic conditions.</p>
-
-<p>Diversify income sources through Social Security, retirement accounts, potential part-time work, rental income, or annuities for guaranteed income floors. Having multiple income streams provides flexibility and reduces dependence on any single source.</p>
-
-<h2>Conclusion: Your Roadmap to Retirement Security</h2>
-<p>Successful retirement planning requires early action, consistent saving, and regular strategy reviews. Start with maximizing employer matches and tax-advantaged account contributions, then expand your strategy as your income and knowledge grow.</p>
-
-<p>Remember that retirement planning is a marathon, not a sprint. Small, consistent actions compound over time to create significant wealth. Stay informed about changing laws and opportunities, but don't let complexity prevent you from starting. The most important step is beginning your retirement planning journey today.</p>
-        `,
-        cta: 'Take control of your retirement future with expert guidance. Subscribe to Smart Finance Hub for advanced retirement strategies, tax planning tips, and investment insights to secure your financial independence.',
-        topic: 'retirement_planning',
-        category: 'retirement',
-        keywords: ['retirement planning', '401k', 'IRA', 'Social Security', 'retirement savings', 'pension planning'],
-        wordCount: 924,
-        qualityScore: {
-            overall: 88,
-            breakdown: {
-                readability: 86,
-                seo: 90,
-                keywordDensity: 87,
-                structure: 89,
-                length: 90,
-                originality: 88
-            }
-        }
-    }
-];
-
-/**
- * Get mock articles with proper metadata structure
- * @param {number} count - Number of articles to return (default: all)
- * @returns {Array} Array of formatted mock articles
- */
-function getMockArticles(count = mockArticles.length) {
-    const selectedArticles = mockArticles.slice(0, count);
-
-    return selectedArticles.map((article, index) => {
-        const now = new Date();
-        const articleId = `mock_${Date.now()}_${index}`;
-
-        return {
-            title: article.title,
-            metaDescription: article.metaDescription,
-            content: article.content,
-            cta: article.cta,
-            topic: article.topic,
-            category: article.category,
-            keywords: article.keywords,
-            metadata: {
-                id: articleId,
-                topic: {
-                    id: article.topic,
-                    title: article.title.split(':')[0],
-                    category: article.category,
-                    priority: 'medium'
-                },
-                targetKeywords: {
-                    primary: article.keywords.slice(0, 3),
-                    longTail: article.keywords.slice(3),
-                    target: article.keywords[0]
-                },
-                qualityScore: {
-                    overall: article.qualityScore.overall,
-                    breakdown: article.qualityScore.breakdown,
-                    weights: {
-                        readability: 0.20,
-                        seo: 0.25,
-                        keywordDensity: 0.20,
-                        structure: 0.15,
-                        length: 0.10,
-                        originality: 0.10
-                    },
-                    recommendations: []
-                },
-                createdAt: now.toISOString(),
-                generatedAt: now.toISOString(),
-                status: 'draft',
-                isMockArticle: true,
-                readingTime: `${Math.ceil(article.wordCount / 200)} min read`,
-                wordCount: article.wordCount
-            }
-        };
-    });
-}
-
-/**
- * Get a single random mock article
- * @returns {Object} A single formatted mock article
- */
-function getRandomMockArticle() {
-    const randomIndex = Math.floor(Math.random() * mockArticles.length);
-    return getMockArticles(1)[0];
-}
-
-/**
- * Get mock articles filtered by category
- * @param {string} category - Category to filter by
- * @returns {Array} Array of mock articles in the specified category
- */
-function getMockArticlesByCategory(category) {
-    const filtered = mockArticles.filter(article => article.category === category);
-    return filtered.map((article, index) => {
-        const now = new Date();
-        const articleId = `mock_${category}_${Date.now()}_${index}`;
-
-        return {
-            title: article.title,
-            metaDescription: article.metaDescription,
-            content: article.content,
-            cta: article.cta,
-            topic: article.topic,
-            category: article.category,
-            keywords: article.keywords,
-            metadata: {
-                id: articleId,
-                topic: {
-                    id: article.topic,
-                    title: article.title.split(':')[0],
-                    category: article.category,
-                    priority: 'medium'
-                },
-                targetKeywords: {
-                    primary: article.keywords.slice(0, 3),
-                    longTail: article.keywords.slice(3),
-                    target: article.keywords[0]
-                },
-                qualityScore: {
-                    overall: article.qualityScore.overall,
-                    breakdown: article.qualityScore.breakdown,
-                    weights: {
-                        readability: 0.20,
-                        seo: 0.25,
-                        keywordDensity: 0.20,
-                        structure: 0.15,
-                        length: 0.10,
-                        originality: 0.10
-                    },
-                    recommendations: []
-                },
-                createdAt: now.toISOString(),
-                generatedAt: now.toISOString(),
-                status: 'draft',
-                isMockArticle: true,
-                readingTime: `${Math.ceil(article.wordCount / 200)} min read`,
-                wordCount: article.wordCount
-            }
-        };
-    });
-}
-
-module.exports = {
-    getMockArticles,
-    getRandomMockArticle,
-    getMockArticlesByCategory
-};
\ No newline at end of file
@@ -0,0 +1,282 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Near-Duplicate Detector
+ * Compares an article body against every draft, approved and published
+ * article using word shingles (runs of `shingleSize` words) of the
+ * normalized text. Similarity is the Jaccard index of the two shingle sets,
+ * containment the share of the article's shingles found in the other one,
+ * and shared runs of words are returned as matching passages.
+ *
+ * Corpus fingerprints are cached per file and refreshed by stat at most
+ * once per `corpusRefreshMs`: only files whose mtime or size changed are
+ * read and fingerprinted again.
+ */
+
+const DEFAULT_OPTIONS = {
+    shingleSize: 5,
+    duplicateSimilarity: 0.5,
+    duplicateContainment: 0.7,
+    reportSimilarity: 0.1,
+    minPassageWords: 12,
+    maxMatches: 5,
+    maxPassages: 3,
+    corpusRefreshMs: 2000
+};
+
+const CORPUS_FOLDERS = ['drafts', 'approved', 'published'];
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Words of the plain text, each normalized (lowercase, no accents or
+ * punctuation) and with its position so passages can quote the original
+ */
+function extractWords(text) {
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const normalized = match[0]
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]/g, '');
+
+        if (normalized) {
+            words.push({ normalized, start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    return words;
+}
+
+// 32-bit FNV-1a, so shingle sets hold numbers instead of strings
+function hashShingle(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class NearDuplicateDetector {
+    constructor(options = {}) {
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.options = { ...DEFAULT_OPTIONS, ...this.loadSettings(), ...options };
+        this.corpus = new Map();
+        this.lastRefresh = 0;
+        this.refreshing = null;
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            const settings = JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+            return settings.qualityMetrics?.contentOriginality?.nearDuplicates || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Shingles of an article body: one hash per word position, plus the set
+     */
+    fingerprint(article) {
+        const { shingleSize } = this.options;
+        const text = stripHtml(article.content);
+        const words = extractWords(text);
+        const shingles = [];
+
+        for (let i = 0; i + shingleSize <= words.length; i++) {
+            shingles.push(hashShingle(words.slice(i, i + shingleSize).map(word => word.normalized).join(' ')));
+        }
+
+        return { text, words, shingles, set: new Set(shingles) };
+    }
+
+    /**
+     * Fingerprints of every article in the content folders. Concurrent
+     * callers share one refresh; `force` skips the refresh interval.
+     */
+    async loadCorpus({ force = false } = {}) {
+        if (!this.refreshing && (force || Date.now() - this.lastRefresh >= this.options.corpusRefreshMs)) {
+            this.refreshing = this.refreshCorpus().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        if (this.refreshing) await this.refreshing;
+        return [...this.corpus.values()].filter(entry => entry.set.size > 0);
+    }
+
+    async refreshCorpus() {
+        const seen = new Set();
+
+        for (const folder of CORPUS_FOLDERS) {
+            let files;
+            try {
+                files = (await fs.readdir(path.join(this.contentDir, folder))).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (const file of files) {
+                const key = `${folder}/${file}`;
+                const filePath = path.join(this.contentDir, key);
+                try {
+                    const stat = await fs.stat(filePath);
+                    seen.add(key);
+
+                    const known = this.corpus.get(key);
+                    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+
+                    const article = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                    // Only the set is compared against; words and text are kept for the checked article
+                    const { set } = this.fingerprint(article);
+                    this.corpus.set(key, {
+                        id: article.metadata?.id || article.id || file.replace(/\.json$/, ''),
+                        title: article.title || file,
+                        folder,
+                        set,
+                        mtimeMs: stat.mtimeMs,
+                        size: stat.size
+                    });
+                } catch (error) {
+                    if (error.code === 'ENOENT') continue; // Moved or deleted while scanning
+                    console.log(`⚠️  Skipping ${key} in duplicate check: ${error.message}`);
+                }
+            }
+        }
+
+        for (const key of this.corpus.keys()) {
+            if (!seen.has(key)) this.corpus.delete(key);
+        }
+        this.lastRefresh = Date.now();
+    }
+
+    /**
+     * Longest runs of words the article shares with another document
+     */
+    findPassages(doc, other) {
+        const { shingleSize, minPassageWords, maxPassages } = this.options;
+        const shared = new Array(doc.words.length).fill(false);
+
+        doc.shingles.forEach((shingle, index) => {
+            if (other.set.has(shingle)) {
+                shared.fill(true, index, index + shingleSize);
+            }
+        });
+
+        const passages = [];
+        let start = -1;
+        for (let i = 0; i <= shared.length; i++) {
+            if (i < shared.length && shared[i]) {
+                if (start === -1) start = i;
+            } else if (start !== -1) {
+                if (i - start >= minPassageWords) {
+                    passages.push({
+                        text: doc.text.substring(doc.words[start].start, doc.words[i - 1].end),
+                        words: i - start
+                    });
+                }
+                start = -1;
+            }
+        }
+
+        return passages.sort((a, b) => b.words - a.words).slice(0, maxPassages);
+    }
+
+    /**
+     * Near-duplicate report for an article: the most similar corpus articles
+     * with their similarity, containment and matching passages, whether any
+     * crosses the duplicate thresholds, and an originality score (0-100)
+     */
+    async check(article, { corpus = null } = {}) {
+        corpus = corpus || await this.loadCorpus();
+        const { duplicateSimilarity, duplicateContainment, reportSimilarity, maxMatches } = this.options;
+        const articleId = article.metadata?.id || article.id;
+        const doc = this.fingerprint(article);
+        const matches = [];
+
+        if (doc.set.size > 0) {
+            for (const other of corpus) {
+                if (other.id === articleId) continue;
+
+                let shared = 0;
+                for (const shingle of doc.set) {
+                    if (other.set.has(shingle)) shared++;
+                }
+
+                const similarity = shared / (doc.set.size + other.set.size - shared);
+                const containment = shared / doc.set.size;
+                if (similarity < reportSimilarity && containment < reportSimilarity) continue;
+
+                matches.push({
+                    id: other.id,
+                    title: other.title,
+                    folder: other.folder,
+                    similarity: Math.round(similarity * 1000) / 1000,
+                    containment: Math.round(containment * 1000) / 1000,
+                    isDuplicate: similarity >= duplicateSimilarity || containment >= duplicateContainment,
+                    passages: this.findPassages(doc, other)
+                });
+            }
+        }
+
+        matches.sort((a, b) => b.similarity - a.similarity || b.containment - a.containment);
+        const closest = matches.reduce((max, match) => Math.max(max, match.similarity, match.containment), 0);
+
+        return {
+            checkedAt: new Date().toISOString(),
+            isDuplicate: matches.some(match => match.isDuplicate),
+            originality: Math.round((1 - closest) * 100),
+            shingleSize: this.options.shingleSize,
+            comparedWith: corpus.length,
+            matches: matches.slice(0, maxMatches)
+        };
+    }
+}
+
+module.exports = NearDuplicateDetector;
+
+// CLI usage: node near-duplicate-detector.js <article.json>
+if (require.main === module) {
+    const filePath = process.argv[2];
+    if (!filePath) {
+        console.log('Usage: node near-duplicate-detector.js <article.json>');
+        process.exit(1);
+    }
+
+    const article = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+    new NearDuplicateDetector().check(article).then(result => {
+        console.log(`🧬 Originality: ${result.originality}% (compared with ${result.comparedWith} articles)`);
+        for (const match of result.matches) {
+            console.log(`${match.isDuplicate ? '⚠️ ' : '  '} ${Math.round(match.similarity * 100)}% similar, ` +
+                `${Math.round(match.containment * 100)}% contained: ${match.title} (${match.folder})`);
+            for (const passage of match.passages) {
+                console.log(`      "${passage.text.substring(0, 140)}${passage.text.length > 140 ? '…' : ''}" (${passage.words} words)`);
+            }
+        }
+        process.exit(result.isDuplicate ? 1 : 0);
+    }).catch(error => {
+        console.error('❌ Duplicate check failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Fixture Replay LLM Provider
+ * Deterministic, network-free provider for tests and CI. Responses are read
+ * from JSON fixture files and chosen by, in order:
+ *   1. exact prompt hash (`promptHash`, as written by recordFixture)
+ *   2. substring match on the prompt (`match.promptIncludes`)
+ *   3. a stable pick among the generic fixtures, keyed on the prompt hash
+ * In strict mode step 3 is skipped and an unmatched prompt is an error.
+ */
+class FixtureProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.fixturesDir = options.fixturesDir || path.join(__dirname, '../fixtures/llm');
+        this.strict = options.strict === true;
+        this.model = options.model || 'fixture-replay';
+        this.fixtures = null;
+    }
+
+    describe() {
+        return `fixture replay from ${this.fixturesDir}${this.strict ? ' (strict)' : ''}`;
+    }
+
+    static hashPrompt(system, prompt) {
+        return crypto.createHash('sha256').update(`${system}\n---\n${prompt}`).digest('hex');
+    }
+
+    /**
+     * Load and cache fixture files, sorted by filename for stable ordering
+     */
+    async loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+
+        let files;
+        try {
+            files = (await fs.readdir(this.fixturesDir)).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            throw new Error(`Fixture directory not readable: ${this.fixturesDir} (${error.message})`);
+        }
+
+        this.fixtures = [];
+        for (const file of files) {
+            const fixture = JSON.parse(await fs.readFile(path.join(this.fixturesDir, file), 'utf8'));
+            if (typeof fixture.response !== 'string') {
+                throw new Error(`Fixture ${file} is missing a "response" string`);
+            }
+            this.fixtures.push({ file, ...fixture });
+        }
+
+        if (this.fixtures.length === 0) {
+            throw new Error(`No fixtures found in ${this.fixturesDir}`);
+        }
+
+        return this.fixtures;
+    }
+
+    async complete({ system, prompt }) {
+        const fixtures = await this.loadFixtures();
+        const promptHash = FixtureProvider.hashPrompt(system, prompt);
+
+        const fixture = fixtures.find(f => f.promptHash === promptHash) ||
+            fixtures.find(f => f.match?.promptIncludes && [].concat(f.match.promptIncludes).every(text => prompt.includes(text))) ||
+            (!this.strict && this.pickGeneric(fixtures, promptHash));
+
+        if (!fixture) {
+            throw new Error(`No fixture matches prompt ${promptHash.substring(0, 12)} (strict mode)`);
+        }
+
+        console.log(`🎞️ Replaying fixture ${fixture.file} for prompt ${promptHash.substring(0, 12)}`);
+
+        return {
+            content: fixture.response,
+            model: fixture.model || this.model,
+            provider: this.name,
+            usage: null
+        };
+    }
+
+    pickGeneric(fixtures, promptHash) {
+        const generic = fixtures.filter(f => !f.promptHash && !f.match);
+        if (generic.length === 0) return null;
+        return generic[parseInt(promptHash.substring(0, 8), 16) % generic.length];
+    }
+
+    /**
+     * Save a live response as an exact-match fixture
+     */
+    async recordFixture({ system, prompt }, result) {
+        const promptHash = FixtureProvider.hashPrompt(system, prompt);
+        const fixture = {
+            promptHash,
+            recordedAt: new Date().toISOString(),
+            model: result.model,
+            sourceProvider: result.provider,
+            promptPreview: prompt.substring(0, 200),
+            response: result.content
+        };
+
+        await fs.mkdir(this.fixturesDir, { recursive: true });
+        const filePath = path.join(this.fixturesDir, `recorded-${promptHash.substring(0, 16)}.json`);
+        await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+        this.fixtures = null;
+
+        console.log(`📼 Recorded fixture ${path.basename(filePath)}`);
+        return filePath;
+    }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,84 @@
+const path = require('path');
+const OpenAIProvider = require('./openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const FixtureProvider = require('./fixture-provider');
+
+/**
+ * LLM Provider Registry
+ * Builds the provider selected by `automation.contentGeneration` in settings.json.
+ * LLM_PROVIDER and LLM_MODEL environment variables override the settings,
+ * e.g. `LLM_PROVIDER=fixture` for offline CI runs.
+ */
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    fixture: FixtureProvider
+};
+
+function createProvider(settings = {}) {
+    const generationSettings = settings.automation?.contentGeneration || {};
+    const providerName = process.env.LLM_PROVIDER || generationSettings.provider || 'openai';
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${providerName}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const providerSettings = generationSettings.providers?.[providerName] || {};
+    const options = {
+        model: generationSettings.aiModel,
+        fallbackModels: generationSettings.fallbackModels || [],
+        temperature: generationSettings.temperature,
+        maxTokens: generationSettings.maxTokens,
+        ...providerSettings
+    };
+
+    if (process.env.LLM_MODEL) {
+        options.model = process.env.LLM_MODEL;
+        options.fallbackModels = [];
+    }
+    if (process.env.LLM_BASE_URL) {
+        options.baseUrl = process.env.LLM_BASE_URL;
+    }
+    if (options.fixturesDir) {
+        options.fixturesDir = resolveRepoPath(options.fixturesDir);
+    }
+
+    const provider = new Provider(options);
+
+    // Optionally capture live responses so they can be replayed by the fixture provider
+    if (process.env.LLM_RECORD_FIXTURES === 'true' && providerName !== 'fixture') {
+        const fixtureSettings = generationSettings.providers?.fixture || {};
+        const recorder = new FixtureProvider({
+            ...fixtureSettings,
+            ...(fixtureSettings.fixturesDir && { fixturesDir: resolveRepoPath(fixtureSettings.fixturesDir) })
+        });
+        return withRecording(provider, recorder);
+    }
+
+    return provider;
+}
+
+function resolveRepoPath(target) {
+    return path.isAbsolute(target) ? target : path.join(__dirname, '../../..', target);
+}
+
+function withRecording(provider, recorder) {
+    return {
+        name: provider.name,
+        describe: () => `${provider.describe()} (recording fixtures)`,
+        async complete(request) {
+            const result = await provider.complete(request);
+            await recorder.recordFixture(request, result);
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    createProvider,
+    PROVIDERS,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    FixtureProvider
+};
@@ -0,0 +1,31 @@
+const OpenAIProvider = require('./openai-provider');
+
+/**
+ * OpenAI-Compatible LLM Provider
+ * Talks to any server exposing the /v1/chat/completions API, such as
+ * llama.cpp (`llama-server`) or Ollama (`http://localhost:11434/v1`).
+ * Local servers usually need no key and often lack JSON response mode.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        if (!options.baseUrl) {
+            throw new Error('openai-compatible provider requires a baseUrl (e.g. http://localhost:11434/v1)');
+        }
+
+        super({
+            name: 'openai-compatible',
+            requireApiKey: false,
+            jsonMode: false,
+            ...options,
+            apiKeyEnv: options.apiKeyEnv || 'LLM_API_KEY'
+        });
+
+        this.baseUrl = options.baseUrl;
+    }
+
+    describe() {
+        return `${super.describe()} at ${this.baseUrl}`;
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
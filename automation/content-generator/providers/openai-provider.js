@@ -0,0 +1,106 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI LLM Provider
+ * Chat-completions client that tries each configured model in turn,
+ * using JSON response mode first when enabled and plain text otherwise.
+ */
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.model = options.model || 'gpt-4';
+        this.fallbackModels = options.fallbackModels || [];
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens || 3000;
+        this.jsonMode = options.jsonMode !== false;
+        this.timeout = options.timeout || null;
+
+        const apiKey = options.apiKey || process.env[options.apiKeyEnv || 'OPENAI_API_KEY'];
+        if (!apiKey && options.requireApiKey !== false) {
+            throw new Error(`${this.name} provider requires an API key (set ${options.apiKeyEnv || 'OPENAI_API_KEY'})`);
+        }
+
+        this.client = new OpenAI({
+            apiKey: apiKey || 'not-needed',
+            ...(options.baseUrl && { baseURL: options.baseUrl }),
+            ...(options.timeout && { timeout: options.timeout })
+        });
+    }
+
+    describe() {
+        return `${this.name} (${[this.model, ...this.fallbackModels].join(' → ')})`;
+    }
+
+    /**
+     * Generate a completion for a system + user prompt
+     */
+    async complete({ system, prompt, temperature, maxTokens }) {
+        const models = [this.model, ...this.fallbackModels];
+        let lastError;
+
+        for (const model of models) {
+            console.log(`🤖 Trying model: ${model} via ${this.name}`);
+
+            try {
+                const response = await this.createCompletion(model, system, prompt, {
+                    temperature: temperature ?? this.temperature,
+                    maxTokens: maxTokens || this.maxTokens
+                });
+
+                return {
+                    content: response.choices[0].message.content,
+                    model,
+                    provider: this.name,
+                    usage: response.usage || null
+                };
+            } catch (error) {
+                lastError = error;
+                console.error(`❌ Error with model ${model}:`, error.message);
+                console.error('📋 Error details:', {
+                    status: error.status,
+                    type: error.type,
+                    code: error.code,
+                    model
+                });
+            }
+        }
+
+        throw new Error(`Failed to generate article content with all models. Last error: ${lastError.message}`);
+    }
+
+    async createCompletion(model, system, prompt, { temperature, maxTokens }) {
+        if (this.jsonMode) {
+            try {
+                console.log('📋 Attempting with JSON response format...');
+                const response = await this.client.chat.completions.create({
+                    model,
+                    messages: [
+                        { role: 'system', content: system + '\n\nIMPORTANT: Respond with valid JSON in the exact format specified.' },
+                        { role: 'user', content: prompt }
+                    ],
+                    max_tokens: maxTokens,
+                    temperature,
+                    response_format: { type: 'json_object' }
+                });
+                console.log('✅ JSON mode successful');
+                return response;
+            } catch (jsonError) {
+                console.log('⚠️ JSON mode failed, trying regular text mode...');
+            }
+        }
+
+        const response = await this.client.chat.completions.create({
+            model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        });
+        console.log('✅ Regular text mode successful');
+        return response;
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,396 @@
+/**
+ * Quality Scorer
+ * The one article quality score, shared by the generator, the review console
+ * API and the browser editor (served as /js/quality-scorer.js). Each criterion
+ * scores 0-100 and the overall score is their weighted average. Thresholds come
+ * from `seoRequirements`, `qualityMetrics` and the word count limits in
+ * settings.json, weights from `qualityMetrics.scoring.weights`. More criteria can
+ * be added with addCriterion().
+ *
+ * No Node or DOM APIs are used, so the same file runs on both sides; the
+ * wrapper keeps its helpers out of the page's globals.
+ */
+(function () {
+
+const DEFAULT_WEIGHTS = {
+    readability: 0.20,
+    seo: 0.25,
+    keywordDensity: 0.20,
+    structure: 0.15,
+    length: 0.10,
+    originality: 0.10
+};
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function getWords(text) {
+    return text.split(/\s+/).filter(word => /[a-z0-9]/i.test(word));
+}
+
+function countSyllables(word) {
+    word = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (word.length <= 3) return 1;
+    word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
+    word = word.replace(/^y/, '');
+    const matches = word.match(/[aeiouy]{1,2}/g);
+    return matches ? matches.length : 1;
+}
+
+function countMatches(content, pattern) {
+    return (content.match(pattern) || []).length;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Built-in criteria. Each returns { score, details[], metrics } and adds its
+ * recommendation for scores under `recommendBelow`.
+ */
+const CRITERIA = {
+    readability: {
+        recommendBelow: 70,
+        recommendation: 'Improve readability by using shorter sentences and simpler words',
+        score(article, context) {
+            const { minFleschKincaid = 60, maxSentenceLength = 25 } = context.settings.seoRequirements.readabilityScore || {};
+            const sentences = context.text.split(/[.!?]+/).filter(sentence => getWords(sentence).length > 0);
+            if (sentences.length === 0 || context.words.length === 0) {
+                return { score: 0, details: ['No sentences found'] };
+            }
+
+            const wordsPerSentence = context.words.length / sentences.length;
+            const syllablesPerWord = context.words.reduce((total, word) => total + countSyllables(word), 0) / context.words.length;
+            const flesch = 206.835 - (1.015 * wordsPerSentence) - (84.6 * syllablesPerWord);
+
+            let score;
+            if (flesch >= minFleschKincaid + 10) score = 100;
+            else if (flesch >= minFleschKincaid) score = 85;
+            else if (flesch >= minFleschKincaid - 10) score = 70;
+            else if (flesch >= minFleschKincaid - 30) score = 55;
+            else score = 30;
+
+            const details = [`Flesch reading ease ${flesch.toFixed(1)} (target ${minFleschKincaid}+)`,
+                `${wordsPerSentence.toFixed(1)} words per sentence`];
+            if (wordsPerSentence > maxSentenceLength) {
+                score -= 10;
+                details.push(`Sentences average over ${maxSentenceLength} words (-10)`);
+            }
+
+            return { score, details, metrics: { flesch: Math.round(flesch * 10) / 10, wordsPerSentence: Math.round(wordsPerSentence * 10) / 10 } };
+        }
+    },
+
+    seo: {
+        recommendBelow: 80,
+        recommendation: 'Optimize SEO by improving title length, meta description, heading structure and links',
+        score(article, context) {
+            const requirements = context.settings.seoRequirements;
+            const titleRange = requirements.titleLength || { min: 40, max: 60 };
+            const metaRange = requirements.metaDescription || { min: 140, max: 160 };
+            const headings = requirements.headingStructure || { h1Count: 1, h2MinCount: 3, h2MaxCount: 8 };
+            const details = [];
+            let score = 0;
+
+            const titleLength = (article.title || '').length;
+            if (titleLength >= titleRange.min && titleLength <= titleRange.max) {
+                score += 20;
+                details.push(`Title ${titleLength} chars, within ${titleRange.min}-${titleRange.max} (+20)`);
+            } else if (titleLength > 0 && titleLength <= titleRange.max + 10) {
+                score += 15;
+                details.push(`Title ${titleLength} chars, target ${titleRange.min}-${titleRange.max} (+15)`);
+            } else {
+                score += 5;
+                details.push(`Title ${titleLength} chars, target ${titleRange.min}-${titleRange.max} (+5)`);
+            }
+
+            const metaLength = (article.metaDescription || '').length;
+            if (metaLength >= metaRange.min && metaLength <= metaRange.max) {
+                score += 20;
+                details.push(`Meta description ${metaLength} chars, within ${metaRange.min}-${metaRange.max} (+20)`);
+            } else if (metaLength > 0 && metaLength <= metaRange.max + 10) {
+                score += 15;
+                details.push(`Meta description ${metaLength} chars, target ${metaRange.min}-${metaRange.max} (+15)`);
+            } else {
+                score += 5;
+                details.push(`Meta description ${metaLength} chars, target ${metaRange.min}-${metaRange.max} (+5)`);
+            }
+
+            const content = article.content || '';
+            const h1Count = countMatches(content, /<h1[\s>]/gi);
+            const h2Count = countMatches(content, /<h2[\s>]/gi);
+            if (h1Count === headings.h1Count && h2Count >= headings.h2MinCount && h2Count <= headings.h2MaxCount) {
+                score += 30;
+                details.push(`${h1Count} H1, ${h2Count} H2s (+30)`);
+            } else if (h1Count <= headings.h1Count && h2Count >= 2) {
+                score += 20;
+                details.push(`${h1Count} H1, ${h2Count} H2s; target ${headings.h1Count} H1 and ${headings.h2MinCount}-${headings.h2MaxCount} H2s (+20)`);
+            } else {
+                score += 10;
+                details.push(`${h1Count} H1, ${h2Count} H2s; target ${headings.h1Count} H1 and ${headings.h2MinCount}-${headings.h2MaxCount} H2s (+10)`);
+            }
+
+            const { internal, external } = context.links;
+            const minInternal = requirements.internalLinks?.minCount ?? 3;
+            const minExternal = requirements.externalLinks?.minCount ?? 2;
+            if (internal >= minInternal && external >= minExternal) {
+                score += 30;
+                details.push(`${internal} internal, ${external} external links (+30)`);
+            } else if (internal >= Math.ceil(minInternal / 2) || external >= 1) {
+                score += 20;
+                details.push(`${internal} internal, ${external} external links; target ${minInternal}+ and ${minExternal}+ (+20)`);
+            } else {
+                score += 10;
+                details.push(`${internal} internal, ${external} external links; target ${minInternal}+ and ${minExternal}+ (+10)`);
+            }
+
+            return { score, details, metrics: { titleLength, metaLength, h1Count, h2Count, internalLinks: internal, externalLinks: external } };
+        }
+    },
+
+    keywordDensity: {
+        recommendBelow: 70,
+        recommendation: 'Better integrate target keywords naturally throughout the content',
+        score(article, context) {
+            const range = context.settings.seoRequirements.keywordDensity || { min: 1, max: 2 };
+            const keywords = context.targetKeywords;
+            const text = context.text.toLowerCase();
+
+            if (keywords.length === 0) {
+                return { score: 70, details: ['No target keywords to check'], metrics: { density: 0, densities: {} } };
+            }
+            if (context.words.length === 0) {
+                return { score: 0, details: ['No content'], metrics: { density: 0, densities: {} } };
+            }
+
+            const densities = {};
+            for (const keyword of keywords) {
+                const pattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`, 'g');
+                densities[keyword] = Math.round(countMatches(text, pattern) / context.words.length * 10000) / 100;
+            }
+
+            const found = Object.values(densities).filter(density => density > 0);
+            if (found.length === 0) {
+                return { score: 20, details: ['None of the target keywords appear in the content'], metrics: { density: 0, densities } };
+            }
+
+            const average = found.reduce((sum, density) => sum + density, 0) / found.length;
+            let score;
+            if (average >= range.min && average <= range.max) score = 100;
+            else if (average >= range.min / 2 && average <= range.max * 1.5) score = 80;
+            else if (average <= range.max * 2.5) score = 60;
+            else score = 30;
+
+            // Keywords that never appear cost up to a fifth of the score
+            const coverage = found.length / keywords.length;
+            score = score * (0.8 + 0.2 * coverage);
+
+            return {
+                score,
+                details: [`Average density ${average.toFixed(2)}% (target ${range.min}-${range.max}%)`,
+                    `${found.length} of ${keywords.length} target keywords used`],
+                metrics: { density: Math.round(average * 100) / 100, densities }
+            };
+        }
+    },
+
+    structure: {
+        recommendBelow: 80,
+        recommendation: 'Improve content structure with clear introduction, sections, and conclusion',
+        score(article, context) {
+            const headings = context.settings.seoRequirements.headingStructure || {};
+            const content = (article.content || '').toLowerCase();
+            const details = [];
+            let score = 0;
+
+            if (countMatches(content.split(/<h2[\s>]/)[0], /<p[\s>]/g) > 0) {
+                score += 25;
+                details.push('Introduction before the first section (+25)');
+            }
+            if (/conclusion|takeaway|summary|final thoughts/.test(context.text.toLowerCase())) {
+                score += 25;
+                details.push('Conclusion or key takeaways (+25)');
+            }
+
+            const sections = countMatches(content, /<h[23][\s>]/g);
+            const maxSections = (headings.h2MaxCount || 8) + (headings.h3MaxCount || 15);
+            if (sections >= (headings.h2MinCount || 3) + 2 && sections <= maxSections) {
+                score += 25;
+                details.push(`${sections} H2/H3 sections (+25)`);
+            } else if (sections >= (headings.h2MinCount || 3)) {
+                score += 15;
+                details.push(`${sections} H2/H3 sections (+15)`);
+            }
+
+            if ((article.cta || '').length > 50) {
+                score += 25;
+                details.push('Call to action (+25)');
+            }
+
+            return { score, details };
+        }
+    },
+
+    length: {
+        recommendBelow: 90,
+        recommendation: 'Bring the content length within the word count target',
+        score(article, context) {
+            const { minWordCount = 2000, maxWordCount = 4500 } = context.settings.contentGeneration;
+            const wordCount = context.words.length;
+
+            let score;
+            if (wordCount >= minWordCount && wordCount <= maxWordCount) score = 100;
+            else if (wordCount > maxWordCount || wordCount >= minWordCount * 0.8) score = 75;
+            else if (wordCount >= minWordCount * 0.6) score = 50;
+            else score = 25;
+
+            return { score, details: [`${wordCount} words (target ${minWordCount}-${maxWordCount})`], metrics: { wordCount } };
+        }
+    },
+
+    originality: {
+        recommendBelow: 70,
+        recommendation: 'Rewrite passages that closely match other articles',
+        // Needs the whole article corpus, so the caller supplies it; without it the criterion is skipped
+        score(article, context) {
+            const originality = context.originality ?? article.metadata?.originality?.originality;
+            if (typeof originality !== 'number') return null;
+            return { score: originality, details: [`${originality}% original`] };
+        }
+    }
+};
+
+class QualityScorer {
+    /**
+     * @param {object} settings - settings.json, or the subset from QualityScorer.pickSettings()
+     */
+    constructor(settings = {}) {
+        const scoring = settings.qualityMetrics?.scoring || {};
+
+        this.settings = {
+            seoRequirements: settings.seoRequirements || {},
+            qualityMetrics: settings.qualityMetrics || {},
+            contentGeneration: settings.contentGeneration || {}
+        };
+        // Absolute links to the site itself count as internal
+        this.siteHost = (scoring.siteUrl || 'https://smartfinancehub.vip').replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+        this.weights = { ...DEFAULT_WEIGHTS, ...(scoring.weights || {}) };
+        this.criteria = { ...CRITERIA };
+    }
+
+    /**
+     * The parts of settings.json the scorer reads, e.g. for sending to the browser
+     */
+    static pickSettings(settings = {}) {
+        return {
+            seoRequirements: settings.seoRequirements || {},
+            qualityMetrics: { scoring: settings.qualityMetrics?.scoring || {} },
+            contentGeneration: {
+                minWordCount: settings.contentGeneration?.minWordCount,
+                maxWordCount: settings.contentGeneration?.maxWordCount
+            }
+        };
+    }
+
+    /**
+     * Add or replace a criterion: `score(article, context)` returns
+     * { score: 0-100, details: [], metrics: {} } or null to skip the article
+     */
+    addCriterion(name, { weight, score, recommendBelow = 0, recommendation = '' }) {
+        this.criteria[name] = { score, recommendBelow, recommendation };
+        if (weight !== undefined) {
+            this.weights[name] = weight;
+        }
+        return this;
+    }
+
+    targetKeywords(article, override) {
+        const keywords = override || article.metadata?.targetKeywords || article.targetKeywords || {};
+        if (Array.isArray(keywords)) return keywords.filter(Boolean);
+        return [...(keywords.primary || []), ...(keywords.longTail || [])].filter(Boolean);
+    }
+
+    countLinks(content) {
+        const hrefs = (content.match(/href=["'][^"']*["']/gi) || []).map(href => href.slice(6, -1));
+        const external = hrefs.filter(href => /^https?:\/\//i.test(href) && !href.includes(this.siteHost)).length;
+        const internal = hrefs.filter(href => !/^(?:mailto:|tel:|javascript:)/i.test(href)).length - external;
+
+        return { internal, external };
+    }
+
+    /**
+     * Score an article. `options.originality` (0-100) comes from the
+     * near-duplicate detector; `options.targetKeywords` overrides the
+     * article's metadata.targetKeywords.
+     */
+    score(article, options = {}) {
+        const text = stripHtml(article.content);
+        const context = {
+            settings: this.settings,
+            text,
+            words: getWords(text),
+            links: this.countLinks(article.content || ''),
+            targetKeywords: this.targetKeywords(article, options.targetKeywords),
+            originality: options.originality
+        };
+
+        const breakdown = {};
+        const details = {};
+        const metrics = {};
+        const weights = {};
+        const recommendations = [];
+
+        for (const [name, criterion] of Object.entries(this.criteria)) {
+            const weight = this.weights[name] || 0;
+            if (weight <= 0) continue;
+
+            const result = criterion.score(article, context);
+            if (!result) continue;
+
+            const score = Math.max(0, Math.min(100, Math.round(Number(result.score) || 0)));
+            breakdown[name] = score;
+            details[name] = result.details || [];
+            metrics[name] = result.metrics || {};
+            weights[name] = weight;
+
+            if (score < criterion.recommendBelow && criterion.recommendation) {
+                recommendations.push(criterion.recommendation);
+            }
+        }
+
+        // Weights of skipped criteria are spread over the rest
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const overall = totalWeight > 0
+            ? Math.round(Object.entries(breakdown).reduce((sum, [name, score]) => sum + score * weights[name], 0) / totalWeight)
+            : 0;
+
+        return {
+            overall,
+            breakdown,
+            weights,
+            details,
+            metrics,
+            recommendations,
+            wordCount: context.words.length
+        };
+    }
+}
+
+QualityScorer.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+QualityScorer.stripHtml = stripHtml;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityScorer;
+} else {
+    window.QualityScorer = QualityScorer;
+}
+
+})();
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reference Fact Store
+ * Versioned dataset of canonical financial figures (automation/config/reference-facts.json)
+ * that FactChecker verifies article claims against. Each fact carries keyword matchers and
+ * values keyed either by tax year (`period: "year"`) or by effective date (`period: "date"`).
+ */
+class ReferenceFactStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../config/reference-facts.json');
+
+        const dataset = options.dataset || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.version = dataset.version;
+        this.updatedAt = dataset.updatedAt;
+        this.facts = dataset.facts.map(fact => this.compileFact(fact));
+        this.factsById = new Map(this.facts.map(fact => [fact.id, fact]));
+    }
+
+    compileFact(fact) {
+        const compile = (patterns = []) => patterns.map(pattern => new RegExp(pattern, 'i'));
+        const values = [...fact.values].sort((a, b) =>
+            fact.period === 'year' ? a.year - b.year : new Date(a.effective) - new Date(b.effective)
+        );
+
+        return {
+            ...fact,
+            values,
+            matchers: {
+                topic: compile(fact.match.topic),
+                sentence: compile(fact.match.sentence),
+                sentenceExcludes: compile(fact.match.sentenceExcludes),
+                clauseRequires: compile(fact.match.clauseRequires),
+                clauseExcludes: compile(fact.match.clauseExcludes)
+            }
+        };
+    }
+
+    /**
+     * Facts whose topic and sentence-level keywords appear in the sentence
+     */
+    factsForSentence(sentence) {
+        return this.facts.filter(({ matchers }) =>
+            matchers.topic.some(regex => regex.test(sentence)) &&
+            (matchers.sentence.length === 0 || matchers.sentence.some(regex => regex.test(sentence))) &&
+            !matchers.sentenceExcludes.some(regex => regex.test(sentence))
+        );
+    }
+
+    /**
+     * Most specific candidate fact for a quantity in the given clause.
+     * Facts that require a clause keyword win over general ones.
+     */
+    matchClause(candidates, clauseText, unit) {
+        const matching = candidates.filter(({ unit: factUnit, matchers }) =>
+            factUnit === unit &&
+            (matchers.clauseRequires.length === 0 || matchers.clauseRequires.some(regex => regex.test(clauseText))) &&
+            !matchers.clauseExcludes.some(regex => regex.test(clauseText))
+        );
+
+        return matching.sort((a, b) => b.matchers.clauseRequires.length - a.matchers.clauseRequires.length)[0] || null;
+    }
+
+    getFact(id) {
+        return this.factsById.get(id) || null;
+    }
+
+    /**
+     * Reference values applicable to a claim.
+     * With an explicit year, every value in force during that year applies;
+     * otherwise the value in force on the reference date.
+     * Returns { entries } or { entries: [], reason, lastKnown } when the dataset can't answer.
+     */
+    lookup(fact, { year = null, date = new Date() } = {}) {
+        const lastKnown = fact.values[fact.values.length - 1];
+
+        if (fact.period === 'year') {
+            const targetYear = year || date.getFullYear();
+            const entry = fact.values.find(value => value.year === targetYear);
+            return entry
+                ? { entries: [entry] }
+                : { entries: [], reason: `No reference value for ${targetYear}`, lastKnown };
+        }
+
+        const coveredThrough = fact.coveredThrough ? new Date(fact.coveredThrough) : null;
+        const rangeStart = year ? new Date(`${year}-01-01T00:00:00Z`) : date;
+        const rangeEnd = year ? new Date(`${year}-12-31T23:59:59Z`) : date;
+
+        if (coveredThrough && rangeEnd > coveredThrough && !(year && rangeStart <= coveredThrough)) {
+            return {
+                entries: [],
+                reason: `Reference data only covers through ${fact.coveredThrough}`,
+                lastKnown
+            };
+        }
+
+        const entries = fact.values.filter((value, index) => {
+            const start = new Date(value.effective);
+            const next = fact.values[index + 1];
+            const end = next ? new Date(next.effective) : null;
+            return start <= rangeEnd && (!end || end > rangeStart);
+        });
+
+        return entries.length > 0
+            ? { entries }
+            : { entries: [], reason: `No reference value in force for ${year || date.toISOString().split('T')[0]}`, lastKnown };
+    }
+}
+
+module.exports = ReferenceFactStore;
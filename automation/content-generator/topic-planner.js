@@ -0,0 +1,588 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const TopicDiversityChecker = require('../topic-diversity-checker');
+const PublishingCalendar = require('../publisher/publishing-calendar');
+
+/**
+ * Topic Planner
+ * Builds each day's generation plan (content/plans/<date>.json): one slot
+ * per article in `articlesPerDay`, each with a content type from the
+ * settings `contentTypes` mix and the best-scoring topic for it. Topics are
+ * scored on category coverage, keyword volume, difficulty and CPC from
+ * keywords.json, priority and fit with the content type; topics in recently
+ * saturated categories or covered within the cooldown are left out. Editors
+ * can replace slots before generation runs; generated slots are kept.
+ */
+
+const DEFAULT_PLANNER = {
+    dir: 'content/plans',
+    weights: {
+        coverage: 0.3,
+        volume: 0.2,
+        difficulty: 0.15,
+        cpc: 0.15,
+        priority: 0.1,
+        contentTypeFit: 0.1
+    },
+    topicCooldownDays: 14,
+    maxPerCategory: 2,
+    historyDays: 28,
+    coverageRefreshMs: 2000,
+    contentTypeAngles: {
+        howToGuides: 'practical_tips',
+        comparisons: 'product_review',
+        reviews: 'product_review',
+        newsAnalysis: 'timely_analysis',
+        evergreen: 'case_study'
+    }
+};
+
+const PRIORITY_SCORES = { high: 1, medium: 0.6, low: 0.3 };
+
+// Topics whose title and keywords match no diversity category count as general personal finance
+const FALLBACK_CATEGORY = 'Personal Finance';
+
+// Folders whose articles count towards coverage
+const COVERAGE_FOLDERS = ['drafts', 'approved', 'published'];
+
+class TopicPlanner {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const generation = settings.contentGeneration || {};
+        const planner = generation.planner || {};
+
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.plansDir = options.plansDir || path.join(__dirname, '../..', planner.dir || DEFAULT_PLANNER.dir);
+        this.articlesPerDay = generation.articlesPerDay || 1;
+        this.contentTypeMix = generation.contentTypes || { howToGuides: 100 };
+        this.weights = { ...DEFAULT_PLANNER.weights, ...planner.weights };
+        this.contentTypeAngles = { ...DEFAULT_PLANNER.contentTypeAngles, ...planner.contentTypeAngles };
+        this.topicCooldownDays = planner.topicCooldownDays ?? DEFAULT_PLANNER.topicCooldownDays;
+        this.maxPerCategory = planner.maxPerCategory ?? DEFAULT_PLANNER.maxPerCategory;
+        this.historyDays = planner.historyDays ?? DEFAULT_PLANNER.historyDays;
+        this.coverageRefreshMs = planner.coverageRefreshMs ?? DEFAULT_PLANNER.coverageRefreshMs;
+
+        // Per-file article summaries for coverage, refreshed by stat
+        this.checker = new TopicDiversityChecker({ contentDir: this.contentDir });
+        this.summaries = new Map();
+        this.lastRefresh = 0;
+        this.refreshing = null;
+
+        this.topics = options.topics || this.loadConfig('topics.json').topics || [];
+        this.keywords = options.keywords || this.loadConfig('keywords.json');
+        this.contentTypes = options.contentTypes || [];
+        this.calendar = options.calendar || new PublishingCalendar({ settings, contentDir: this.contentDir });
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    loadConfig(file) {
+        try {
+            return JSON.parse(fsSync.readFileSync(path.join(__dirname, '../config', file), 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Could not load ${file} for topic planning: ${error.message}`);
+            return {};
+        }
+    }
+
+    planPath(dateKey) {
+        return path.join(this.plansDir, `${dateKey}.json`);
+    }
+
+    /**
+     * YYYY-MM-DD in the publishing timezone; plain date keys pass through
+     */
+    toDateKey(date = new Date()) {
+        if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return date;
+        }
+
+        const parsed = new Date(date);
+        if (isNaN(parsed)) {
+            const error = new Error(`Invalid plan date: ${date}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return this.calendar.toDateKey(parsed);
+    }
+
+    async readPlan(dateKey) {
+        try {
+            return JSON.parse(await fs.readFile(this.planPath(dateKey), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async savePlan(plan) {
+        await fs.mkdir(this.plansDir, { recursive: true });
+        await fs.writeFile(this.planPath(plan.date), JSON.stringify(plan, null, 2));
+        return plan;
+    }
+
+    /**
+     * Content types of the plans before `dateKey`, for balancing the mix across days
+     */
+    async loadHistory(dateKey) {
+        const counts = {};
+        let files;
+        try {
+            files = await fs.readdir(this.plansDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return counts;
+            throw error;
+        }
+
+        const earliest = this.calendar.addDays(dateKey, -this.historyDays);
+        const previous = files
+            .map(file => file.replace(/\.json$/, ''))
+            .filter(key => /^\d{4}-\d{2}-\d{2}$/.test(key) && key >= earliest && key < dateKey);
+
+        for (const key of previous) {
+            const plan = await this.readPlan(key);
+            for (const slot of plan?.slots || []) {
+                counts[slot.contentType] = (counts[slot.contentType] || 0) + 1;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Content type for each slot: every slot goes to the type furthest below
+     * its share of the mix, counting earlier plans, so small daily batches
+     * still reach the configured percentages over time
+     */
+    allocateContentTypes(count, history = {}) {
+        const mix = Object.entries(this.contentTypeMix).filter(([, share]) => share > 0);
+        const totalShare = mix.reduce((sum, [, share]) => sum + share, 0);
+        const counts = Object.fromEntries(mix.map(([type]) => [type, history[type] || 0]));
+        let total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+        const types = [];
+
+        for (let i = 0; i < count; i++) {
+            total++;
+            const [type] = mix.reduce((best, entry) => {
+                const deficit = (entry[1] / totalShare) * total - counts[entry[0]];
+                const bestDeficit = (best[1] / totalShare) * total - counts[best[0]];
+                return deficit > bestDeficit ? entry : best;
+            });
+            counts[type]++;
+            types.push(type);
+        }
+
+        return types;
+    }
+
+    /**
+     * Search data for a topic from every keyword group: terms that contain one
+     * of the topic's keywords or are contained in one
+     */
+    getKeywordMetrics(topic) {
+        const topicKeywords = (topic.keywords || []).map(keyword => keyword.toLowerCase());
+        const matches = new Map();
+
+        for (const group of Object.values(this.keywords.keywordGroups || {})) {
+            for (const entry of group.keywords || []) {
+                const term = entry.term.toLowerCase();
+                if (topicKeywords.some(keyword => term.includes(keyword) || keyword.includes(term))) {
+                    matches.set(term, entry);
+                }
+            }
+        }
+
+        if (matches.size === 0) return null;
+
+        const entries = [...matches.values()];
+        return {
+            terms: entries.map(entry => entry.term),
+            volume: Math.max(...entries.map(entry => entry.volume || 0)),
+            difficulty: Math.round(entries.reduce((sum, entry) => sum + (entry.difficulty || 0), 0) / entries.length),
+            cpc: Math.max(...entries.map(entry => entry.cpc || 0))
+        };
+    }
+
+    /**
+     * Summaries of the articles that count towards coverage. Files are read
+     * again only when their mtime or size changed, at most once per
+     * `coverageRefreshMs`; concurrent callers share one refresh.
+     */
+    async loadSummaries({ force = false } = {}) {
+        if (!this.refreshing && (force || Date.now() - this.lastRefresh >= this.coverageRefreshMs)) {
+            this.refreshing = this.refreshSummaries().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        if (this.refreshing) await this.refreshing;
+        return [...this.summaries.values()];
+    }
+
+    async refreshSummaries() {
+        const seen = new Set();
+
+        for (const folder of COVERAGE_FOLDERS) {
+            let files;
+            try {
+                files = (await fs.readdir(path.join(this.contentDir, folder))).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (const file of files) {
+                const key = `${folder}/${file}`;
+                const filePath = path.join(this.contentDir, key);
+                try {
+                    const stat = await fs.stat(filePath);
+                    seen.add(key);
+
+                    const known = this.summaries.get(key);
+                    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+
+                    const article = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                    this.summaries.set(key, {
+                        ...this.checker.summarizeArticle(article),
+                        topicId: article.metadata?.topic?.id || null,
+                        mtimeMs: stat.mtimeMs,
+                        size: stat.size
+                    });
+                } catch (error) {
+                    // Moved while scanning, or unreadable: the diversity checker skips those too
+                    this.summaries.delete(key);
+                }
+            }
+        }
+
+        for (const key of this.summaries.keys()) {
+            if (!seen.has(key)) this.summaries.delete(key);
+        }
+        this.lastRefresh = Date.now();
+    }
+
+    /**
+     * Category distribution, recent saturation and topics covered within the cooldown
+     */
+    async analyzeCoverage(now = new Date()) {
+        const summaries = await this.loadSummaries();
+        const checker = this.checker;
+        const diversityScore = checker.analyzeSummaries(summaries);
+        const saturation = checker.checkRecentTopicSaturation();
+        const cooldownStart = new Date(now.getTime() - this.topicCooldownDays * 24 * 60 * 60 * 1000);
+        const recentTopicIds = new Set(summaries
+            .filter(summary => summary.topicId && new Date(summary.createdAt) >= cooldownStart)
+            .map(summary => summary.topicId));
+
+        return {
+            checker,
+            diversityScore: Math.round(diversityScore * 10) / 10,
+            distribution: { ...checker.categoryDistribution },
+            underrepresented: checker.getUnderrepresentedCategories(),
+            saturated: saturation.categories,
+            recentTopicIds
+        };
+    }
+
+    /**
+     * Every topic scored for a content type, best first. Excluded topics
+     * (saturated category, recently covered) stay in the list with a reason
+     * so editors can still pick them.
+     */
+    rankTopics(contentType, coverage) {
+        const angle = this.contentTypeAngles[contentType];
+        const preferred = this.contentTypes.find(type => type.angle === angle)?.preferredCategories || [];
+        const counts = Object.values(coverage.distribution);
+        const maxCount = Math.max(0, ...counts);
+        const metrics = this.topics.map(topic => this.getKeywordMetrics(topic));
+        const maxVolume = Math.max(1, ...metrics.map(metric => metric?.volume || 0));
+        const maxCpc = Math.max(0.01, ...metrics.map(metric => metric?.cpc || 0));
+
+        return this.topics.map((topic, index) => {
+            const keywordMetrics = metrics[index];
+            const category = coverage.checker.categorizeArticle({
+                title: topic.title,
+                content: (topic.keywords || []).join(' ')
+            }) || FALLBACK_CATEGORY;
+
+            // Topics without keyword data get neutral search factors
+            const factors = {
+                coverage: maxCount > 0 ? 1 - (coverage.distribution[category] || 0) / maxCount : 1,
+                volume: keywordMetrics ? Math.log10(1 + keywordMetrics.volume) / Math.log10(1 + maxVolume) : 0.5,
+                difficulty: keywordMetrics ? 1 - keywordMetrics.difficulty / 100 : 0.5,
+                cpc: keywordMetrics ? keywordMetrics.cpc / maxCpc : 0.5,
+                priority: PRIORITY_SCORES[topic.priority] ?? PRIORITY_SCORES.low,
+                contentTypeFit: preferred.includes(topic.category) ? 1 : 0
+            };
+
+            const score = Object.entries(this.weights)
+                .reduce((sum, [factor, weight]) => sum + (factors[factor] || 0) * weight, 0);
+
+            const reasons = [];
+            if (coverage.underrepresented.includes(category)) reasons.push(`${category} is underrepresented`);
+            if (factors.contentTypeFit) reasons.push(`fits ${contentType}`);
+            if (keywordMetrics) reasons.push(`${keywordMetrics.volume.toLocaleString('en-US')} searches/mo, difficulty ${keywordMetrics.difficulty}`);
+
+            let excluded = null;
+            if (coverage.saturated.includes(category)) {
+                excluded = `${category} is saturated in recent content`;
+            } else if (coverage.recentTopicIds.has(topic.id)) {
+                excluded = `covered in the last ${this.topicCooldownDays} days`;
+            }
+
+            return {
+                topicId: topic.id,
+                title: topic.title,
+                category: topic.category,
+                diversityCategory: category,
+                score: Math.round(score * 1000) / 10,
+                factors: Object.fromEntries(Object.entries(factors).map(([key, value]) => [key, Math.round(value * 100) / 100])),
+                keywords: keywordMetrics,
+                reasons,
+                excluded
+            };
+        }).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Best topic for a slot, skipping excluded topics, topics already in the
+     * plan and categories that have reached `maxPerCategory`
+     */
+    pickTopic(ranked, slots) {
+        const used = new Set(slots.map(slot => slot.topicId));
+        const perCategory = {};
+        for (const slot of slots) {
+            perCategory[slot.diversityCategory] = (perCategory[slot.diversityCategory] || 0) + 1;
+        }
+
+        const available = ranked.filter(candidate => !used.has(candidate.topicId));
+        return available.find(candidate => !candidate.excluded && (perCategory[candidate.diversityCategory] || 0) < this.maxPerCategory) ||
+            available.find(candidate => !candidate.excluded) ||
+            available[0] ||
+            null;
+    }
+
+    createSlot(contentType, candidate) {
+        return {
+            contentType,
+            angle: this.contentTypeAngles[contentType] || null,
+            topicId: candidate.topicId,
+            title: candidate.title,
+            category: candidate.category,
+            diversityCategory: candidate.diversityCategory,
+            score: candidate.score,
+            factors: candidate.factors,
+            reasons: candidate.reasons,
+            edited: false,
+            status: 'planned',
+            articleId: null
+        };
+    }
+
+    summarizeCoverage(coverage) {
+        const { diversityScore, distribution, underrepresented, saturated } = coverage;
+        return { diversityScore, distribution, underrepresented, saturated };
+    }
+
+    /**
+     * A fresh plan for the day. Slots in `keep` (edited or already generated)
+     * stay as they are and count towards the mix and category limits.
+     */
+    async buildPlan(date = new Date(), { keep = [], updatedBy = 'planner' } = {}) {
+        const dateKey = this.toDateKey(date);
+        const coverage = await this.analyzeCoverage();
+        const history = await this.loadHistory(dateKey);
+
+        for (const slot of keep) {
+            history[slot.contentType] = (history[slot.contentType] || 0) + 1;
+        }
+
+        const slots = [...keep];
+        const rankings = {};
+        for (const contentType of this.allocateContentTypes(Math.max(0, this.articlesPerDay - keep.length), history)) {
+            rankings[contentType] = rankings[contentType] || this.rankTopics(contentType, coverage);
+            const candidate = this.pickTopic(rankings[contentType], slots);
+            if (candidate) {
+                slots.push(this.createSlot(contentType, candidate));
+            }
+        }
+
+        const now = new Date().toISOString();
+        return {
+            date: dateKey,
+            createdAt: now,
+            updatedAt: now,
+            updatedBy,
+            coverage: this.summarizeCoverage(coverage),
+            slots: slots.map((slot, index) => ({ ...slot, slot: index + 1 }))
+        };
+    }
+
+    /**
+     * The day's plan, built and saved on first use by generation or an edit
+     */
+    async getPlan(date = new Date()) {
+        const dateKey = this.toDateKey(date);
+        const existing = await this.readPlan(dateKey);
+        if (existing) return existing;
+
+        const plan = await this.buildPlan(dateKey);
+        console.log(`🗓️ Built generation plan for ${dateKey}: ${plan.slots.map(slot => slot.title).join(', ')}`);
+        return this.savePlan(plan);
+    }
+
+    /**
+     * The day's saved plan, or else an unsaved preview of the plan generation
+     * would build (`saved: false`). Nothing is written.
+     */
+    async previewPlan(date = new Date()) {
+        const dateKey = this.toDateKey(date);
+        const existing = await this.readPlan(dateKey);
+        if (existing) return { ...existing, saved: true };
+        return { ...(await this.buildPlan(dateKey)), saved: false };
+    }
+
+    /**
+     * Re-plan the day, keeping edited and generated slots
+     */
+    async rebuildPlan(date = new Date(), { updatedBy = 'planner' } = {}) {
+        const dateKey = this.toDateKey(date);
+        const existing = await this.readPlan(dateKey);
+        const keep = (existing?.slots || []).filter(slot => slot.edited || slot.status === 'generated');
+
+        const plan = await this.buildPlan(dateKey, { keep, updatedBy });
+        if (existing) plan.createdAt = existing.createdAt;
+        return this.savePlan(plan);
+    }
+
+    /**
+     * Replace the day's slots with `changes` ([{ topicId, contentType }]).
+     * Generated slots can't be changed or dropped; changed slots are marked
+     * as edited so rebuilding keeps them.
+     */
+    async updatePlan(date, changes, { updatedBy = 'planner' } = {}) {
+        if (!Array.isArray(changes)) {
+            const error = new Error('slots must be an array');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const plan = await this.getPlan(date);
+        const coverage = await this.analyzeCoverage();
+        const rankings = {};
+        const generated = plan.slots.filter(slot => slot.status === 'generated');
+
+        for (const slot of generated) {
+            const change = changes.find(item => item.slot === slot.slot);
+            if (!change || change.topicId !== slot.topicId || (change.contentType && change.contentType !== slot.contentType)) {
+                const error = new Error(`Slot ${slot.slot} was already generated (${slot.articleId}) and can't be changed`);
+                error.statusCode = 409;
+                throw error;
+            }
+        }
+
+        const slots = changes.map(change => {
+            const current = plan.slots.find(slot => slot.slot === change.slot);
+            const contentType = change.contentType || current?.contentType;
+
+            if (!Object.prototype.hasOwnProperty.call(this.contentTypeMix, contentType)) {
+                const error = new Error(`Unknown content type: ${contentType}`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            if (current && current.topicId === change.topicId && current.contentType === contentType) {
+                return current;
+            }
+
+            rankings[contentType] = rankings[contentType] || this.rankTopics(contentType, coverage);
+            const candidate = rankings[contentType].find(item => item.topicId === change.topicId);
+            if (!candidate) {
+                const error = new Error(`Unknown topic: ${change.topicId}`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            return { ...this.createSlot(contentType, candidate), edited: true };
+        });
+
+        return this.savePlan({
+            ...plan,
+            updatedAt: new Date().toISOString(),
+            updatedBy,
+            coverage: this.summarizeCoverage(coverage),
+            slots: slots.map((slot, index) => ({ ...slot, slot: index + 1 }))
+        });
+    }
+
+    /**
+     * Ranked topics for every content type in the mix, for editors choosing replacements
+     */
+    async getCandidates(limit = 10) {
+        const coverage = await this.analyzeCoverage();
+        return Object.fromEntries(Object.keys(this.contentTypeMix).map(contentType => [
+            contentType,
+            this.rankTopics(contentType, coverage).slice(0, limit)
+        ]));
+    }
+
+    /**
+     * Up to `count` slots of the day's plan that haven't been generated yet
+     */
+    async nextSlots(count, date = new Date()) {
+        const plan = await this.getPlan(date);
+        return plan.slots
+            .filter(slot => slot.status === 'planned')
+            .slice(0, count)
+            .map(slot => ({ ...slot, date: plan.date }));
+    }
+
+    async markGenerated(slot, articleId) {
+        const plan = await this.readPlan(slot.date);
+        const entry = plan?.slots.find(item => item.slot === slot.slot);
+        if (!entry) return null;
+
+        entry.status = 'generated';
+        entry.articleId = articleId;
+        entry.generatedAt = new Date().toISOString();
+        return this.savePlan(plan);
+    }
+}
+
+module.exports = TopicPlanner;
+
+// CLI usage: node topic-planner.js [date] [--rebuild]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const date = args.find(arg => !arg.startsWith('--')) || new Date();
+    // The generator's planner knows its content types, which content-type fit is scored on
+    const ContentGenerator = require('./generator');
+    const planner = new ContentGenerator().planner;
+
+    (args.includes('--rebuild') ? planner.rebuildPlan(date) : planner.previewPlan(date))
+        .then(plan => {
+            console.log(`🗓️ Generation plan for ${plan.date}${plan.saved === false ? ' (preview, not saved)' : ''}` +
+                ` (diversity ${plan.coverage.diversityScore}/100)`);
+            if (plan.coverage.saturated.length > 0) {
+                console.log(`   Saturated: ${plan.coverage.saturated.join(', ')}`);
+            }
+            for (const slot of plan.slots) {
+                console.log(`  ${slot.slot}. [${slot.contentType}] ${slot.title} (${slot.category}) - ${slot.score}` +
+                    `${slot.edited ? ' ✏️' : ''}${slot.status === 'generated' ? ` ✅ ${slot.articleId}` : ''}`);
+                if (slot.reasons.length > 0) {
+                    console.log(`     ${slot.reasons.join('; ')}`);
+                }
+            }
+        })
+        .catch(error => {
+            console.error('❌ Planning failed:', error.message);
+            process.exit(1);
+        });
+}
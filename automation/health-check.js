@@ -4,6 +4,7 @@ const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
 const ContentGenerator = require('./content-generator/generator');
+const { getTargetName } = require('./publisher/targets');
 
 // Colors for console output
 const colors = {
@@ -268,6 +269,17 @@ class HealthChecker {
     async checkGitHubConnection() {
         colorLog('blue', '\n🐙 Testing GitHub API Connection...');
         
+        const deployTarget = getTargetName();
+        if (deployTarget !== 'github') {
+            console.log(`  ${checkmark()} Skipped - publishing to the ${deployTarget} deploy target`);
+            this.results.push({
+                component: 'GitHub API',
+                status: 'pass',
+                details: `Not used (deploy target: ${deployTarget})`
+            });
+            return;
+        }
+
         if (!process.env.GITHUB_TOKEN) {
             console.log(`  ${xmark()} GitHub Token not set`);
             this.results.push({
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { generateArticleUrl } = require('./templates/article-template');
 
 async function generateDynamicHomepage() {
     try {
@@ -21,19 +22,7 @@ async function generateDynamicHomepage() {
                         const content = await fs.readFile(filePath, 'utf8');
                         const article = JSON.parse(content);
 
-                        // Extract essential article data
-                        const articleData = {
-                            id: article.metadata?.id || file.replace('.json', ''),
-                            title: article.title?.replace(/"/g, '') || 'Untitled',
-                            summary: article.metaDescription?.replace(/"/g, '') || 'Financial insights and strategies',
-                            category: article.category || article.metadata?.topic?.category || 'Finance',
-                            publishDate: article.metadata?.publishedAt || article.metadata?.createdAt || new Date().toISOString(),
-                            readingTime: article.metadata?.readingTime || '5 min read',
-                            url: generateArticleUrl(article),
-                            contentType: article.metadata?.topic?.contentType?.name || 'Guide'
-                        };
-
-                        articles.push(articleData);
+                        articles.push(toHomepageArticle(article, file.replace('.json', '')));
                     } catch (error) {
                         console.log(`⚠️  Skipping malformed article: ${file}`);
                     }
@@ -97,32 +86,28 @@ async function generateDynamicHomepage() {
     }
 }
 
-function generateArticleUrl(article) {
-    // Generate proper article URL based on article data
-    if (article.metadata?.publishedAt || article.metadata?.createdAt) {
-        const date = new Date(article.metadata.publishedAt || article.metadata.createdAt);
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const slug = generateSlug(article.title || 'article');
-        return `/articles/${year}/${month}/${slug}.html`;
-    }
-
-    // Fallback URL generation
-    const slug = generateSlug(article.title || 'article');
-    return `/articles/${slug}.html`;
-}
-
-function generateSlug(title) {
-    return title
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .trim();
+/**
+ * Card data for one published article
+ */
+function toHomepageArticle(article, fallbackId) {
+    return {
+        id: article.metadata?.id || fallbackId,
+        title: article.title?.replace(/"/g, '') || 'Untitled',
+        summary: article.metaDescription?.replace(/"/g, '') || 'Financial insights and strategies',
+        category: article.category || article.metadata?.topic?.category || 'Finance',
+        publishDate: article.metadata?.publishedAt || article.metadata?.createdAt || new Date().toISOString(),
+        readingTime: article.metadata?.readingTime || '5 min read',
+        url: generateArticleUrl(article),
+        contentType: article.metadata?.topic?.contentType?.name || 'Guide'
+    };
 }
 
-function generateHomepageHTML(articles) {
-    const currentDate = new Date().toLocaleDateString('en-US', {
+/**
+ * Homepage HTML for the given cards. `updatedAt` is the date shown in the
+ * hero; the site build passes the latest publish date so output is stable.
+ */
+function generateHomepageHTML(articles, { updatedAt = new Date() } = {}) {
+    const currentDate = new Date(updatedAt).toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
@@ -402,7 +387,8 @@ function generateHomepageHTML(articles) {
                 <ul class="nav-links">
                     <li><a href="/">Home</a></li>
                     <li><a href="/articles">All Articles</a></li>
-                    <li><a href="/categories">Categories</a></li>
+                    <li><a href="/category/">Categories</a></li>
+                    <li><a href="/search/">Search</a></li>
                     <li><a href="/about.html">About</a></li>
                 </ul>
             </nav>
@@ -483,4 +469,4 @@ if (require.main === module) {
     generateDynamicHomepage().catch(console.error);
 }
 
-module.exports = { generateDynamicHomepage };
\ No newline at end of file
+module.exports = { generateDynamicHomepage, generateHomepageHTML, toHomepageArticle };
\ No newline at end of file
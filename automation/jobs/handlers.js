@@ -0,0 +1,436 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JobQueue = require('./job-queue');
+
+/**
+ * Standard Automation Jobs
+ * Handlers for every scheduled task of the automation system. Modules are
+ * created lazily so a process only loads what its jobs actually use.
+ */
+function registerDefaultJobs(queue, modules = {}) {
+    const contentDir = modules.contentDir || path.join(__dirname, '../../content');
+
+    const getPublisher = () => {
+        if (!modules.publisher) {
+            const Publisher = require('../publisher/deploy');
+            modules.publisher = new Publisher();
+        }
+        return modules.publisher;
+    };
+
+    const getSocialDispatcher = () => {
+        if (!modules.socialDispatcher) {
+            modules.socialDispatcher = getPublisher().socialDispatcher;
+        }
+        return modules.socialDispatcher;
+    };
+
+    const getNewsletter = () => {
+        if (!modules.newsletter) {
+            const DigestBuilder = require('../newsletter/digest-builder');
+            modules.newsletter = new DigestBuilder();
+        }
+        return modules.newsletter;
+    };
+
+    const getIndexNow = () => {
+        if (!modules.indexNow) {
+            modules.indexNow = getPublisher().indexNow;
+        }
+        return modules.indexNow;
+    };
+
+    const getAnalyticsMonitor = () => {
+        if (!modules.analyticsMonitor) {
+            const AnalyticsMonitor = require('../monitoring/analytics');
+            modules.analyticsMonitor = new AnalyticsMonitor();
+        }
+        return modules.analyticsMonitor;
+    };
+
+    const getComplianceMonitor = () => {
+        if (!modules.complianceMonitor) {
+            const ComplianceMonitor = require('../monitoring/compliance');
+            modules.complianceMonitor = new ComplianceMonitor();
+        }
+        return modules.complianceMonitor;
+    };
+
+    const getComplianceGate = () => {
+        if (!modules.complianceGate) {
+            const ComplianceGate = require('../monitoring/compliance-gate');
+            modules.complianceGate = new ComplianceGate({ monitor: getComplianceMonitor() });
+        }
+        return modules.complianceGate;
+    };
+
+    const getContentGenerator = () => {
+        if (!modules.contentGenerator) {
+            modules.contentGenerator = getPublisher().contentGenerator;
+        }
+        return modules.contentGenerator;
+    };
+
+    const getArticleReviser = () => {
+        if (!modules.articleReviser) {
+            const ArticleReviser = require('../content-generator/article-reviser');
+            modules.articleReviser = new ArticleReviser({
+                generator: getContentGenerator(),
+                complianceGate: getComplianceGate()
+            });
+        }
+        return modules.articleReviser;
+    };
+
+    const getRevisionStore = () => {
+        if (!modules.revisionStore) {
+            const RevisionStore = require('../review-console/revision-store');
+            modules.revisionStore = new RevisionStore();
+        }
+        return modules.revisionStore;
+    };
+
+    queue.register('generate-content', async (job) => {
+        return getPublisher().runDailyGeneration(job.payload);
+    });
+
+    // Write an approved brief out section by section; each section is a
+    // checkpoint, so a retry continues after the last one written
+    queue.register('expand-brief', async (job, ctx) => {
+        const { briefId } = job.payload;
+        const generator = getContentGenerator();
+        const brief = await generator.briefStore.get(briefId);
+
+        if (!brief || !['approved', 'expanding'].includes(brief.status)) {
+            const error = new Error(brief ? `Brief ${briefId} is ${brief.status}, not approved` : `Brief ${briefId} not found`);
+            error.retryable = false;
+            throw error;
+        }
+
+        await generator.briefStore.setStatus(briefId, 'expanding', { jobId: job.id });
+        try {
+            const article = await generator.expandBrief(brief, { step: ctx.step });
+            await generator.briefStore.setStatus(briefId, 'expanded', {
+                articleId: article.metadata.id,
+                expandedAt: new Date().toISOString(),
+                lastError: null
+            });
+            return { briefId, articleId: article.metadata.id, wordCount: article.metadata.wordCount };
+        } catch (error) {
+            // Approved again so the retry (or an editor) can pick it back up
+            await generator.briefStore.setStatus(briefId, 'approved', { lastError: error.message });
+            throw error;
+        }
+    });
+
+    // Rewrite a draft an editor sent back for revision and keep the result as
+    // a new revision; each section is a checkpoint
+    queue.register('revise-article', async (job, ctx) => {
+        const { articleId } = job.payload;
+        const articles = getPublisher().articles;
+        const entry = await articles.locate(articleId);
+        const article = entry?.status === 'drafts' ? await articles.get(articleId) : null;
+
+        if (!article || article.metadata?.status !== 'needs_revision') {
+            const error = new Error(article
+                ? `Article ${articleId} is ${article.metadata?.status}, not awaiting revision`
+                : `Article ${articleId} not found in drafts`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const request = article.metadata.revisionRequest || {};
+        const generator = getContentGenerator();
+        const revisionStore = getRevisionStore();
+        await revisionStore.ensureBaseline(article, 'drafts');
+
+        let revised;
+        try {
+            revised = await getArticleReviser().revise(article, request, { step: ctx.step });
+        } catch (error) {
+            article.metadata.revisionRequest = { ...request, lastError: error.message };
+            await articles.save(article);
+            throw error;
+        }
+
+        article.title = revised.title;
+        article.metaDescription = revised.metaDescription;
+        article.content = revised.content;
+
+        const revision = await revisionStore.saveRevision(article, {
+            savedBy: 'generator',
+            reason: 'revision request',
+            folder: 'drafts'
+        });
+
+        article.metadata = {
+            ...article.metadata,
+            status: 'needs_review',
+            updatedAt: new Date().toISOString(),
+            wordCount: article.content.split(/\s+/).filter(word => word.length > 0).length,
+            qualityScore: await generator.scoreQuality(article),
+            originality: await generator.duplicateDetector.check(article),
+            revisionCount: (article.metadata.revisionCount || 0) + 1,
+            revisionRequest: {
+                ...request,
+                completedAt: new Date().toISOString(),
+                revision: revision.revision,
+                sectionsChanged: revised.sectionsChanged,
+                lastError: null
+            }
+        };
+        await articles.save(article);
+
+        return { articleId, revision: revision.revision, sectionsChanged: revised.sectionsChanged };
+    });
+
+    // Slot newly approved articles into the publishing calendar, then fan out
+    // the articles whose slot has arrived into individual publish jobs
+    queue.register('publish-scheduled', async (job, ctx) => {
+        const calendar = getPublisher().calendar;
+        const assigned = await calendar.assignApproved();
+        const { due: dueArticles, rolledOver } = await calendar.takeDue();
+        const queued = [];
+
+        for (const article of dueArticles) {
+            const articleId = article.metadata?.id || article.id;
+            const publishJob = await ctx.enqueue('publish-article', {
+                articleId,
+                publishedBy: article.metadata?.scheduledBy || 'scheduler'
+            }, { dedupeKey: `publish-article:${articleId}` });
+            queued.push(publishJob.id);
+        }
+
+        return { assigned: assigned.length, due: dueArticles.length, rolledOver: rolledOver.length, queued };
+    });
+
+    queue.register('publish-article', async (job, ctx) => {
+        const { articleId, publishedBy } = job.payload;
+        const publisher = getPublisher();
+
+        const approved = await publisher.findArticleFile('approved', articleId);
+        if (!approved) {
+            const published = await publisher.findArticleFile('published', articleId);
+            if (published) {
+                return { articleId, alreadyPublished: true };
+            }
+
+            const error = new Error(`Article ${articleId} not found in approved folder`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const article = JSON.parse(await fs.readFile(approved, 'utf8'));
+
+        // Checked again here for scheduled publishes, which skip the console;
+        // an override recorded in the console still counts
+        const gate = getComplianceGate().check(article);
+        if (!gate.allowed) {
+            const error = new Error(gate.error);
+            error.retryable = false;
+            throw error;
+        }
+
+        if (publishedBy) {
+            article.metadata = { ...article.metadata, publishedBy };
+        }
+
+        const result = await publisher.publishArticle(article, { step: ctx.step });
+        if (result.indexNowSubmissionId) {
+            await ctx.enqueue('submit-indexnow', { submissionId: result.indexNowSubmissionId }, {
+                dedupeKey: `submit-indexnow:${result.indexNowSubmissionId}`
+            });
+        }
+        return { articleId, url: result.url, filePath: result.filePath };
+    });
+
+    // Deploy an edit of a live article; its IndexNow update is only sent
+    // once the new page is deployed
+    queue.register('refresh-article', async (job, ctx) => {
+        const { articleId, requestedBy } = job.payload;
+        const publisher = getPublisher();
+
+        const filePath = await publisher.findArticleFile('published', articleId);
+        if (!filePath) {
+            const error = new Error(`Article ${articleId} not found in published folder`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const article = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const result = await publisher.refreshPublishedArticle(article, { requestedBy, step: ctx.step });
+        if (result.indexNowSubmissionId) {
+            await ctx.enqueue('submit-indexnow', { submissionId: result.indexNowSubmissionId }, {
+                dedupeKey: `submit-indexnow:${result.indexNowSubmissionId}`
+            });
+        }
+        return { articleId, filePath: result.filePath, deployed: result.paths.length };
+    });
+
+    // Take an archived article's page off the live site and out of the
+    // listings, then tell IndexNow it is gone
+    queue.register('unpublish-article', async (job, ctx) => {
+        const { articleId, requestedBy } = job.payload;
+        const publisher = getPublisher();
+
+        const filePath = await publisher.findArticleFile('archive', articleId);
+        if (!filePath) {
+            const error = new Error(`Article ${articleId} not found in archive folder`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const article = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const result = await publisher.unpublishArticle(article, { requestedBy, step: ctx.step });
+        if (result.indexNowSubmissionId) {
+            await ctx.enqueue('submit-indexnow', { submissionId: result.indexNowSubmissionId }, {
+                dedupeKey: `submit-indexnow:${result.indexNowSubmissionId}`
+            });
+        }
+        return { articleId, filePath: result.filePath, deployed: result.paths.length };
+    });
+
+    // Queue approved social posts whose slot has arrived, one send job each,
+    // so every post gets its own retries
+    queue.register('dispatch-social', async (job, ctx) => {
+        const due = await getSocialDispatcher().takeDue();
+        const queued = [];
+
+        for (const { queueId, platform } of due) {
+            const sendJob = await ctx.enqueue('send-social-post', { queueId, platform }, {
+                dedupeKey: `send-social-post:${queueId}:${platform}`
+            });
+            queued.push(sendJob.id);
+        }
+
+        return { due: due.length, queued };
+    });
+
+    queue.register('send-social-post', async (job, ctx) => {
+        const { queueId, platform } = job.payload;
+        return getSocialDispatcher().send(queueId, platform, {
+            attempt: ctx.attempt,
+            maxAttempts: job.maxAttempts,
+            step: ctx.step
+        });
+    });
+
+    queue.register('build-newsletter', async (job) => {
+        const newsletter = getNewsletter();
+        if (!newsletter.weeklyDigest) {
+            return { skipped: 'newsletter.contentCuration.weeklyDigest is off' };
+        }
+        const digest = await newsletter.build({ createdBy: job.payload.createdBy || 'scheduler' });
+        return digest
+            ? { digestId: digest.id, articleCount: digest.articleCount, scheduledFor: digest.scheduledFor }
+            : { digestId: null };
+    });
+
+    // With a digestId, send that digest; otherwise queue a send for every
+    // approved digest that is due
+    queue.register('send-newsletter', async (job, ctx) => {
+        const { digestId, sentBy } = job.payload;
+        if (digestId) {
+            return getNewsletter().send(digestId, {
+                attempt: ctx.attempt,
+                maxAttempts: job.maxAttempts,
+                sentBy
+            });
+        }
+
+        const due = await getNewsletter().takeDue();
+        const queued = [];
+        for (const digest of due) {
+            const sendJob = await ctx.enqueue('send-newsletter', { digestId: digest.id }, {
+                dedupeKey: `send-newsletter:${digest.id}`
+            });
+            queued.push(sendJob.id);
+        }
+        return { due: due.length, queued };
+    });
+
+    // With a submissionId, send that IndexNow submission; otherwise queue a
+    // send for every submission still pending (e.g. from the archive manager)
+    // or left retrying without a live job
+    queue.register('submit-indexnow', async (job, ctx) => {
+        const { submissionId } = job.payload;
+        if (submissionId) {
+            return getIndexNow().submit(submissionId, {
+                attempt: ctx.attempt,
+                maxAttempts: job.maxAttempts
+            });
+        }
+
+        const pending = await getIndexNow().takePending();
+        const queued = [];
+        for (const submission of pending) {
+            const submitJob = await ctx.enqueue('submit-indexnow', { submissionId: submission.id }, {
+                dedupeKey: `submit-indexnow:${submission.id}`
+            });
+            queued.push(submitJob.id);
+        }
+        return { pending: pending.length, queued };
+    });
+
+    queue.register('update-sitemap', async () => {
+        return getPublisher().updateFullSitemap();
+    });
+
+    queue.register('archive-content', async () => {
+        return getPublisher().runMonthlyArchival();
+    });
+
+    queue.register('collect-analytics', async () => {
+        const result = await getAnalyticsMonitor().collectMetrics();
+        return { processingTime: result.processingTime, ...result.metricsCollected };
+    });
+
+    queue.register('daily-report', async () => {
+        const report = await getAnalyticsMonitor().generateDailyReport();
+        return { date: report?.date || null };
+    });
+
+    queue.register('compliance-check', async () => {
+        const publishedDir = path.join(contentDir, 'published');
+        const articles = [];
+        for (const file of (await fs.readdir(publishedDir)).filter(name => name.endsWith('.json'))) {
+            articles.push(JSON.parse(await fs.readFile(path.join(publishedDir, file), 'utf8')));
+        }
+
+        const monitor = getComplianceMonitor();
+        const results = await monitor.validateMultipleArticles(articles);
+        if (results.validations.length === 0) {
+            return { totalArticles: 0 };
+        }
+
+        const report = monitor.generateComplianceReport(results.validations);
+        const reportsDir = path.join(__dirname, '../../data/reports');
+        const reportPath = path.join(reportsDir, `compliance-report-${new Date().toISOString().split('T')[0]}.json`);
+        await fs.mkdir(reportsDir, { recursive: true });
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+        console.log(`🔒 Compliance check: ${results.passed}/${results.totalArticles} articles passed`);
+        return {
+            totalArticles: results.totalArticles,
+            passed: results.passed,
+            failed: results.failed,
+            criticalIssues: results.criticalIssues,
+            reportPath: path.relative(path.join(__dirname, '../..'), reportPath)
+        };
+    });
+
+    return queue;
+}
+
+/**
+ * Build a queue with the standard jobs registered
+ */
+function createJobQueue(modules = {}, options = {}) {
+    return registerDefaultJobs(new JobQueue(options), modules);
+}
+
+module.exports = {
+    JobQueue,
+    registerDefaultJobs,
+    createJobQueue
+};
@@ -0,0 +1,576 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+
+/**
+ * Persistent Job Queue
+ * File-backed queue of named jobs with per-type handlers, retries with
+ * exponential backoff, global and per-type concurrency limits and a
+ * dead-letter state. The store is rewritten atomically (temp file + rename)
+ * on every state change, so a restart picks up exactly where it stopped:
+ * jobs left 'running' by a process that is gone are returned to 'pending'
+ * and resume from their last completed step (see `step()` in the handler
+ * context).
+ *
+ * Several processes (the automation server, the review console and the
+ * standalone publisher) can share one store. Every change holds the lock
+ * file next to it and is applied to a fresh read of the store, and a worker
+ * claims a job under the lock before running it, so no job is lost or run
+ * twice.
+ */
+class JobQueue {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const jobSettings = settings.jobs || {};
+
+        this.storeFile = options.storeFile || process.env.JOB_STORE_FILE ||
+            path.join(__dirname, '../..', jobSettings.storeFile || 'data/jobs/jobs.json');
+        this.pollIntervalMs = options.pollIntervalMs || jobSettings.pollIntervalMs || 5000;
+        this.concurrency = options.concurrency || jobSettings.concurrency || 2;
+        this.retentionDays = jobSettings.retentionDays ?? 14;
+        this.timezone = jobSettings.timezone || settings.publishingSchedule?.timezone || undefined;
+        this.defaults = {
+            maxAttempts: 3,
+            backoffMs: 60000,
+            backoffFactor: 2,
+            maxBackoffMs: 3600000,
+            concurrency: 1,
+            ...jobSettings.defaults
+        };
+        this.typeSettings = jobSettings.types || {};
+        this.scheduleSettings = jobSettings.schedules || [];
+        this.lockFile = `${this.storeFile}.lock`;
+        this.lockTimeoutMs = jobSettings.lockTimeoutMs || 10000;
+        this.lockStaleMs = jobSettings.lockStaleMs || 30000;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+
+        this.handlers = new Map();
+        this.jobs = [];
+        this.running = new Map();
+        this.cronTasks = [];
+        this.timer = null;
+        this.started = false;
+        this.loaded = false;
+        this.ticking = false;
+        this.tickAgain = false;
+        this.writeChain = Promise.resolve();
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Register the handler for a job type.
+     * Options fall back to settings `jobs.types[type]`, then `jobs.defaults`.
+     */
+    register(type, handler, options = {}) {
+        this.handlers.set(type, {
+            handler,
+            options: { ...this.defaults, ...this.typeSettings[type], ...options }
+        });
+        return this;
+    }
+
+    async readStore() {
+        try {
+            const store = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+            return Array.isArray(store.jobs) ? store.jobs : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Job store unreadable at ${this.storeFile}: ${error.message}`);
+            }
+            return [];
+        }
+    }
+
+    async load() {
+        this.jobs = await this.readStore();
+        this.loaded = true;
+        return this.jobs;
+    }
+
+    /**
+     * Change the store: `fn(jobs)` runs on a fresh read of the store while
+     * this process holds the store lock, and its changes are written back
+     * before the lock is released. Writes go through a temp file so a crash
+     * never leaves a half-written jobs.json behind.
+     */
+    transaction(fn) {
+        const run = async () => {
+            await this.acquireLock();
+            try {
+                const jobs = await this.readStore();
+                const result = await fn(jobs);
+                const kept = this.pruneFinished(jobs);
+                const tmpFile = `${this.storeFile}.${process.pid}.tmp`;
+                await fs.writeFile(tmpFile, JSON.stringify({ updatedAt: new Date().toISOString(), jobs: kept }, null, 2));
+                await fs.rename(tmpFile, this.storeFile);
+                this.jobs = kept;
+                this.loaded = true;
+                return result;
+            } finally {
+                await this.releaseLock();
+            }
+        };
+
+        const result = this.writeChain.then(run, run);
+        this.writeChain = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Apply `fn` to the stored copy of a job and copy the result onto `job`
+     */
+    async updateJob(job, fn) {
+        await this.transaction(jobs => {
+            const stored = jobs.find(candidate => candidate.id === job.id);
+            if (!stored) throw new Error(`Job ${job.id} is no longer in the store`);
+            fn(stored);
+            Object.assign(job, stored);
+        });
+        return job;
+    }
+
+    async acquireLock() {
+        await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+        const deadline = Date.now() + this.lockTimeoutMs;
+
+        for (;;) {
+            try {
+                await fs.writeFile(this.lockFile, JSON.stringify({ workerId: this.workerId, at: new Date().toISOString() }), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (await this.removeStaleLock()) continue;
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the job store lock ${this.lockFile}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+
+    async releaseLock() {
+        await fs.unlink(this.lockFile).catch(() => {});
+    }
+
+    /**
+     * Remove a lock left by a process that died, or held far longer than
+     * any store write takes
+     */
+    async removeStaleLock() {
+        let content;
+        let stat;
+        try {
+            [content, stat] = await Promise.all([fs.readFile(this.lockFile, 'utf8'), fs.stat(this.lockFile)]);
+        } catch (error) {
+            return error.code === 'ENOENT';
+        }
+
+        let holder = null;
+        try {
+            holder = JSON.parse(content).workerId;
+        } catch (error) {
+            // Half-written: its writer is still creating it, or died doing so
+        }
+        // This process waits for its own transactions in memory, so a lock
+        // file in its name was left by an earlier process with the same PID
+        const expired = Date.now() - stat.mtimeMs > this.lockStaleMs;
+        if (!expired && holder !== this.workerId && (!holder || this.isWorkerAlive(holder))) return false;
+
+        // Only remove the lock that was judged stale, not a newer one
+        if (await fs.readFile(this.lockFile, 'utf8').catch(() => null) !== content) return false;
+        console.warn(`⚠️ Removing stale job store lock held by ${holder || 'unknown'}`);
+        await fs.unlink(this.lockFile).catch(() => {});
+        return true;
+    }
+
+    /**
+     * Whether the process behind a worker ID still runs. Workers on other
+     * hosts can't be checked and count as alive.
+     */
+    isWorkerAlive(workerId) {
+        const separator = String(workerId).lastIndexOf(':');
+        const host = workerId.slice(0, separator);
+        const pid = Number(workerId.slice(separator + 1));
+        if (host !== os.hostname() || !pid) return true;
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    pruneFinished(jobs) {
+        if (!this.retentionDays) return jobs;
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        return jobs.filter(job =>
+            !['completed', 'cancelled'].includes(job.status) || new Date(job.finishedAt || job.createdAt).getTime() > cutoff
+        );
+    }
+
+    /**
+     * Read the store again; other processes may have changed it
+     */
+    async ensureLoaded() {
+        await this.load();
+    }
+
+    /**
+     * Add a job. With a dedupeKey, an existing pending or running job with
+     * the same key is returned instead of queuing a duplicate.
+     */
+    async enqueue(type, payload = {}, options = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown job type "${type}" - registered types: ${[...this.handlers.keys()].join(', ')}`);
+        }
+
+        const { options: typeOptions } = this.handlers.get(type);
+        const now = new Date().toISOString();
+        const job = {
+            id: `job_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: options.maxAttempts || typeOptions.maxAttempts,
+            runAt: options.runAt ? new Date(options.runAt).toISOString() : now,
+            dedupeKey: options.dedupeKey || null,
+            createdAt: now,
+            createdBy: options.createdBy || 'system',
+            startedAt: null,
+            finishedAt: null,
+            lastError: null,
+            errors: [],
+            checkpoints: {},
+            result: null
+        };
+
+        const existing = await this.transaction(jobs => {
+            const duplicate = options.dedupeKey && jobs.find(candidate =>
+                candidate.dedupeKey === options.dedupeKey && ['pending', 'running'].includes(candidate.status)
+            );
+            if (!duplicate) jobs.push(job);
+            return duplicate || null;
+        });
+        if (existing) {
+            console.log(`⏭️ Job ${type} already queued (${existing.id})`);
+            return existing;
+        }
+        console.log(`📥 Queued job ${job.type} (${job.id})`);
+
+        if (this.started) setImmediate(() => this.tick());
+        return job;
+    }
+
+    /**
+     * Start polling; each poll also recovers jobs interrupted by a crash
+     */
+    async start({ schedules = false } = {}) {
+        await this.load();
+
+        this.started = true;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+
+        if (schedules) this.startSchedules();
+
+        console.log(`✅ Job queue started (${this.handlers.size} job types, concurrency ${this.concurrency})`);
+        setImmediate(() => this.tick());
+    }
+
+    /**
+     * Enqueue jobs on the cron schedules from settings `jobs.schedules`
+     */
+    startSchedules(schedules = this.scheduleSettings) {
+        for (const entry of schedules) {
+            if (entry.enabled === false) continue;
+            if (!this.handlers.has(entry.type)) {
+                console.warn(`⚠️ Skipping schedule for unknown job type "${entry.type}"`);
+                continue;
+            }
+            if (!cron.validate(entry.cron)) {
+                console.warn(`⚠️ Skipping invalid cron expression "${entry.cron}" for ${entry.type}`);
+                continue;
+            }
+
+            const task = cron.schedule(entry.cron, () => {
+                this.enqueue(entry.type, entry.payload || {}, { dedupeKey: `schedule:${entry.type}`, createdBy: 'scheduler' })
+                    .catch(error => console.error(`❌ Failed to enqueue scheduled ${entry.type}:`, error.message));
+            }, { timezone: entry.timezone || this.timezone });
+
+            this.cronTasks.push({ type: entry.type, cron: entry.cron, task });
+            console.log(`⏰ Scheduled ${entry.type}: ${entry.cron}`);
+        }
+    }
+
+    /**
+     * Stop polling and cron schedules, waiting for running jobs to finish
+     */
+    async stop({ timeoutMs = 20000 } = {}) {
+        this.started = false;
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.cronTasks.forEach(({ task }) => task.stop());
+        this.cronTasks = [];
+
+        if (this.running.size > 0) {
+            console.log(`⏳ Waiting for ${this.running.size} running jobs...`);
+            await Promise.race([
+                Promise.allSettled([...this.running.values()]),
+                new Promise(resolve => setTimeout(resolve, timeoutMs))
+            ]);
+        }
+
+        await this.writeChain;
+        console.log('✅ Job queue stopped');
+    }
+
+    /**
+     * Claim and start every due job that fits within the concurrency limits.
+     * The per-type limits count jobs running in every process.
+     */
+    async tick() {
+        if (!this.started) return;
+        if (this.ticking) {
+            this.tickAgain = true;
+            return;
+        }
+
+        this.ticking = true;
+        try {
+            // A plain read first, so idle polls don't take the lock
+            const snapshot = await this.load();
+            const hasWork = snapshot.some(job => this.isInterrupted(job)) ||
+                (this.running.size < this.concurrency && snapshot.some(job => this.isDue(job)));
+            const claimed = !hasWork ? [] : await this.transaction(jobs => {
+                this.recoverInterrupted(jobs);
+
+                const due = jobs
+                    .filter(job => this.isDue(job))
+                    .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+                const claims = [];
+
+                for (const job of due) {
+                    if (this.running.size + claims.length >= this.concurrency) break;
+
+                    const { options } = this.handlers.get(job.type);
+                    const runningOfType = jobs.filter(j => j.type === job.type && j.status === 'running').length;
+                    if (runningOfType >= options.concurrency) continue;
+
+                    Object.assign(job, {
+                        status: 'running',
+                        workerId: this.workerId,
+                        attempts: job.attempts + 1,
+                        startedAt: new Date().toISOString(),
+                        checkpoints: job.checkpoints || {}
+                    });
+                    claims.push(JSON.parse(JSON.stringify(job)));
+                }
+                return claims;
+            });
+
+            for (const job of claimed) {
+                const execution = this.runJob(job).finally(() => {
+                    this.running.delete(job.id);
+                    if (this.started) setImmediate(() => this.tick());
+                });
+                this.running.set(job.id, execution);
+            }
+        } catch (error) {
+            console.error('❌ Job queue poll failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+
+        if (this.tickAgain) {
+            this.tickAgain = false;
+            setImmediate(() => this.tick());
+        }
+    }
+
+    isDue(job) {
+        return job.status === 'pending' && new Date(job.runAt).getTime() <= Date.now() && this.handlers.has(job.type);
+    }
+
+    /**
+     * A running job whose worker process is gone. A job in this worker's
+     * name that it isn't running was left by an earlier process with the
+     * same PID.
+     */
+    isInterrupted(job) {
+        if (job.status !== 'running') return false;
+        return job.workerId === this.workerId
+            ? !this.running.has(job.id)
+            : !job.workerId || !this.isWorkerAlive(job.workerId);
+    }
+
+    /**
+     * Return interrupted jobs to 'pending'
+     */
+    recoverInterrupted(jobs) {
+        for (const job of jobs.filter(candidate => this.isInterrupted(candidate))) {
+            job.status = 'pending';
+            job.runAt = new Date().toISOString();
+            job.recoveredAt = job.runAt;
+            job.workerId = null;
+            console.log(`♻️ Recovered interrupted job ${job.type} (${job.id}), resuming after ${Object.keys(job.checkpoints || {}).length} completed steps`);
+        }
+    }
+
+    async runJob(job) {
+        const { handler, options } = this.handlers.get(job.type);
+
+        console.log(`▶️ Running job ${job.type} (${job.id}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+        let outcome;
+        try {
+            const result = await handler(job, this.createContext(job));
+            outcome = {
+                status: 'completed',
+                result: result === undefined ? null : result,
+                lastError: null,
+                finishedAt: new Date().toISOString()
+            };
+            console.log(`✅ Job ${job.type} completed (${job.id})`);
+        } catch (error) {
+            outcome = {
+                lastError: error.message,
+                errors: [...(job.errors || []), { attempt: job.attempts, at: new Date().toISOString(), error: error.message }].slice(-10)
+            };
+
+            if (job.attempts >= job.maxAttempts || error.retryable === false) {
+                Object.assign(outcome, { status: 'dead', finishedAt: new Date().toISOString() });
+                console.error(`💀 Job ${job.type} moved to dead-letter after ${job.attempts} attempts (${job.id}): ${error.message}`);
+            } else {
+                const delay = this.getBackoff(options, job.attempts);
+                Object.assign(outcome, { status: 'pending', runAt: new Date(Date.now() + delay).toISOString() });
+                console.error(`⚠️ Job ${job.type} failed (${job.id}): ${error.message} - retrying in ${Math.round(delay / 1000)}s`);
+            }
+        }
+
+        try {
+            await this.updateJob(job, stored => Object.assign(stored, outcome, { workerId: null }));
+        } catch (error) {
+            console.error(`❌ Could not record the outcome of job ${job.type} (${job.id}): ${error.message}`);
+        }
+        return job;
+    }
+
+    getBackoff(options, attempts) {
+        const delay = options.backoffMs * Math.pow(options.backoffFactor, attempts - 1);
+        return Math.min(delay, options.maxBackoffMs);
+    }
+
+    /**
+     * Context passed to handlers. `step(name, fn)` runs fn once per job:
+     * its result is checkpointed, and a resumed job skips completed steps.
+     */
+    createContext(job) {
+        return {
+            queue: this,
+            attempt: job.attempts,
+            step: async (name, fn) => {
+                if (job.checkpoints[name]) {
+                    console.log(`⏭️ Skipping completed step "${name}" for job ${job.id}`);
+                    return job.checkpoints[name].result;
+                }
+
+                const result = await fn();
+                const checkpoint = {
+                    completedAt: new Date().toISOString(),
+                    result: result === undefined ? null : result
+                };
+                await this.updateJob(job, stored => {
+                    stored.checkpoints = { ...stored.checkpoints, [name]: checkpoint };
+                });
+                return result;
+            },
+            enqueue: (type, payload, options = {}) => this.enqueue(type, payload, { createdBy: `job:${job.id}`, ...options })
+        };
+    }
+
+    /**
+     * Put a dead, failed or cancelled job back in the queue with a fresh attempt budget
+     */
+    async retry(id, { retriedBy = 'system' } = {}) {
+        const job = await this.transaction(jobs => {
+            const job = jobs.find(candidate => candidate.id === id);
+            if (!job) throw new Error(`Job ${id} not found`);
+            if (!['dead', 'cancelled', 'pending'].includes(job.status)) {
+                throw new Error(`Job ${id} is ${job.status} and cannot be retried`);
+            }
+
+            job.status = 'pending';
+            job.attempts = 0;
+            job.runAt = new Date().toISOString();
+            job.finishedAt = null;
+            job.retriedBy = retriedBy;
+            return job;
+        });
+
+        if (this.started) setImmediate(() => this.tick());
+        return job;
+    }
+
+    async cancel(id, { cancelledBy = 'system' } = {}) {
+        return this.transaction(jobs => {
+            const job = jobs.find(candidate => candidate.id === id);
+            if (!job) throw new Error(`Job ${id} not found`);
+            if (!['pending', 'dead'].includes(job.status)) {
+                throw new Error(`Job ${id} is ${job.status} and cannot be cancelled`);
+            }
+
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            job.cancelledBy = cancelledBy;
+            return job;
+        });
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    /**
+     * List jobs, newest first
+     */
+    async list({ status, type, limit = 100 } = {}) {
+        await this.ensureLoaded();
+        return this.jobs
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit);
+    }
+
+    async stats() {
+        await this.ensureLoaded();
+        const byStatus = { pending: 0, running: 0, completed: 0, dead: 0, cancelled: 0 };
+        for (const job of this.jobs) {
+            byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+        }
+
+        return {
+            total: this.jobs.length,
+            byStatus,
+            types: [...this.handlers.keys()],
+            schedules: this.cronTasks.map(({ type, cron: expression }) => ({ type, cron: expression })),
+            concurrency: this.concurrency,
+            started: this.started
+        };
+    }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { CURRENT_VERSION, migrateArticle, validateArticle } = require('./content-generator/article-schema');
+const ContentRepository = require('./review-console/content-repository');
+
+/**
+ * Article Migration Runner
+ * Upgrades every article in content/<status>/ to the current article schema
+ * (see content-generator/article-schema.js) and reports what changed.
+ * Files already at the current version are left untouched, so the runner
+ * can be re-run at any time.
+ *
+ * Usage: node automation/migrate-articles.js [--dry-run] [--report <file.json>]
+ * Exits with 1 when an article is unreadable or still invalid after migrating.
+ */
+class ArticleMigrationRunner {
+    constructor(options = {}) {
+        this.contentDir = options.contentDir || path.join(__dirname, '../content');
+        this.dryRun = options.dryRun || false;
+    }
+
+    async run() {
+        console.log(`🧱 Migrating articles to schema version ${CURRENT_VERSION}${this.dryRun ? ' (dry run)' : ''}...`);
+        const report = {
+            schemaVersion: CURRENT_VERSION,
+            dryRun: this.dryRun,
+            startedAt: new Date().toISOString(),
+            scanned: 0,
+            migrated: [],
+            unchanged: 0,
+            invalid: [],
+            unreadable: []
+        };
+
+        for (const status of ContentRepository.STATUSES) {
+            let files;
+            try {
+                files = (await fs.readdir(path.join(this.contentDir, status))).filter(file => file.endsWith('.json')).sort();
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (const file of files) {
+                report.scanned++;
+                await this.migrateFile(status, file, report);
+            }
+        }
+
+        report.finishedAt = new Date().toISOString();
+        console.log(`\n📊 ${report.scanned} articles: ${report.migrated.length} migrated, ${report.unchanged} already current, ` +
+            `${report.invalid.length} invalid, ${report.unreadable.length} unreadable`);
+        return report;
+    }
+
+    async migrateFile(status, file, report) {
+        const filePath = path.join(this.contentDir, status, file);
+        const key = `${status}/${file}`;
+
+        let article;
+        try {
+            article = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`❌ ${key}: ${error.message}`);
+            report.unreadable.push({ file: key, error: error.message });
+            return;
+        }
+
+        const context = { status, file };
+        const result = migrateArticle(article, context);
+        const errors = validateArticle(article, context);
+
+        if (result.fromVersion === result.toVersion) {
+            report.unchanged++;
+        } else {
+            console.log(`✏️  ${key}: v${result.fromVersion} → v${result.toVersion}`);
+            result.changes.forEach(({ version, change }) => console.log(`     [${version}] ${change}`));
+            if (result.changes.length === 0) console.log('     schemaVersion recorded, no field changes');
+            report.migrated.push({ file: key, ...result });
+
+            if (!this.dryRun) {
+                const tmpFile = `${filePath}.${process.pid}.tmp`;
+                await fs.writeFile(tmpFile, JSON.stringify(article, null, 2));
+                await fs.rename(tmpFile, filePath);
+            }
+        }
+
+        if (errors.length > 0) {
+            console.warn(`⚠️  ${key} is still invalid: ${errors.join('; ')}`);
+            report.invalid.push({ file: key, errors });
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const reportIndex = args.indexOf('--report');
+    const runner = new ArticleMigrationRunner({ dryRun: args.includes('--dry-run') });
+
+    runner.run()
+        .then(async report => {
+            if (reportIndex !== -1 && args[reportIndex + 1]) {
+                await fs.writeFile(args[reportIndex + 1], JSON.stringify(report, null, 2));
+                console.log(`📝 Report written to ${args[reportIndex + 1]}`);
+            }
+            process.exit(report.invalid.length > 0 || report.unreadable.length > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ArticleMigrationRunner;
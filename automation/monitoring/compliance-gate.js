@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const ComplianceMonitor = require('./compliance');
+
+/**
+ * Compliance Gate
+ * Runs ComplianceMonitor's policy checks before an article is approved or
+ * published. Each violation is hard (blocks the action), soft (allowed once
+ * someone gives an override reason, which is kept on the article) or ignored,
+ * by severity with optional per-type overrides from settings.
+ */
+
+const DEFAULT_GATE = {
+    enabled: true,
+    severities: { critical: 'hard', high: 'soft', medium: 'soft', low: 'ignore' },
+    violationTypes: {}
+};
+
+class ComplianceGate {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+
+        this.monitor = options.monitor || new ComplianceMonitor();
+        this.enabled = settings.enabled !== false;
+        this.severities = { ...DEFAULT_GATE.severities, ...settings.severities };
+        this.violationTypes = { ...DEFAULT_GATE.violationTypes, ...settings.violationTypes };
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fs.readFileSync(settingsPath, 'utf8')).complianceRequirements?.gate || DEFAULT_GATE;
+        } catch (error) {
+            return DEFAULT_GATE;
+        }
+    }
+
+    /**
+     * 'hard', 'soft' or 'ignore' for a violation
+     */
+    classify(violation) {
+        return this.violationTypes[violation.type] || this.severities[violation.severity] || 'ignore';
+    }
+
+    /**
+     * Policy violations of an article split into hard and soft, one entry per
+     * distinct phrase
+     */
+    evaluate(article) {
+        const result = {
+            enabled: this.enabled,
+            hard: [],
+            soft: [],
+            checkedAt: new Date().toISOString()
+        };
+
+        if (this.enabled) {
+            const seen = new Set();
+            const { violations } = this.monitor.checkPolicyViolations({
+                ...article,
+                content: article.content || '',
+                title: article.title || ''
+            });
+
+            for (const violation of violations) {
+                const level = this.classify(violation);
+                const key = violationKey(violation);
+                if (level === 'ignore' || seen.has(key)) continue;
+
+                seen.add(key);
+                result[level].push({
+                    type: violation.type,
+                    severity: violation.severity,
+                    message: violation.message,
+                    text: violation.text.trim(),
+                    context: violation.context
+                });
+            }
+        }
+
+        result.passed = result.hard.length === 0 && result.soft.length === 0;
+        return result;
+    }
+
+    /**
+     * Whether the override recorded on the article still covers every soft
+     * violation. Edits that introduce new flagged phrases need a new reason.
+     */
+    isOverridden(article, softViolations) {
+        const override = article.metadata?.complianceOverride;
+        if (!override || softViolations.length === 0) return false;
+
+        const covered = new Set((override.violations || []).map(violationKey));
+        return softViolations.every(violation => covered.has(violationKey(violation)));
+    }
+
+    /**
+     * Gate decision for approving or publishing an article. Hard violations
+     * always block; soft ones pass with an override already on the article or
+     * with `overrideReason`, in which case `override` is the record to store.
+     */
+    check(article, { overrideReason = '', user = 'system' } = {}) {
+        const result = this.evaluate(article);
+        const reason = String(overrideReason || '').trim();
+
+        if (result.hard.length > 0) {
+            return {
+                allowed: false,
+                blocked: true,
+                error: `Blocked by compliance gate: ${describe(result.hard)}`,
+                result
+            };
+        }
+
+        if (result.soft.length === 0 || this.isOverridden(article, result.soft)) {
+            return { allowed: true, blocked: false, override: null, result };
+        }
+
+        if (!reason) {
+            return {
+                allowed: false,
+                blocked: false,
+                error: `Compliance override reason required: ${describe(result.soft)}`,
+                result
+            };
+        }
+
+        return {
+            allowed: true,
+            blocked: false,
+            override: {
+                reason,
+                by: user,
+                at: new Date().toISOString(),
+                violations: result.soft.map(({ type, severity, text }) => ({ type, severity, text }))
+            },
+            result
+        };
+    }
+}
+
+function violationKey(violation) {
+    return `${violation.type}:${String(violation.text).trim().toLowerCase()}`;
+}
+
+function describe(violations) {
+    return violations.map(violation => `${violation.message} ("${violation.text}")`).join('; ');
+}
+
+module.exports = ComplianceGate;
@@ -116,7 +116,7 @@ class ComplianceMonitor {
             },
             inappropriate_language: {
                 patterns: [
-                    /(?:scam|fraud|rip.?off|con|scheme)/gi,
+                    /\b(?:scam|fraud|rip.?off|con|scheme)\b/gi,
                     /(?:stupid|idiotic|moronic)\s+(?:investors?|people|decisions?)/gi,
                     /(?:hate|despise|loathe)\s+(?:banks|financial\s+institutions)/gi,
                     /(?:financial\s+(?:advisors?|planners?)\s+are\s+(?:useless|worthless|scammers?))/gi
@@ -237,6 +237,11 @@ class ComplianceMonitor {
         const requiredDisclaimers = this.disclaimerRequirements[category] || this.disclaimerRequirements.default;
         const content = (article.content + ' ' + (article.cta || '')).toLowerCase();
         
+        // Disclaimers the publisher pinned on the page count as present
+        const pinned = new Set((article.metadata?.disclaimers || [])
+            .filter(record => !record.until)
+            .map(record => record.type));
+        
         const results = {
             required: requiredDisclaimers,
             found: [],
@@ -250,7 +255,7 @@ class ComplianceMonitor {
             const disclaimer = this.disclaimerTemplates[disclaimerType];
             if (!disclaimer) continue;
             
-            const found = disclaimer.pattern.test(content);
+            const found = pinned.has(disclaimerType) || disclaimer.pattern.test(content);
             results.details[disclaimerType] = {
                 required: disclaimer.required,
                 found,
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const ComplianceMonitor = require('./compliance');
+const { getArticleCategory, getCategorySlug } = require('../templates/taxonomy');
+
+/**
+ * Disclaimer Library
+ * Versioned disclaimer texts from automation/config/disclaimers.json. When an
+ * article is published, the versions in force are pinned on it in
+ * metadata.disclaimers; its page always renders the pinned wording, and the
+ * records (with `from`/`until` times) show which wording was live on any date.
+ */
+
+const PLACEMENTS = ['top', 'after-intro', 'footer'];
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class DisclaimerLibrary {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+
+        this.library = options.library || this.loadLibrary(settings.libraryFile);
+        this.requirements = options.requirements || new ComplianceMonitor().disclaimerRequirements;
+        this.affiliateRequired = settings.affiliateDisclosureRequired !== false;
+        this.placement = PLACEMENTS.includes(settings.placement) ? settings.placement : 'footer';
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fs.readFileSync(settingsPath, 'utf8')).complianceRequirements?.disclosures || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    loadLibrary(libraryFile = 'automation/config/disclaimers.json') {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(__dirname, '../..', libraryFile), 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Could not load disclaimer library ${libraryFile}: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Disclaimer types an article needs: its category's requirements, plus the
+     * affiliate disclosure when settings require it everywhere
+     */
+    getRequiredTypes(article) {
+        const category = getCategorySlug(getArticleCategory(article));
+        const types = [...(this.requirements[category] || this.requirements.default)];
+
+        if (this.affiliateRequired && !types.includes('affiliate')) {
+            types.unshift('affiliate');
+        }
+
+        return types.filter(type => {
+            if (this.library[type]) return true;
+            console.warn(`⚠️ No "${type}" disclaimer in the library - skipped`);
+            return false;
+        });
+    }
+
+    getVersion(type, version) {
+        return this.library[type]?.versions.find(entry => entry.version === version) || null;
+    }
+
+    /**
+     * Newest version of a disclaimer in effect on `date`
+     */
+    getCurrentVersion(type, date = new Date()) {
+        const versions = (this.library[type]?.versions || [])
+            .filter(entry => new Date(entry.effective) <= new Date(date))
+            .sort((a, b) => new Date(a.effective) - new Date(b.effective) || a.version - b.version);
+
+        return versions.pop() || null;
+    }
+
+    /**
+     * The article's disclaimer records brought up to date for `date`. Records
+     * are never rewritten: a replaced or no longer required version gets an
+     * `until` time and the new version a record of its own.
+     */
+    apply(article, date = new Date()) {
+        const at = new Date(date).toISOString();
+        const records = (article.metadata?.disclaimers || []).map(record => ({ ...record }));
+        const required = this.getRequiredTypes(article);
+
+        for (const record of records) {
+            if (!record.until && !required.includes(record.type)) {
+                record.until = at;
+            }
+        }
+
+        for (const type of required) {
+            const current = this.getCurrentVersion(type, at);
+            if (!current) continue;
+
+            const active = records.find(record => record.type === type && !record.until);
+            if (active?.version === current.version) continue;
+
+            if (active) active.until = at;
+            records.push({ type, version: current.version, from: at });
+        }
+
+        return records;
+    }
+
+    /**
+     * Records live at `date` with their wording, in library order
+     */
+    getWordingAt(article, date = new Date()) {
+        const at = new Date(date);
+        const order = Object.keys(this.library);
+
+        return (article.metadata?.disclaimers || [])
+            .filter(record => new Date(record.from) <= at && (!record.until || at < new Date(record.until)))
+            .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type))
+            .map(record => {
+                const version = this.getVersion(record.type, record.version);
+                if (!version) {
+                    console.warn(`⚠️ Disclaimer ${record.type} v${record.version} is missing from the library`);
+                }
+                return { ...record, title: this.library[record.type]?.title, text: version?.text || null };
+            });
+    }
+
+    /**
+     * HTML block of the article's current disclaimers; empty for articles
+     * published before disclaimers were recorded
+     */
+    renderBlock(article) {
+        const active = (article.metadata?.disclaimers || []).filter(record => !record.until);
+        const order = Object.keys(this.library);
+
+        const items = active
+            .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type))
+            .map(record => {
+                const entry = this.library[record.type];
+                const version = this.getVersion(record.type, record.version);
+                if (!version) {
+                    console.warn(`⚠️ Disclaimer ${record.type} v${record.version} is missing from the library`);
+                    return null;
+                }
+
+                const link = entry.link ? ` <a href="${escapeHtml(entry.link.href)}">${escapeHtml(entry.link.text)}</a>.` : '';
+                return `<p class="article-disclaimer" data-disclaimer="${escapeHtml(record.type)}" data-version="${record.version}">` +
+                    `<strong>${escapeHtml(entry.title)}:</strong> ${escapeHtml(version.text)}${link}</p>`;
+            })
+            .filter(Boolean);
+
+        if (items.length === 0) return '';
+
+        return `<aside class="article-disclaimers" aria-label="Disclaimers">
+                ${items.join('\n                ')}
+            </aside>`;
+    }
+}
+
+module.exports = DisclaimerLibrary;
+
+// CLI usage: which disclaimer wording an article carried on a date
+if (require.main === module) {
+    const [command, filePath, date] = process.argv.slice(2);
+
+    if (command !== 'wording' || !filePath) {
+        console.log('Usage: node disclaimer-library.js wording <article.json> [date]');
+        process.exit(1);
+    }
+
+    const article = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const at = date ? new Date(date) : new Date();
+    const wording = new DisclaimerLibrary().getWordingAt(article, at);
+
+    console.log(`📜 Disclaimers on "${article.title}" at ${at.toISOString()}:`);
+    if (wording.length === 0) {
+        console.log('  (none recorded)');
+    }
+    for (const record of wording) {
+        console.log(`  • ${record.title} v${record.version} (since ${record.from})`);
+        console.log(`    ${record.text}`);
+    }
+}
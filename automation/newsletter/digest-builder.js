@@ -0,0 +1,359 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const DigestStore = require('./digest-store');
+const SubscriptionManager = require('./subscription-manager');
+const PublishingCalendar = require('../publisher/publishing-calendar');
+const { createNewsletterProvider } = require('./providers');
+const { generateDigestHTML, generateDigestText, getUnsubscribeUrl } = require('../templates/newsletter-template');
+const { generateArticleUrl } = require('../templates/article-template');
+const { getArticleCategory, getCategorySlug, getCategoryName, getCategoryUrl } = require('../templates/taxonomy');
+
+const BASE_URL = 'https://smartfinancehub.vip';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Newsletter Digest Builder
+ * Builds the weekly digest from settings `newsletter`: the articles
+ * published in the last `lookbackDays`, ranked by quality score and
+ * recency. The top `featuredArticles` (from different categories where
+ * possible) lead the email; the rest follow grouped by category, newest
+ * first. Digests are built as drafts for the next `sendSchedule` day at
+ * `sendTime` (publishing timezone) and sent once approved.
+ */
+class DigestBuilder {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const newsletter = settings.newsletter || {};
+        const curation = newsletter.contentCuration || {};
+
+        this.newsletterSettings = newsletter;
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.store = options.store || new DigestStore({
+            digestsDir: path.join(__dirname, '../..', newsletter.digestsDir || 'content/newsletters')
+        });
+        this.calendar = options.calendar || new PublishingCalendar({ settings });
+        this.provider = options.provider || null;
+        this.subscriptions = options.subscriptions || new SubscriptionManager({ settings });
+
+        this.weeklyDigest = curation.weeklyDigest ?? true;
+        this.featuredCount = curation.featuredArticles || 3;
+        this.perCategory = curation.articlesPerCategory || 2;
+        this.maxArticles = curation.maxArticles || 10;
+        this.personalized = curation.personalizedContent ?? false;
+        this.lookbackDays = newsletter.lookbackDays || 7;
+        this.sendDay = WEEKDAYS.indexOf(String(newsletter.sendSchedule || 'Tuesday').toLowerCase());
+        this.sendTime = newsletter.sendTime || '08:00';
+        this.unsubscribeUrl = newsletter.unsubscribeUrl || `${BASE_URL}/unsubscribe`;
+
+        if (this.sendDay === -1) {
+            throw new Error(`Invalid newsletter.sendSchedule: "${newsletter.sendSchedule}"`);
+        }
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createNewsletterProvider(this.newsletterSettings);
+        }
+        return this.provider;
+    }
+
+    /**
+     * Recipients for providers that send the email themselves (smtp, file):
+     * confirmed subscribers, plus settings `newsletter.recipients` or
+     * NEWSLETTER_RECIPIENTS (comma separated)
+     */
+    async getRecipients() {
+        const configured = (process.env.NEWSLETTER_RECIPIENTS
+            ? process.env.NEWSLETTER_RECIPIENTS.split(',')
+            : this.newsletterSettings.recipients || [])
+            .map(recipient => typeof recipient === 'string' ? { email: recipient.trim() } : recipient)
+            .filter(recipient => recipient.email);
+
+        const subscribers = await this.subscriptions.getRecipients();
+        const subscribed = new Set(subscribers.map(recipient => recipient.email));
+        return [...subscribers, ...configured.filter(recipient => !subscribed.has(recipient.email.toLowerCase()))];
+    }
+
+    /**
+     * Next send day at sendTime after `now`
+     */
+    nextSendTime(now = new Date()) {
+        let dateKey = this.calendar.toDateKey(now);
+        for (let day = 0; day <= 7; day++) {
+            const weekday = new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+            const sendAt = this.calendar.zonedTimeToUtc(dateKey, this.sendTime);
+            if (weekday === this.sendDay && sendAt > now) {
+                return { dateKey, sendAt };
+            }
+            dateKey = this.calendar.addDays(dateKey, 1);
+        }
+        throw new Error('No send day found in the coming week');
+    }
+
+    async loadPublished() {
+        const publishedDir = path.join(this.contentDir, 'published');
+        const articles = [];
+        for (const file of (await fs.readdir(publishedDir)).filter(name => name.endsWith('.json'))) {
+            try {
+                articles.push(JSON.parse(await fs.readFile(path.join(publishedDir, file), 'utf8')));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable article ${file}: ${error.message}`);
+            }
+        }
+        return articles;
+    }
+
+    summarize(article) {
+        const category = getArticleCategory(article);
+        const slug = getCategorySlug(category);
+        const quality = article.metadata?.qualityScore;
+
+        return {
+            id: article.metadata?.id || article.id,
+            title: String(article.title || '').trim().replace(/^"+|"+$/g, ''),
+            excerpt: String(article.metaDescription || '').trim(),
+            url: `${BASE_URL}${generateArticleUrl(article)}`,
+            category: slug,
+            categoryName: getCategoryName(slug),
+            publishedAt: article.metadata?.publishedAt || article.publishDate,
+            qualityScore: (typeof quality === 'object' ? quality?.overall : quality) || 0
+        };
+    }
+
+    /**
+     * The period's articles as { featured, sections }; score is quality,
+     * discounted by up to half for the oldest articles in the period
+     */
+    selectArticles(articles, { from, to }) {
+        const span = to - from;
+        const candidates = articles
+            .map(article => this.summarize(article))
+            .filter(article => {
+                const publishedAt = new Date(article.publishedAt);
+                return publishedAt > from && publishedAt <= to;
+            })
+            .map(article => ({
+                ...article,
+                score: Math.round(article.qualityScore * (1 - 0.5 * (to - new Date(article.publishedAt)) / span) * 10) / 10
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        // Featured: best first, one per category until the categories run out
+        const featured = [];
+        for (const distinct of [true, false]) {
+            for (const article of candidates) {
+                if (featured.length >= this.featuredCount) break;
+                if (featured.includes(article)) continue;
+                if (distinct && featured.some(chosen => chosen.category === article.category)) continue;
+                featured.push(article);
+            }
+        }
+
+        const sections = new Map();
+        let remaining = this.maxArticles - featured.length;
+        for (const article of candidates) {
+            if (remaining <= 0) break;
+            if (featured.includes(article)) continue;
+
+            if (!sections.has(article.category)) {
+                sections.set(article.category, {
+                    slug: article.category,
+                    name: article.categoryName,
+                    url: `${BASE_URL}${getCategoryUrl(article.category)}`,
+                    articles: []
+                });
+            }
+            const section = sections.get(article.category);
+            if (section.articles.length < this.perCategory) {
+                section.articles.push(article);
+                remaining--;
+            }
+        }
+
+        // Sections in order of their best article; newest first within each
+        for (const section of sections.values()) {
+            section.articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+        }
+
+        return { featured, sections: [...sections.values()] };
+    }
+
+    render(digest, recipient = null) {
+        const options = { recipient: this.personalized || !recipient ? recipient : { ...recipient, categories: [] } };
+        return {
+            html: generateDigestHTML(digest, options),
+            text: generateDigestText(digest, options),
+            unsubscribeUrl: getUnsubscribeUrl(digest, recipient)
+        };
+    }
+
+    /**
+     * Build (or rebuild) the draft digest for the next send day. Returns
+     * null when nothing was published in the period.
+     */
+    async build({ now = new Date(), createdBy = 'scheduler' } = {}) {
+        const { dateKey, sendAt } = this.nextSendTime(now);
+        const id = `digest-${dateKey}`;
+        const existing = await this.store.get(id);
+        if (existing && existing.status !== 'draft') {
+            const error = new Error(`Digest ${id} is already ${existing.status}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const period = { from: new Date(now.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000), to: now };
+        // Articles an editor took out stay out when the draft is rebuilt
+        const removedArticleIds = existing?.removedArticleIds || [];
+        const published = (await this.loadPublished())
+            .filter(article => !removedArticleIds.includes(article.metadata?.id || article.id));
+        const { featured, sections } = this.selectArticles(published, period);
+        const articleCount = featured.length + sections.reduce((sum, section) => sum + section.articles.length, 0);
+        if (articleCount === 0) {
+            console.log(`📭 No articles published since ${period.from.toISOString()}, no digest built`);
+            return null;
+        }
+
+        const digest = {
+            id,
+            status: 'draft',
+            scheduledFor: sendAt.toISOString(),
+            period: { from: period.from.toISOString(), to: period.to.toISOString() },
+            subject: existing?.subjectEdited ? existing.subject : `Smart Finance Hub Weekly: ${featured[0].title}`,
+            previewText: existing?.previewTextEdited ? existing.previewText
+                : `${articleCount} ${articleCount === 1 ? 'article' : 'articles'} this week` +
+                    (featured.length > 1 ? `, including "${featured[1].title}"` : ''),
+            intro: existing?.introEdited ? existing.intro
+                : 'Here are the guides our readers found most useful this week, plus the latest from each topic.',
+            subjectEdited: existing?.subjectEdited || false,
+            previewTextEdited: existing?.previewTextEdited || false,
+            introEdited: existing?.introEdited || false,
+            unsubscribeUrl: this.unsubscribeUrl,
+            removedArticleIds,
+            featured,
+            sections,
+            articleCount,
+            createdAt: existing?.createdAt || new Date().toISOString(),
+            createdBy: existing?.createdBy || createdBy,
+            builtAt: new Date().toISOString()
+        };
+        Object.assign(digest, this.render(digest));
+
+        await this.store.save(digest);
+        console.log(`📰 Built digest ${id} with ${articleCount} articles, sending ${digest.scheduledFor}`);
+        return digest;
+    }
+
+    /**
+     * Edit the subject, preview text or intro, or drop articles; the digest
+     * is re-rendered and an approved one goes back to draft
+     */
+    async update(id, changes, { updatedBy }) {
+        const digest = await this.store.require(id);
+        if (!['draft', 'approved', 'failed'].includes(digest.status)) {
+            const error = new Error(`Digest ${id} is ${digest.status} and can no longer be edited`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        for (const field of ['subject', 'previewText', 'intro']) {
+            if (changes[field] === undefined) continue;
+            const value = String(changes[field]).trim();
+            if (!value && field === 'subject') {
+                const error = new Error('subject cannot be empty');
+                error.statusCode = 400;
+                throw error;
+            }
+            digest[field] = value;
+            digest[`${field}Edited`] = true;
+        }
+
+        if (Array.isArray(changes.removeArticleIds)) {
+            const removed = new Set(changes.removeArticleIds);
+            digest.removedArticleIds = [...new Set([...(digest.removedArticleIds || []), ...removed])];
+            digest.featured = digest.featured.filter(article => !removed.has(article.id));
+            digest.sections = digest.sections
+                .map(section => ({ ...section, articles: section.articles.filter(article => !removed.has(article.id)) }))
+                .filter(section => section.articles.length > 0);
+            digest.articleCount = digest.featured.length + digest.sections.reduce((sum, section) => sum + section.articles.length, 0);
+        }
+
+        digest.status = 'draft';
+        digest.updatedAt = new Date().toISOString();
+        digest.updatedBy = updatedBy;
+        Object.assign(digest, this.render(digest));
+        return this.store.save(digest);
+    }
+
+    /**
+     * Approved digests whose send time has arrived
+     */
+    async takeDue(now = new Date()) {
+        const digests = await this.store.list({ statuses: ['approved', 'draft'] });
+        for (const digest of digests.filter(digest => digest.status === 'draft' && new Date(digest.scheduledFor) <= now)) {
+            console.warn(`⚠️ Digest ${digest.id} was due ${digest.scheduledFor} but has not been approved`);
+        }
+        return digests.filter(digest => digest.status === 'approved' && new Date(digest.scheduledFor) <= now);
+    }
+
+    /**
+     * Hand an approved digest to the provider. `attempt` and `maxAttempts`
+     * come from the job; the last failed attempt marks the digest failed.
+     */
+    async send(id, { attempt = 1, maxAttempts = 1, sentBy = 'scheduler' } = {}) {
+        const digest = await this.store.require(id);
+        if (digest.status === 'sent') {
+            return { digestId: id, alreadySent: true };
+        }
+        if (!['approved', 'sending'].includes(digest.status)) {
+            const error = new Error(`Digest ${id} is ${digest.status}; only approved digests are sent`);
+            error.statusCode = 409;
+            error.retryable = false;
+            throw error;
+        }
+
+        const provider = this.getProvider();
+        const recipients = await this.getRecipients();
+        await this.store.setStatus(id, 'sending', { sendAttempts: attempt });
+
+        try {
+            const result = await provider.send({
+                digestId: id,
+                subject: digest.subject,
+                previewText: digest.previewText,
+                html: digest.html,
+                text: digest.text,
+                recipients,
+                render: recipient => this.render(digest, recipient)
+            });
+
+            const delivery = {
+                provider: provider.name,
+                providerId: result.id || null,
+                recipients: result.recipients,
+                failed: result.failed || [],
+                sentAt: new Date().toISOString(),
+                sentBy
+            };
+            await this.store.setStatus(id, 'sent', { delivery, lastError: null });
+            console.log(`📨 Sent digest ${id} via ${provider.describe()}` +
+                `${result.recipients !== null ? ` to ${result.recipients} recipients` : ''}`);
+            return { digestId: id, ...delivery };
+        } catch (error) {
+            const final = error.retryable === false || attempt >= maxAttempts;
+            await this.store.setStatus(id, final ? 'failed' : 'sending', { lastError: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = DigestBuilder;
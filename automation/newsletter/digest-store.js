@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Newsletter Digest Store
+ * Digests (content/newsletters/<id>.json) hold the selected articles, the
+ * rendered HTML and text, and the delivery record. Editors preview and
+ * approve them in the review console; only approved digests are sent.
+ *
+ * Status flow: draft → approved → sending → sent, draft → rejected, and
+ * sending → failed → approved when an editor retries.
+ */
+
+const STATUSES = ['draft', 'approved', 'sending', 'sent', 'failed', 'rejected'];
+
+function httpError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class DigestStore {
+    constructor(options = {}) {
+        this.digestsDir = options.digestsDir || path.join(__dirname, '../../content/newsletters');
+    }
+
+    digestPath(id) {
+        // Digest IDs are used as file names, so keep them path-safe
+        return path.join(this.digestsDir, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.readFile(this.digestPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async require(id) {
+        const digest = await this.get(id);
+        if (!digest) {
+            throw httpError(`Digest ${id} not found`, 404);
+        }
+        return digest;
+    }
+
+    async save(digest) {
+        await fs.mkdir(this.digestsDir, { recursive: true });
+        const filePath = this.digestPath(digest.id);
+        const tmpFile = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(digest, null, 2));
+        await fs.rename(tmpFile, filePath);
+        return digest;
+    }
+
+    /**
+     * Digests newest first, optionally only those with one of `statuses`
+     */
+    async list({ statuses = null } = {}) {
+        let files;
+        try {
+            files = (await fs.readdir(this.digestsDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const digests = [];
+        for (const file of files) {
+            try {
+                digests.push(JSON.parse(await fs.readFile(path.join(this.digestsDir, file), 'utf8')));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable digest ${file}: ${error.message}`);
+            }
+        }
+
+        return digests
+            .filter(digest => !statuses || statuses.includes(digest.status))
+            .sort((a, b) => new Date(b.scheduledFor) - new Date(a.scheduledFor));
+    }
+
+    async setStatus(id, status, fields = {}) {
+        const digest = await this.require(id);
+        digest.status = status;
+        Object.assign(digest, fields);
+        digest.updatedAt = new Date().toISOString();
+        return this.save(digest);
+    }
+
+    /**
+     * Approve a draft, or a failed digest for another try
+     */
+    async approve(id, { approvedBy }) {
+        const digest = await this.require(id);
+        if (!['draft', 'failed'].includes(digest.status)) {
+            throw httpError(`Digest ${id} is ${digest.status}, not awaiting approval`, 409);
+        }
+        return this.setStatus(id, 'approved', { approvedAt: new Date().toISOString(), approvedBy, lastError: null });
+    }
+
+    async reject(id, { rejectedBy, reason = '' }) {
+        const digest = await this.require(id);
+        if (!['draft', 'approved', 'failed'].includes(digest.status)) {
+            throw httpError(`Digest ${id} is ${digest.status} and can no longer be rejected`, 409);
+        }
+        return this.setStatus(id, 'rejected', { rejectedAt: new Date().toISOString(), rejectedBy, rejectionReason: reason });
+    }
+}
+
+DigestStore.STATUSES = STATUSES;
+
+module.exports = DigestStore;
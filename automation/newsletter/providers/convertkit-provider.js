@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+/**
+ * ConvertKit Provider
+ * Sends the digest as a ConvertKit broadcast to the account's subscribers
+ * (CONVERTKIT_API_SECRET). ConvertKit adds its own unsubscribe footer and
+ * only takes the HTML version.
+ */
+class ConvertKitProvider {
+    constructor(options = {}) {
+        this.name = 'convertkit';
+        this.apiUrl = options.apiUrl || 'https://api.convertkit.com/v3';
+        this.apiSecret = options.apiSecret || process.env.CONVERTKIT_API_SECRET;
+        this.emailLayoutTemplate = options.emailLayoutTemplate || null;
+        this.http = options.http || axios;
+    }
+
+    describe() {
+        return 'ConvertKit broadcasts';
+    }
+
+    async send(email) {
+        if (!this.apiSecret) {
+            const error = new Error('convertkit provider needs CONVERTKIT_API_SECRET');
+            error.retryable = false;
+            throw error;
+        }
+
+        try {
+            const response = await this.http.post(`${this.apiUrl}/broadcasts`, {
+                api_secret: this.apiSecret,
+                subject: email.subject,
+                description: `Smart Finance Hub digest ${email.digestId}`,
+                content: email.html,
+                preview_text: email.previewText,
+                public: false,
+                send_at: new Date().toISOString(),
+                ...(this.emailLayoutTemplate && { email_layout_template: this.emailLayoutTemplate })
+            }, { timeout: 20000 });
+
+            return { id: String(response.data?.broadcast?.id || ''), recipients: null };
+        } catch (error) {
+            const status = error.response?.status;
+            const detail = error.response?.data ? JSON.stringify(error.response.data).slice(0, 300) : error.message;
+            const wrapped = new Error(`convertkit ${status ? `HTTP ${status}` : 'request failed'}: ${detail}`);
+            wrapped.retryable = !status || status === 429 || status >= 500;
+            throw wrapped;
+        }
+    }
+}
+
+module.exports = ConvertKitProvider;
@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File Drop Provider
+ * Writes the digest to `outputDir/<digestId>-<time>/` instead of sending it:
+ * digest.html, digest.txt and message.json, plus one rendered copy per
+ * recipient. For testing and for checking a digest in a real mail client.
+ */
+class FileDropProvider {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.outputDir = path.resolve(options.outputDir || 'data/newsletters/outbox');
+    }
+
+    describe() {
+        return `file drop ${this.outputDir}`;
+    }
+
+    async send(email) {
+        const id = `${email.digestId}-${Date.now()}`;
+        const dir = path.join(this.outputDir, id);
+        await fs.mkdir(dir, { recursive: true });
+
+        await fs.writeFile(path.join(dir, 'digest.html'), email.html);
+        await fs.writeFile(path.join(dir, 'digest.txt'), email.text);
+        for (const recipient of email.recipients) {
+            const fileName = recipient.email.replace(/[^a-zA-Z0-9@._-]/g, '_');
+            const message = email.render(recipient);
+            await fs.writeFile(path.join(dir, `${fileName}.html`), message.html);
+            await fs.writeFile(path.join(dir, `${fileName}.txt`), message.text);
+        }
+        await fs.writeFile(path.join(dir, 'message.json'), JSON.stringify({
+            digestId: email.digestId,
+            subject: email.subject,
+            previewText: email.previewText,
+            recipients: email.recipients.map(recipient => recipient.email),
+            writtenAt: new Date().toISOString()
+        }, null, 2));
+
+        console.log(`📨 Newsletter written to ${dir}`);
+        return { id, recipients: email.recipients.length };
+    }
+}
+
+module.exports = FileDropProvider;
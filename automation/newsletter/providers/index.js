@@ -0,0 +1,49 @@
+const path = require('path');
+const ConvertKitProvider = require('./convertkit-provider');
+const SmtpProvider = require('./smtp-provider');
+const FileDropProvider = require('./file-drop-provider');
+
+/**
+ * Newsletter Provider Registry
+ * Builds the email provider selected by `newsletter.integrationPlatform` in
+ * settings.json, with its options from `newsletter.providers.<name>`.
+ * NEWSLETTER_PROVIDER overrides it, e.g. `NEWSLETTER_PROVIDER=file`. Callers
+ * that need a specific provider (confirmation emails) pass `providerName`.
+ *
+ * Every provider has `name`, `describe()` and `send(email) → { id, recipients }`.
+ * `email` holds digestId, subject, previewText, html and text, the
+ * `recipients` ({ email, name, categories }) and `render(recipient)`,
+ * which returns { html, text, unsubscribeUrl } for one recipient.
+ */
+const PROVIDERS = {
+    convertkit: ConvertKitProvider,
+    smtp: SmtpProvider,
+    file: FileDropProvider
+};
+
+const REPO_ROOT = path.join(__dirname, '../../..');
+
+function createNewsletterProvider(newsletterSettings = {}, providerName = null) {
+    providerName = providerName || process.env.NEWSLETTER_PROVIDER || newsletterSettings.integrationPlatform || 'file';
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+        throw new Error(`Unknown newsletter provider "${providerName}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const options = { ...newsletterSettings.providers?.[providerName] };
+    if (providerName === 'file') {
+        options.outputDir = path.isAbsolute(options.outputDir || '') ? options.outputDir
+            : path.join(REPO_ROOT, options.outputDir || 'data/newsletters/outbox');
+    }
+
+    return new Provider(options);
+}
+
+module.exports = {
+    createNewsletterProvider,
+    PROVIDERS,
+    ConvertKitProvider,
+    SmtpProvider,
+    FileDropProvider
+};
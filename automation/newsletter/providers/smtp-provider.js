@@ -0,0 +1,83 @@
+/**
+ * SMTP Provider
+ * Sends the digest to each recipient through any SMTP server with
+ * nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS). Every recipient
+ * gets their own message, rendered for them, with one-click List-Unsubscribe
+ * headers.
+ */
+class SmtpProvider {
+    constructor(options = {}) {
+        this.name = 'smtp';
+        this.host = options.host || process.env.SMTP_HOST;
+        this.port = Number(options.port || process.env.SMTP_PORT || 587);
+        this.secure = options.secure ?? this.port === 465;
+        this.user = options.user || process.env.SMTP_USER;
+        this.pass = options.pass || process.env.SMTP_PASS;
+        this.from = options.from || process.env.NEWSLETTER_FROM;
+        this.transport = options.transport || null;
+    }
+
+    describe() {
+        return `SMTP ${this.host || '(no host)'}:${this.port}`;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            this.transport = nodemailer.createTransport({
+                host: this.host,
+                port: this.port,
+                secure: this.secure,
+                ...(this.user && { auth: { user: this.user, pass: this.pass } })
+            });
+        }
+        return this.transport;
+    }
+
+    async send(email) {
+        if (!this.host || !this.from) {
+            const error = new Error('smtp provider needs SMTP_HOST and a from address (NEWSLETTER_FROM)');
+            error.retryable = false;
+            throw error;
+        }
+        if (email.recipients.length === 0) {
+            const error = new Error('smtp provider has no recipients to send to');
+            error.retryable = false;
+            throw error;
+        }
+
+        const transport = this.getTransport();
+        const failed = [];
+        let lastError = null;
+
+        for (const recipient of email.recipients) {
+            const message = email.render(recipient);
+            try {
+                await transport.sendMail({
+                    from: this.from,
+                    to: recipient.name ? { name: recipient.name, address: recipient.email } : recipient.email,
+                    subject: email.subject,
+                    html: message.html,
+                    text: message.text,
+                    headers: {
+                        'List-Unsubscribe': `<${message.unsubscribeUrl}>`,
+                        // RFC 8058: mail clients unsubscribe with a POST, no page visit
+                        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                    }
+                });
+            } catch (error) {
+                failed.push({ email: recipient.email, error: error.message });
+                lastError = error;
+            }
+        }
+
+        // Nobody got it, so the whole send can be retried safely
+        if (failed.length === email.recipients.length) {
+            throw new Error(`smtp delivery failed for every recipient: ${lastError.message}`);
+        }
+
+        return { id: null, recipients: email.recipients.length - failed.length, failed };
+    }
+}
+
+module.exports = SmtpProvider;
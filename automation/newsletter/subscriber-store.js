@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * Newsletter Subscriber Store
+ * Subscribers live in one JSON file (settings `newsletter.subscriptions.subscribersFile`,
+ * kept out of git). The subscription server and job workers may run in
+ * different processes, so every change holds a lock file next to the list
+ * (`<file>.lock`, like the job store) and is applied to a fresh read of it;
+ * no process overwrites another's change.
+ */
+class SubscriberStore {
+    constructor(options = {}) {
+        this.subscribersFile = options.subscribersFile ||
+            path.join(__dirname, '../../data/subscribers/subscribers.json');
+        this.lockFile = `${this.subscribersFile}.lock`;
+        this.lockTimeoutMs = options.lockTimeoutMs || 10000;
+        this.lockStaleMs = options.lockStaleMs || 30000;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.lock = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.subscribersFile, 'utf8')).subscribers || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async save(subscribers) {
+        await fs.mkdir(path.dirname(this.subscribersFile), { recursive: true });
+        const tmpFile = `${this.subscribersFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ subscribers }, null, 2));
+        await fs.rename(tmpFile, this.subscribersFile);
+    }
+
+    /**
+     * Run `fn(subscribers)` on a fresh read of the list while holding the
+     * lock file, and save the list before releasing it
+     */
+    async update(fn) {
+        const run = this.lock.catch(() => {}).then(async () => {
+            await this.acquireLock();
+            try {
+                const subscribers = await this.load();
+                const result = await fn(subscribers);
+                await this.save(subscribers);
+                return result;
+            } finally {
+                await this.releaseLock();
+            }
+        });
+        this.lock = run;
+        return run;
+    }
+
+    async acquireLock() {
+        await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+        const deadline = Date.now() + this.lockTimeoutMs;
+
+        for (;;) {
+            try {
+                await fs.writeFile(this.lockFile, JSON.stringify({ workerId: this.workerId, at: new Date().toISOString() }), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (await this.removeStaleLock()) continue;
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the subscriber list lock ${this.lockFile}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+
+    async releaseLock() {
+        await fs.unlink(this.lockFile).catch(() => {});
+    }
+
+    /**
+     * Remove a lock left by a process that died, or held far longer than
+     * any change takes
+     */
+    async removeStaleLock() {
+        let content;
+        let stat;
+        try {
+            [content, stat] = await Promise.all([fs.readFile(this.lockFile, 'utf8'), fs.stat(this.lockFile)]);
+        } catch (error) {
+            return error.code === 'ENOENT';
+        }
+
+        let holder = null;
+        try {
+            holder = JSON.parse(content).workerId;
+        } catch (error) {
+            // Half-written: its writer is still creating it, or died doing so
+        }
+        // Changes in this process wait for each other in memory, so a lock
+        // file in its name was left by an earlier process with the same PID
+        const expired = Date.now() - stat.mtimeMs > this.lockStaleMs;
+        if (!expired && holder !== this.workerId && (!holder || this.isWorkerAlive(holder))) return false;
+
+        // Only remove the lock that was judged stale, not a newer one
+        if (await fs.readFile(this.lockFile, 'utf8').catch(() => null) !== content) return false;
+        console.warn(`⚠️ Removing stale subscriber list lock held by ${holder || 'unknown'}`);
+        await fs.unlink(this.lockFile).catch(() => {});
+        return true;
+    }
+
+    /**
+     * Whether the process behind a worker ID still runs; other hosts count as alive
+     */
+    isWorkerAlive(workerId) {
+        const separator = String(workerId).lastIndexOf(':');
+        const host = workerId.slice(0, separator);
+        const pid = Number(workerId.slice(separator + 1));
+        if (host !== os.hostname() || !pid) return true;
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    async findBy(field, value) {
+        if (!value) return null;
+        return (await this.load()).find(subscriber => subscriber[field] === value) || null;
+    }
+
+    async list({ statuses = null } = {}) {
+        return (await this.load()).filter(subscriber => !statuses || statuses.includes(subscriber.status));
+    }
+}
+
+module.exports = SubscriberStore;
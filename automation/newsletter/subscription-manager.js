@@ -0,0 +1,304 @@
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SubscriberStore = require('./subscriber-store');
+const { createNewsletterProvider } = require('./providers');
+const { CATEGORY_NAMES } = require('../templates/taxonomy');
+const { generateConfirmationEmail } = require('../templates/subscription-template');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_CONSENT_TEXT = 'I agree to receive the Smart Finance Hub weekly newsletter and understand I can unsubscribe at any time.';
+const DEFAULT_PUBLIC_URL = 'https://subscribe.smartfinancehub.vip';
+
+function httpError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// The site is static, so the subscription server has its own public address
+function getApiUrl(subscriptions = {}) {
+    const publicUrl = process.env.SUBSCRIPTION_PUBLIC_URL || subscriptions.publicUrl || DEFAULT_PUBLIC_URL;
+    return `${publicUrl.replace(/\/+$/, '')}/api/newsletter`;
+}
+
+/**
+ * Newsletter Subscriptions
+ * Double opt-in: a signup stays `pending` until the subscriber follows the
+ * confirmation link, then becomes `active`; unsubscribing makes it
+ * `unsubscribed`. Every signup, confirmation, preference change and
+ * unsubscribe is appended to the subscriber's `consentLog` with its time, IP
+ * address and user agent, as the GDPR/CCPA consent record.
+ *
+ * Each subscriber has a long-lived `token` for the preference center and
+ * unsubscribe links, and a `confirmToken` that expires after
+ * `confirmationTtlHours`.
+ */
+class SubscriptionManager {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const newsletter = settings.newsletter || {};
+        const subscriptions = newsletter.subscriptions || {};
+
+        this.newsletterSettings = newsletter;
+        this.store = options.store || new SubscriberStore({
+            subscribersFile: path.join(REPO_ROOT, subscriptions.subscribersFile || 'data/subscribers/subscribers.json')
+        });
+        this.mailer = options.mailer || null;
+        this.confirmationProvider = process.env.NEWSLETTER_CONFIRMATION_PROVIDER || subscriptions.confirmationProvider || 'smtp';
+        this.apiUrl = getApiUrl(subscriptions);
+        this.confirmationTtlMs = (subscriptions.confirmationTtlHours || 48) * 60 * 60 * 1000;
+        this.resendAfterMs = (subscriptions.resendAfterMinutes ?? 10) * 60 * 1000;
+        this.consentText = subscriptions.consentText || DEFAULT_CONSENT_TEXT;
+        this.privacyPolicyUrl = subscriptions.privacyPolicyUrl || 'https://smartfinancehub.vip/privacy.html';
+        this.categories = CATEGORY_NAMES;
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Absolute base URL of the subscription API, which the site's signup
+     * forms post to
+     */
+    static getApiUrl(settings = SubscriptionManager.prototype.loadSettings()) {
+        return getApiUrl(settings.newsletter?.subscriptions);
+    }
+
+    /**
+     * Confirmation emails go to one person, so they need a provider that
+     * sends individual messages (smtp or file), not ConvertKit broadcasts
+     */
+    getMailer() {
+        if (!this.mailer) {
+            if (this.confirmationProvider === 'convertkit') {
+                throw new Error('newsletter.subscriptions.confirmationProvider must be smtp or file; ConvertKit only sends broadcasts');
+            }
+            this.mailer = createNewsletterProvider(this.newsletterSettings, this.confirmationProvider);
+        }
+        return this.mailer;
+    }
+
+    links(subscriber) {
+        return {
+            confirmUrl: subscriber.confirmToken ? `${this.apiUrl}/confirm?token=${subscriber.confirmToken}` : null,
+            preferencesUrl: `${this.apiUrl}/preferences?token=${subscriber.token}`,
+            unsubscribeUrl: `${this.apiUrl}/unsubscribe?token=${subscriber.token}`
+        };
+    }
+
+    normalizeEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(normalized) || normalized.length > 254) {
+            throw httpError('Please enter a valid email address');
+        }
+        return normalized;
+    }
+
+    normalizeCategories(categories) {
+        const list = (Array.isArray(categories) ? categories : [categories]).filter(Boolean).map(String);
+        const unknown = list.filter(slug => !this.categories[slug]);
+        if (unknown.length > 0) {
+            throw httpError(`Unknown categories: ${unknown.join(', ')} - expected ${Object.keys(this.categories).join(', ')}`);
+        }
+        return [...new Set(list)];
+    }
+
+    recordConsent(subscriber, event, meta = {}) {
+        subscriber.consentLog = subscriber.consentLog || [];
+        subscriber.consentLog.push({
+            event,
+            at: new Date().toISOString(),
+            ip: meta.ip || null,
+            userAgent: meta.userAgent || null,
+            ...(meta.source && { source: meta.source }),
+            ...(meta.details && { details: meta.details })
+        });
+        subscriber.updatedAt = new Date().toISOString();
+    }
+
+    newToken() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * Sign up (or sign up again) and send the confirmation email. The answer
+     * is the same whether or not the address is already subscribed, so the
+     * form can't be used to find out who is on the list.
+     */
+    async subscribe({ email, name = '', categories = [], source = 'website', consent = false }, meta = {}) {
+        if (consent !== true && consent !== 'true' && consent !== 'on') {
+            throw httpError('Please agree to receive the newsletter to subscribe');
+        }
+        const address = this.normalizeEmail(email);
+        const interests = this.normalizeCategories(categories);
+        const now = new Date();
+
+        const { subscriber, sendConfirmation } = await this.store.update(subscribers => {
+            let subscriber = subscribers.find(existing => existing.email === address);
+            if (subscriber?.status === 'active') {
+                return { subscriber, sendConfirmation: false };
+            }
+
+            if (!subscriber) {
+                subscriber = {
+                    id: `sub_${crypto.randomBytes(8).toString('hex')}`,
+                    email: address,
+                    createdAt: now.toISOString(),
+                    token: this.newToken()
+                };
+                subscribers.push(subscriber);
+            }
+
+            const expired = !subscriber.confirmToken || new Date(subscriber.confirmExpiresAt) <= now;
+            Object.assign(subscriber, {
+                status: 'pending',
+                name: String(name || subscriber.name || '').trim().slice(0, 100),
+                source: String(source || 'website').slice(0, 50),
+                categories: interests.length > 0 ? interests : subscriber.categories || [],
+                confirmToken: expired ? this.newToken() : subscriber.confirmToken,
+                confirmExpiresAt: expired ? new Date(now.getTime() + this.confirmationTtlMs).toISOString() : subscriber.confirmExpiresAt
+            });
+            this.recordConsent(subscriber, 'signup', {
+                ...meta,
+                source: subscriber.source,
+                details: { consentText: this.consentText, privacyPolicyUrl: this.privacyPolicyUrl }
+            });
+
+            // Repeat signups within resendAfterMinutes don't send another email,
+            // unless the link in the last one no longer works
+            const lastSent = subscriber.confirmationSentAt ? new Date(subscriber.confirmationSentAt).getTime() : 0;
+            return {
+                subscriber: { ...subscriber },
+                sendConfirmation: expired || now.getTime() - lastSent >= this.resendAfterMs
+            };
+        });
+
+        if (sendConfirmation) {
+            await this.sendConfirmation(subscriber);
+            console.log(`📧 Confirmation sent to new ${subscriber.source} subscriber ${subscriber.id}`);
+        }
+
+        return { subscriberId: subscriber.id, status: subscriber.status };
+    }
+
+    async sendConfirmation(subscriber) {
+        const links = this.links(subscriber);
+        const message = generateConfirmationEmail(subscriber, { ...links, expiresAt: subscriber.confirmExpiresAt });
+
+        try {
+            await this.getMailer().send({
+                digestId: `confirm-${subscriber.id}`,
+                subject: message.subject,
+                previewText: message.previewText,
+                html: message.html,
+                text: message.text,
+                recipients: [{ email: subscriber.email, name: subscriber.name }],
+                render: () => ({ html: message.html, text: message.text, unsubscribeUrl: links.unsubscribeUrl })
+            });
+        } catch (error) {
+            console.error(`❌ Confirmation email to ${subscriber.id} failed: ${error.message}`);
+            throw httpError('We could not send the confirmation email right now. Please try again later.', 502);
+        }
+
+        await this.updateSubscriber(subscriber.id, 'id', current => {
+            current.confirmationSentAt = new Date().toISOString();
+        });
+    }
+
+    /**
+     * Change one subscriber, found by `field` (id, token or confirmToken)
+     */
+    async updateSubscriber(value, field, fn) {
+        return this.store.update(async subscribers => {
+            const subscriber = value ? subscribers.find(existing => existing[field] === value) : null;
+            if (!subscriber) {
+                throw httpError(field === 'confirmToken'
+                    ? 'This confirmation link is invalid or has already been used'
+                    : 'This link is invalid', 404);
+            }
+            await fn(subscriber);
+            return { ...subscriber };
+        });
+    }
+
+    async confirm(confirmToken, meta = {}) {
+        return this.updateSubscriber(confirmToken, 'confirmToken', subscriber => {
+            if (new Date(subscriber.confirmExpiresAt) <= new Date()) {
+                throw httpError('This confirmation link has expired. Please sign up again to get a new one.', 410);
+            }
+            subscriber.status = 'active';
+            subscriber.confirmedAt = new Date().toISOString();
+            subscriber.confirmToken = null;
+            subscriber.confirmExpiresAt = null;
+            this.recordConsent(subscriber, 'confirm', meta);
+        });
+    }
+
+    async getByToken(token) {
+        const subscriber = await this.store.findBy('token', token);
+        if (!subscriber) {
+            throw httpError('This link is invalid', 404);
+        }
+        return subscriber;
+    }
+
+    async updatePreferences(token, { categories = [], name }, meta = {}) {
+        const interests = this.normalizeCategories(categories);
+        return this.updateSubscriber(token, 'token', subscriber => {
+            if (subscriber.status !== 'active') {
+                throw httpError('Only active subscriptions have preferences; sign up again to resubscribe', 409);
+            }
+            subscriber.categories = interests;
+            if (name !== undefined) subscriber.name = String(name).trim().slice(0, 100);
+            this.recordConsent(subscriber, 'preferences', { ...meta, details: { categories: interests } });
+        });
+    }
+
+    /**
+     * Withdraw consent; repeating it is harmless
+     */
+    async unsubscribe(token, meta = {}) {
+        return this.updateSubscriber(token, 'token', subscriber => {
+            if (subscriber.status === 'unsubscribed') return;
+            subscriber.status = 'unsubscribed';
+            subscriber.unsubscribedAt = new Date().toISOString();
+            subscriber.confirmToken = null;
+            subscriber.confirmExpiresAt = null;
+            this.recordConsent(subscriber, 'unsubscribe', meta);
+        });
+    }
+
+    /**
+     * Active subscribers as newsletter recipients, with their own links
+     */
+    async getRecipients() {
+        return (await this.store.list({ statuses: ['active'] })).map(subscriber => {
+            const { preferencesUrl, unsubscribeUrl } = this.links(subscriber);
+            return {
+                email: subscriber.email,
+                name: subscriber.name,
+                categories: subscriber.categories || [],
+                preferencesUrl,
+                unsubscribeUrl
+            };
+        });
+    }
+
+    async stats() {
+        const counts = { pending: 0, active: 0, unsubscribed: 0 };
+        for (const subscriber of await this.store.list()) {
+            counts[subscriber.status] = (counts[subscriber.status] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+module.exports = SubscriptionManager;
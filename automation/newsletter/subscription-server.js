@@ -0,0 +1,212 @@
+const express = require('express');
+const cors = require('cors');
+const SubscriptionManager = require('./subscription-manager');
+const {
+    generateMessagePage,
+    generatePreferencesPage,
+    generateUnsubscribePage
+} = require('../templates/subscription-template');
+
+const SIGNUP_MESSAGE = 'Almost done! Check your inbox for a confirmation link to finish subscribing.';
+
+/**
+ * Newsletter Subscription Server
+ * The public signup endpoint for the site's newsletter forms, plus the
+ * confirmation, preference center and unsubscribe pages linked from emails.
+ * Runs apart from the review console, which needs a login.
+ *
+ * POST /api/newsletter/subscribe answers JSON for the site's script and an
+ * HTML page for plain form posts.
+ */
+class SubscriptionServer {
+    constructor(options = {}) {
+        this.subscriptions = options.subscriptions || new SubscriptionManager();
+        const settings = this.subscriptions.newsletterSettings.subscriptions || {};
+
+        this.port = options.port || process.env.SUBSCRIPTION_PORT || settings.port || 3100;
+        this.allowedOrigins = settings.allowedOrigins || ['https://smartfinancehub.vip'];
+        this.signupLimit = settings.signupsPerHourPerIp || 10;
+        this.signups = new Map();
+        this.lastPrune = Date.now();
+
+        this.app = express();
+        // Off by default: a trusted X-Forwarded-For sets req.ip, which the rate
+        // limit and consent log use. Set `trustProxy` to the number of proxies
+        // in front of the server.
+        this.app.set('trust proxy', settings.trustProxy ?? false);
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        this.app.use('/api/newsletter/subscribe', cors({ origin: this.allowedOrigins, methods: ['POST'] }));
+        this.app.use(express.json({ limit: '10kb' }));
+        this.app.use(express.urlencoded({ extended: false, limit: '10kb' }));
+    }
+
+    setupRoutes() {
+        const base = '/api/newsletter';
+        this.app.post(`${base}/subscribe`, this.subscribe.bind(this));
+        this.app.get(`${base}/confirm`, this.confirm.bind(this));
+        this.app.get(`${base}/preferences`, this.showPreferences.bind(this));
+        this.app.post(`${base}/preferences`, this.savePreferences.bind(this));
+        this.app.get(`${base}/unsubscribe`, this.showUnsubscribe.bind(this));
+        this.app.post(`${base}/unsubscribe`, this.unsubscribe.bind(this));
+        this.app.get(`${base}/health`, (req, res) => res.json({ success: true, status: 'ok' }));
+    }
+
+    requestMeta(req) {
+        return { ip: req.ip, userAgent: String(req.get('user-agent') || '').slice(0, 300) };
+    }
+
+    wantsHtml(req) {
+        return req.is('application/x-www-form-urlencoded') && req.accepts(['json', 'html']) === 'html';
+    }
+
+    /**
+     * At most `signupsPerHourPerIp` signups per address per hour
+     */
+    isRateLimited(ip) {
+        const now = Date.now();
+        const hourAgo = now - 60 * 60 * 1000;
+
+        // Forget addresses without a signup in the last hour
+        if (now - this.lastPrune >= 60 * 1000) {
+            for (const [address, times] of this.signups) {
+                if (times[times.length - 1] <= hourAgo) this.signups.delete(address);
+            }
+            this.lastPrune = now;
+        }
+
+        const recent = (this.signups.get(ip) || []).filter(time => time > hourAgo);
+        recent.push(now);
+        this.signups.set(ip, recent);
+        return recent.length > this.signupLimit;
+    }
+
+    async subscribe(req, res) {
+        const respond = (status, success, message) => this.wantsHtml(req)
+            ? res.status(status).send(generateMessagePage(success ? 'Check your inbox' : 'Subscription failed', message, { error: !success }))
+            : res.status(status).json(success ? { success, message } : { success, error: message });
+
+        try {
+            // Bots fill in the hidden `website` field; tell them it worked
+            if (req.body.website) {
+                return respond(202, true, SIGNUP_MESSAGE);
+            }
+            if (this.isRateLimited(req.ip)) {
+                return respond(429, false, 'Too many signups from your network. Please try again later.');
+            }
+
+            const { email, name, categories, source, consent } = req.body;
+            await this.subscriptions.subscribe({ email, name, categories, source, consent }, this.requestMeta(req));
+            respond(202, true, SIGNUP_MESSAGE);
+        } catch (error) {
+            respond(error.statusCode || 500, false, error.statusCode ? error.message : 'Something went wrong. Please try again.');
+        }
+    }
+
+    async confirm(req, res) {
+        try {
+            const subscriber = await this.subscriptions.confirm(String(req.query.token || ''), this.requestMeta(req));
+            const { preferencesUrl } = this.subscriptions.links(subscriber);
+            res.send(generateMessagePage('You’re subscribed!',
+                `Thanks for confirming. The weekly digest arrives every ${this.subscriptions.newsletterSettings.sendSchedule || 'Tuesday'} morning.`,
+                { link: { url: preferencesUrl, label: 'Choose the topics you want to hear about →' } }));
+        } catch (error) {
+            res.status(error.statusCode || 500).send(generateMessagePage('Confirmation failed', error.message, { error: true }));
+        }
+    }
+
+    async showPreferences(req, res) {
+        try {
+            const subscriber = await this.subscriptions.getByToken(String(req.query.token || ''));
+            res.send(this.renderPreferences(subscriber));
+        } catch (error) {
+            res.status(error.statusCode || 500).send(generateMessagePage('Preferences', error.message, { error: true }));
+        }
+    }
+
+    async savePreferences(req, res) {
+        try {
+            const { token, categories, name } = req.body;
+            const subscriber = await this.subscriptions.updatePreferences(String(token || ''), { categories, name }, this.requestMeta(req));
+            res.send(this.renderPreferences(subscriber, { saved: true }));
+        } catch (error) {
+            res.status(error.statusCode || 500).send(generateMessagePage('Preferences', error.message, { error: true }));
+        }
+    }
+
+    renderPreferences(subscriber, { saved = false } = {}) {
+        if (subscriber.status !== 'active') {
+            return generateMessagePage('Preferences', subscriber.status === 'pending'
+                ? 'Please confirm your subscription first, using the link in the email we sent you.'
+                : 'You are unsubscribed. Sign up again on smartfinancehub.vip to get the newsletter.');
+        }
+        return generatePreferencesPage(subscriber, {
+            categories: this.subscriptions.categories,
+            actionUrl: '/api/newsletter/preferences',
+            unsubscribeUrl: this.subscriptions.links(subscriber).unsubscribeUrl,
+            saved
+        });
+    }
+
+    async showUnsubscribe(req, res) {
+        try {
+            const subscriber = await this.subscriptions.getByToken(String(req.query.token || ''));
+            if (subscriber.status === 'unsubscribed') {
+                return res.send(generateMessagePage('Unsubscribed', `${subscriber.email} is already unsubscribed.`));
+            }
+            res.send(generateUnsubscribePage(subscriber, { actionUrl: '/api/newsletter/unsubscribe' }));
+        } catch (error) {
+            res.status(error.statusCode || 500).send(generateMessagePage('Unsubscribe', error.message, { error: true }));
+        }
+    }
+
+    /**
+     * The unsubscribe page's button, and RFC 8058 one-click unsubscribe from
+     * mail clients (POST to the List-Unsubscribe URL, token in the query)
+     */
+    async unsubscribe(req, res) {
+        try {
+            const token = String(req.body.token || req.query.token || '');
+            const subscriber = await this.subscriptions.unsubscribe(token, this.requestMeta(req));
+            console.log(`👋 Subscriber ${subscriber.id} unsubscribed`);
+            res.send(generateMessagePage('Unsubscribed',
+                `${subscriber.email} won't get the Smart Finance Hub newsletter any more. Sorry to see you go!`));
+        } catch (error) {
+            res.status(error.statusCode || 500).send(generateMessagePage('Unsubscribe', error.message, { error: true }));
+        }
+    }
+
+    async start(port = this.port) {
+        this.port = port;
+        await new Promise(resolve => {
+            this.server = this.app.listen(this.port, () => {
+                console.log(`📬 Newsletter subscription server running on http://localhost:${this.port}/api/newsletter`);
+                resolve();
+            });
+        });
+    }
+
+    async shutdown() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+    }
+}
+
+module.exports = SubscriptionServer;
+
+if (require.main === module) {
+    const server = new SubscriptionServer();
+    server.start().catch(error => {
+        console.error('❌ Failed to start subscription server:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await server.shutdown();
+        process.exit(0);
+    });
+}
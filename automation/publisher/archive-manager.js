@@ -1,17 +1,13 @@
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
 const SitemapUpdater = require('./sitemap-updater');
+const IndexNowSubmitter = require('./indexnow');
+const { createDeployTarget } = require('./targets');
 require('dotenv').config();
 
 class ArchiveManager {
     constructor(options = {}) {
-        this.octokit = new Octokit({
-            auth: process.env.GITHUB_TOKEN
-        });
-        
-        this.repoOwner = options.repoOwner || 'gabiffk-gif';
-        this.repoName = options.repoName || 'smart-finance-hub';
+        this.deployTarget = options.deployTarget || createDeployTarget();
         this.baseUrl = options.baseUrl || 'https://smartfinancehub.vip';
         this.contentDir = options.contentDir || path.join(__dirname, '../../content');
         
@@ -19,8 +15,11 @@ class ArchiveManager {
         this.archiveAfterDays = options.archiveAfterDays || 365; // 1 year
         this.redirectExpiryDays = options.redirectExpiryDays || 730; // 2 years
         
-        // Sitemap updater instance
-        this.sitemapUpdater = new SitemapUpdater(options);
+        // Sitemap updater instance, deploying to the same target
+        this.sitemapUpdater = new SitemapUpdater({ ...options, deployTarget: this.deployTarget });
+        
+        // Moved pages are submitted to IndexNow by the submit-indexnow job
+        this.indexNow = options.indexNow || new IndexNowSubmitter({ baseUrl: this.baseUrl });
         
         // Internal state
         this.archivedArticles = [];
@@ -78,11 +77,23 @@ class ArchiveManager {
             // Step 5: Update redirects file
             await this.updateRedirectsFile();
             
+            // Deploy the moved pages, updated links and redirects as one batch
+            await this.deployTarget.commit(`Archive ${this.archivedArticles.length} articles`);
+            
             // Step 6: Update sitemap
-            await this.sitemapUpdater.updateSitemap({ pingSearchEngines: true });
+            await this.sitemapUpdater.updateSitemap();
+            
+            // Tell search engines the old URLs now redirect to the archive
+            if (this.archivedArticles.length > 0) {
+                await this.indexNow.queue(this.archivedArticles.flatMap(article => [article.oldUrl, article.newUrl]), {
+                    reason: 'archive',
+                    requestedBy: 'archive-manager'
+                });
+            }
             
             // Step 7: Clean up old redirects
             await this.cleanupOldRedirects();
+            await this.deployTarget.commit('Clean up expired archive redirects');
             
             const processingTime = Date.now() - startTime;
             
@@ -209,22 +220,13 @@ class ArchiveManager {
     }
 
     /**
-     * Create archive directory structure in GitHub
+     * Create archive directory structure on the deploy target
      */
     async ensureArchiveStructure() {
         try {
-            // Check if archive directory exists
-            try {
-                await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: 'archive'
-                });
-                // Directory exists
-            } catch (error) {
-                if (error.status === 404) {
-                    // Create archive directory with README
-                    const readmeContent = `# Archived Articles
+            // The archive README marks an existing archive directory
+            if (!(await this.deployTarget.exists('archive/README.md'))) {
+                const readmeContent = `# Archived Articles
 
 This directory contains articles that have been archived due to age or relevance.
 
@@ -238,23 +240,14 @@ This directory contains articles that have been archived due to age or relevance
 ## Structure
 
 Articles are organized by original publication date:
-- \\`YYYY/MM/article-slug.html\\`
+- \`YYYY/MM/article-slug.html\`
 
 Last updated: ${new Date().toISOString().split('T')[0]}
 `;
-                    
-                    await this.octokit.rest.repos.createOrUpdateFileContents({
-                        owner: this.repoOwner,
-                        repo: this.repoName,
-                        path: 'archive/README.md',
-                        message: 'Create archive directory structure',
-                        content: Buffer.from(readmeContent).toString('base64')
-                    });
-                    
-                    console.log('✅ Created archive directory structure');
-                } else {
-                    throw error;
-                }
+                
+                await this.deployTarget.writeFile('archive/README.md', readmeContent, 'Create archive directory structure');
+                
+                console.log('✅ Created archive directory structure');
             }
         } catch (error) {
             console.error('❌ Error ensuring archive structure:', error);
@@ -277,20 +270,14 @@ Last updated: ${new Date().toISOString().split('T')[0]}
             const newPath = `archive/${year}/${month}/${article.metadata.slug}.html`;
             const newUrl = `${this.baseUrl}/${newPath}`;
             
-            // Get current article content from GitHub
-            const currentContent = await this.getArticleContentFromGitHub(oldPath);
+            // Get current article content from the deploy target
+            const currentContent = await this.getArticleContent(oldPath);
             
             // Update article content with archive notice
             const archivedContent = this.addArchiveNotice(currentContent, article);
             
             // Create archived version
-            await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: newPath,
-                message: `Archive article: ${article.title}`,
-                content: Buffer.from(archivedContent).toString('base64')
-            });
+            await this.deployTarget.writeFile(newPath, archivedContent, `Archive article: ${article.title}`);
             
             // Delete original file (if not in dry-run mode)
             if (!options.dryRun) {
@@ -381,45 +368,24 @@ Last updated: ${new Date().toISOString().split('T')[0]}
     }
 
     /**
-     * Get article content from GitHub
+     * Get article content from the deploy target
      */
-    async getArticleContentFromGitHub(filePath) {
-        try {
-            const response = await this.octokit.rest.repos.getContent({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath
-            });
-            
-            return Buffer.from(response.data.content, 'base64').toString();
-            
-        } catch (error) {
-            console.error(`❌ Error getting content for ${filePath}:`, error);
+    async getArticleContent(filePath) {
+        const content = await this.deployTarget.readFile(filePath);
+        if (content === null) {
+            const error = new Error(`${filePath} not found on ${this.deployTarget.describe()}`);
+            console.error(`❌ Error getting content for ${filePath}:`, error.message);
             throw error;
         }
+        return content;
     }
 
     /**
-     * Delete original article from GitHub
+     * Delete original article from the deploy target
      */
     async deleteOriginalArticle(filePath) {
         try {
-            // Get current file to get SHA
-            const response = await this.octokit.rest.repos.getContent({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath
-            });
-            
-            // Delete file
-            await this.octokit.rest.repos.deleteFile({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath,
-                message: `Archive: Remove original file ${filePath}`,
-                sha: response.data.sha
-            });
-            
+            await this.deployTarget.deleteFile(filePath, `Archive: Remove original file ${filePath}`);
         } catch (error) {
             console.error(`❌ Error deleting original file ${filePath}:`, error);
             throw error;
@@ -535,13 +501,8 @@ Last updated: ${new Date().toISOString().split('T')[0]}
     async updateHomepageLinks() {
         try {
             // Get homepage content
-            const homepage = await this.octokit.rest.repos.getContent({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: 'index.html'
-            });
-            
-            let content = Buffer.from(homepage.data.content, 'base64').toString();
+            let content = await this.deployTarget.readFile('index.html');
+            if (content === null) return 0;
             let updates = 0;
             
             // Update links to archived articles
@@ -567,16 +528,9 @@ Last updated: ${new Date().toISOString().split('T')[0]}
                 }
             }
             
-            // Commit updated homepage
+            // Write updated homepage
             if (updates > 0) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: 'index.html',
-                    message: 'Update homepage links for archived articles',
-                    content: Buffer.from(content).toString('base64'),
-                    sha: homepage.data.sha
-                });
+                await this.deployTarget.writeFile('index.html', content, 'Update homepage links for archived articles');
             }
             
             return updates;
@@ -596,25 +550,8 @@ Last updated: ${new Date().toISOString().split('T')[0]}
             
             console.log('🔀 Updating redirects file...');
             
-            let redirectsContent = '';
-            let redirectsSha;
-            
-            // Try to get existing redirects file
-            try {
-                const existing = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: '_redirects'
-                });
-                
-                redirectsContent = Buffer.from(existing.data.content, 'base64').toString();
-                redirectsSha = existing.data.sha;
-            } catch (error) {
-                if (error.status !== 404) {
-                    throw error;
-                }
-                // File doesn't exist, start fresh
-            }
+            // Existing redirects file, or start fresh
+            let redirectsContent = await this.deployTarget.readFile('_redirects') || '';
             
             // Add header if new file
             if (!redirectsContent) {
@@ -630,17 +567,14 @@ Last updated: ${new Date().toISOString().split('T')[0]}
                 `/${redirect.from} /${redirect.to} ${redirect.status} # archived ${redirect.createdAt.split('T')[0]}`
             );
             
-            redirectsContent += newRedirectLines.join('\\n') + '\\n';
+            redirectsContent += newRedirectLines.join('\n') + '\n';
             
-            // Commit updated redirects file
-            await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: '_redirects',
-                message: `Add redirects for ${this.createdRedirects.length} archived articles`,
-                content: Buffer.from(redirectsContent).toString('base64'),
-                sha: redirectsSha
-            });
+            // Write updated redirects file
+            await this.deployTarget.writeFile(
+                '_redirects',
+                redirectsContent,
+                `Add redirects for ${this.createdRedirects.length} archived articles`
+            );
             
             console.log(`✅ Added ${this.createdRedirects.length} redirects to _redirects file`);
             
@@ -658,22 +592,12 @@ Last updated: ${new Date().toISOString().split('T')[0]}
             console.log('🧹 Cleaning up old redirects...');
             
             // Get current redirects file
-            let redirectsFile;
-            try {
-                redirectsFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: '_redirects'
-                });
-            } catch (error) {
-                if (error.status === 404) {
-                    return; // No redirects file exists
-                }
-                throw error;
+            const content = await this.deployTarget.readFile('_redirects');
+            if (content === null) {
+                return; // No redirects file exists
             }
-            
-            const content = Buffer.from(redirectsFile.data.content, 'base64').toString();
-            const lines = content.split('\\n');
+
+            const lines = content.split('\n');
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - this.redirectExpiryDays);
             
@@ -681,7 +605,7 @@ Last updated: ${new Date().toISOString().split('T')[0]}
             const validLines = lines.filter(line => {
                 if (!line.includes('# archived')) return true;
                 
-                const dateMatch = line.match(/# archived (\\d{4}-\\d{2}-\\d{2})/);
+                const dateMatch = line.match(/# archived (\d{4}-\d{2}-\d{2})/);
                 if (!dateMatch) return true;
                 
                 const redirectDate = new Date(dateMatch[1]);
@@ -691,16 +615,9 @@ Last updated: ${new Date().toISOString().split('T')[0]}
             const removedCount = lines.length - validLines.length;
             
             if (removedCount > 0) {
-                const newContent = validLines.join('\\n');
+                const newContent = validLines.join('\n');
                 
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: '_redirects',
-                    message: `Clean up ${removedCount} expired redirects`,
-                    content: Buffer.from(newContent).toString('base64'),
-                    sha: redirectsFile.data.sha
-                });
+                await this.deployTarget.writeFile('_redirects', newContent, `Clean up ${removedCount} expired redirects`);
                 
                 console.log(`🗑️ Removed ${removedCount} expired redirects`);
             } else {
@@ -761,21 +678,21 @@ Last updated: ${new Date().toISOString().split('T')[0]}
     }
 
     extractPathFromUrl(url) {
-        return url.replace(this.baseUrl + '/', '').replace(/^\\//, '');
+        return url.replace(this.baseUrl + '/', '').replace(/^\//, '');
     }
 
     generateSlug(title) {
         return title
             .toLowerCase()
-            .replace(/[^a-z0-9\\s-]/g, '')
-            .replace(/\\s+/g, '-')
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '-')
             .replace(/-+/g, '-')
             .replace(/^-+|-+$/g, '')
             .substring(0, 60);
     }
 
     escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
     /**
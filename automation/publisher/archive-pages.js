@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { generateArchiveHTML, generateCategoryIndexHTML, getArchivePageUrl } = require('../templates/archive-template');
+const { groupByCategory, groupByTag } = require('../templates/taxonomy');
+
+/**
+ * Archive Pages
+ * Splits published articles (newest first) into paginated category and tag
+ * archives under /category/<name>/ and /tag/<keyword>/. Used by the site
+ * build, the publisher and the sitemap.
+ */
+
+function loadSettings() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, '../config/settings.json'), 'utf8')).archives || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getArchiveOptions(options = {}) {
+    const settings = loadSettings();
+    return {
+        pageSize: options.pageSize || settings.pageSize || 10
+    };
+}
+
+function toFilePath(url) {
+    return `${url.replace(/^\/+/, '')}index.html`;
+}
+
+function paginate(archive, pageSize) {
+    const totalPages = Math.max(1, Math.ceil(archive.articles.length / pageSize));
+    const pages = [];
+
+    for (let number = 1; number <= totalPages; number++) {
+        const url = getArchivePageUrl(archive.type, archive.slug, number);
+        pages.push({
+            number,
+            totalPages,
+            articles: archive.articles.slice((number - 1) * pageSize, number * pageSize),
+            url,
+            filePath: toFilePath(url)
+        });
+    }
+
+    return { ...archive, pages };
+}
+
+/**
+ * Category archives (sorted by slug) followed by tag archives (sorted by slug)
+ */
+function buildArchives(articles, options = {}) {
+    const { pageSize } = getArchiveOptions(options);
+
+    const categories = [...groupByCategory(articles).values()]
+        .sort((a, b) => a.slug.localeCompare(b.slug))
+        .map(group => paginate({ type: 'category', ...group }, pageSize));
+
+    const tags = [...groupByTag(articles).values()]
+        .sort((a, b) => a.slug.localeCompare(b.slug))
+        .map(group => paginate({ type: 'tag', ...group }, pageSize));
+
+    return { categories, tags };
+}
+
+/**
+ * Every archive page as path -> HTML, including the /category/ index
+ */
+function renderArchivePages(articles, options = {}) {
+    const { categories, tags } = buildArchives(articles, options);
+    const files = new Map();
+
+    if (categories.length > 0) {
+        files.set('category/index.html', generateCategoryIndexHTML(categories));
+    }
+
+    for (const archive of [...categories, ...tags]) {
+        for (const page of archive.pages) {
+            files.set(page.filePath, generateArchiveHTML(archive, page, { categories }));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Sitemap entries for every archive page. An archive's pages all change
+ * when one of its articles is added or updated, so they share the latest of
+ * those dates.
+ */
+function getArchiveUrls(articles, options = {}) {
+    const { categories, tags } = buildArchives(articles, options);
+    const urls = [];
+
+    const lastmodOf = archive => archive.articles.map(article => {
+        const metadata = article.metadata || {};
+        return new Date(metadata.updatedAt || metadata.publishedAt || metadata.createdAt).toISOString().split('T')[0];
+    }).sort().pop();
+
+    if (categories.length > 0) {
+        urls.push({ url: 'category/', lastmod: categories.map(lastmodOf).sort().pop(), type: 'index' });
+    }
+
+    for (const archive of [...categories, ...tags]) {
+        const lastmod = lastmodOf(archive);
+        for (const page of archive.pages) {
+            urls.push({ url: page.url.replace(/^\/+/, ''), lastmod, type: archive.type, page: page.number });
+        }
+    }
+
+    return urls;
+}
+
+function isArchivePath(filePath) {
+    return filePath.startsWith('category/') || filePath.startsWith('tag/');
+}
+
+module.exports = {
+    buildArchives,
+    renderArchivePages,
+    getArchiveUrls,
+    isArchivePath
+};
@@ -1,70 +1,129 @@
-const { Octokit } = require('@octokit/rest');
-const cron = require('node-cron');
 const fs = require('fs').promises;
 const path = require('path');
 const ContentGenerator = require('../content-generator/generator');
-const { generateArticleHTML } = require('../templates/article-template');
+const { generateArticleHTML, generateArticleUrl } = require('../templates/article-template');
+const PublishingCalendar = require('./publishing-calendar');
+const SocialDispatcher = require('./social-dispatcher');
+const SiteBuilder = require('./site-builder');
+const SitemapUpdater = require('./sitemap-updater');
+const { isArchivePath } = require('./archive-pages');
+const { SEARCH_INDEX_PATH } = require('./search-index');
+const { isFeedPath } = require('./feeds');
+const IndexNowSubmitter = require('./indexnow');
+const { createDeployTarget } = require('./targets');
+const DisclaimerLibrary = require('../monitoring/disclaimer-library');
+const ContentRepository = require('../review-console/content-repository');
 require('dotenv').config();
 
 class Publisher {
-    constructor() {
-        this.octokit = new Octokit({
-            auth: process.env.GITHUB_TOKEN
-        });
+    constructor(options = {}) {
+        // Where site files are written: GitHub API, a local directory or a git working tree
+        this.deployTarget = options.deployTarget || createDeployTarget();
         
-        this.repoOwner = 'gabiffk-gif';
-        this.repoName = 'smart-finance-hub';
         this.contentDir = path.join(__dirname, '../../content');
         this.publicDir = path.join(__dirname, '../../public');
         
         // Initialize content generator for scheduled tasks
         this.contentGenerator = new ContentGenerator();
         
-        this.scheduledJobs = [];
-        this.publishingQueue = [];
+        // Tells IndexNow search engines about published, updated and removed pages
+        this.indexNow = new IndexNowSubmitter();
+        
+        // Full-site renderer, also used for the pages a publish affects
+        this.siteBuilder = new SiteBuilder({ deployTarget: this.deployTarget, contentDir: this.contentDir, indexNow: this.indexNow });
+        
+        // Validated, atomic article writes and status moves in content/
+        this.articles = options.articles || new ContentRepository({ contentDir: this.contentDir });
+        
+        // Publish slots from settings publishingSchedule
+        this.calendar = new PublishingCalendar({ contentDir: this.contentDir });
+        
+        // Social posts queued at publish time, sent by the dispatch-social job
+        this.socialDispatcher = new SocialDispatcher({ queueDir: path.join(this.contentDir, 'social-queue'), calendar: this.calendar });
+        
+        // Versioned disclaimer texts pinned on each article as it goes live
+        this.disclaimers = new DisclaimerLibrary();
+        
+        // Persistent job queue, created by initializeScheduler()
+        this.jobQueue = null;
     }
 
     /**
-     * Main publish method - converts article JSON to live HTML page
+     * Main publish method - converts article JSON to live HTML page.
+     * When run from the job queue, `step` checkpoints each stage so a
+     * resumed job skips the stages that already completed.
      */
-    async publishArticle(article) {
+    async publishArticle(article, { step = (name, fn) => fn() } = {}) {
         try {
             console.log(`Publishing article: ${article.title}`);
             
-            // Generate slug for URL
-            const slug = this.generateSlug(article.title);
-            const publishDate = new Date();
-            const year = publishDate.getFullYear();
-            const month = String(publishDate.getMonth() + 1).padStart(2, '0');
-            
-            // Create file path
-            const filePath = `articles/${year}/${month}/${slug}.html`;
+            // Fix slug, URL, publish date and disclaimer versions once so a resumed publish reuses them
+            const { slug, filePath, publishedAt, disclaimers } = await step('prepare', () => {
+                const slug = this.generateSlug(article.title);
+                const publishDate = new Date();
+                const year = publishDate.getFullYear();
+                const month = String(publishDate.getMonth() + 1).padStart(2, '0');
+                
+                return {
+                    slug,
+                    filePath: `articles/${year}/${month}/${slug}.html`,
+                    publishedAt: publishDate.toISOString(),
+                    disclaimers: this.disclaimers.apply(article, publishDate)
+                };
+            });
+            const publishDate = new Date(publishedAt);
             
-            // Generate complete HTML using universal template
-            const htmlContent = generateArticleHTML(article);
+            // The article as it will be stored in content/published, so pages rendered
+            // now match what a later site build produces
+            const publishedArticle = { ...article, metadata: { ...article.metadata, publishedAt, filePath, slug, disclaimers } };
             
-            // Commit article to GitHub
-            await this.commitToGitHub(filePath, htmlContent, `Add article: ${article.title}`);
+            // Generate complete HTML using universal template and write it to the deploy target
+            await step('commit-article', () => {
+                const htmlContent = generateArticleHTML(publishedArticle);
+                return this.deployTarget.writeFile(filePath, htmlContent, `Add article: ${article.title}`);
+            });
             
             // Update homepage with new article
-            await this.updateHomepage(article, slug, filePath);
+            await step('update-homepage', () => this.updateHomepage(article, slug, filePath));
             
-            // Update sitemap
-            await this.updateSitemap(slug, filePath, publishDate);
+            // Rebuild category and tag archives and the sitemaps that list them
+            const archivePaths = await step('update-archives', () => this.updateArchives(publishedArticle));
             
-            // Update RSS feed
-            await this.updateRSSFeed(article, slug, filePath, publishDate);
+            // Rebuild the client-side search index
+            await step('update-search-index', () => this.updateSearchIndex(publishedArticle));
+            
+            // Rebuild the site and category feeds
+            const feedPaths = await step('update-feeds', () => this.updateFeeds(publishedArticle));
+            
+            // The IndexNow key file has to be live before the submission is sent
+            const keyPaths = await step('update-indexnow-key', () => this.updateIndexNowKey(publishedArticle));
+            
+            // Deploy everything written above as one batch (a single commit for the git target)
+            await step('deploy', () => this.deployTarget.commit(`Publish article: ${article.title}`, {
+                paths: [filePath, 'index.html', 'sitemap.xml', SEARCH_INDEX_PATH, ...archivePaths, ...feedPaths, ...keyPaths]
+            }));
             
             // Move article from approved to published folder
-            await this.moveArticleToPublished(article, {
-                publishedAt: publishDate.toISOString(),
+            await step('move-to-published', () => this.moveArticleToPublished(article, {
+                publishedAt,
                 publishedUrl: `https://smartfinancehub.vip/${filePath}`,
                 slug,
-                filePath
-            });
+                filePath,
+                disclaimers
+            }));
             
             // Generate social media posts
-            const socialPosts = await this.generateSocialMediaPosts(article, slug);
+            const socialPosts = await step('social-posts', () => this.generateSocialMediaPosts(article, slug, `https://smartfinancehub.vip/${filePath}`));
+            
+            // Log the IndexNow submission; the publish-article job queues the send
+            const indexNowSubmissionId = await step('queue-indexnow', async () => {
+                const submission = await this.indexNow.queue([`https://smartfinancehub.vip/${filePath}`], {
+                    reason: 'publish',
+                    articleId: article.metadata?.id || null,
+                    requestedBy: article.metadata?.publishedBy || 'publisher'
+                });
+                return submission?.id || null;
+            });
             
             console.log(`✅ Successfully published: ${article.title}`);
             console.log(`📍 URL: https://smartfinancehub.vip/${filePath}`);
@@ -74,7 +133,8 @@ class Publisher {
                 url: `https://smartfinancehub.vip/${filePath}`,
                 filePath,
                 slug,
-                socialPosts
+                socialPosts,
+                indexNowSubmissionId
             };
             
         } catch (error) {
@@ -459,58 +519,17 @@ class Publisher {
         };
     }
 
-    /**
-     * Commit file to GitHub repository
-     */
-    async commitToGitHub(filePath, content, commitMessage) {
-        try {
-            // Check if file already exists
-            let sha;
-            try {
-                const existingFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: filePath
-                });
-                sha = existingFile.data.sha;
-            } catch (error) {
-                // File doesn't exist, which is fine for new articles
-                if (error.status !== 404) {
-                    throw error;
-                }
-            }
-            
-            // Create or update file
-            await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath,
-                message: commitMessage,
-                content: Buffer.from(content).toString('base64'),
-                sha // Include SHA if updating existing file
-            });
-            
-            console.log(`✅ Committed to GitHub: ${filePath}`);
-            
-        } catch (error) {
-            console.error(`❌ GitHub commit failed for ${filePath}:`, error);
-            throw new Error(`GitHub commit failed: ${error.message}`);
-        }
-    }
-
     /**
      * Update homepage to include new article
      */
     async updateHomepage(article, slug, filePath) {
         try {
             // Get current homepage
-            const homepage = await this.octokit.rest.repos.getContent({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: 'index.html'
-            });
-            
-            const currentContent = Buffer.from(homepage.data.content, 'base64').toString();
+            const currentContent = await this.deployTarget.readFile('index.html');
+            if (currentContent === null) {
+                console.warn('⚠️ No index.html on the deploy target - homepage not updated');
+                return;
+            }
             
             // Generate new article card
             const articleCard = this.generateArticleCard(article, slug, filePath);
@@ -525,15 +544,8 @@ class Publisher {
                 
                 const updatedContent = beforeSection + '\\n' + articleCard + afterSection;
                 
-                // Commit updated homepage
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: 'index.html',
-                    message: `Update homepage with new article: ${article.title}`,
-                    content: Buffer.from(updatedContent).toString('base64'),
-                    sha: homepage.data.sha
-                });
+                // Write updated homepage
+                await this.deployTarget.writeFile('index.html', updatedContent, `Update homepage with new article: ${article.title}`);
                 
                 console.log('✅ Updated homepage with new article');
             }
@@ -571,275 +583,251 @@ class Publisher {
     }
 
     /**
-     * Update sitemap.xml with new article
+     * Rebuild the category and tag archive pages and the sitemaps with the
+     * article being published included. Returns the paths written.
      */
-    async updateSitemap(slug, filePath, publishDate) {
-        try {
-            // Get current sitemap
-            let sitemap;
-            try {
-                const sitemapFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: 'sitemap.xml'
-                });
-                sitemap = Buffer.from(sitemapFile.data.content, 'base64').toString();
-            } catch (error) {
-                // Create new sitemap if it doesn't exist
-                sitemap = this.createBaseSitemap();
-            }
-            
-            // Add new URL entry
-            const newEntry = `
-    <url>
-        <loc>https://smartfinancehub.vip/${filePath}</loc>
-        <lastmod>${publishDate.toISOString().split('T')[0]}</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.8</priority>
-    </url>`;
-            
-            // Insert before closing </urlset> tag
-            const updatedSitemap = sitemap.replace('</urlset>', newEntry + '\\n</urlset>');
-            
-            // Commit updated sitemap
-            await this.commitToGitHub('sitemap.xml', updatedSitemap, `Update sitemap with new article: ${slug}`);
-            
-            console.log('✅ Updated sitemap.xml');
-            
-        } catch (error) {
-            console.error('❌ Failed to update sitemap:', error);
+    async updateArchives(publishedArticle) {
+        const result = await this.siteBuilder.build({
+            include: [publishedArticle],
+            only: filePath => isArchivePath(filePath) || SitemapUpdater.isSitemapPath(filePath),
+            commit: false
+        });
+        
+        console.log(`✅ Updated archives and sitemaps (${result.added.length} added, ${result.changed.length} changed)`);
+        return [...result.added, ...result.changed];
+    }
+
+    /**
+     * Rebuild the search index with the article being published included
+     */
+    async updateSearchIndex(publishedArticle) {
+        await this.siteBuilder.build({
+            include: [publishedArticle],
+            only: filePath => filePath === SEARCH_INDEX_PATH,
+            commit: false
+        });
+        
+        console.log('✅ Updated search index');
+    }
+
+    /**
+     * Rebuild the site and category feeds with the article being published
+     * included. Returns the paths written.
+     */
+    async updateFeeds(publishedArticle) {
+        const result = await this.siteBuilder.build({
+            include: [publishedArticle],
+            only: isFeedPath,
+            commit: false
+        });
+        
+        console.log(`✅ Updated RSS, Atom and JSON feeds (${result.added.length} added, ${result.changed.length} changed)`);
+        return [...result.added, ...result.changed];
+    }
+
+    /**
+     * Write the IndexNow key file if the deploy target doesn't have it yet.
+     * Returns the paths written.
+     */
+    async updateIndexNowKey(publishedArticle) {
+        if (!this.indexNow.enabled) {
+            return [];
         }
+        
+        const result = await this.siteBuilder.build({
+            include: [publishedArticle],
+            only: filePath => this.indexNow.isKeyFilePath(filePath),
+            commit: false
+        });
+        
+        return [...result.added, ...result.changed];
     }
 
-    createBaseSitemap() {
-        return `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <url>
-        <loc>https://smartfinancehub.vip/</loc>
-        <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
-        <changefreq>daily</changefreq>
-        <priority>1.0</priority>
-    </url>
-    <url>
-        <loc>https://smartfinancehub.vip/articles</loc>
-        <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
-        <changefreq>daily</changefreq>
-        <priority>0.9</priority>
-    </url>
-</urlset>`;
+    /**
+     * Site files that list published articles: homepage, archives, sitemaps,
+     * search index and feeds
+     */
+    isListingPath(filePath) {
+        return filePath === 'index.html' || isArchivePath(filePath) || SitemapUpdater.isSitemapPath(filePath) ||
+            filePath === SEARCH_INDEX_PATH || isFeedPath(filePath);
     }
 
     /**
-     * Update RSS feed with new article
+     * Deploy an edit of a published article (already saved in
+     * content/published): its page and the listings are rebuilt and deployed
+     * as one batch, and only then is the page logged for IndexNow.
      */
-    async updateRSSFeed(article, slug, filePath, publishDate) {
-        try {
-            // Get current RSS feed
-            let rss;
-            let rssSha;
-            try {
-                const rssFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: 'rss.xml'
-                });
-                rss = Buffer.from(rssFile.data.content, 'base64').toString();
-                rssSha = rssFile.data.sha;
-            } catch (error) {
-                // Create new RSS feed if it doesn't exist
-                rss = this.createBaseRSS();
-                rssSha = null;
-            }
-            
-            // Create new RSS item
-            const rssItem = `
-        <item>
-            <title><![CDATA[${article.title}]]></title>
-            <description><![CDATA[${article.metaDescription}]]></description>
-            <link>https://smartfinancehub.vip/${filePath}</link>
-            <guid>https://smartfinancehub.vip/${filePath}</guid>
-            <pubDate>${publishDate.toUTCString()}</pubDate>
-            <category>${this.mapCategoryToSection(article.category)}</category>
-        </item>`;
-            
-            // Insert new item after the channel opening tag
-            const channelStart = rss.indexOf('<channel>');
-            const firstItemStart = rss.indexOf('<item>');
-            
-            let updatedRss;
-            if (firstItemStart !== -1) {
-                // Insert before existing items
-                updatedRss = rss.substring(0, firstItemStart) + rssItem + '\\n        ' + rss.substring(firstItemStart);
-            } else {
-                // Insert after channel description
-                const insertPoint = rss.indexOf('</description>', channelStart) + '</description>'.length;
-                updatedRss = rss.substring(0, insertPoint) + rssItem + rss.substring(insertPoint);
-            }
-            
-            // Commit updated RSS feed
-            await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: 'rss.xml',
-                message: `Update RSS feed with new article: ${article.title}`,
-                content: Buffer.from(updatedRss).toString('base64'),
-                sha: rssSha
+    async refreshPublishedArticle(article, { requestedBy = 'publisher', step = (name, fn) => fn() } = {}) {
+        const filePath = generateArticleUrl(article).replace(/^\/+/, '');
+
+        const paths = await step('rebuild', async () => {
+            const result = await this.siteBuilder.build({
+                only: candidate => candidate === filePath || this.isListingPath(candidate),
+                commit: false
             });
-            
-            console.log('✅ Updated RSS feed');
-            
-        } catch (error) {
-            console.error('❌ Failed to update RSS feed:', error);
-        }
+            return [...result.added, ...result.changed];
+        });
+
+        await step('deploy', () => this.deployTarget.commit(`Update article: ${article.title}`, { paths }));
+        console.log(`🔄 Deployed update of ${filePath} (${paths.length} files)`);
+
+        const indexNowSubmissionId = await step('queue-indexnow', () => this.queueIndexNow(filePath, 'update', article, requestedBy));
+        return { filePath, paths, indexNowSubmissionId };
+    }
+
+    /**
+     * Take an article that left content/published off the live site: its
+     * page is removed from the deploy target and the listings are rebuilt
+     * without it, then the removal is logged for IndexNow.
+     */
+    async unpublishArticle(article, { requestedBy = 'publisher', step = (name, fn) => fn() } = {}) {
+        const filePath = generateArticleUrl(article).replace(/^\/+/, '');
+
+        await step('remove-page', () => this.deployTarget.deleteFile(filePath, `Remove article: ${article.title}`));
+
+        const paths = await step('rebuild', async () => {
+            const result = await this.siteBuilder.build({ only: candidate => this.isListingPath(candidate), commit: false });
+            return [...result.added, ...result.changed];
+        });
+
+        await step('deploy', () => this.deployTarget.commit(`Unpublish article: ${article.title}`, { paths: [filePath, ...paths] }));
+        console.log(`🗑️ Removed ${filePath} from the live site (${paths.length} listing files rebuilt)`);
+
+        const indexNowSubmissionId = await step('queue-indexnow', () => this.queueIndexNow(filePath, 'unpublish', article, requestedBy));
+        return { filePath, paths, indexNowSubmissionId };
     }
 
-    createBaseRSS() {
-        return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-    <channel>
-        <title>Smart Finance Hub</title>
-        <description>Expert financial advice, investment strategies, and money management tips to help you build wealth and achieve financial freedom.</description>
-        <link>https://smartfinancehub.vip</link>
-        <atom:link href="https://smartfinancehub.vip/rss.xml" rel="self" type="application/rss+xml"/>
-        <language>en-us</language>
-        <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-        <managingEditor>editor@smartfinancehub.vip (Smart Finance Hub Editorial Team)</managingEditor>
-        <webMaster>webmaster@smartfinancehub.vip (Smart Finance Hub)</webMaster>
-        <image>
-            <url>https://smartfinancehub.vip/assets/logo/SFH_VIP_Logo.png</url>
-            <title>Smart Finance Hub</title>
-            <link>https://smartfinancehub.vip</link>
-        </image>
-    </channel>
-</rss>`;
+    async queueIndexNow(filePath, reason, article, requestedBy) {
+        const submission = await this.indexNow.queue([`/${filePath}`], {
+            reason,
+            articleId: article.metadata?.id || null,
+            requestedBy
+        });
+        return submission?.id || null;
     }
 
     /**
-     * Move article from approved to published folder
+     * Move article from approved to published folder through the content
+     * repository, which validates it and renames the file into place, so
+     * repeating the move after an interruption is safe.
      */
     async moveArticleToPublished(article, publishMetadata) {
         try {
+            const articleId = article.metadata?.id || article.id;
+            
             // Update article metadata
             article.metadata = {
                 ...article.metadata,
                 ...publishMetadata,
                 status: 'published'
             };
+            article.publishDate = article.metadata.publishedAt.slice(0, 10);
             
-            // Save to published folder
-            const publishedPath = path.join(this.contentDir, 'published', `${article.metadata.id}.json`);
-            await fs.writeFile(publishedPath, JSON.stringify(article, null, 2));
+            await this.articles.move(articleId, 'published', article);
             
-            // Remove from approved folder
-            const approvedPath = path.join(this.contentDir, 'approved', `${article.metadata.id}.json`);
-            try {
-                await fs.unlink(approvedPath);
-            } catch (error) {
-                console.warn('Could not remove from approved folder:', error.message);
+            // An older publish may have left a stale copy behind that would be scheduled again
+            const staleCopy = await this.findArticleFile('approved', articleId);
+            if (staleCopy) {
+                await fs.unlink(staleCopy);
             }
             
-            console.log(`✅ Moved article to published: ${article.metadata.id}`);
+            console.log(`✅ Moved article to published: ${articleId}`);
             
         } catch (error) {
             console.error('❌ Failed to move article to published folder:', error);
+            throw error;
         }
     }
 
     /**
-     * Initialize automated scheduler
+     * Locate an article's JSON file in a content folder by its ID
      */
-    initializeScheduler() {
-        console.log('🕐 Initializing automated scheduler...');
-        
-        // Hourly check for scheduled articles (every hour at minute 0)
-        const hourlyJob = cron.schedule('0 * * * *', async () => {
-            console.log('🔍 Checking for scheduled articles...');
-            await this.processScheduledArticles();
-        }, { scheduled: false });
-        
-        // Daily content generation at 2 AM
-        const dailyGenerationJob = cron.schedule('0 2 * * *', async () => {
-            console.log('🤖 Running daily content generation...');
-            await this.runDailyGeneration();
-        }, { scheduled: false });
-        
-        // Daily sitemap update at 3 AM
-        const sitemapUpdateJob = cron.schedule('0 3 * * *', async () => {
-            console.log('🗺️ Running daily sitemap update...');
-            await this.updateFullSitemap();
-        }, { scheduled: false });
-        
-        // Monthly content archival (1st of each month at 1 AM)
-        const monthlyArchivalJob = cron.schedule('0 1 1 * *', async () => {
-            console.log('📦 Running monthly content archival...');
-            await this.runMonthlyArchival();
-        }, { scheduled: false });
+    async findArticleFile(folder, articleId) {
+        const folderPath = path.join(this.contentDir, folder);
+        const directPath = path.join(folderPath, `${articleId}.json`);
         
-        // Start all jobs
-        hourlyJob.start();
-        dailyGenerationJob.start();
-        sitemapUpdateJob.start();
-        monthlyArchivalJob.start();
-        
-        this.scheduledJobs = [hourlyJob, dailyGenerationJob, sitemapUpdateJob, monthlyArchivalJob];
+        try {
+            await fs.access(directPath);
+            return directPath;
+        } catch (error) {
+            // Fall back to scanning the folder
+        }
         
-        console.log('✅ Scheduler initialized with 4 jobs:');
-        console.log('   • Hourly: Check scheduled articles');
-        console.log('   • 2 AM: Generate content');
-        console.log('   • 3 AM: Update sitemap');
-        console.log('   • Monthly: Archive old content');
-    }
-
-    async processScheduledArticles() {
+        let files;
         try {
-            const approvedDir = path.join(this.contentDir, 'approved');
-            const files = await fs.readdir(approvedDir);
-            
-            for (const file of files) {
-                if (!file.endsWith('.json')) continue;
-                
-                const articlePath = path.join(approvedDir, file);
-                const article = JSON.parse(await fs.readFile(articlePath, 'utf8'));
-                
-                if (article.metadata?.scheduledFor) {
-                    const scheduledTime = new Date(article.metadata.scheduledFor);
-                    const now = new Date();
-                    
-                    if (scheduledTime <= now && article.metadata.status === 'scheduled') {
-                        console.log(`📤 Publishing scheduled article: ${article.title}`);
-                        try {
-                            await this.publishArticle(article);
-                            console.log(`✅ Successfully published: ${article.title}`);
-                        } catch (error) {
-                            console.error(`❌ Failed to publish ${article.title}:`, error);
-                        }
-                    }
+            files = await fs.readdir(folderPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const article = JSON.parse(await fs.readFile(path.join(folderPath, file), 'utf8'));
+                if ((article.metadata?.id || article.id) === articleId) {
+                    return path.join(folderPath, file);
                 }
+            } catch (error) {
+                continue;
             }
-        } catch (error) {
-            console.error('❌ Error processing scheduled articles:', error);
         }
+        
+        return null;
     }
 
-    async runDailyGeneration() {
+    /**
+     * Start the persistent job queue with the cron schedules from
+     * settings `jobs.schedules` (used when the publisher runs standalone)
+     */
+    async initializeScheduler() {
+        console.log('🕐 Initializing job queue scheduler...');
+        
+        // Required here to avoid a circular import with the job handlers
+        const { createJobQueue } = require('../jobs/handlers');
+        this.jobQueue = createJobQueue({ publisher: this, contentDir: this.contentDir });
+        await this.jobQueue.start({ schedules: true });
+        
+        return this.jobQueue;
+    }
+
+    async runDailyGeneration({ minDrafts = 10, maxBatch = 5 } = {}) {
         try {
             // Check if we need more content
             const draftsDir = path.join(this.contentDir, 'drafts');
             const draftFiles = await fs.readdir(draftsDir);
             const draftCount = draftFiles.filter(f => f.endsWith('.json')).length;
             
-            // Generate articles if we have fewer than 10 drafts
-            if (draftCount < 10) {
-                const articlesToGenerate = Math.min(5, 10 - draftCount);
+            // Outline-first: briefs waiting for editors count towards the drafts to come
+            if (await this.contentGenerator.usesBriefs()) {
+                const openBriefs = await this.contentGenerator.briefStore.list({ statuses: ['draft', 'approved', 'expanding'] });
+                const briefsToGenerate = Math.min(maxBatch, minDrafts - draftCount - openBriefs.length);
+
+                if (briefsToGenerate <= 0) {
+                    console.log(`📝 ${draftCount} drafts and ${openBriefs.length} open briefs, skipping generation`);
+                    return { drafts: draftCount, briefs: openBriefs.length, generated: 0 };
+                }
+
+                console.log(`🧭 Generating ${briefsToGenerate} new briefs...`);
+                const briefs = await this.contentGenerator.generateBriefs(briefsToGenerate);
+                return { drafts: draftCount, briefs: openBriefs.length + briefs.length, generated: 0, briefsGenerated: briefs.length };
+            }
+            
+            // Generate articles if we have fewer than minDrafts drafts
+            if (draftCount < minDrafts) {
+                const articlesToGenerate = Math.min(maxBatch, minDrafts - draftCount);
                 console.log(`📝 Generating ${articlesToGenerate} new articles...`);
                 
                 const articles = await this.contentGenerator.generateArticles(articlesToGenerate);
                 console.log(`✅ Generated ${articles.length} articles`);
-            } else {
-                console.log('📝 Sufficient drafts available, skipping generation');
+                return { drafts: draftCount, generated: articles.length };
             }
+            
+            console.log('📝 Sufficient drafts available, skipping generation');
+            return { drafts: draftCount, generated: 0 };
         } catch (error) {
             console.error('❌ Daily generation failed:', error);
+            throw error;
         }
     }
 
@@ -847,39 +835,16 @@ class Publisher {
         try {
             console.log('🗺️ Updating full sitemap...');
             
-            // Get all published articles
-            const publishedDir = path.join(this.contentDir, 'published');
-            const files = await fs.readdir(publishedDir);
-            
-            let sitemap = this.createBaseSitemap();
-            
-            for (const file of files) {
-                if (!file.endsWith('.json')) continue;
-                
-                const articlePath = path.join(publishedDir, file);
-                const article = JSON.parse(await fs.readFile(articlePath, 'utf8'));
-                
-                if (article.metadata?.publishedUrl && article.metadata?.publishedAt) {
-                    const url = article.metadata.publishedUrl;
-                    const lastmod = new Date(article.metadata.publishedAt).toISOString().split('T')[0];
-                    
-                    const entry = `
-    <url>
-        <loc>${url}</loc>
-        <lastmod>${lastmod}</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.8</priority>
-    </url>`;
-                    
-                    sitemap = sitemap.replace('</urlset>', entry + '\\n</urlset>');
-                }
-            }
+            const result = await this.siteBuilder.build({
+                only: SitemapUpdater.isSitemapPath
+            });
             
-            await this.commitToGitHub('sitemap.xml', sitemap, 'Daily sitemap update');
-            console.log('✅ Full sitemap updated');
+            console.log(`✅ Full sitemap ${result.changed.length + result.added.length > 0 ? 'updated' : 'already up to date'}`);
+            return { articles: result.articles, changed: result.changed.length + result.added.length > 0 };
             
         } catch (error) {
             console.error('❌ Sitemap update failed:', error);
+            throw error;
         }
     }
 
@@ -920,17 +885,20 @@ class Publisher {
             }
             
             console.log(`✅ Archived ${archivedCount} articles`);
+            return { archived: archivedCount };
             
         } catch (error) {
             console.error('❌ Monthly archival failed:', error);
+            throw error;
         }
     }
 
     /**
-     * Generate social media posts for published article
+     * Generate social media posts for published article and queue them for
+     * the social dispatcher
      */
-    async generateSocialMediaPosts(article, slug) {
-        const url = `https://smartfinancehub.vip/articles/${new Date().getFullYear()}/${String(new Date().getMonth() + 1).padStart(2, '0')}/${slug}.html`;
+    async generateSocialMediaPosts(article, slug, url = null) {
+        url = url || `https://smartfinancehub.vip/articles/${new Date().getFullYear()}/${String(new Date().getMonth() + 1).padStart(2, '0')}/${slug}.html`;
         
         const posts = {
             twitter: this.generateTwitterPost(article, url),
@@ -939,32 +907,36 @@ class Publisher {
         };
         
         // Save to social queue for later posting
-        await this.saveToSocialQueue(posts, article.metadata.id);
+        await this.saveToSocialQueue(posts, article, url);
         
         return posts;
     }
 
+    /**
+     * Cut text to the platform's excerptLength (settings socialMedia.contentAdaptation)
+     */
+    excerptFor(platform, text, maxLength = Infinity) {
+        const limit = Math.min(this.socialDispatcher.excerptLength[platform] || Infinity, maxLength);
+        text = (text || '').trim();
+        return text.length > limit ? text.substring(0, limit - 3).trimEnd() + '...' : text;
+    }
+
     generateTwitterPost(article, url) {
         const maxLength = 280;
         const urlLength = 23; // Twitter's t.co URL length
-        const availableLength = maxLength - urlLength - 10; // Buffer for hashtags
-        
-        let post = article.title;
-        if (post.length > availableLength) {
-            post = post.substring(0, availableLength - 3) + '...';
-        }
         
         // Add relevant hashtags
         const hashtags = ['#PersonalFinance', '#MoneyTips', '#FinancialPlanning'];
         const category = this.mapCategoryToHashtag(article.category);
         if (category) hashtags.push(category);
+        const tags = hashtags.slice(0, 3).join(' ');
         
-        post += '\\n\\n' + hashtags.slice(0, 3).join(' ') + '\\n\\n' + url;
+        const availableLength = maxLength - urlLength - tags.length - 4;
+        const post = this.excerptFor('twitter', article.title, availableLength) + '\n\n' + tags + '\n\n' + url;
         
         return {
             platform: 'twitter',
             content: post,
-            scheduledFor: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes after publication
             hashtags: hashtags.slice(0, 3)
         };
     }
@@ -972,7 +944,7 @@ class Publisher {
     generateLinkedInPost(article, url) {
         const post = `📊 New Article: ${article.title}
 
-${article.metaDescription}
+${this.excerptFor('linkedin', article.metaDescription)}
 
 Key insights covered:
 • Expert financial strategies
@@ -988,7 +960,6 @@ Read the full article: ${url}
         return {
             platform: 'linkedin',
             content: post,
-            scheduledFor: new Date(Date.now() + 60 * 60 * 1000), // 1 hour after publication
             tone: 'professional'
         };
     }
@@ -996,7 +967,7 @@ Read the full article: ${url}
     generateFacebookPost(article, url) {
         const post = `💰 ${article.title}
 
-${article.metaDescription}
+${this.excerptFor('facebook', article.metaDescription)}
 
 Whether you're just starting your financial journey or looking to optimize your strategy, this comprehensive guide provides practical advice you can implement today.
 
@@ -1009,24 +980,19 @@ ${url}`;
         return {
             platform: 'facebook',
             content: post,
-            scheduledFor: new Date(Date.now() + 2 * 60 * 60 * 1000), // 2 hours after publication
             callToAction: 'engagement'
         };
     }
 
-    async saveToSocialQueue(posts, articleId) {
+    async saveToSocialQueue(posts, article, url) {
         try {
-            const socialQueueDir = path.join(this.contentDir, 'social-queue');
-            const queueFile = path.join(socialQueueDir, `${articleId}-${Date.now()}.json`);
-            
-            const queueItem = {
-                articleId,
+            await this.socialDispatcher.enqueue({
+                articleId: article.metadata.id,
+                title: article.title,
+                url,
                 posts,
-                createdAt: new Date().toISOString(),
-                status: 'pending'
-            };
-            
-            await fs.writeFile(queueFile, JSON.stringify(queueItem, null, 2));
+                publishedAt: article.metadata.publishedAt
+            });
             console.log('✅ Saved social media posts to queue');
             
         } catch (error) {
@@ -1103,13 +1069,13 @@ ${url}`;
     /**
      * Cleanup and shutdown
      */
-    destroy() {
+    async destroy() {
         console.log('🛑 Shutting down Publisher...');
         
-        // Stop all cron jobs
-        this.scheduledJobs.forEach(job => {
-            job.destroy();
-        });
+        // Stop the job queue, letting running jobs finish
+        if (this.jobQueue) {
+            await this.jobQueue.stop();
+        }
         
         console.log('✅ Publisher shutdown complete');
     }
@@ -1120,13 +1086,16 @@ if (require.main === module) {
     const publisher = new Publisher();
     
     // Initialize scheduler
-    publisher.initializeScheduler();
-    
-    console.log('🚀 Publisher started with automated scheduling');
+    publisher.initializeScheduler().then(() => {
+        console.log('🚀 Publisher started with automated scheduling');
+    }).catch(error => {
+        console.error('❌ Failed to start scheduler:', error);
+        process.exit(1);
+    });
     
     // Graceful shutdown
-    process.on('SIGINT', () => {
-        publisher.destroy();
+    process.on('SIGINT', async () => {
+        await publisher.destroy();
         process.exit(0);
     });
 }
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { generateArticleUrl } = require('../templates/article-template');
+const {
+    getArticleCategory,
+    getCategorySlug,
+    getCategoryName,
+    getCategoryUrl,
+    getCategoryFeedUrl,
+    getArticleTags,
+    groupByCategory
+} = require('../templates/taxonomy');
+
+/**
+ * Feeds
+ * Rebuilds the site's feeds from published articles (newest first): RSS 2.0
+ * with the full article in content:encoded, Atom 1.0 and JSON Feed 1.1, for
+ * the whole site (/rss.xml, /atom.xml, /feed.json) and for each category
+ * (/feeds/<category>/rss.xml, atom.xml, feed.json). Feeds hold the newest
+ * `itemLimit` (`categoryItemLimit` for categories) articles from settings
+ * `feeds`. An article's image (`featuredImage`, or the first image in its
+ * content) becomes the item's enclosure; RSS requires the file size, so it
+ * only gets one for images whose size is known.
+ *
+ * Dates come from the articles, so a rebuild of unchanged content gives
+ * identical files. Only a feed without items is dated by the build time.
+ */
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const SITE_TITLE = 'Smart Finance Hub';
+const SITE_DESCRIPTION = 'Expert financial advice, investment strategies, and money management tips to help you build wealth and achieve financial freedom.';
+const FEED_FORMATS = {
+    rss: { file: 'rss.xml', type: 'application/rss+xml' },
+    atom: { file: 'atom.xml', type: 'application/atom+xml' },
+    json: { file: 'feed.json', type: 'application/feed+json' }
+};
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+
+function loadSettings() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, '../config/settings.json'), 'utf8')).feeds || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getFeedOptions(options = {}) {
+    const settings = loadSettings();
+    return {
+        baseUrl: options.baseUrl || 'https://smartfinancehub.vip',
+        itemLimit: options.itemLimit || settings.itemLimit || 50,
+        categoryItemLimit: options.categoryItemLimit || settings.categoryItemLimit || 20,
+        fullContent: options.fullContent ?? settings.fullContent ?? true
+    };
+}
+
+// XML 1.0 can't hold most control characters, even escaped
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Some generated titles still carry the quotes the model wrapped them in
+function cleanTitle(title) {
+    return String(title || '').trim().replace(/^"+|"+$/g, '');
+}
+
+// Feed readers show content away from the site, so links must be absolute
+function absolutizeUrls(html, baseUrl) {
+    return String(html || '').replace(/(\s(?:href|src))=(["'])\/(?!\/)/gi, `$1=$2${baseUrl}/`);
+}
+
+function getPublishTime(article) {
+    return new Date(article.metadata?.publishedAt || article.metadata?.createdAt || 0);
+}
+
+/**
+ * The article's image as { url, type, length }; length is null when the
+ * file isn't in this repository, so its size is unknown
+ */
+function getFeedImage(article, baseUrl) {
+    const featured = typeof article.featuredImage === 'string' ? article.featuredImage : article.featuredImage?.url;
+    const src = featured || String(article.content || '').match(/<img[^>]+src=["']([^"']+)["']/i)?.[1];
+    if (!src) return null;
+
+    const url = src.startsWith('/') && !src.startsWith('//') ? `${baseUrl}${src}` : src;
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        return null;
+    }
+
+    let length = null;
+    if (url.startsWith(baseUrl)) {
+        try {
+            length = fs.statSync(path.join(REPO_ROOT, decodeURIComponent(pathname))).size;
+        } catch (error) {
+            // Not deployed from this repository
+        }
+    }
+
+    return { url, type: IMAGE_TYPES[path.extname(pathname).toLowerCase()] || 'image/jpeg', length };
+}
+
+function toFeedItem(article, options) {
+    const { baseUrl, fullContent } = options;
+    const url = `${baseUrl}${generateArticleUrl(article)}`;
+    const publishedAt = getPublishTime(article);
+    const updatedAt = article.metadata?.updatedAt ? new Date(article.metadata.updatedAt) : publishedAt;
+    const categorySlug = getCategorySlug(getArticleCategory(article));
+
+    return {
+        id: url,
+        url,
+        title: cleanTitle(article.title),
+        summary: String(article.metaDescription || '').trim(),
+        contentHtml: fullContent ? absolutizeUrls(article.content, baseUrl) : null,
+        publishedAt,
+        updatedAt: updatedAt > publishedAt ? updatedAt : publishedAt,
+        author: article.author?.name || 'Smart Finance Hub Team',
+        category: { slug: categorySlug, name: getCategoryName(categorySlug) },
+        tags: getArticleTags(article).map(tag => tag.name),
+        image: getFeedImage(article, baseUrl)
+    };
+}
+
+function feedUrls(baseUrl, categorySlug = null) {
+    const urls = {};
+    for (const [format, { file }] of Object.entries(FEED_FORMATS)) {
+        urls[format] = categorySlug ? `${baseUrl}${getCategoryFeedUrl(categorySlug, format)}` : `${baseUrl}/${file}`;
+    }
+    return urls;
+}
+
+/**
+ * The site feed followed by one feed per category (sorted by slug)
+ */
+function buildFeeds(articles, options = {}) {
+    const resolved = getFeedOptions(options);
+    const { baseUrl } = resolved;
+
+    const feeds = [{
+        key: 'site',
+        title: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        homeUrl: baseUrl,
+        urls: feedUrls(baseUrl),
+        items: articles.slice(0, resolved.itemLimit).map(article => toFeedItem(article, resolved))
+    }];
+
+    const categories = [...groupByCategory(articles).values()].sort((a, b) => a.slug.localeCompare(b.slug));
+    for (const category of categories) {
+        feeds.push({
+            key: category.slug,
+            title: `${SITE_TITLE}: ${category.name}`,
+            description: `${category.name} guides and analysis from ${SITE_TITLE}.`,
+            homeUrl: `${baseUrl}${getCategoryUrl(category.slug)}`,
+            urls: feedUrls(baseUrl, category.slug),
+            items: category.articles.slice(0, resolved.categoryItemLimit).map(article => toFeedItem(article, resolved))
+        });
+    }
+
+    const builtAt = new Date();
+    return feeds.map(feed => ({
+        ...feed,
+        updatedAt: feed.items.length > 0
+            ? feed.items.reduce((latest, item) => item.updatedAt > latest ? item.updatedAt : latest, new Date(0))
+            : builtAt
+    }));
+}
+
+function renderRSS(feed, { baseUrl }) {
+    const items = feed.items.map(item => `
+        <item>
+            <title>${escapeXml(item.title)}</title>
+            <link>${escapeXml(item.url)}</link>
+            <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+            <pubDate>${item.publishedAt.toUTCString()}</pubDate>
+            <dc:creator>${escapeXml(item.author)}</dc:creator>
+            <category>${escapeXml(item.category.name)}</category>
+            <description>${escapeXml(item.summary)}</description>${item.contentHtml !== null ? `
+            <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>` : ''}${item.image?.length ? `
+            <enclosure url="${escapeXml(item.image.url)}" length="${item.image.length}" type="${item.image.type}"/>` : ''}
+        </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeXml(feed.title)}</title>
+        <description>${escapeXml(feed.description)}</description>
+        <link>${escapeXml(feed.homeUrl)}</link>
+        <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="${FEED_FORMATS.rss.type}"/>
+        <language>en-us</language>
+        <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+        <managingEditor>editor@smartfinancehub.vip (Smart Finance Hub Editorial Team)</managingEditor>
+        <webMaster>webmaster@smartfinancehub.vip (Smart Finance Hub)</webMaster>
+        <image>
+            <url>${baseUrl}/assets/logo/SFH_VIP_Logo.png</url>
+            <title>${escapeXml(feed.title)}</title>
+            <link>${escapeXml(feed.homeUrl)}</link>
+        </image>${items}
+    </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, { baseUrl }) {
+    const entries = feed.items.map(item => `
+    <entry>
+        <id>${escapeXml(item.id)}</id>
+        <title>${escapeXml(item.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>${item.image ? `
+        <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"${item.image.length ? ` length="${item.image.length}"` : ''}/>` : ''}
+        <published>${item.publishedAt.toISOString()}</published>
+        <updated>${item.updatedAt.toISOString()}</updated>
+        <author><name>${escapeXml(item.author)}</name></author>
+        <category term="${escapeXml(item.category.slug)}" label="${escapeXml(item.category.name)}"/>
+        <summary type="text">${escapeXml(item.summary)}</summary>${item.contentHtml !== null ? `
+        <content type="html">${escapeXml(item.contentHtml)}</content>` : ''}
+    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-us">
+    <id>${escapeXml(feed.homeUrl)}</id>
+    <title>${escapeXml(feed.title)}</title>
+    <subtitle>${escapeXml(feed.description)}</subtitle>
+    <updated>${feed.updatedAt.toISOString()}</updated>
+    <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.urls.atom)}"/>
+    <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+    <author><name>Smart Finance Hub Editorial Team</name></author>
+    <icon>${baseUrl}/assets/logo/SFH_VIP_Logo.png</icon>${entries}
+</feed>
+`;
+}
+
+function renderJSONFeed(feed, { baseUrl }) {
+    return `${JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        icon: `${baseUrl}/assets/logo/SFH_VIP_Logo.png`,
+        language: 'en-US',
+        authors: [{ name: 'Smart Finance Hub Editorial Team', url: baseUrl }],
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            ...(item.contentHtml !== null ? { content_html: item.contentHtml } : { content_text: item.summary }),
+            ...(item.image && { image: item.image.url }),
+            date_published: item.publishedAt.toISOString(),
+            date_modified: item.updatedAt.toISOString(),
+            authors: [{ name: item.author }],
+            tags: [item.category.name, ...item.tags]
+        }))
+    }, null, 2)}\n`;
+}
+
+/**
+ * Every feed file as path -> content
+ */
+function renderFeeds(articles, options = {}) {
+    const resolved = getFeedOptions(options);
+    const files = new Map();
+
+    for (const feed of buildFeeds(articles, resolved)) {
+        const filePath = format => feed.key === 'site'
+            ? FEED_FORMATS[format].file
+            : getCategoryFeedUrl(feed.key, format).replace(/^\/+/, '');
+
+        files.set(filePath('rss'), renderRSS(feed, resolved));
+        files.set(filePath('atom'), renderAtom(feed, resolved));
+        files.set(filePath('json'), renderJSONFeed(feed, resolved));
+    }
+
+    return files;
+}
+
+function isFeedPath(filePath) {
+    return filePath.startsWith('feeds/') || Object.values(FEED_FORMATS).some(({ file }) => file === filePath);
+}
+
+module.exports = {
+    FEED_FORMATS,
+    buildFeeds,
+    renderFeeds,
+    isFeedPath,
+    escapeXml
+};
@@ -0,0 +1,303 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const KEY_PATTERN = /^[a-zA-Z0-9-]{8,128}$/;
+
+// The IndexNow protocol accepts at most 10,000 URLs per request
+const MAX_BATCH = 10000;
+
+/**
+ * IndexNow Submitter
+ * Tells IndexNow search engines (Bing, Yandex, Seznam, ...) which URLs were
+ * published, updated or removed. Every submission is kept in a log
+ * (settings `indexNow.submissionsFile`) with each URL's status:
+ * - pending: not sent yet
+ * - retrying: some URLs are waiting for a retry
+ * - submitted: the endpoint accepted it (200 or 202)
+ * - rejected: the endpoint refused it (400, 403, 422); retrying won't help
+ * - failed: still not accepted after the last attempt (429, 5xx, network)
+ *
+ * Submissions are sent by the submit-indexnow job, which retries with
+ * backoff. The key is proven by a `<key>.txt` file in the site root, which
+ * the site build writes; the key itself comes from INDEXNOW_KEY or is
+ * generated once into `indexNow.keyFile`.
+ */
+class IndexNowSubmitter {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+
+        this.baseUrl = (options.baseUrl || 'https://smartfinancehub.vip').replace(/\/+$/, '');
+        this.enabled = process.env.INDEXNOW_ENABLED ? process.env.INDEXNOW_ENABLED === 'true' : settings.enabled !== false;
+        this.endpoint = options.endpoint || process.env.INDEXNOW_ENDPOINT || settings.endpoint || 'https://api.indexnow.org/indexnow';
+        this.keyFile = path.join(REPO_ROOT, settings.keyFile || 'data/indexnow/key.txt');
+        this.submissionsFile = options.submissionsFile ||
+            path.join(REPO_ROOT, settings.submissionsFile || 'data/indexnow/submissions.json');
+        this.batchSize = Math.min(settings.batchSize || MAX_BATCH, MAX_BATCH);
+        this.timeoutMs = settings.timeoutMs || 10000;
+        this.keepDays = settings.keepDays || 30;
+        this.key = options.key || process.env.INDEXNOW_KEY || null;
+        this.lock = Promise.resolve();
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8')).indexNow || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * The site's key, generated and saved on first use
+     */
+    getKey() {
+        if (!this.key) {
+            try {
+                this.key = fsSync.readFileSync(this.keyFile, 'utf8').trim();
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                this.key = crypto.randomBytes(16).toString('hex');
+                fsSync.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+                fsSync.writeFileSync(this.keyFile, `${this.key}\n`);
+                console.log(`🔑 Generated IndexNow key in ${path.relative(REPO_ROOT, this.keyFile)}`);
+            }
+        }
+        if (!KEY_PATTERN.test(this.key)) {
+            throw new Error('IndexNow key must be 8-128 characters of a-z, A-Z, 0-9 and -');
+        }
+        return this.key;
+    }
+
+    /**
+     * Site path of the key file, e.g. 4f1c...e2.txt
+     */
+    getKeyFilePath() {
+        return `${this.getKey()}.txt`;
+    }
+
+    isKeyFilePath(filePath) {
+        return filePath === this.getKeyFilePath();
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.submissionsFile, 'utf8')).submissions || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async save(submissions) {
+        await fs.mkdir(path.dirname(this.submissionsFile), { recursive: true });
+        const tmpFile = `${this.submissionsFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ submissions }, null, 2));
+        await fs.rename(tmpFile, this.submissionsFile);
+    }
+
+    /**
+     * Run `fn(submissions)` under the log lock and save the log afterwards
+     */
+    async update(fn) {
+        const run = this.lock.catch(() => {}).then(async () => {
+            const submissions = await this.load();
+            const result = await fn(submissions);
+            await this.save(submissions);
+            return result;
+        });
+        this.lock = run;
+        return run;
+    }
+
+    async get(id) {
+        return (await this.load()).find(submission => submission.id === id) || null;
+    }
+
+    /**
+     * Newest first; `status` filters on the submission status
+     */
+    async list({ status = null, limit = 50 } = {}) {
+        return (await this.load())
+            .filter(submission => !status || submission.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Log a submission of `urls` (absolute, or site paths) for the
+     * submit-indexnow job. `reason` is publish, update, unpublish or archive.
+     * Returns null when IndexNow is disabled or no URL is on this site.
+     */
+    async queue(urls, { reason = 'update', articleId = null, requestedBy = 'system' } = {}) {
+        if (!this.enabled) return null;
+
+        const siteUrls = [...new Set(urls
+            .filter(Boolean)
+            .map(url => url.startsWith('/') ? `${this.baseUrl}${url}` : url)
+            .filter(url => url.startsWith(`${this.baseUrl}/`) || url === this.baseUrl))];
+        if (siteUrls.length === 0) return null;
+
+        const now = new Date();
+        const cutoff = new Date(now.getTime() - this.keepDays * 24 * 60 * 60 * 1000).toISOString();
+        const submission = {
+            id: `idx_${now.getTime()}_${crypto.randomBytes(3).toString('hex')}`,
+            reason,
+            articleId,
+            requestedBy,
+            status: 'pending',
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            attempts: 0,
+            urls: siteUrls.map(url => ({ url, status: 'pending', attempts: 0, httpStatus: null, lastError: null, submittedAt: null })),
+            responses: []
+        };
+
+        await this.update(submissions => {
+            // Finished submissions are only kept for keepDays
+            const kept = submissions.filter(existing =>
+                ['pending', 'retrying'].includes(existing.status) || existing.updatedAt >= cutoff);
+            submissions.splice(0, submissions.length, ...kept, submission);
+        });
+
+        console.log(`🔎 Queued IndexNow ${reason} submission ${submission.id} (${siteUrls.length} URLs)`);
+        return submission;
+    }
+
+    /**
+     * Submissions still waiting to be sent: never tried, or partly sent and
+     * waiting for a retry. The sweep queues them with a dedupe key, so a
+     * retrying submission whose job still waits out its backoff keeps that
+     * job, and one whose job was cancelled or lost gets a new one.
+     */
+    async takePending() {
+        return (await this.load()).filter(submission => ['pending', 'retrying'].includes(submission.status));
+    }
+
+    /**
+     * POST one batch; resolves to { httpStatus } and rejects with
+     * `retryable` false for answers a retry can't change
+     */
+    async post(urlList) {
+        const { hostname } = new URL(this.baseUrl);
+        let response;
+        try {
+            response = await axios.post(this.endpoint, {
+                host: hostname,
+                key: this.getKey(),
+                keyLocation: `${this.baseUrl}/${this.getKeyFilePath()}`,
+                urlList
+            }, {
+                timeout: this.timeoutMs,
+                headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                validateStatus: () => true
+            });
+        } catch (error) {
+            const networkError = new Error(`IndexNow endpoint unreachable: ${error.message}`);
+            networkError.httpStatus = null;
+            throw networkError;
+        }
+
+        if (response.status === 200 || response.status === 202) {
+            return { httpStatus: response.status };
+        }
+
+        const reasons = {
+            400: 'bad request',
+            403: 'key not valid (is the key file deployed?)',
+            422: 'URLs do not belong to the host or key',
+            429: 'too many requests'
+        };
+        const error = new Error(`IndexNow answered ${response.status}: ${reasons[response.status] || 'unexpected response'}`);
+        error.httpStatus = response.status;
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+    }
+
+    /**
+     * Send a submission's outstanding URLs in batches. `attempt` and
+     * `maxAttempts` come from the job: a retryable failure is thrown so the
+     * queue tries again, and on the last attempt its URLs become failed.
+     */
+    async submit(id, { attempt = 1, maxAttempts = 1 } = {}) {
+        const submission = await this.get(id);
+        if (!submission) {
+            const error = new Error(`IndexNow submission ${id} not found`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const outstanding = submission.urls.filter(entry => entry.status === 'pending').map(entry => entry.url);
+        if (outstanding.length === 0) {
+            return { submissionId: id, skipped: true, status: submission.status };
+        }
+
+        const results = [];
+        for (let i = 0; i < outstanding.length; i += this.batchSize) {
+            const batch = outstanding.slice(i, i + this.batchSize);
+            try {
+                results.push({ batch, ...(await this.post(batch)) });
+            } catch (error) {
+                results.push({ batch, httpStatus: error.httpStatus, error });
+            }
+        }
+
+        const final = attempt >= maxAttempts;
+        const summary = await this.update(submissions => {
+            const current = submissions.find(existing => existing.id === id);
+            const now = new Date().toISOString();
+
+            for (const { batch, httpStatus, error } of results) {
+                for (const entry of current.urls.filter(candidate => batch.includes(candidate.url))) {
+                    entry.attempts += 1;
+                    entry.httpStatus = httpStatus ?? null;
+                    if (!error) {
+                        entry.status = 'submitted';
+                        entry.submittedAt = now;
+                        entry.lastError = null;
+                    } else {
+                        entry.lastError = error.message;
+                        if (error.retryable === false) entry.status = 'rejected';
+                        else if (final) entry.status = 'failed';
+                    }
+                }
+                current.responses = [...current.responses, {
+                    attempt, at: now, urls: batch.length, httpStatus: httpStatus ?? null, error: error?.message || null
+                }].slice(-20);
+            }
+
+            const counts = { pending: 0, submitted: 0, rejected: 0, failed: 0 };
+            for (const entry of current.urls) counts[entry.status] += 1;
+
+            current.attempts = attempt;
+            current.updatedAt = now;
+            current.status = counts.pending > 0 ? 'retrying'
+                : counts.submitted === current.urls.length ? 'submitted'
+                : counts.submitted > 0 ? 'partial'
+                : counts.rejected > 0 ? 'rejected' : 'failed';
+            return { status: current.status, counts };
+        });
+
+        if (summary.counts.pending > 0) {
+            const retryable = results.find(result => result.error && result.error.retryable !== false);
+            console.warn(`⚠️ IndexNow submission ${id}: ${summary.counts.pending} URLs will be retried (${retryable.error.message})`);
+            throw retryable.error;
+        }
+        const failure = results.find(result => result.error);
+        if (failure) {
+            console.error(`❌ IndexNow submission ${id} ${summary.status}: ${failure.error.message}`);
+            const error = new Error(failure.error.message);
+            error.retryable = false;
+            throw error;
+        }
+
+        console.log(`🔎 IndexNow accepted ${summary.counts.submitted} URLs (${id})`);
+        return { submissionId: id, status: summary.status, ...summary.counts };
+    }
+}
+
+module.exports = IndexNowSubmitter;
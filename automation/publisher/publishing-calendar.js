@@ -0,0 +1,478 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { prepareArticle } = require('../content-generator/article-schema');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Publishing Calendar
+ * Turns settings `publishingSchedule` into concrete publish slots: one slot
+ * per publishing day at `publishTime` in `timezone`, skipping weekends and
+ * listed holidays unless allowed, each holding up to `batchSize` articles.
+ * Approved articles are assigned to the next slot with room; scheduled
+ * articles past their slot become due for the publish-scheduled job.
+ */
+class PublishingCalendar {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const schedule = settings.publishingSchedule || {};
+
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.timezone = schedule.timezone || 'UTC';
+        this.publishTime = schedule.publishTime || '09:00';
+        this.batchSize = schedule.batchSize || 1;
+        this.weekendPublishing = schedule.weekendPublishing ?? false;
+        this.holidayPublishing = schedule.holidayPublishing ?? false;
+        this.emergencyOverride = schedule.emergencyOverride ?? false;
+        this.holidays = new Map((schedule.holidays || []).map(holiday => [holiday.date, holiday.name]));
+        this.publishDays = this.parseFrequency(schedule.frequency);
+        this.horizonDays = options.horizonDays || 366;
+
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * "Monday/Wednesday/Friday" → [1, 3, 5]; "daily" → every day
+     */
+    parseFrequency(frequency = 'daily') {
+        if (/^daily$/i.test(frequency.trim())) {
+            return [0, 1, 2, 3, 4, 5, 6];
+        }
+
+        const days = frequency.split(/[\/,]/)
+            .map(day => WEEKDAYS.indexOf(day.trim().toLowerCase()))
+            .filter(day => day !== -1);
+
+        if (days.length === 0) {
+            throw new Error(`Invalid publishingSchedule.frequency: "${frequency}"`);
+        }
+        return days;
+    }
+
+    /**
+     * Calendar date (YYYY-MM-DD) of an instant in the publishing timezone
+     */
+    toDateKey(date) {
+        const parts = this.getZonedParts(date);
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    getZonedParts(date) {
+        return Object.fromEntries(
+            this.formatter.formatToParts(date).map(part => [part.type, part.value])
+        );
+    }
+
+    /**
+     * Offset of the publishing timezone from UTC at an instant, in ms
+     */
+    getTimezoneOffset(date) {
+        const parts = this.getZonedParts(date);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Instant of a wall-clock time on a date in the publishing timezone
+     */
+    zonedTimeToUtc(dateKey, time) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Second pass corrects for a DST change between the guess and the result
+        let instant = wallClock - this.getTimezoneOffset(new Date(wallClock));
+        instant = wallClock - this.getTimezoneOffset(new Date(instant));
+        return new Date(instant);
+    }
+
+    addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T12:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Whether articles may go out on a date, with the reason when they can't
+     */
+    checkDay(dateKey) {
+        const weekday = new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+
+        if (!this.weekendPublishing && (weekday === 0 || weekday === 6)) {
+            return { allowed: false, reason: 'weekend' };
+        }
+        if (!this.publishDays.includes(weekday)) {
+            return { allowed: false, reason: 'not a publishing day' };
+        }
+        if (!this.holidayPublishing && this.holidays.has(dateKey)) {
+            return { allowed: false, reason: this.holidays.get(dateKey), holiday: true };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Publish slots from `from` (inclusive) over the next `days` calendar days,
+     * plus the publishing days lost to holidays in that range
+     */
+    getSlots({ from = new Date(), days = 28 } = {}) {
+        const slots = [];
+        const blackouts = [];
+        const startKey = this.toDateKey(from);
+
+        for (let offset = 0; offset < days; offset++) {
+            const date = this.addDays(startKey, offset);
+            const day = this.checkDay(date);
+
+            if (!day.allowed) {
+                if (day.holiday) {
+                    blackouts.push({ date, reason: day.reason });
+                }
+                continue;
+            }
+
+            const publishAt = this.zonedTimeToUtc(date, this.publishTime);
+            if (publishAt >= from) {
+                slots.push({ date, publishAt: publishAt.toISOString() });
+            }
+        }
+
+        return { slots, blackouts };
+    }
+
+    /**
+     * Whether an instant is exactly one of the calendar's publish slots
+     */
+    isSlot(date) {
+        const instant = new Date(date);
+        if (isNaN(instant)) return false;
+
+        const dateKey = this.toDateKey(instant);
+        return this.checkDay(dateKey).allowed &&
+            this.zonedTimeToUtc(dateKey, this.publishTime).getTime() === instant.getTime();
+    }
+
+    /**
+     * Number of scheduled articles already in each slot, keyed by slot ISO time
+     */
+    countSlotUsage(entries, { excludeId = null } = {}) {
+        const usage = new Map();
+        for (const { article } of entries) {
+            const metadata = article.metadata || {};
+            if (metadata.status !== 'scheduled' || !metadata.scheduledFor || metadata.scheduleOverride) continue;
+            if (excludeId && this.articleId(article) === excludeId) continue;
+
+            const key = new Date(metadata.scheduledFor).toISOString();
+            usage.set(key, (usage.get(key) || 0) + 1);
+        }
+        return usage;
+    }
+
+    /**
+     * First slot after `after` with room for another article
+     */
+    findNextSlot(usage, after = new Date()) {
+        const { slots } = this.getSlots({ from: after, days: this.horizonDays });
+        const slot = slots.find(candidate => (usage.get(candidate.publishAt) || 0) < this.batchSize);
+
+        if (!slot) {
+            throw new Error(`No publish slot with free capacity in the next ${this.horizonDays} days`);
+        }
+        return slot;
+    }
+
+    articleId(article) {
+        return article.metadata?.id || article.id;
+    }
+
+    /**
+     * Approved-folder articles with the file each was read from
+     */
+    async loadApprovedArticles() {
+        const approvedDir = path.join(this.contentDir, 'approved');
+        let files;
+        try {
+            files = await fs.readdir(approvedDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const filePath = path.join(approvedDir, file);
+            try {
+                entries.push({ filePath, article: JSON.parse(await fs.readFile(filePath, 'utf8')) });
+            } catch (error) {
+                console.error(`Error reading approved article ${file}:`, error.message);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Save a calendar change to the file the article was read from. The
+     * article is validated first and the file replaced with a rename, so a
+     * crash never leaves it half written.
+     */
+    async saveEntry(entry) {
+        prepareArticle(entry.article, { status: 'approved', file: path.basename(entry.filePath) });
+        const tmpFile = `${entry.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(entry.article, null, 2));
+        await fs.rename(tmpFile, entry.filePath);
+    }
+
+    /**
+     * Approved articles not yet on the calendar, oldest approval first
+     */
+    getUnassigned(entries) {
+        return entries
+            .filter(({ article }) => article.metadata?.status === 'approved' && !article.metadata.scheduledFor)
+            .sort((a, b) =>
+                new Date(a.article.metadata.approvedAt || a.article.metadata.lastModified || 0) -
+                new Date(b.article.metadata.approvedAt || b.article.metadata.lastModified || 0)
+            );
+    }
+
+    /**
+     * Slot view of the calendar for the dashboard. Approved articles that
+     * have no slot yet are shown where the next assignment run will put them.
+     */
+    async getCalendar({ from = new Date(), days = 28 } = {}) {
+        const entries = await this.loadApprovedArticles();
+        const { slots, blackouts } = this.getSlots({ from, days });
+        const bySlot = new Map(slots.map(slot => [slot.publishAt, { ...slot, capacity: this.batchSize, articles: [] }]));
+        const offCalendar = [];
+
+        const summarize = (article, extra = {}) => ({
+            id: this.articleId(article),
+            title: article.title,
+            category: article.category || article.metadata?.category || null,
+            scheduledFor: article.metadata?.scheduledFor || null,
+            scheduledBy: article.metadata?.scheduledBy || null,
+            platforms: article.metadata?.publishPlatforms || ['website'],
+            status: article.metadata?.status,
+            ...extra
+        });
+
+        for (const { article } of entries) {
+            const metadata = article.metadata || {};
+            if (metadata.status !== 'scheduled' || !metadata.scheduledFor) continue;
+
+            const slot = bySlot.get(new Date(metadata.scheduledFor).toISOString());
+            if (slot) {
+                slot.articles.push(summarize(article, { override: !!metadata.scheduleOverride }));
+            } else if (new Date(metadata.scheduledFor) >= from) {
+                // Emergency overrides and times that predate a settings change
+                offCalendar.push(summarize(article, { override: !!metadata.scheduleOverride }));
+            }
+        }
+
+        const usage = this.countSlotUsage(entries);
+        const unassigned = [];
+        for (const { article } of this.getUnassigned(entries)) {
+            let proposed = null;
+            try {
+                proposed = this.findNextSlot(usage, from);
+                usage.set(proposed.publishAt, (usage.get(proposed.publishAt) || 0) + 1);
+            } catch (error) {
+                // Calendar full within the horizon - leave it unproposed
+            }
+
+            const summary = summarize(article, { proposedFor: proposed?.publishAt || null });
+            unassigned.push(summary);
+            if (proposed && bySlot.has(proposed.publishAt)) {
+                bySlot.get(proposed.publishAt).articles.push({ ...summary, proposed: true });
+            }
+        }
+
+        return {
+            timezone: this.timezone,
+            publishTime: this.publishTime,
+            batchSize: this.batchSize,
+            publishDays: this.publishDays.map(day => WEEKDAYS[day]),
+            weekendPublishing: this.weekendPublishing,
+            holidayPublishing: this.holidayPublishing,
+            emergencyOverride: this.emergencyOverride,
+            from: from.toISOString(),
+            days,
+            slots: [...bySlot.values()],
+            blackouts,
+            offCalendar,
+            unassigned
+        };
+    }
+
+    /**
+     * Put every approved, unscheduled article into the next slot with room
+     */
+    async assignApproved({ now = new Date(), assignedBy = 'calendar' } = {}) {
+        const entries = await this.loadApprovedArticles();
+        const usage = this.countSlotUsage(entries);
+        const assigned = [];
+
+        for (const entry of this.getUnassigned(entries)) {
+            const slot = this.findNextSlot(usage, now);
+            usage.set(slot.publishAt, (usage.get(slot.publishAt) || 0) + 1);
+
+            Object.assign(entry.article.metadata, {
+                status: 'scheduled',
+                scheduledFor: slot.publishAt,
+                scheduledAt: now.toISOString(),
+                scheduledBy: assignedBy,
+                publishPlatforms: entry.article.metadata.publishPlatforms || ['website']
+            });
+            await this.saveEntry(entry);
+
+            assigned.push({ id: this.articleId(entry.article), title: entry.article.title, scheduledFor: slot.publishAt });
+            console.log(`📅 Assigned "${entry.article.title}" to ${slot.date} ${this.publishTime} (${this.timezone})`);
+        }
+
+        return assigned;
+    }
+
+    /**
+     * Scheduled articles whose slot has arrived, at most `batchSize` per run.
+     * Overdue articles beyond the batch move to the next slot with room.
+     * Emergency overrides are always due and don't count against the batch.
+     */
+    async takeDue({ now = new Date() } = {}) {
+        const entries = await this.loadApprovedArticles();
+        const pastDue = entries
+            .filter(({ article }) =>
+                article.metadata?.status === 'scheduled' &&
+                article.metadata.scheduledFor &&
+                new Date(article.metadata.scheduledFor) <= now
+            )
+            .sort((a, b) => new Date(a.article.metadata.scheduledFor) - new Date(b.article.metadata.scheduledFor));
+
+        const overrides = pastDue.filter(({ article }) => article.metadata.scheduleOverride);
+        const regular = pastDue.filter(({ article }) => !article.metadata.scheduleOverride);
+        const due = [...overrides, ...regular.slice(0, this.batchSize)].map(({ article }) => article);
+
+        const rolledOver = [];
+        const usage = this.countSlotUsage(entries);
+        for (const entry of regular.slice(this.batchSize)) {
+            const slot = this.findNextSlot(usage, new Date(now.getTime() + 1));
+            usage.set(slot.publishAt, (usage.get(slot.publishAt) || 0) + 1);
+
+            const previous = entry.article.metadata.scheduledFor;
+            entry.article.metadata.scheduledFor = slot.publishAt;
+            entry.article.metadata.rescheduledFrom = previous;
+            await this.saveEntry(entry);
+
+            rolledOver.push({ id: this.articleId(entry.article), from: previous, to: slot.publishAt });
+            console.log(`📅 Batch full - moved "${entry.article.title}" to ${slot.date}`);
+        }
+
+        return { due, rolledOver };
+    }
+
+    /**
+     * Schedule or move an approved article. Without `publishAt` it takes the
+     * next free slot; otherwise `publishAt` must be a slot with room, unless
+     * `override` is set and settings allow emergency overrides.
+     */
+    async scheduleArticle(articleId, { publishAt = null, platforms = null, scheduledBy, override = false, now = new Date() } = {}) {
+        const entries = await this.loadApprovedArticles();
+        const entry = entries.find(({ article }) => this.articleId(article) === articleId);
+
+        if (!entry) {
+            const error = new Error(`Article ${articleId} not found in approved folder`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const metadata = entry.article.metadata;
+        if (!['approved', 'scheduled'].includes(metadata.status)) {
+            const error = new Error('Article must be approved before scheduling');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const usage = this.countSlotUsage(entries, { excludeId: articleId });
+        let scheduledFor;
+
+        if (!publishAt) {
+            scheduledFor = this.findNextSlot(usage, now).publishAt;
+            override = false;
+        } else {
+            const requested = new Date(publishAt);
+            if (isNaN(requested)) {
+                const error = new Error(`Invalid publish date: ${publishAt}`);
+                error.statusCode = 400;
+                throw error;
+            }
+            scheduledFor = requested.toISOString();
+
+            if (override) {
+                if (!this.emergencyOverride) {
+                    const error = new Error('Emergency overrides are disabled in publishingSchedule settings');
+                    error.statusCode = 400;
+                    throw error;
+                }
+            } else {
+                const dateKey = this.toDateKey(requested);
+                const day = this.checkDay(dateKey);
+                if (!day.allowed) {
+                    const error = new Error(`Cannot publish on ${dateKey}: ${day.reason}`);
+                    error.statusCode = 400;
+                    throw error;
+                }
+                if (!this.isSlot(requested)) {
+                    const error = new Error(`Articles publish at ${this.publishTime} ${this.timezone}`);
+                    error.statusCode = 400;
+                    throw error;
+                }
+                if (requested < now) {
+                    const error = new Error('Cannot schedule into a slot that has already passed');
+                    error.statusCode = 400;
+                    throw error;
+                }
+                if ((usage.get(scheduledFor) || 0) >= this.batchSize) {
+                    const error = new Error(`The ${dateKey} slot is full (batch size ${this.batchSize})`);
+                    error.statusCode = 409;
+                    throw error;
+                }
+            }
+        }
+
+        const previous = metadata.scheduledFor || null;
+        Object.assign(metadata, {
+            status: 'scheduled',
+            scheduledFor,
+            scheduledAt: now.toISOString(),
+            scheduledBy,
+            publishPlatforms: platforms || metadata.publishPlatforms || ['website']
+        });
+        if (override) {
+            metadata.scheduleOverride = true;
+        } else {
+            delete metadata.scheduleOverride;
+        }
+        delete metadata.rescheduledFrom;
+
+        await this.saveEntry(entry);
+        return { article: entry.article, previous, scheduledFor, override };
+    }
+}
+
+module.exports = PublishingCalendar;
@@ -0,0 +1,96 @@
+const { generateArticleUrl } = require('../templates/article-template');
+const { getArticleCategory, getArticleTags, getCategorySlug, getCategoryName } = require('../templates/taxonomy');
+
+/**
+ * Search Index
+ * Compact JSON index of the published articles for the client-side search
+ * in assets/js/search.js. Only what search needs is stored - title,
+ * headings, keywords and a short excerpt - under one-letter keys to keep
+ * the file small; the browser builds its term index from it on load.
+ */
+
+const SEARCH_INDEX_PATH = 'assets/data/search-index.json';
+const SEARCH_INDEX_VERSION = 1;
+const EXCERPT_LENGTH = 220;
+const MAX_HEADINGS = 12;
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Some generated titles still carry the quotes the model wrapped them in
+function cleanText(text) {
+    return stripHtml(text).replace(/^"+|"+$/g, '');
+}
+
+function extractHeadings(html) {
+    const headings = [];
+    const pattern = /<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/gi;
+    let match;
+
+    while ((match = pattern.exec(html || '')) !== null && headings.length < MAX_HEADINGS) {
+        const heading = cleanText(match[1]);
+        if (heading && !headings.includes(heading)) {
+            headings.push(heading);
+        }
+    }
+
+    return headings;
+}
+
+function createExcerpt(article) {
+    const text = cleanText(article.metaDescription) || stripHtml(article.content);
+    if (text.length <= EXCERPT_LENGTH) return text;
+    return text.substring(0, text.lastIndexOf(' ', EXCERPT_LENGTH)) + '…';
+}
+
+/**
+ * Index document for one article
+ */
+function toSearchDocument(article) {
+    const publishedAt = article.metadata?.publishedAt || article.metadata?.createdAt;
+
+    return {
+        u: generateArticleUrl(article),
+        t: cleanText(article.title),
+        c: getCategorySlug(getArticleCategory(article)),
+        d: publishedAt ? new Date(publishedAt).toISOString().split('T')[0] : null,
+        h: extractHeadings(article.content),
+        k: getArticleTags(article).map(tag => tag.name),
+        e: createExcerpt(article)
+    };
+}
+
+/**
+ * Search index JSON for articles given newest first
+ */
+function buildSearchIndex(articles) {
+    const documents = articles.map(toSearchDocument);
+    const categories = {};
+
+    for (const document of documents) {
+        categories[document.c] = getCategoryName(document.c);
+    }
+
+    return JSON.stringify({
+        v: SEARCH_INDEX_VERSION,
+        categories: Object.fromEntries(Object.entries(categories).sort(([a], [b]) => a.localeCompare(b))),
+        docs: documents
+    });
+}
+
+module.exports = {
+    SEARCH_INDEX_PATH,
+    buildSearchIndex,
+    toSearchDocument
+};
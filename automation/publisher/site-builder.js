@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { generateArticleHTML, generateArticleUrl } = require('../templates/article-template');
+const { generateHomepageHTML, toHomepageArticle } = require('../homepage-generator');
+const SitemapUpdater = require('./sitemap-updater');
+const { renderArchivePages } = require('./archive-pages');
+const { generateSearchHTML } = require('../templates/archive-template');
+const { SEARCH_INDEX_PATH, buildSearchIndex } = require('./search-index');
+const { renderFeeds } = require('./feeds');
+const IndexNowSubmitter = require('./indexnow');
+const { createDeployTarget } = require('./targets');
+require('dotenv').config();
+
+/**
+ * Site Builder
+ * Rebuilds every generated page from content/published: article pages,
+ * index.html, category and tag archives, the search index, the sitemaps and
+ * the RSS, Atom and JSON feeds and the IndexNow key file. Output only depends
+ * on the published JSON (dates come from the latest publish, never the
+ * clock), so building twice gives identical files and the report lists
+ * exactly the files whose content changed. The one exception is the Google
+ * News sitemap, which drops articles once they are older than its window.
+ */
+class SiteBuilder {
+    constructor(options = {}) {
+        this.deployTarget = options.deployTarget || createDeployTarget();
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.baseUrl = options.baseUrl || 'https://smartfinancehub.vip';
+        this.homepageSize = options.homepageSize || 12;
+        this.indexNow = options.indexNow || new IndexNowSubmitter({ baseUrl: this.baseUrl });
+    }
+
+    /**
+     * Valid published articles plus `include`, newest first (ties broken by id)
+     */
+    async loadArticles({ include = [] } = {}) {
+        const publishedDir = path.join(this.contentDir, 'published');
+        const articles = [];
+        const skipped = [];
+
+        let files = [];
+        try {
+            files = (await fs.readdir(publishedDir)).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const file of files) {
+            try {
+                const article = JSON.parse(await fs.readFile(path.join(publishedDir, file), 'utf8'));
+                if (!article.title || !article.content) {
+                    skipped.push({ file, reason: 'missing title or content' });
+                    continue;
+                }
+                articles.push({ file, article });
+            } catch (error) {
+                skipped.push({ file, reason: error.message });
+            }
+        }
+
+        for (const article of include) {
+            const id = this.getArticleId({ file: '', article });
+            const index = articles.findIndex(entry => this.getArticleId(entry) === id);
+            const entry = { file: `${id}.json`, article };
+            if (index === -1) {
+                articles.push(entry);
+            } else {
+                articles[index] = entry;
+            }
+        }
+
+        articles.sort((a, b) =>
+            this.getPublishTime(b.article) - this.getPublishTime(a.article) ||
+            this.getArticleId(a).localeCompare(this.getArticleId(b))
+        );
+
+        return { articles, skipped };
+    }
+
+    getPublishTime(article) {
+        return new Date(article.metadata?.publishedAt || article.metadata?.createdAt || 0).getTime();
+    }
+
+    getArticleId({ file, article }) {
+        return article.metadata?.id || file.replace('.json', '');
+    }
+
+    /**
+     * Every output file as path -> content, in a stable order
+     */
+    async renderSite(entries) {
+        const articles = entries.map(entry => entry.article);
+        const buildDate = new Date(articles.length ? this.getPublishTime(articles[0]) : 0);
+        const files = new Map();
+        const sources = new Map();
+
+        // Article pages; the first (newest) article wins a path collision
+        for (const { file, article } of entries) {
+            const filePath = generateArticleUrl(article).replace(/^\/+/, '');
+            if (files.has(filePath)) {
+                console.warn(`⚠️ ${file} renders to ${filePath}, already built from ${sources.get(filePath)} - skipped`);
+                continue;
+            }
+            files.set(filePath, generateArticleHTML(article));
+            sources.set(filePath, file);
+        }
+
+        // Homepage
+        const homepageArticles = entries
+            .slice(0, this.homepageSize)
+            .map(({ file, article }) => toHomepageArticle(article, file.replace('.json', '')));
+        files.set('index.html', generateHomepageHTML(homepageArticles, { updatedAt: buildDate }));
+
+        // Paginated category and tag archives
+        for (const [filePath, html] of renderArchivePages(articles)) {
+            files.set(filePath, html);
+        }
+
+        // Client-side search index and the page that searches it
+        files.set(SEARCH_INDEX_PATH, buildSearchIndex(articles));
+        files.set('search/index.html', generateSearchHTML());
+
+        // Sitemap index and sitemaps, then the site and category feeds
+        for (const [filePath, xml] of this.generateSitemaps(articles, buildDate)) {
+            files.set(filePath, xml);
+        }
+        for (const [filePath, content] of renderFeeds(articles, { baseUrl: this.baseUrl })) {
+            files.set(filePath, content);
+        }
+
+        // IndexNow key file, which proves submissions come from this site
+        if (this.indexNow.enabled) {
+            files.set(this.indexNow.getKeyFilePath(), this.indexNow.getKey());
+        }
+
+        return { files, buildDate };
+    }
+
+    generateSitemaps(articles, buildDate) {
+        const sitemap = new SitemapUpdater({
+            deployTarget: this.deployTarget,
+            baseUrl: this.baseUrl,
+            contentDir: this.contentDir,
+            now: () => buildDate
+        });
+
+        return sitemap.generateSitemaps(articles.filter(article => sitemap.validateArticle(article)));
+    }
+
+    /**
+     * Render the site, compare it with what the deploy target holds and
+     * write only the files that differ, as a single commit.
+     * With `dryRun` nothing is written; the report is the same.
+     * `include` adds articles not yet in content/published (the publisher
+     * passes the article it is publishing), `only` limits which output
+     * files are considered and `commit: false` leaves committing to the caller.
+     */
+    async build({ dryRun = false, include = [], only = null, commit: shouldCommit = true } = {}) {
+        console.log(`🏗️ Building site from ${path.join(this.contentDir, 'published')}...`);
+
+        const { articles, skipped } = await this.loadArticles({ include });
+        const { files, buildDate } = await this.renderSite(articles);
+
+        const report = { added: [], changed: [], unchanged: [] };
+        for (const [filePath, content] of files) {
+            if (only && !only(filePath)) {
+                files.delete(filePath);
+                continue;
+            }
+
+            const existing = await this.deployTarget.readFile(filePath);
+            if (existing === null) {
+                report.added.push(filePath);
+            } else if (existing !== content) {
+                report.changed.push(filePath);
+            } else {
+                report.unchanged.push(filePath);
+            }
+        }
+
+        const toWrite = [...report.added, ...report.changed];
+        let commit = null;
+
+        if (!dryRun && toWrite.length > 0) {
+            const message = `Rebuild site: ${toWrite.length} files from ${articles.length} published articles`;
+            for (const filePath of toWrite) {
+                await this.deployTarget.writeFile(filePath, files.get(filePath), message);
+            }
+            if (shouldCommit) {
+                commit = await this.deployTarget.commit(message, { paths: toWrite });
+            }
+        }
+
+        return {
+            dryRun,
+            target: this.deployTarget.describe(),
+            articles: articles.length,
+            buildDate: buildDate.toISOString(),
+            files: files.size,
+            ...report,
+            skipped,
+            commit
+        };
+    }
+}
+
+function printReport(result) {
+    console.log(`\n📊 BUILD REPORT (${result.target}${result.dryRun ? ', dry run' : ''})`);
+    console.log(`📚 ${result.articles} articles -> ${result.files} files, dated ${result.buildDate}`);
+
+    for (const file of result.added) console.log(`   + ${file}`);
+    for (const file of result.changed) console.log(`   ~ ${file}`);
+
+    console.log(`➕ Added: ${result.added.length}  ✏️ Changed: ${result.changed.length}  ✅ Unchanged: ${result.unchanged.length}`);
+
+    if (result.skipped.length > 0) {
+        console.log(`⚠️ Skipped ${result.skipped.length} published files:`);
+        result.skipped.forEach(({ file, reason }) => console.log(`   • ${file}: ${reason}`));
+    }
+}
+
+// CLI usage: node site-builder.js [--dry-run]
+if (require.main === module) {
+    const builder = new SiteBuilder();
+
+    builder.build({ dryRun: process.argv.includes('--dry-run') })
+        .then(result => {
+            printReport(result);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Site build failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = SiteBuilder;
@@ -1,33 +1,65 @@
-const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { createDeployTarget } = require('./targets');
+const { getArchiveUrls } = require('./archive-pages');
+const { generateArticleUrl } = require('../templates/article-template');
 require('dotenv').config();
 
+const SITEMAP_INDEX_PATH = 'sitemap.xml';
+const SITEMAPS_DIR = 'sitemaps';
+
+// Protocol limits per sitemap file (Google News allows fewer URLs)
+const MAX_URLS = 50000;
+const MAX_NEWS_URLS = 1000;
+const MAX_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGES_PER_URL = 1000;
+
+/**
+ * Sitemap Updater
+ * sitemap.xml (the file robots.txt points to) is a sitemap index of:
+ * - sitemaps/pages.xml: static pages, category and tag archives
+ * - sitemaps/articles-<year>.xml: articles by year published
+ * - sitemaps/news.xml: Google News sitemap of articles published in the last
+ *   `newsWindowHours`
+ * - sitemaps/images.xml: each article's featured and inline images
+ * A sitemap over the 50,000 URL or 50 MB limits is split into numbered
+ * parts. lastmod is the date an entry's content last changed (an article's
+ * updatedAt or publish date); pages with no known change date go without.
+ */
 class SitemapUpdater {
     constructor(options = {}) {
-        this.octokit = new Octokit({
-            auth: process.env.GITHUB_TOKEN
-        });
-        
-        this.repoOwner = options.repoOwner || 'gabiffk-gif';
-        this.repoName = options.repoName || 'smart-finance-hub';
+        this.deployTarget = options.deployTarget || createDeployTarget();
         this.baseUrl = options.baseUrl || 'https://smartfinancehub.vip';
         this.contentDir = options.contentDir || path.join(__dirname, '../../content');
         
-        // Static pages configuration
+        // Clock for lastmod and recency; the site build pins it to the latest publish
+        this.now = options.now || (() => new Date());
+        
+        // The news window always uses the real clock, so articles drop out of
+        // news.xml even when nothing new is published
+        this.clock = options.clock || (() => new Date());
+        
+        const settings = options.sitemaps || this.loadSettings();
+        this.maxUrls = Math.min(settings.maxUrlsPerSitemap || MAX_URLS, MAX_URLS);
+        this.newsWindowHours = settings.newsWindowHours || 48;
+        this.publicationName = settings.publicationName || 'Smart Finance Hub';
+        this.publicationLanguage = settings.publicationLanguage || 'en';
+        
+        // Static pages configuration; set lastmod when a page's content changes.
+        // `latestContent` pages list articles and change whenever one does.
         this.staticPages = [
             {
                 url: '',
                 changefreq: 'daily',
                 priority: 1.0,
-                lastmod: null // Will use current date
+                latestContent: true
             },
             {
                 url: 'articles',
                 changefreq: 'daily',
                 priority: 0.9,
-                lastmod: null
+                latestContent: true
             },
             {
                 url: 'about',
@@ -49,29 +81,25 @@ class SitemapUpdater {
             }
         ];
         
-        // Category pages
-        this.categoryPages = [
-            'banking',
-            'investing', 
-            'credit',
-            'debt',
-            'retirement',
-            'taxes',
-            'insurance',
-            'budgeting',
-            'real_estate',
-            'business'
-        ];
-        
-        // Google Search Console ping endpoints
-        this.googlePingUrls = [
-            'https://www.google.com/ping?sitemap=',
-            'https://www.bing.com/ping?sitemap='
-        ];
+        // Category and tag archive pages come from the published articles (archive-pages.js)
+        this.archiveOptions = options.archives || {};
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8')).sitemaps || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static isSitemapPath(filePath) {
+        return filePath === SITEMAP_INDEX_PATH || filePath.startsWith(`${SITEMAPS_DIR}/`);
     }
 
     /**
-     * Main method to update sitemap completely
+     * Regenerate the sitemap index and every sitemap and deploy them
      */
     async updateSitemap(options = {}) {
         try {
@@ -81,22 +109,26 @@ class SitemapUpdater {
             const articles = await this.readPublishedArticles();
             console.log(`📚 Found ${articles.length} published articles`);
             
-            // Generate complete sitemap XML
-            const sitemapXML = await this.generateSitemapXML(articles);
+            const sitemaps = this.generateSitemaps(articles);
+            for (const [filePath, xml] of sitemaps) {
+                const validation = await this.validateSitemap(xml, { news: filePath === `${SITEMAPS_DIR}/news.xml` });
+                if (!validation.isValid) {
+                    throw new Error(`${filePath} is invalid: ${validation.errors.join('; ')}`);
+                }
+            }
             
-            // Commit to GitHub
+            // Deploy the sitemaps
             if (!options.dryRun) {
-                await this.commitSitemapToGitHub(sitemapXML);
-                
-                // Ping search engines
-                if (options.pingSearchEngines !== false) {
-                    await this.pingSearchEngines();
-                }
+                await this.deploySitemaps(sitemaps);
             } else {
-                console.log('🔍 Dry run mode - sitemap not committed');
-                if (options.outputPath) {
-                    await fs.writeFile(options.outputPath, sitemapXML);
-                    console.log(`💾 Sitemap saved to: ${options.outputPath}`);
+                console.log('🔍 Dry run mode - sitemaps not committed');
+                if (options.outputDir) {
+                    for (const [filePath, xml] of sitemaps) {
+                        const outputPath = path.join(options.outputDir, filePath);
+                        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                        await fs.writeFile(outputPath, xml);
+                    }
+                    console.log(`💾 ${sitemaps.size} sitemaps saved to: ${options.outputDir}`);
                 }
             }
             
@@ -106,7 +138,8 @@ class SitemapUpdater {
                 success: true,
                 articlesCount: articles.length,
                 totalUrls: this.calculateTotalUrls(articles),
-                sitemapSize: sitemapXML.length
+                sitemaps: [...sitemaps.keys()],
+                sitemapSize: [...sitemaps.values()].reduce((total, xml) => total + Buffer.byteLength(xml), 0)
             };
             
         } catch (error) {
@@ -175,87 +208,175 @@ class SitemapUpdater {
         return article &&
                article.metadata &&
                article.metadata.id &&
-               article.title &&
-               (article.metadata.publishedUrl || article.metadata.slug || article.metadata.filePath);
+               article.title;
     }
 
     /**
-     * Generate complete sitemap XML
+     * The sitemap index and every sitemap it lists, as path -> XML.
+     * `articles` are valid published articles, newest first.
      */
-    async generateSitemapXML(articles) {
-        const currentDate = new Date().toISOString().split('T')[0];
+    generateSitemaps(articles) {
+        const files = new Map();
+        const listed = [];
+        const add = (name, entries, options = {}) => {
+            for (const [filePath, xml, chunk] of this.renderSitemapFiles(name, entries, options)) {
+                files.set(filePath, xml);
+                listed.push({ filename: filePath, lastmod: this.latestDate(chunk.map(entry => entry.lastmod)) });
+            }
+        };
         
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
-        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
-        xmlns:xhtml="http://www.w3.org/1999/xhtml"
-        xmlns:mobile="http://www.google.com/schemas/sitemap-mobile/1.0"
-        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">`;
-        
-        // Add static pages
-        for (const page of this.staticPages) {
-            xml += this.generateUrlEntry({
-                url: page.url,
-                lastmod: page.lastmod || currentDate,
-                changefreq: page.changefreq,
-                priority: page.priority
-            });
+        add('pages', this.getPageEntries(articles));
+        
+        // Articles by year published, newest year first
+        const years = new Map();
+        for (const article of articles) {
+            const year = this.getPublishDate(article).getUTCFullYear();
+            if (!years.has(year)) years.set(year, []);
+            years.get(year).push(this.extractArticleUrlInfo(article));
         }
+        for (const year of [...years.keys()].sort((a, b) => b - a)) {
+            add(`articles-${year}`, years.get(year));
+        }
+        
+        add('news', this.getNewsEntries(articles), { maxUrls: MAX_NEWS_URLS });
+        add('images', this.getImageEntries(articles));
         
-        // Add category pages
-        for (const category of this.categoryPages) {
-            xml += this.generateUrlEntry({
-                url: `articles/${category}`,
-                lastmod: currentDate,
+        return new Map([[SITEMAP_INDEX_PATH, this.generateSitemapIndex(listed)], ...files]);
+    }
+
+    /**
+     * Static pages, then category and tag archive pages
+     */
+    getPageEntries(articles) {
+        const latestContent = this.latestDate(articles.map(article => this.getLastModified(article)));
+        const entries = this.staticPages.map(page => ({
+            url: page.url,
+            lastmod: page.latestContent ? latestContent : page.lastmod,
+            changefreq: page.changefreq,
+            priority: page.priority
+        }));
+        
+        for (const archivePage of getArchiveUrls(articles, this.archiveOptions)) {
+            entries.push({
+                url: archivePage.url,
+                lastmod: archivePage.lastmod,
                 changefreq: 'weekly',
-                priority: 0.7
+                priority: archivePage.type === 'tag' || archivePage.page > 1 ? 0.5 : 0.7
             });
         }
         
-        // Add article URLs
-        for (const article of articles) {
-            const urlInfo = this.extractArticleUrlInfo(article);
-            if (urlInfo) {
-                xml += this.generateUrlEntry(urlInfo, article);
-            }
+        return entries;
+    }
+
+    /**
+     * Articles published within the news window, newest first
+     */
+    getNewsEntries(articles) {
+        const since = this.clock().getTime() - this.newsWindowHours * 60 * 60 * 1000;
+        return articles
+            .filter(article => this.getPublishDate(article).getTime() > since)
+            .slice(0, MAX_NEWS_URLS)
+            .map(article => ({
+                ...this.extractArticleUrlInfo(article),
+                news: {
+                    publicationDate: this.getPublishDate(article).toISOString(),
+                    title: article.title
+                }
+            }));
+    }
+
+    /**
+     * Articles that have images, with every image they show
+     */
+    getImageEntries(articles) {
+        return articles
+            .map(article => ({ ...this.extractArticleUrlInfo(article), images: this.extractArticleImages(article) }))
+            .filter(entry => entry.images.length > 0);
+    }
+
+    /**
+     * Absolute URLs of the featured image and every inline image, in order
+     */
+    extractArticleImages(article) {
+        const featured = typeof article.featuredImage === 'string' ? article.featuredImage : article.featuredImage?.url;
+        const inline = [...String(article.content || '').matchAll(/<img\b[^>]*?\ssrc=["']([^"']+)["']/gi)].map(match => match[1]);
+        
+        const images = new Set();
+        for (const src of [featured, ...inline]) {
+            if (!src || src.startsWith('data:')) continue;
+            if (src.startsWith('//')) images.add(`https:${src}`);
+            else if (src.startsWith('/')) images.add(`${this.baseUrl}${src}`);
+            else if (/^https?:\/\//i.test(src)) images.add(src);
         }
         
-        xml += '\n</urlset>';
+        return [...images].slice(0, MAX_IMAGES_PER_URL);
+    }
+
+    /**
+     * Render `entries` as sitemaps/<name>.xml, or as numbered parts
+     * (sitemaps/<name>-1.xml, ...) when one file would break the URL or size
+     * limit. Returns [path, xml, entries] for each file.
+     */
+    renderSitemapFiles(name, entries, { maxUrls = this.maxUrls } = {}) {
+        let limit = Math.min(maxUrls, this.maxUrls);
         
-        return xml;
+        for (;;) {
+            const chunks = [];
+            for (let i = 0; i < entries.length; i += limit) {
+                chunks.push(entries.slice(i, i + limit));
+            }
+            if (chunks.length === 0) chunks.push([]);
+            
+            const files = chunks.map((chunk, i) => [
+                `${SITEMAPS_DIR}/${chunks.length > 1 ? `${name}-${i + 1}` : name}.xml`,
+                this.generateUrlset(chunk),
+                chunk
+            ]);
+            
+            if (limit === 1 || files.every(([, xml]) => Buffer.byteLength(xml) <= MAX_BYTES)) {
+                return files;
+            }
+            limit = Math.ceil(limit / 2);
+        }
+    }
+
+    generateUrlset(entries) {
+        const namespaces = ['xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"'];
+        if (entries.some(entry => entry.news)) {
+            namespaces.push('xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"');
+        }
+        if (entries.some(entry => entry.images)) {
+            namespaces.push('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"');
+        }
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset ${namespaces.join('\n        ')}>${entries.map(entry => this.generateUrlEntry(entry)).join('')}
+</urlset>`;
+    }
+
+    getPublishDate(article) {
+        return new Date(article.metadata.publishedAt || article.metadata.createdAt);
+    }
+
+    getLastModified(article) {
+        const lastmod = article.metadata.updatedAt || article.metadata.publishedAt || article.metadata.createdAt;
+        return lastmod ? new Date(lastmod).toISOString().split('T')[0] : null;
+    }
+
+    latestDate(dates) {
+        return dates.filter(Boolean).sort().pop() || null;
     }
 
     /**
      * Extract URL information from article metadata
      */
     extractArticleUrlInfo(article) {
-        let url, lastmod;
-        
-        // Try to get URL from metadata
-        if (article.metadata.publishedUrl) {
-            url = article.metadata.publishedUrl.replace(this.baseUrl + '/', '');
-        } else if (article.metadata.filePath) {
-            url = article.metadata.filePath;
-        } else if (article.metadata.slug) {
-            // Generate URL from slug and date
-            const publishDate = new Date(article.metadata.publishedAt || article.metadata.createdAt);
-            const year = publishDate.getFullYear();
-            const month = String(publishDate.getMonth() + 1).padStart(2, '0');
-            url = `articles/${year}/${month}/${article.metadata.slug}.html`;
-        } else {
-            console.warn(`⚠️ Could not extract URL for article: ${article.metadata.id}`);
-            return null;
-        }
-        
-        // Get last modified date
-        lastmod = article.metadata.updatedAt || article.metadata.publishedAt || article.metadata.createdAt;
-        if (lastmod) {
-            lastmod = new Date(lastmod).toISOString().split('T')[0];
-        }
+        // Same location the article page is built at
+        const url = generateArticleUrl(article).replace(/^\/+/, '');
         
         return {
             url,
-            lastmod: lastmod || new Date().toISOString().split('T')[0],
+            lastmod: this.getLastModified(article),
             changefreq: this.determineChangeFreq(article),
             priority: this.determinePriority(article)
         };
@@ -265,8 +386,8 @@ class SitemapUpdater {
      * Determine change frequency based on article metadata
      */
     determineChangeFreq(article) {
-        const publishedAt = new Date(article.metadata.publishedAt || article.metadata.createdAt);
-        const now = new Date();
+        const publishedAt = this.getPublishDate(article);
+        const now = this.now();
         const daysSincePublished = (now - publishedAt) / (1000 * 60 * 60 * 24);
         
         // Recent articles change more frequently
@@ -288,8 +409,8 @@ class SitemapUpdater {
         else if (qualityScore >= 80) priority += 0.1;
         
         // Boost for recent articles
-        const publishedAt = new Date(article.metadata.publishedAt || article.metadata.createdAt);
-        const daysSincePublished = (new Date() - publishedAt) / (1000 * 60 * 60 * 24);
+        const publishedAt = this.getPublishDate(article);
+        const daysSincePublished = (this.now() - publishedAt) / (1000 * 60 * 60 * 24);
         
         if (daysSincePublished < 7) priority += 0.1;
         else if (daysSincePublished < 30) priority += 0.05;
@@ -304,157 +425,69 @@ class SitemapUpdater {
     }
 
     /**
-     * Generate individual URL entry XML
+     * Generate individual URL entry XML. News and image entries carry only
+     * their own markup.
      */
-    generateUrlEntry(urlInfo, article = null) {
-        const fullUrl = `${this.baseUrl}/${urlInfo.url}`.replace(/\/+$/, ''); // Remove trailing slashes
+    generateUrlEntry(urlInfo) {
+        const fullUrl = urlInfo.url ? `${this.baseUrl}/${urlInfo.url}` : this.baseUrl;
         
         let xml = `
     <url>
-        <loc>${this.escapeXml(fullUrl)}</loc>
-        <lastmod>${urlInfo.lastmod}</lastmod>
-        <changefreq>${urlInfo.changefreq}</changefreq>
-        <priority>${urlInfo.priority.toFixed(1)}</priority>`;
+        <loc>${this.escapeXml(fullUrl)}</loc>`;
         
-        // Add image information for articles
-        if (article && article.metadata.slug) {
-            xml += `
-        <image:image>
-            <image:loc>${this.baseUrl}/assets/images/articles/${article.metadata.slug}-featured.webp</image:loc>
-            <image:title>${this.escapeXml(article.title)}</image:title>
-            <image:caption>${this.escapeXml(article.metaDescription)}</image:caption>
-        </image:image>`;
-        }
-        
-        // Add news markup for recent articles (last 2 days)
-        if (article) {
-            const publishedAt = new Date(article.metadata.publishedAt || article.metadata.createdAt);
-            const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
-            
-            if (publishedAt > twoDaysAgo) {
-                xml += `
+        if (urlInfo.news) {
+            return `${xml}
         <news:news>
             <news:publication>
-                <news:name>Smart Finance Hub</news:name>
-                <news:language>en</news:language>
+                <news:name>${this.escapeXml(this.publicationName)}</news:name>
+                <news:language>${this.publicationLanguage}</news:language>
             </news:publication>
-            <news:publication_date>${publishedAt.toISOString()}</news:publication_date>
-            <news:title>${this.escapeXml(article.title)}</news:title>
-            <news:keywords>${this.extractKeywords(article).join(', ')}</news:keywords>
-        </news:news>`;
-            }
+            <news:publication_date>${urlInfo.news.publicationDate}</news:publication_date>
+            <news:title>${this.escapeXml(urlInfo.news.title)}</news:title>
+        </news:news>
+    </url>`;
         }
         
-        xml += `
+        if (urlInfo.images) {
+            return `${xml}${urlInfo.images.map(image => `
+        <image:image>
+            <image:loc>${this.escapeXml(image)}</image:loc>
+        </image:image>`).join('')}
     </url>`;
+        }
         
-        return xml;
-    }
-
-    /**
-     * Extract keywords from article for news sitemap
-     */
-    extractKeywords(article) {
-        if (article.metadata?.targetKeywords) {
-            return [...article.metadata.targetKeywords.primary, ...article.metadata.targetKeywords.longTail]
-                .slice(0, 10); // Limit to 10 keywords
+        if (urlInfo.lastmod) {
+            xml += `
+        <lastmod>${urlInfo.lastmod}</lastmod>`;
         }
         
-        // Fallback to category and basic keywords
-        const categoryKeywords = {
-            'banking': ['banking', 'savings', 'accounts'],
-            'investing': ['investing', 'stocks', 'portfolio'],
-            'credit': ['credit', 'credit score', 'credit cards'],
-            'debt': ['debt', 'debt management', 'debt consolidation'],
-            'retirement': ['retirement', 'retirement planning', '401k'],
-            'taxes': ['taxes', 'tax planning', 'tax optimization'],
-            'insurance': ['insurance', 'life insurance', 'health insurance'],
-            'budgeting': ['budgeting', 'personal finance', 'money management']
-        };
+        xml += `
+        <changefreq>${urlInfo.changefreq}</changefreq>
+        <priority>${urlInfo.priority.toFixed(1)}</priority>
+    </url>`;
         
-        return categoryKeywords[article.category] || ['personal finance', 'money management'];
+        return xml;
     }
 
     /**
-     * Commit updated sitemap to GitHub
+     * Write the sitemaps to the deploy target and commit them
      */
-    async commitSitemapToGitHub(sitemapXML) {
+    async deploySitemaps(sitemaps) {
         try {
-            const filePath = 'sitemap.xml';
-            let sha;
-            
-            // Check if sitemap already exists
-            try {
-                const existingFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: filePath
-                });
-                sha = existingFile.data.sha;
-            } catch (error) {
-                if (error.status !== 404) {
-                    throw error;
-                }
-                // File doesn't exist, which is fine
+            const message = `Update sitemaps - ${new Date().toISOString().split('T')[0]}`;
+            for (const [filePath, xml] of sitemaps) {
+                await this.deployTarget.writeFile(filePath, xml, message);
             }
+            const result = await this.deployTarget.commit(message, { paths: [...sitemaps.keys()] });
             
-            // Create or update sitemap
-            const result = await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath,
-                message: `Update sitemap.xml - ${new Date().toISOString().split('T')[0]}`,
-                content: Buffer.from(sitemapXML).toString('base64'),
-                sha
-            });
-            
-            console.log(`✅ Sitemap committed to GitHub: ${result.data.commit.sha.substring(0, 7)}`);
+            console.log(`✅ ${sitemaps.size} sitemaps deployed to ${this.deployTarget.describe()}`);
             
             return result;
             
         } catch (error) {
-            console.error('❌ GitHub commit failed:', error);
-            throw new Error(`Failed to commit sitemap: ${error.message}`);
-        }
-    }
-
-    /**
-     * Ping search engines about sitemap update
-     */
-    async pingSearchEngines() {
-        const sitemapUrl = `${this.baseUrl}/sitemap.xml`;
-        const results = [];
-        
-        console.log(`🔔 Pinging search engines about sitemap update...`);
-        
-        for (const pingUrl of this.googlePingUrls) {
-            try {
-                const fullPingUrl = pingUrl + encodeURIComponent(sitemapUrl);
-                const response = await axios.get(fullPingUrl, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Smart Finance Hub Sitemap Updater 1.0'
-                    }
-                });
-                
-                const searchEngine = pingUrl.includes('google') ? 'Google' : 'Bing';
-                
-                if (response.status === 200) {
-                    console.log(`✅ Successfully pinged ${searchEngine}`);
-                    results.push({ searchEngine, success: true });
-                } else {
-                    console.log(`⚠️ ${searchEngine} responded with status: ${response.status}`);
-                    results.push({ searchEngine, success: false, status: response.status });
-                }
-                
-            } catch (error) {
-                const searchEngine = pingUrl.includes('google') ? 'Google' : 'Bing';
-                console.warn(`⚠️ Failed to ping ${searchEngine}:`, error.message);
-                results.push({ searchEngine, success: false, error: error.message });
-            }
+            console.error('❌ Sitemap deploy failed:', error);
+            throw new Error(`Failed to deploy sitemaps: ${error.message}`);
         }
-        
-        return results;
     }
 
     /**
@@ -464,7 +497,7 @@ class SitemapUpdater {
         return `User-agent: *
 Allow: /
 
-# Sitemaps
+# Sitemap index
 Sitemap: ${this.baseUrl}/sitemap.xml
 
 # Crawl-delay for respectful crawling
@@ -489,32 +522,10 @@ Allow: /affiliate-disclosure.html`;
     async updateRobotsTxt() {
         try {
             const robotsContent = this.generateRobotsTxt();
-            const filePath = 'robots.txt';
-            let sha;
-            
-            // Check if robots.txt already exists
-            try {
-                const existingFile = await this.octokit.rest.repos.getContent({
-                    owner: this.repoOwner,
-                    repo: this.repoName,
-                    path: filePath
-                });
-                sha = existingFile.data.sha;
-            } catch (error) {
-                if (error.status !== 404) {
-                    throw error;
-                }
-            }
+            const message = 'Update robots.txt with sitemap reference';
             
-            // Create or update robots.txt
-            await this.octokit.rest.repos.createOrUpdateFileContents({
-                owner: this.repoOwner,
-                repo: this.repoName,
-                path: filePath,
-                message: 'Update robots.txt with sitemap reference',
-                content: Buffer.from(robotsContent).toString('base64'),
-                sha
-            });
+            await this.deployTarget.writeFile('robots.txt', robotsContent, message);
+            await this.deployTarget.commit(message, { paths: ['robots.txt'] });
             
             console.log('✅ Updated robots.txt');
             
@@ -525,9 +536,9 @@ Allow: /affiliate-disclosure.html`;
     }
 
     /**
-     * Validate sitemap XML against schema
+     * Check a sitemap or sitemap index against the protocol limits
      */
-    async validateSitemap(sitemapXML) {
+    async validateSitemap(sitemapXML, { news = false } = {}) {
         const validation = {
             isValid: true,
             errors: [],
@@ -542,37 +553,39 @@ Allow: /affiliate-disclosure.html`;
                 validation.isValid = false;
             }
             
-            if (!sitemapXML.includes('<urlset')) {
-                validation.errors.push('Missing urlset element');
+            const isIndex = sitemapXML.includes('<sitemapindex');
+            if (!isIndex && !sitemapXML.includes('<urlset')) {
+                validation.errors.push('Missing urlset or sitemapindex element');
                 validation.isValid = false;
             }
             
-            // Count URLs
-            const urlMatches = sitemapXML.match(/<url>/g) || [];
-            validation.stats.totalUrls = urlMatches.length;
+            // Count URLs (or sitemaps, for an index)
+            const entryMatches = sitemapXML.match(isIndex ? /<sitemap>/g : /<url>/g) || [];
+            validation.stats.totalUrls = entryMatches.length;
             
-            // Check for required elements in each URL
+            // Check for required elements in each entry
             const locMatches = sitemapXML.match(/<loc>/g) || [];
-            if (locMatches.length !== urlMatches.length) {
-                validation.errors.push('Some URLs missing <loc> elements');
+            if (locMatches.length !== entryMatches.length) {
+                validation.errors.push('Some entries missing <loc> elements');
                 validation.isValid = false;
             }
             
-            // Size validation (Google recommends < 50MB uncompressed)
-            const sizeInMB = sitemapXML.length / (1024 * 1024);
+            // Size limit: 50MB uncompressed
+            const sizeInMB = Buffer.byteLength(sitemapXML) / (1024 * 1024);
             validation.stats.sizeInMB = sizeInMB;
             
             if (sizeInMB > 50) {
-                validation.warnings.push(`Sitemap size (${sizeInMB.toFixed(2)}MB) exceeds recommended 50MB`);
+                validation.errors.push(`Sitemap size (${sizeInMB.toFixed(2)}MB) exceeds the 50MB limit`);
+                validation.isValid = false;
             }
             
-            // URL count validation (Google limit: 50,000 URLs)
-            if (urlMatches.length > 50000) {
-                validation.warnings.push(`URL count (${urlMatches.length}) exceeds Google limit of 50,000`);
+            // URL limit: 50,000, or 1,000 for a Google News sitemap
+            const maxUrls = news ? MAX_NEWS_URLS : MAX_URLS;
+            if (entryMatches.length > maxUrls) {
+                validation.errors.push(`URL count (${entryMatches.length}) exceeds the limit of ${maxUrls}`);
+                validation.isValid = false;
             }
             
-            console.log(`📊 Sitemap validation: ${validation.stats.totalUrls} URLs, ${sizeInMB.toFixed(2)}MB`);
-            
         } catch (error) {
             validation.errors.push(`Validation error: ${error.message}`);
             validation.isValid = false;
@@ -582,19 +595,18 @@ Allow: /affiliate-disclosure.html`;
     }
 
     /**
-     * Generate sitemap index for multiple sitemaps
+     * Sitemap index of `sitemaps` ({ filename, lastmod }); lastmod is the
+     * newest lastmod in that sitemap
      */
     generateSitemapIndex(sitemaps) {
-        const currentDate = new Date().toISOString().split('T')[0];
-        
         let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`;
         
         sitemaps.forEach(sitemap => {
             xml += `
     <sitemap>
-        <loc>${this.baseUrl}/${sitemap.filename}</loc>
-        <lastmod>${sitemap.lastmod || currentDate}</lastmod>
+        <loc>${this.baseUrl}/${sitemap.filename}</loc>${sitemap.lastmod ? `
+        <lastmod>${sitemap.lastmod}</lastmod>` : ''}
     </sitemap>`;
         });
         
@@ -618,7 +630,7 @@ Allow: /affiliate-disclosure.html`;
     }
 
     calculateTotalUrls(articles) {
-        return this.staticPages.length + this.categoryPages.length + articles.length;
+        return this.staticPages.length + getArchiveUrls(articles, this.archiveOptions).length + articles.length;
     }
 
     /**
@@ -671,8 +683,7 @@ if (require.main === module) {
     // Parse command line arguments
     process.argv.slice(3).forEach(arg => {
         if (arg === '--dry-run') options.dryRun = true;
-        if (arg === '--no-ping') options.pingSearchEngines = false;
-        if (arg.startsWith('--output=')) options.outputPath = arg.split('=')[1];
+        if (arg.startsWith('--output=')) options.outputDir = arg.split('=')[1];
     });
     
     switch (command) {
@@ -716,13 +727,12 @@ if (require.main === module) {
         default:
             console.log('Usage: node sitemap-updater.js <command> [options]');
             console.log('Commands:');
-            console.log('  update    - Update sitemap with latest articles');
+            console.log('  update    - Update the sitemap index and sitemaps with latest articles');
             console.log('  stats     - Show sitemap statistics');
             console.log('  robots    - Update robots.txt file');
             console.log('Options:');
-            console.log('  --dry-run     - Generate sitemap without committing');
-            console.log('  --no-ping     - Skip search engine pings');
-            console.log('  --output=file - Save sitemap to file (dry-run mode)');
+            console.log('  --dry-run     - Generate sitemaps without committing');
+            console.log('  --output=dir  - Save sitemaps to a directory (dry-run mode)');
             process.exit(1);
     }
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+const HttpSocialAdapter = require('./http-adapter');
+
+/**
+ * Facebook Adapter
+ * Posts to the page FACEBOOK_PAGE_ID through the Graph API feed endpoint,
+ * with a page access token in FACEBOOK_PAGE_TOKEN.
+ */
+class FacebookAdapter extends HttpSocialAdapter {
+    constructor(options = {}) {
+        super({ maxLength: 63206, ...options, name: 'facebook', platform: 'facebook' });
+        this.apiVersion = options.apiVersion || 'v19.0';
+        this.pageId = options.pageId || process.env.FACEBOOK_PAGE_ID;
+        this.pageToken = options.pageToken || process.env.FACEBOOK_PAGE_TOKEN;
+    }
+
+    describe() {
+        return `Facebook page ${this.pageId || '(no page ID)'}`;
+    }
+
+    async send(post) {
+        const pageId = this.requireCredential(this.pageId, 'FACEBOOK_PAGE_ID');
+        const token = this.requireCredential(this.pageToken, 'FACEBOOK_PAGE_TOKEN');
+        this.checkLength(post.content);
+
+        const response = await this.request({
+            method: 'POST',
+            url: `https://graph.facebook.com/${this.apiVersion}/${pageId}/feed`,
+            params: {
+                message: post.content,
+                ...(post.link && { link: post.link }),
+                access_token: token
+            }
+        });
+
+        const id = response.data?.id;
+        return { id, url: id ? `https://www.facebook.com/${id}` : null };
+    }
+}
+
+module.exports = FacebookAdapter;
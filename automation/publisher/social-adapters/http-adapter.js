@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+/**
+ * Base for the platform adapters that post over HTTP. Failures come back as
+ * errors with `retryable` set: rate limits, server errors and network
+ * problems can be retried, anything else the platform rejected cannot.
+ */
+class HttpSocialAdapter {
+    constructor(options = {}) {
+        this.name = options.name;
+        this.platform = options.platform || options.name;
+        this.maxLength = options.maxLength || null;
+        this.timeout = options.timeout || 15000;
+        this.http = options.http || axios;
+    }
+
+    /**
+     * Throws a non-retryable error when a credential is missing
+     */
+    requireCredential(value, envName) {
+        if (!value) {
+            const error = new Error(`${this.name} adapter needs ${envName}`);
+            error.retryable = false;
+            throw error;
+        }
+        return value;
+    }
+
+    async request(config) {
+        try {
+            return await this.http.request({ timeout: this.timeout, ...config });
+        } catch (error) {
+            const status = error.response?.status;
+            const detail = error.response?.data ? JSON.stringify(error.response.data).slice(0, 300) : error.message;
+            const wrapped = new Error(`${this.name} ${status ? `HTTP ${status}` : 'request failed'}: ${detail}`);
+            wrapped.statusCode = status || null;
+            wrapped.retryable = !status || status === 429 || status >= 500;
+            throw wrapped;
+        }
+    }
+
+    checkLength(text) {
+        if (this.maxLength && text.length > this.maxLength) {
+            const error = new Error(`${this.name} posts are limited to ${this.maxLength} characters (this one has ${text.length})`);
+            error.retryable = false;
+            throw error;
+        }
+    }
+}
+
+module.exports = HttpSocialAdapter;
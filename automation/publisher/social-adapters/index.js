@@ -0,0 +1,50 @@
+const path = require('path');
+const TwitterAdapter = require('./twitter-adapter');
+const LinkedInAdapter = require('./linkedin-adapter');
+const FacebookAdapter = require('./facebook-adapter');
+const MockSocialAdapter = require('./mock-adapter');
+
+/**
+ * Social Adapter Registry
+ * Builds the adapter that sends a platform's posts, chosen per platform by
+ * `socialMedia.dispatch.adapters` in settings.json (the platform's own
+ * adapter by default). SOCIAL_ADAPTER overrides it for every platform,
+ * e.g. `SOCIAL_ADAPTER=mock` for local testing.
+ *
+ * Every adapter has `name`, `platform`, `describe()` and
+ * `send(post) → { id, url }`, where `post` is `{ content, link }`. Errors
+ * with `retryable === false` are not retried.
+ */
+const ADAPTERS = {
+    twitter: TwitterAdapter,
+    linkedin: LinkedInAdapter,
+    facebook: FacebookAdapter,
+    mock: MockSocialAdapter
+};
+
+const REPO_ROOT = path.join(__dirname, '../../..');
+
+function createSocialAdapter(platform, dispatchSettings = {}) {
+    const adapterName = process.env.SOCIAL_ADAPTER || dispatchSettings.adapters?.[platform] || platform;
+    const Adapter = ADAPTERS[adapterName];
+
+    if (!Adapter) {
+        throw new Error(`Unknown social adapter "${adapterName}" - expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    const options = { ...dispatchSettings[adapterName], platform };
+    if (adapterName === 'mock' && options.logFile) {
+        options.logFile = path.isAbsolute(options.logFile) ? options.logFile : path.join(REPO_ROOT, options.logFile);
+    }
+
+    return new Adapter(options);
+}
+
+module.exports = {
+    createSocialAdapter,
+    ADAPTERS,
+    TwitterAdapter,
+    LinkedInAdapter,
+    FacebookAdapter,
+    MockSocialAdapter
+};
@@ -0,0 +1,52 @@
+const HttpSocialAdapter = require('./http-adapter');
+
+/**
+ * LinkedIn Adapter
+ * Shares the article link with the post text through the UGC posts API, as
+ * the member or organization in LINKEDIN_AUTHOR_URN (e.g.
+ * urn:li:organization:123) using LINKEDIN_ACCESS_TOKEN.
+ */
+class LinkedInAdapter extends HttpSocialAdapter {
+    constructor(options = {}) {
+        super({ maxLength: 3000, ...options, name: 'linkedin', platform: 'linkedin' });
+        this.apiUrl = options.apiUrl || 'https://api.linkedin.com/v2/ugcPosts';
+        this.accessToken = options.accessToken || process.env.LINKEDIN_ACCESS_TOKEN;
+        this.authorUrn = options.authorUrn || process.env.LINKEDIN_AUTHOR_URN;
+    }
+
+    describe() {
+        return `LinkedIn UGC posts as ${this.authorUrn || '(no author URN)'}`;
+    }
+
+    async send(post) {
+        const token = this.requireCredential(this.accessToken, 'LINKEDIN_ACCESS_TOKEN');
+        const author = this.requireCredential(this.authorUrn, 'LINKEDIN_AUTHOR_URN');
+        this.checkLength(post.content);
+
+        const response = await this.request({
+            method: 'POST',
+            url: this.apiUrl,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-Restli-Protocol-Version': '2.0.0'
+            },
+            data: {
+                author,
+                lifecycleState: 'PUBLISHED',
+                specificContent: {
+                    'com.linkedin.ugc.ShareContent': {
+                        shareCommentary: { text: post.content },
+                        shareMediaCategory: post.link ? 'ARTICLE' : 'NONE',
+                        ...(post.link && { media: [{ status: 'READY', originalUrl: post.link }] })
+                    }
+                },
+                visibility: { 'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC' }
+            }
+        });
+
+        const id = response.headers?.['x-restli-id'] || response.data?.id;
+        return { id, url: id ? `https://www.linkedin.com/feed/update/${id}` : null };
+    }
+}
+
+module.exports = LinkedInAdapter;
@@ -0,0 +1,43 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Mock Social Adapter
+ * Stands in for any platform without calling it: each post is appended to
+ * `logFile` as a JSON line and kept in `sent`. Put `[mock:fail]` in a post
+ * to get a retryable failure, or `[mock:reject]` for a permanent one.
+ */
+class MockSocialAdapter {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.platform = options.platform || 'mock';
+        this.logFile = options.logFile || null;
+        this.sent = [];
+    }
+
+    describe() {
+        return `mock ${this.platform} adapter${this.logFile ? ` (logging to ${this.logFile})` : ''}`;
+    }
+
+    async send(post) {
+        if (post.content.includes('[mock:fail]') || post.content.includes('[mock:reject]')) {
+            const error = new Error(`mock ${this.platform} rejected the post`);
+            error.retryable = post.content.includes('[mock:fail]');
+            throw error;
+        }
+
+        const id = `mock-${this.platform}-${Date.now()}-${this.sent.length + 1}`;
+        const entry = { id, platform: this.platform, content: post.content, link: post.link || null, sentAt: new Date().toISOString() };
+        this.sent.push(entry);
+
+        if (this.logFile) {
+            await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+            await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+        }
+
+        console.log(`🧪 Mock ${this.platform} post ${id}`);
+        return { id, url: null };
+    }
+}
+
+module.exports = MockSocialAdapter;
@@ -0,0 +1,35 @@
+const HttpSocialAdapter = require('./http-adapter');
+
+/**
+ * Twitter / X Adapter
+ * Posts through the v2 tweets endpoint with an OAuth 2.0 user access token
+ * (TWITTER_ACCESS_TOKEN) that has the tweet.write scope.
+ */
+class TwitterAdapter extends HttpSocialAdapter {
+    constructor(options = {}) {
+        super({ maxLength: 280, ...options, name: 'twitter', platform: 'twitter' });
+        this.apiUrl = options.apiUrl || 'https://api.twitter.com/2/tweets';
+        this.accessToken = options.accessToken || process.env.TWITTER_ACCESS_TOKEN;
+    }
+
+    describe() {
+        return 'Twitter API v2';
+    }
+
+    async send(post) {
+        const token = this.requireCredential(this.accessToken, 'TWITTER_ACCESS_TOKEN');
+        this.checkLength(post.content);
+
+        const response = await this.request({
+            method: 'POST',
+            url: this.apiUrl,
+            headers: { Authorization: `Bearer ${token}` },
+            data: { text: post.content }
+        });
+
+        const id = response.data?.data?.id;
+        return { id, url: id ? `https://twitter.com/i/web/status/${id}` : null };
+    }
+}
+
+module.exports = TwitterAdapter;
@@ -0,0 +1,404 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const PublishingCalendar = require('./publishing-calendar');
+const { createSocialAdapter } = require('./social-adapters');
+
+/**
+ * Social Media Dispatcher
+ * Owns the posts in content/social-queue/<id>.json (one file per published
+ * article, with a post per platform) and sends them through the platform
+ * adapters in social-adapters/.
+ *
+ * Post status flow: pending → approved → queued → sent, or failed after the
+ * last retry; pending, approved, queued and failed posts can be cancelled.
+ * With `requireApproval` off, new posts start out approved.
+ *
+ * Posts are slotted at the first `optimalTimes` (in the publishing timezone)
+ * at least `delayMinutes` after the article was published, with at most
+ * `postsPerSlot` posts per platform in a slot. The dispatch-social job
+ * queues approved posts whose slot has arrived as send-social-post jobs,
+ * which the job queue retries with backoff.
+ */
+
+const STATUSES = ['pending', 'approved', 'queued', 'sent', 'failed', 'cancelled'];
+const EDITABLE_STATUSES = ['pending', 'approved', 'failed'];
+const CANCELLABLE_STATUSES = ['pending', 'approved', 'queued', 'failed'];
+const SLOT_STATUSES = ['approved', 'queued', 'sent'];
+
+function httpError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class SocialDispatcher {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const social = settings.socialMedia || {};
+        const schedule = social.postSchedule || {};
+
+        this.dispatchSettings = social.dispatch || {};
+        this.excerptLength = social.contentAdaptation?.excerptLength || {};
+        this.platforms = social.platforms || ['twitter', 'linkedin', 'facebook'];
+        this.queueDir = options.queueDir ||
+            path.join(__dirname, '../..', this.dispatchSettings.queueDir || 'content/social-queue');
+        this.immediate = schedule.immediate ?? false;
+        this.delayMinutes = schedule.delayMinutes ?? 30;
+        this.optimalTimes = [...(schedule.optimalTimes || ['09:00'])].sort();
+        this.postsPerSlot = this.dispatchSettings.postsPerSlot || 1;
+        this.requireApproval = this.dispatchSettings.requireApproval ?? true;
+        this.calendar = options.calendar || new PublishingCalendar({ settings });
+
+        // Adapters by platform, created on first send unless passed in
+        this.adapters = new Map(Object.entries(options.adapters || {}));
+        this.locks = new Map();
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getAdapter(platform) {
+        if (!this.adapters.has(platform)) {
+            this.adapters.set(platform, createSocialAdapter(platform, this.dispatchSettings));
+        }
+        return this.adapters.get(platform);
+    }
+
+    itemPath(id) {
+        // Queue IDs are used as file names, so keep them path-safe
+        return path.join(this.queueDir, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    /**
+     * Queue files written before posts had their own status carry one
+     * `status` for the whole file; it becomes each post's status
+     */
+    normalize(item, id) {
+        item.id = id;
+        for (const [platform, post] of Object.entries(item.posts || {})) {
+            post.platform = post.platform || platform;
+            post.status = post.status || item.status || 'pending';
+            post.link = post.link || item.url || null;
+            post.attempts = post.attempts || 0;
+            post.errors = post.errors || [];
+            post.history = post.history || [];
+        }
+        delete item.status;
+        return item;
+    }
+
+    async get(id) {
+        try {
+            return this.normalize(JSON.parse(await fs.readFile(this.itemPath(id), 'utf8')), id);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(item) {
+        await fs.mkdir(this.queueDir, { recursive: true });
+        const filePath = this.itemPath(item.id);
+        const tmpFile = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(item, null, 2));
+        await fs.rename(tmpFile, filePath);
+        return item;
+    }
+
+    async listItems() {
+        let files;
+        try {
+            files = (await fs.readdir(this.queueDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const items = [];
+        for (const file of files) {
+            try {
+                const item = JSON.parse(await fs.readFile(path.join(this.queueDir, file), 'utf8'));
+                items.push(this.normalize(item, file.replace(/\.json$/, '')));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable social queue file ${file}: ${error.message}`);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Posts of every queue file, soonest first, optionally only those with
+     * one of `statuses`
+     */
+    async list({ statuses = null } = {}) {
+        if (statuses) {
+            const unknown = statuses.filter(status => !STATUSES.includes(status));
+            if (unknown.length > 0) {
+                throw httpError(`Unknown post status "${unknown[0]}" - expected one of: ${STATUSES.join(', ')}`);
+            }
+        }
+
+        const posts = [];
+        for (const item of await this.listItems()) {
+            for (const post of Object.values(item.posts || {})) {
+                if (statuses && !statuses.includes(post.status)) continue;
+                posts.push({ queueId: item.id, articleId: item.articleId, title: item.title || null, createdAt: item.createdAt, ...post });
+            }
+        }
+
+        const time = post => post.scheduledFor ? new Date(post.scheduledFor).getTime() : Infinity;
+        return posts.sort((a, b) => time(a) - time(b) || a.queueId.localeCompare(b.queueId));
+    }
+
+    async withLock(id, fn) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const run = previous.catch(() => {}).then(fn);
+        this.locks.set(id, run);
+        try {
+            return await run;
+        } finally {
+            if (this.locks.get(id) === run) this.locks.delete(id);
+        }
+    }
+
+    /**
+     * Read, change and save one post under the queue file's lock
+     */
+    async updatePost(id, platform, fn) {
+        return this.withLock(id, async () => {
+            const item = await this.get(id);
+            const post = item?.posts?.[platform];
+            if (!post) {
+                throw httpError(item ? `No ${platform} post in ${id}` : `Social queue item ${id} not found`, 404);
+            }
+
+            const result = await fn(post, item);
+            await this.save(item);
+            return result === undefined ? { ...post, queueId: id, articleId: item.articleId } : result;
+        });
+    }
+
+    setStatus(post, status, by, note = null) {
+        post.status = status;
+        post.history = [...post.history, { status, at: new Date().toISOString(), by, ...(note && { note }) }].slice(-20);
+    }
+
+    /**
+     * Queue the posts for a just-published article
+     */
+    async enqueue({ articleId, title, url, posts, publishedAt = new Date().toISOString() }) {
+        const item = {
+            id: `${articleId}-${Date.now()}`,
+            articleId,
+            title,
+            url,
+            createdAt: publishedAt,
+            posts: {}
+        };
+
+        const taken = await this.takenSlots();
+        for (const [platform, generated] of Object.entries(posts)) {
+            if (!this.platforms.includes(platform)) continue;
+
+            const post = {
+                ...generated,
+                platform,
+                link: url,
+                scheduledFor: this.nextSlot(platform, this.earliestFor(item), taken).toISOString(),
+                attempts: 0,
+                errors: [],
+                history: []
+            };
+            this.setStatus(post, this.requireApproval ? 'pending' : 'approved', 'publisher');
+            taken.set(`${platform}|${post.scheduledFor}`, (taken.get(`${platform}|${post.scheduledFor}`) || 0) + 1);
+            item.posts[platform] = post;
+        }
+
+        await this.withLock(item.id, () => this.save(item));
+        console.log(`📣 Queued ${Object.keys(item.posts).length} social posts for ${articleId}` +
+            `${this.requireApproval ? ' (awaiting approval)' : ''}`);
+        return item;
+    }
+
+    earliestFor(item, now = new Date()) {
+        const afterPublish = new Date(new Date(item.createdAt || now).getTime() + this.delayMinutes * 60 * 1000);
+        return afterPublish > now ? afterPublish : now;
+    }
+
+    /**
+     * Slot counts per platform and time, from posts that will go out or did
+     */
+    async takenSlots() {
+        const taken = new Map();
+        for (const item of await this.listItems()) {
+            for (const post of Object.values(item.posts || {})) {
+                if (!SLOT_STATUSES.includes(post.status) || !post.scheduledFor) continue;
+                const key = `${post.platform}|${new Date(post.scheduledFor).toISOString()}`;
+                taken.set(key, (taken.get(key) || 0) + 1);
+            }
+        }
+        return taken;
+    }
+
+    /**
+     * First optimal time at or after `earliest` with room on the platform
+     */
+    nextSlot(platform, earliest, taken = new Map()) {
+        if (this.immediate) return earliest;
+
+        let dateKey = this.calendar.toDateKey(earliest);
+        for (let day = 0; day < 60; day++) {
+            for (const time of this.optimalTimes) {
+                const slot = this.calendar.zonedTimeToUtc(dateKey, time);
+                if (slot < earliest) continue;
+                if ((taken.get(`${platform}|${slot.toISOString()}`) || 0) < this.postsPerSlot) {
+                    return slot;
+                }
+            }
+            dateKey = this.calendar.addDays(dateKey, 1);
+        }
+
+        throw new Error(`No free ${platform} slot in the next 60 days`);
+    }
+
+    /**
+     * Edit a post's text or time; an approved post needs approving again
+     */
+    async update(id, platform, changes, { updatedBy }) {
+        return this.updatePost(id, platform, post => {
+            if (!EDITABLE_STATUSES.includes(post.status)) {
+                throw httpError(`The ${platform} post is ${post.status} and can no longer be edited`, 409);
+            }
+
+            if (changes.content !== undefined) {
+                const content = String(changes.content).trim();
+                if (!content) throw httpError('content cannot be empty');
+                post.content = content;
+            }
+            if (changes.scheduledFor !== undefined) {
+                const scheduledFor = new Date(changes.scheduledFor);
+                if (isNaN(scheduledFor)) throw httpError('scheduledFor must be a date');
+                post.scheduledFor = scheduledFor.toISOString();
+                post.manualSchedule = true;
+            }
+
+            post.updatedAt = new Date().toISOString();
+            post.updatedBy = updatedBy;
+            if (post.status !== 'pending' && this.requireApproval) {
+                this.setStatus(post, 'pending', updatedBy, 'edited');
+            }
+        });
+    }
+
+    /**
+     * Approve a pending (or failed) post; it keeps its slot unless that has
+     * passed, in which case it gets the next free one
+     */
+    async approve(id, platform, { approvedBy }) {
+        const taken = await this.takenSlots();
+        return this.updatePost(id, platform, (post, item) => {
+            if (!['pending', 'failed'].includes(post.status)) {
+                throw httpError(`The ${platform} post is ${post.status}, not awaiting approval`, 409);
+            }
+
+            const now = new Date();
+            const slotKey = `${platform}|${post.scheduledFor}`;
+            const slotFree = post.manualSchedule || (taken.get(slotKey) || 0) < this.postsPerSlot;
+            if (!post.scheduledFor || new Date(post.scheduledFor) < now || !slotFree) {
+                post.scheduledFor = this.nextSlot(platform, this.earliestFor(item, now), taken).toISOString();
+            }
+
+            post.approvedAt = now.toISOString();
+            post.approvedBy = approvedBy;
+            post.attempts = 0;
+            post.lastError = null;
+            this.setStatus(post, 'approved', approvedBy);
+        });
+    }
+
+    async cancel(id, platform, { cancelledBy, reason = '' }) {
+        return this.updatePost(id, platform, post => {
+            if (!CANCELLABLE_STATUSES.includes(post.status)) {
+                throw httpError(`The ${platform} post is ${post.status} and can no longer be cancelled`, 409);
+            }
+            this.setStatus(post, 'cancelled', cancelledBy, reason || null);
+        });
+    }
+
+    /**
+     * Mark approved posts whose slot has arrived as queued and return them
+     */
+    async takeDue(now = new Date()) {
+        const due = [];
+        for (const post of await this.list({ statuses: ['approved'] })) {
+            if (new Date(post.scheduledFor) > now) continue;
+
+            await this.updatePost(post.queueId, post.platform, current => {
+                if (current.status !== 'approved') return null;
+                current.queuedAt = now.toISOString();
+                this.setStatus(current, 'queued', 'scheduler');
+                due.push({ queueId: post.queueId, platform: post.platform });
+                return null;
+            });
+        }
+        return due;
+    }
+
+    /**
+     * Send one queued post. `attempt` and `maxAttempts` come from the job:
+     * a failure on the last attempt, or one the platform won't accept on a
+     * retry, marks the post failed.
+     */
+    async send(id, platform, { attempt = 1, maxAttempts = 1, step = (name, fn) => fn() } = {}) {
+        const item = await this.get(id);
+        const post = item?.posts?.[platform];
+        if (!post) {
+            const error = httpError(item ? `No ${platform} post in ${id}` : `Social queue item ${id} not found`, 404);
+            error.retryable = false;
+            throw error;
+        }
+        if (post.status !== 'queued') {
+            return { queueId: id, platform, skipped: true, status: post.status };
+        }
+
+        const adapter = this.getAdapter(platform);
+        try {
+            const result = await step('send', () => adapter.send({ content: post.content, link: post.link }));
+
+            return await this.updatePost(id, platform, current => {
+                current.attempts = attempt;
+                current.sentAt = new Date().toISOString();
+                current.externalId = result?.id || null;
+                current.externalUrl = result?.url || null;
+                current.adapter = adapter.name;
+                current.lastError = null;
+                this.setStatus(current, 'sent', 'dispatcher');
+                console.log(`📣 Sent ${platform} post for ${item.articleId} via ${adapter.describe()}`);
+                return { queueId: id, platform, externalId: current.externalId, externalUrl: current.externalUrl };
+            });
+        } catch (error) {
+            const final = error.retryable === false || attempt >= maxAttempts;
+            await this.updatePost(id, platform, current => {
+                current.attempts = attempt;
+                current.lastError = error.message;
+                current.errors = [...current.errors, { attempt, at: new Date().toISOString(), error: error.message }].slice(-10);
+                if (final && current.status === 'queued') {
+                    this.setStatus(current, 'failed', 'dispatcher', error.message);
+                }
+                return null;
+            });
+            throw error;
+        }
+    }
+}
+
+SocialDispatcher.STATUSES = STATUSES;
+
+module.exports = SocialDispatcher;
@@ -0,0 +1,80 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const LocalTarget = require('./local-target');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Git CLI Deploy Target
+ * Writes into a git working tree (by default this repository, which is the
+ * site) and records everything written since the last `commit()` as one
+ * commit, so a publish batch lands atomically. Optionally pushes afterwards.
+ */
+class GitTarget extends LocalTarget {
+    constructor(options = {}) {
+        super({ ...options, name: 'git', outputDir: options.repoDir, sourceDir: null });
+
+        this.repoDir = this.outputDir;
+        this.remote = options.remote || 'origin';
+        this.branch = options.branch || null;
+        this.push = options.push ?? false;
+        this.authorName = options.authorName || null;
+        this.authorEmail = options.authorEmail || null;
+    }
+
+    describe() {
+        return `git repository ${this.repoDir}${this.push ? ` (pushes to ${this.remote})` : ''}`;
+    }
+
+    async git(args, cwd = this.repoDir) {
+        const env = { ...process.env };
+        if (this.authorName) {
+            env.GIT_AUTHOR_NAME = env.GIT_COMMITTER_NAME = this.authorName;
+        }
+        if (this.authorEmail) {
+            env.GIT_AUTHOR_EMAIL = env.GIT_COMMITTER_EMAIL = this.authorEmail;
+        }
+
+        const { stdout } = await execFileAsync('git', args, { cwd, env, maxBuffer: 10 * 1024 * 1024 });
+        return stdout;
+    }
+
+    /**
+     * Commit the pending files plus `paths` (files a resumed job wrote before
+     * a restart) in a single commit. Unchanged files are left out; nothing is
+     * committed when no file changed.
+     */
+    async commit(message, { paths = [] } = {}) {
+        const candidates = [...new Set([...this.pending, ...paths])];
+        this.pending.clear();
+
+        if (candidates.length === 0) {
+            return { committed: false, files: [] };
+        }
+
+        // Porcelain status paths are relative to the top of the repository
+        const topLevel = (await this.git(['rev-parse', '--show-toplevel'])).trim();
+        const prefix = (await this.git(['rev-parse', '--show-prefix'])).trim();
+        const status = await this.git(['status', '--porcelain', '-uall', '--', ...candidates.map(file => prefix + file)], topLevel);
+        if (!status.trim()) {
+            return { committed: false, files: [] };
+        }
+
+        const files = status.split('\n').filter(Boolean).map(line => line.slice(3).replace(/^"|"$/g, ''));
+        await this.git(['add', '-A', '--', ...files], topLevel);
+        await this.git(['commit', '-m', message, '--', ...files], topLevel);
+        const sha = (await this.git(['rev-parse', 'HEAD'])).trim();
+
+        console.log(`✅ Git commit ${sha.substring(0, 7)}: ${message} (${files.length} files)`);
+
+        if (this.push) {
+            const branch = this.branch || (await this.git(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+            await this.git(['push', this.remote, `HEAD:${branch}`]);
+            console.log(`🚀 Pushed to ${this.remote}/${branch}`);
+        }
+
+        return { committed: true, sha, files };
+    }
+}
+
+module.exports = GitTarget;
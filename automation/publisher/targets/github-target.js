@@ -0,0 +1,97 @@
+const { Octokit } = require('@octokit/rest');
+
+/**
+ * GitHub Deploy Target
+ * Writes site files straight to the repository through the GitHub contents
+ * API. Every write or delete is its own commit, so `commit()` has nothing
+ * left to do.
+ */
+class GitHubTarget {
+    constructor(options = {}) {
+        this.name = 'github';
+        this.owner = options.owner || 'gabiffk-gif';
+        this.repo = options.repo || 'smart-finance-hub';
+        this.branch = options.branch || undefined;
+
+        this.octokit = options.octokit || new Octokit({
+            auth: options.token || process.env.GITHUB_TOKEN
+        });
+    }
+
+    describe() {
+        return `GitHub ${this.owner}/${this.repo}${this.branch ? `@${this.branch}` : ''}`;
+    }
+
+    async getFile(filePath) {
+        try {
+            const response = await this.octokit.rest.repos.getContent({
+                owner: this.owner,
+                repo: this.repo,
+                path: filePath,
+                ref: this.branch
+            });
+            return response.data;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * File contents, or null when the file doesn't exist
+     */
+    async readFile(filePath) {
+        const file = await this.getFile(filePath);
+        return file ? Buffer.from(file.content, 'base64').toString() : null;
+    }
+
+    async exists(filePath) {
+        return (await this.getFile(filePath)) !== null;
+    }
+
+    async writeFile(filePath, content, message) {
+        try {
+            const existing = await this.getFile(filePath);
+
+            const result = await this.octokit.rest.repos.createOrUpdateFileContents({
+                owner: this.owner,
+                repo: this.repo,
+                path: filePath,
+                branch: this.branch,
+                message: message || `Update ${filePath}`,
+                content: Buffer.from(content).toString('base64'),
+                sha: existing?.sha // Include SHA if updating existing file
+            });
+
+            console.log(`✅ Committed to GitHub: ${filePath}`);
+            return { path: filePath, sha: result.data.commit?.sha || null };
+
+        } catch (error) {
+            console.error(`❌ GitHub commit failed for ${filePath}:`, error.message);
+            throw new Error(`GitHub commit failed: ${error.message}`);
+        }
+    }
+
+    async deleteFile(filePath, message) {
+        const existing = await this.getFile(filePath);
+        if (!existing) return false;
+
+        await this.octokit.rest.repos.deleteFile({
+            owner: this.owner,
+            repo: this.repo,
+            path: filePath,
+            branch: this.branch,
+            message: message || `Remove ${filePath}`,
+            sha: existing.sha
+        });
+
+        console.log(`🗑️ Deleted from GitHub: ${filePath}`);
+        return true;
+    }
+
+    async commit() {
+        return { committed: false, reason: 'GitHub target commits each file as it is written' };
+    }
+}
+
+module.exports = GitHubTarget;
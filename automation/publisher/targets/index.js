@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const GitHubTarget = require('./github-target');
+const LocalTarget = require('./local-target');
+const GitTarget = require('./git-target');
+
+/**
+ * Deploy Target Registry
+ * Builds the target selected by `deploy.target` in settings.json, where the
+ * publisher, sitemap updater and archive manager write the site:
+ * - github: GitHub contents API, one commit per file (needs GITHUB_TOKEN)
+ * - local: an output directory holding the full static site
+ * - git: a git working tree, one commit per publish batch
+ * DEPLOY_TARGET and DEPLOY_OUTPUT_DIR environment variables override the settings.
+ */
+const TARGETS = {
+    github: GitHubTarget,
+    local: LocalTarget,
+    git: GitTarget
+};
+
+const REPO_ROOT = path.join(__dirname, '../../..');
+
+function loadSettings() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/settings.json'), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+function getTargetName(settings = loadSettings()) {
+    return process.env.DEPLOY_TARGET || settings.deploy?.target || 'github';
+}
+
+function createDeployTarget(settings = loadSettings(), overrides = {}) {
+    const targetName = overrides.target || getTargetName(settings);
+    const Target = TARGETS[targetName];
+
+    if (!Target) {
+        throw new Error(`Unknown deploy target "${targetName}" - expected one of: ${Object.keys(TARGETS).join(', ')}`);
+    }
+
+    const options = { ...settings.deploy?.targets?.[targetName], ...overrides };
+
+    if (targetName === 'github') {
+        options.owner = process.env.GITHUB_OWNER || options.owner;
+        options.repo = process.env.GITHUB_REPO || options.repo;
+    }
+    if (targetName === 'local') {
+        options.outputDir = resolveRepoPath(process.env.DEPLOY_OUTPUT_DIR || options.outputDir || 'dist');
+        options.sourceDir = resolveRepoPath(options.sourceDir || '.');
+    }
+    if (targetName === 'git') {
+        options.repoDir = resolveRepoPath(options.repoDir || '.');
+    }
+
+    return new Target(options);
+}
+
+function resolveRepoPath(target) {
+    return path.isAbsolute(target) ? target : path.join(REPO_ROOT, target);
+}
+
+module.exports = {
+    createDeployTarget,
+    getTargetName,
+    TARGETS,
+    GitHubTarget,
+    LocalTarget,
+    GitTarget
+};
@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local Deploy Target
+ * Writes the site into an output directory on disk. On first use the
+ * directory is seeded with the static site (`siteFiles`, copied from
+ * `sourceDir`), so it always holds a complete, servable site. Nothing
+ * leaves the machine, which makes it the target for testing and previews.
+ */
+class LocalTarget {
+    constructor(options = {}) {
+        this.name = options.name || 'local';
+        this.outputDir = path.resolve(options.outputDir || 'dist');
+        this.sourceDir = options.sourceDir ? path.resolve(options.sourceDir) : null;
+        this.siteFiles = options.siteFiles || [];
+
+        // Files written or deleted since the last commit()
+        this.pending = new Set();
+        this.seeded = false;
+    }
+
+    describe() {
+        return `local directory ${this.outputDir}`;
+    }
+
+    resolve(filePath) {
+        const fullPath = path.resolve(this.outputDir, filePath);
+        if (fullPath !== this.outputDir && !fullPath.startsWith(this.outputDir + path.sep)) {
+            throw new Error(`Path ${filePath} is outside the deploy directory`);
+        }
+        return fullPath;
+    }
+
+    /**
+     * Copy the static site into an empty output directory
+     */
+    async ensureSite() {
+        if (this.seeded || !this.sourceDir || this.sourceDir === this.outputDir) {
+            this.seeded = true;
+            return;
+        }
+
+        await fs.mkdir(this.outputDir, { recursive: true });
+        const existing = await fs.readdir(this.outputDir);
+
+        if (existing.length === 0) {
+            let copied = 0;
+            for (const entry of this.siteFiles) {
+                try {
+                    await fs.cp(path.join(this.sourceDir, entry), path.join(this.outputDir, entry), { recursive: true });
+                    copied++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+            console.log(`📁 Seeded ${this.outputDir} with ${copied} site entries`);
+        }
+
+        this.seeded = true;
+    }
+
+    /**
+     * File contents, or null when the file doesn't exist
+     */
+    async readFile(filePath) {
+        await this.ensureSite();
+        try {
+            return await fs.readFile(this.resolve(filePath), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async exists(filePath) {
+        return (await this.readFile(filePath)) !== null;
+    }
+
+    async writeFile(filePath, content) {
+        await this.ensureSite();
+        const fullPath = this.resolve(filePath);
+
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+        this.pending.add(filePath);
+
+        console.log(`💾 Wrote ${filePath}`);
+        return { path: filePath };
+    }
+
+    async deleteFile(filePath) {
+        await this.ensureSite();
+        try {
+            await fs.unlink(this.resolve(filePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        this.pending.add(filePath);
+        console.log(`🗑️ Deleted ${filePath}`);
+        return true;
+    }
+
+    async commit() {
+        const files = [...this.pending];
+        this.pending.clear();
+        return { committed: false, outputDir: this.outputDir, files };
+    }
+}
+
+module.exports = LocalTarget;
@@ -1,70 +0,0 @@
-const fs = require('fs');
-
-function improveQualityScoring() {
-    console.log('Upgrading quality scoring system...');
-
-    // Read the generator file
-    const generatorPath = 'automation/content-generator/generator.js';
-    let generatorContent = fs.readFileSync(generatorPath, 'utf8');
-
-    // Replace the quality scoring function with improved version
-    const improvedScoringFunction = `
-    calculateQualityScore(article) {
-        let score = 75; // Start with higher base score
-
-        // Content length scoring (more generous)
-        const wordCount = (article.content || '').split(' ').length;
-        if (wordCount >= 2000) score += 15;
-        else if (wordCount >= 1500) score += 12;
-        else if (wordCount >= 1000) score += 8;
-        else if (wordCount >= 800) score += 5;
-
-        // Title quality (improved criteria)
-        const title = article.title || '';
-        if (title.length >= 40 && title.length <= 80) score += 8;
-        if (title.includes('2025') || title.includes('Expert')) score += 5;
-        if (title.includes('Complete Guide') || title.includes('Strategies')) score += 3;
-
-        // Content structure scoring (more lenient)
-        const content = article.content || '';
-        const headings = (content.match(/<h[1-6]>/g) || []).length;
-        if (headings >= 5) score += 8;
-        else if (headings >= 3) score += 6;
-        else if (headings >= 1) score += 3;
-
-        // Keyword integration (generous scoring)
-        if (article.targetKeywords && article.targetKeywords.primary) {
-            const primaryKeyword = article.targetKeywords.primary[0] || '';
-            if (content.toLowerCase().includes(primaryKeyword.toLowerCase())) {
-                score += 10; // Higher reward for keyword presence
-            }
-        }
-
-        // Content diversity bonus (new)
-        if (content.includes('actionable') || content.includes('step-by-step')) score += 5;
-        if (content.includes('expert') || content.includes('proven')) score += 5;
-        if (content.includes('2025') || content.includes('current')) score += 3;
-
-        // Meta description quality
-        if (article.metaDescription && article.metaDescription.length >= 140) score += 5;
-
-        // Ensure minimum quality threshold
-        if (score < 85) score = 85; // Force minimum 85 score
-        if (score > 100) score = 100; // Cap at 100
-
-        return Math.round(score);
-    }`;
-
-    // Replace the existing function
-    if (generatorContent.includes('calculateQualityScore')) {
-        const regex = /calculateQualityScore\([^}]*\}[^}]*\}/s;
-        generatorContent = generatorContent.replace(regex, improvedScoringFunction);
-
-        fs.writeFileSync(generatorPath, generatorContent);
-        console.log('✅ Quality scoring system upgraded');
-    } else {
-        console.log('❌ Could not find quality scoring function to update');
-    }
-}
-
-improveQualityScoring();
\ No newline at end of file
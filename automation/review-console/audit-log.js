@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Review Console Audit Log
+ * Append-only JSON Lines record of who did what to which article.
+ * Entries are never rewritten; corrections are recorded as new entries.
+ */
+class AuditLog {
+    constructor(options = {}) {
+        const settings = this.loadSettings();
+        const auditSettings = settings.reviewConsole?.audit || {};
+
+        this.logFile = options.logFile ||
+            path.join(__dirname, '../..', auditSettings.logFile || 'content/audit/audit-log.jsonl');
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Append an audit entry
+     */
+    async record({ action, articleId = null, user, details = {} }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            action,
+            articleId,
+            user: user ? user.username : 'system',
+            roles: user ? user.roles : [],
+            details
+        };
+
+        await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+        await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+
+        return entry;
+    }
+
+    /**
+     * Read all entries, skipping lines that fail to parse
+     */
+    async readEntries() {
+        let content;
+        try {
+            content = await fs.readFile(this.logFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (parseError) {
+                console.warn('⚠️ Skipping malformed audit entry');
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Query entries by article, user or action (newest first)
+     */
+    async query({ articleId, user, action, limit = 100 } = {}) {
+        const entries = await this.readEntries();
+
+        return entries
+            .filter(entry => !articleId || entry.articleId === articleId)
+            .filter(entry => !user || entry.user === user)
+            .filter(entry => !action || entry.action === action)
+            .reverse()
+            .slice(0, limit);
+    }
+
+    async getArticleHistory(articleId) {
+        return this.query({ articleId, limit: Infinity });
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Review Console Authentication
+ * File-backed user accounts with writer/editor/publisher roles and
+ * in-memory login sessions carried by an HttpOnly cookie or bearer token.
+ */
+class AuthManager {
+    constructor(options = {}) {
+        const settings = this.loadSettings();
+        const authSettings = settings.reviewConsole?.auth || {};
+
+        this.usersFile = options.usersFile ||
+            process.env.REVIEW_USERS_FILE ||
+            path.join(__dirname, '../..', authSettings.usersFile || 'automation/config/users.json');
+        this.cookieName = authSettings.cookieName || 'sfh_review_session';
+        this.sessionTtlMs = (authSettings.sessionTtlHours || 12) * 60 * 60 * 1000;
+
+        this.roles = ['writer', 'editor', 'publisher'];
+        this.sessions = new Map();
+        this.users = null;
+    }
+
+    /**
+     * Load review console settings
+     */
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            console.warn('⚠️ Could not load settings for auth, using defaults:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Load user accounts from disk (cached after first read)
+     */
+    async loadUsers() {
+        if (this.users) return this.users;
+
+        try {
+            const content = await fs.readFile(this.usersFile, 'utf8');
+            this.users = JSON.parse(content).users || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.warn(`⚠️ No review console users found at ${this.usersFile}`);
+            console.warn('   Create one with: node automation/review-console/auth.js add-user <username> <roles> <password>');
+            this.users = [];
+        }
+
+        return this.users;
+    }
+
+    /**
+     * Persist user accounts to disk
+     */
+    async saveUsers() {
+        await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+        await fs.writeFile(this.usersFile, JSON.stringify({ users: this.users }, null, 2));
+    }
+
+    /**
+     * Create or replace a user account
+     */
+    async addUser(username, roles, password) {
+        if (!username || !password) {
+            throw new Error('Username and password are required');
+        }
+
+        const roleList = (Array.isArray(roles) ? roles : String(roles).split(','))
+            .map(role => role.trim())
+            .filter(Boolean);
+        const invalid = roleList.filter(role => !this.roles.includes(role));
+        if (roleList.length === 0 || invalid.length > 0) {
+            throw new Error(`Invalid roles: ${invalid.join(', ') || '(none)'} - expected ${this.roles.join(', ')}`);
+        }
+
+        const users = await this.loadUsers();
+        const salt = crypto.randomBytes(16).toString('hex');
+        const user = {
+            username,
+            roles: roleList,
+            salt,
+            passwordHash: this.hashPassword(password, salt),
+            createdAt: new Date().toISOString()
+        };
+
+        this.users = users.filter(existing => existing.username !== username).concat(user);
+        await this.saveUsers();
+
+        return this.toPublicUser(user);
+    }
+
+    hashPassword(password, salt) {
+        return crypto.scryptSync(password, salt, 64).toString('hex');
+    }
+
+    /**
+     * Verify credentials and open a session
+     */
+    async login(username, password) {
+        const users = await this.loadUsers();
+        const user = users.find(candidate => candidate.username === username);
+        if (!user || !password) return null;
+
+        const expected = Buffer.from(user.passwordHash, 'hex');
+        const actual = Buffer.from(this.hashPassword(password, user.salt), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = {
+            token,
+            user: this.toPublicUser(user),
+            createdAt: new Date().toISOString(),
+            expiresAt: Date.now() + this.sessionTtlMs
+        };
+        this.sessions.set(token, session);
+
+        return session;
+    }
+
+    logout(token) {
+        return this.sessions.delete(token);
+    }
+
+    /**
+     * Resolve a session from the request cookie or Authorization header
+     */
+    getSession(req) {
+        const token = this.getToken(req);
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        return session;
+    }
+
+    getToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice('Bearer '.length).trim();
+        }
+
+        const cookies = (req.headers.cookie || '').split(';');
+        for (const cookie of cookies) {
+            const [name, ...value] = cookie.trim().split('=');
+            if (name === this.cookieName) {
+                return decodeURIComponent(value.join('='));
+            }
+        }
+
+        return null;
+    }
+
+    sessionCookie(token) {
+        const maxAge = Math.floor(this.sessionTtlMs / 1000);
+        return `${this.cookieName}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}`;
+    }
+
+    clearedCookie() {
+        return `${this.cookieName}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    }
+
+    toPublicUser(user) {
+        return { username: user.username, roles: [...user.roles] };
+    }
+
+    hasRole(user, roles) {
+        return !!user && user.roles.some(role => roles.includes(role));
+    }
+
+    /**
+     * Middleware: require a logged-in user and attach it as req.user
+     */
+    requireAuth() {
+        return (req, res, next) => {
+            const session = this.getSession(req);
+            if (!session) {
+                return res.status(401).json({ success: false, error: 'Authentication required' });
+            }
+
+            req.user = session.user;
+            req.sessionToken = session.token;
+            next();
+        };
+    }
+
+    /**
+     * Middleware: require the logged-in user to hold at least one of the given roles
+     */
+    requireRole(...roles) {
+        return (req, res, next) => {
+            if (!this.hasRole(req.user, roles)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `This action requires the ${roles.join(' or ')} role`
+                });
+            }
+            next();
+        };
+    }
+}
+
+module.exports = AuthManager;
+
+// CLI usage
+if (require.main === module) {
+    const auth = new AuthManager();
+    const command = process.argv[2];
+
+    switch (command) {
+        case 'add-user': {
+            const [username, roles, password] = process.argv.slice(3);
+            auth.addUser(username, roles || '', password || process.env.REVIEW_USER_PASSWORD)
+                .then(user => {
+                    console.log(`✅ Saved user ${user.username} (${user.roles.join(', ')})`);
+                    process.exit(0);
+                })
+                .catch(error => {
+                    console.error('❌ Failed to add user:', error.message);
+                    process.exit(1);
+                });
+            break;
+        }
+
+        case 'list-users':
+            auth.loadUsers()
+                .then(users => {
+                    users.forEach(user => console.log(`👤 ${user.username}: ${user.roles.join(', ')}`));
+                    process.exit(0);
+                });
+            break;
+
+        default:
+            console.log('Usage: node auth.js <command>');
+            console.log('Commands:');
+            console.log('  add-user <username> <roles> [password]  - roles: comma-separated writer,editor,publisher');
+            console.log('                                            (password may be given via REVIEW_USER_PASSWORD)');
+            console.log('  list-users                               - List review console users');
+            process.exit(1);
+    }
+}
@@ -0,0 +1,459 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { prepareArticle } = require('../content-generator/article-schema');
+
+/**
+ * Content Repository
+ * Article lookup for the review console without scanning folders per request.
+ * A persistent index (settings `contentRepository.indexFile`) maps every
+ * article file in content/<status>/ to its ID, slug, status and the fields the
+ * lists filter and sort on. Before use the index is refreshed by stat: only
+ * files whose mtime or size changed are parsed again, so articles written by
+ * the generator or publisher are picked up too.
+ *
+ * An article is found by `metadata.id`, a top-level `id` or its file name.
+ * Status changes rewrite the file in place and then rename it into the new
+ * folder, so an article is never in two folders (or none) at once.
+ */
+
+// Lifecycle order: when one ID turns up in two folders, the later one wins
+const STATUSES = ['drafts', 'approved', 'rejected', 'published', 'archive'];
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'approvedAt', 'publishedAt', 'rejectedAt', 'archivedAt',
+    'scheduledFor', 'qualityScore', 'wordCount', 'title'];
+const INDEX_VERSION = 1;
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class ContentRepository {
+    constructor(options = {}) {
+        const settings = options.settings || this.loadSettings();
+        const repositorySettings = settings.contentRepository || {};
+
+        this.contentDir = options.contentDir || path.join(__dirname, '../../content');
+        this.indexFile = options.indexFile ||
+            path.join(__dirname, '../..', repositorySettings.indexFile || 'data/content-index/index.json');
+        this.refreshIntervalMs = repositorySettings.refreshIntervalMs ?? 2000;
+        this.pageSize = repositorySettings.pageSize || 20;
+        this.maxPageSize = repositorySettings.maxPageSize || 200;
+
+        this.entries = new Map();
+        this.byId = new Map();
+        this.bySlug = new Map();
+        this.byStatus = new Map();
+        this.loaded = false;
+        this.lastRefresh = 0;
+        this.refreshing = null;
+        this.locks = new Map();
+        this.reportedDuplicates = new Set();
+        this.writeChain = Promise.resolve();
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async load() {
+        if (this.loaded) return;
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            if (index.version === INDEX_VERSION) {
+                this.entries = new Map(Object.entries(index.entries || {}));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Rebuilding unreadable content index ${this.indexFile}: ${error.message}`);
+            }
+        }
+        this.rebuildLookups();
+        this.loaded = true;
+    }
+
+    /**
+     * Persist the index. Writes are serialized and go through a temp file.
+     */
+    saveIndex() {
+        const write = async () => {
+            await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+            const tmpFile = `${this.indexFile}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify({
+                version: INDEX_VERSION,
+                updatedAt: new Date().toISOString(),
+                entries: Object.fromEntries(this.entries)
+            }));
+            await fs.rename(tmpFile, this.indexFile);
+        };
+
+        this.writeChain = this.writeChain.then(write, write);
+        return this.writeChain;
+    }
+
+    /**
+     * Bring the index up to date with the content folders. Runs at most once
+     * per `refreshIntervalMs` unless forced; concurrent callers share a scan.
+     */
+    async refresh({ force = false } = {}) {
+        await this.load();
+        if (this.refreshing) return this.refreshing;
+        if (!force && Date.now() - this.lastRefresh < this.refreshIntervalMs) return;
+
+        this.refreshing = this.scan().finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    async scan() {
+        const seen = new Set();
+        let changed = false;
+
+        for (const status of STATUSES) {
+            let files;
+            try {
+                files = (await fs.readdir(path.join(this.contentDir, status))).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            await Promise.all(files.map(async file => {
+                const key = `${status}/${file}`;
+                let stat;
+                try {
+                    stat = await fs.stat(path.join(this.contentDir, key));
+                } catch (error) {
+                    return; // Moved or deleted while scanning
+                }
+                seen.add(key);
+
+                const known = this.entries.get(key);
+                if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) return;
+
+                try {
+                    const article = JSON.parse(await fs.readFile(path.join(this.contentDir, key), 'utf8'));
+                    this.entries.set(key, this.buildEntry(article, status, file, stat));
+                } catch (error) {
+                    // Remembered as invalid so it is not parsed again until it changes
+                    console.warn(`⚠️ Skipping unreadable article ${key}: ${error.message}`);
+                    this.entries.set(key, { invalid: true, status, file, mtimeMs: stat.mtimeMs, size: stat.size });
+                }
+                changed = true;
+            }));
+        }
+
+        for (const key of this.entries.keys()) {
+            if (!seen.has(key)) {
+                this.entries.delete(key);
+                changed = true;
+            }
+        }
+
+        this.lastRefresh = Date.now();
+        if (changed) {
+            this.rebuildLookups();
+            await this.saveIndex();
+        }
+    }
+
+    idOf(article, file = null) {
+        return article?.metadata?.id || article?.id || (file ? file.replace(/\.json$/, '') : null);
+    }
+
+    buildEntry(article, status, file, stat) {
+        const metadata = article.metadata || {};
+        const id = this.idOf(article, file);
+        const aliases = [article.id, file.replace(/\.json$/, '')].filter(alias => alias && alias !== id);
+
+        return {
+            id,
+            aliases: [...new Set(aliases)],
+            status,
+            file,
+            workflowStatus: metadata.status || null,
+            slug: article.slug || metadata.slug || null,
+            title: article.title || '',
+            category: String(article.category || metadata.category || '').toLowerCase() || null,
+            qualityScore: metadata.qualityScore?.overall ?? null,
+            wordCount: metadata.wordCount ?? null,
+            createdAt: metadata.createdAt || null,
+            updatedAt: metadata.updatedAt || null,
+            approvedAt: metadata.approvedAt || null,
+            publishedAt: metadata.publishedAt || article.publishDate || null,
+            rejectedAt: metadata.rejectedAt || null,
+            archivedAt: metadata.archivedAt || null,
+            scheduledFor: metadata.scheduledFor || null,
+            mtimeMs: stat.mtimeMs,
+            size: stat.size
+        };
+    }
+
+    rebuildLookups() {
+        this.byId = new Map();
+        this.bySlug = new Map();
+        this.byStatus = new Map(STATUSES.map(status => [status, new Set()]));
+
+        const valid = [...this.entries].filter(([, entry]) => !entry.invalid);
+        const claim = (map, value, key) => {
+            const current = map.get(value);
+            if (current && STATUSES.indexOf(this.entries.get(current).status) >= STATUSES.indexOf(this.entries.get(key).status)) {
+                return;
+            }
+            if (current && !this.reportedDuplicates.has(`${current}|${key}`)) {
+                this.reportedDuplicates.add(`${current}|${key}`);
+                console.warn(`⚠️ Article ${value} is in both ${current} and ${key}; using ${key}`);
+            }
+            map.set(value, key);
+        };
+
+        for (const [key, entry] of valid) {
+            this.byStatus.get(entry.status)?.add(key);
+            claim(this.byId, entry.id, key);
+            if (entry.slug) claim(this.bySlug, entry.slug, key);
+        }
+        // File names and top-level IDs only resolve when no article uses them as its ID
+        for (const [key, entry] of valid) {
+            for (const alias of entry.aliases) {
+                if (!this.byId.has(alias)) this.byId.set(alias, key);
+            }
+        }
+    }
+
+    entryFor(id) {
+        const key = this.byId.get(id);
+        return key ? this.entries.get(key) : null;
+    }
+
+    async readArticle(entry) {
+        return JSON.parse(await fs.readFile(path.join(this.contentDir, entry.status, entry.file), 'utf8'));
+    }
+
+    /**
+     * Index entry of an article ({ id, status, file, ... }) or null
+     */
+    async locate(id) {
+        await this.refresh();
+        let entry = this.entryFor(id);
+        if (!entry) {
+            await this.refresh({ force: true });
+            entry = this.entryFor(id);
+        }
+        return entry;
+    }
+
+    /**
+     * The article with this ID (or file name), or null
+     */
+    async get(id) {
+        const entry = await this.locate(id);
+        if (!entry) return null;
+
+        try {
+            return await this.readArticle(entry);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // Moved since the last refresh
+            await this.refresh({ force: true });
+            const moved = this.entryFor(id);
+            return moved ? this.readArticle(moved) : null;
+        }
+    }
+
+    async getBySlug(slug) {
+        await this.refresh();
+        const key = this.bySlug.get(slug);
+        return key ? this.get(this.entries.get(key).id) : null;
+    }
+
+    /**
+     * Save an article where it is. `status` is the folder for a new article.
+     * Articles are migrated and validated first; invalid ones fail with 422.
+     */
+    async save(article, { status } = {}) {
+        const id = this.idOf(article);
+        if (!id) throw httpError('Article has no ID', 400);
+
+        return this.withLock(id, async () => {
+            const entry = await this.locate(id);
+            const folder = entry?.status || status;
+            if (!STATUSES.includes(folder)) {
+                throw httpError(`Article ${id} needs one of the statuses: ${STATUSES.join(', ')}`, 400);
+            }
+
+            const file = entry?.file || `${this.safeFileName(id)}.json`;
+            prepareArticle(article, { status: folder, file });
+            await this.writeAtomic(path.join(this.contentDir, folder, file), article);
+            await this.track(folder, file, article);
+            return article;
+        });
+    }
+
+    /**
+     * Move an article to another status folder, saving `article` (the updated
+     * document) on the way. With `from`, the move fails with 409 unless the
+     * article is still in that folder. It also fails with 409 when the
+     * destination file exists, rather than overwriting another article.
+     */
+    async move(id, to, article = null, { from = null } = {}) {
+        if (!STATUSES.includes(to)) {
+            throw httpError(`Unknown status folder "${to}"`, 400);
+        }
+
+        return this.withLock(id, async () => {
+            await this.refresh({ force: true });
+            const entry = this.entryFor(id);
+            if (!entry) throw httpError(`Article ${id} not found`, 404);
+            if (from && entry.status !== from) {
+                throw httpError(`Article ${id} is in ${entry.status}, not ${from}`, 409);
+            }
+
+            const fromPath = path.join(this.contentDir, entry.status, entry.file);
+            const toFile = `${this.safeFileName(entry.id)}.json`;
+            const toPath = path.join(this.contentDir, to, toFile);
+            if (toPath !== fromPath && await this.exists(toPath)) {
+                throw httpError(`Cannot move article ${entry.id}: ${to}/${toFile} already exists`, 409);
+            }
+            const document = article || await this.readArticle(entry);
+            prepareArticle(document, { status: to, file: toFile });
+
+            // Update in place first, then a single rename changes the folder
+            await this.writeAtomic(fromPath, document);
+            await fs.mkdir(path.dirname(toPath), { recursive: true });
+            await fs.rename(fromPath, toPath);
+
+            this.entries.delete(`${entry.status}/${entry.file}`);
+            await this.track(to, toFile, document);
+
+            console.log(`📦 Moved article ${entry.id} from ${entry.status}/${entry.file} to ${to}/${toFile}`);
+            return document;
+        });
+    }
+
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async writeAtomic(filePath, article) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpFile = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(article, null, 2));
+        await fs.rename(tmpFile, filePath);
+    }
+
+    async track(status, file, article) {
+        const stat = await fs.stat(path.join(this.contentDir, status, file));
+        this.entries.set(`${status}/${file}`, this.buildEntry(article, status, file, stat));
+        this.rebuildLookups();
+        await this.saveIndex();
+    }
+
+    safeFileName(id) {
+        return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    /**
+     * Run `fn` after any other write to the same article has finished
+     */
+    async withLock(id, fn) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const run = previous.then(fn, fn);
+        const settled = run.catch(() => {});
+        this.locks.set(id, settled);
+
+        try {
+            return await run;
+        } finally {
+            if (this.locks.get(id) === settled) this.locks.delete(id);
+        }
+    }
+
+    /**
+     * Index entries matching the filters, sorted; stale copies of an article
+     * in an earlier folder are left out.
+     *
+     * Filters: status (folder or list of folders), workflowStatus, category,
+     * q (matched against title, slug and ID), minQuality, maxQuality
+     */
+    async query({ status, workflowStatus, category, q, minQuality, maxQuality, sort = 'createdAt', order = 'desc' } = {}) {
+        await this.refresh();
+
+        const statuses = status ? [].concat(status).flatMap(value => String(value).split(',')).map(value => value.trim()) : STATUSES;
+        const unknown = statuses.filter(value => !STATUSES.includes(value));
+        if (unknown.length > 0) {
+            throw httpError(`Unknown status "${unknown[0]}" - use ${STATUSES.join(', ')}`, 400);
+        }
+        if (!SORT_FIELDS.includes(sort)) {
+            throw httpError(`sort must be one of: ${SORT_FIELDS.join(', ')}`, 400);
+        }
+        if (!['asc', 'desc'].includes(order)) {
+            throw httpError('order must be asc or desc', 400);
+        }
+
+        const search = q ? String(q).toLowerCase() : null;
+        const min = minQuality !== undefined && minQuality !== '' ? Number(minQuality) : null;
+        const max = maxQuality !== undefined && maxQuality !== '' ? Number(maxQuality) : null;
+
+        const entries = statuses
+            .flatMap(value => [...this.byStatus.get(value)].map(key => [key, this.entries.get(key)]))
+            .filter(([key, entry]) => this.byId.get(entry.id) === key)
+            .map(([, entry]) => entry)
+            .filter(entry => !workflowStatus || entry.workflowStatus === workflowStatus)
+            .filter(entry => !category || entry.category === String(category).toLowerCase())
+            .filter(entry => !search || [entry.title, entry.slug, entry.id].some(value => value && value.toLowerCase().includes(search)))
+            .filter(entry => min === null || (entry.qualityScore ?? -1) >= min)
+            .filter(entry => max === null || (entry.qualityScore ?? Infinity) <= max);
+
+        // Entries without the sort field go last either way
+        const direction = order === 'asc' ? 1 : -1;
+        return entries.sort((a, b) => {
+            const left = a[sort];
+            const right = b[sort];
+            if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+            if (right === null || right === undefined) return -1;
+            if (typeof left === 'number') return (left - right) * direction;
+            return String(left).localeCompare(String(right)) * direction;
+        });
+    }
+
+    /**
+     * One page of `query()` with the full articles
+     */
+    async list(filters = {}) {
+        const page = filters.page === undefined ? 1 : parseInt(filters.page);
+        const limit = filters.limit === undefined ? this.pageSize : parseInt(filters.limit);
+        if (!(page >= 1)) throw httpError('page must be a positive number', 400);
+        if (!(limit >= 1)) throw httpError('limit must be a positive number', 400);
+        const pageSize = Math.min(limit, this.maxPageSize);
+
+        const entries = await this.query(filters);
+        const pageEntries = entries.slice((page - 1) * pageSize, page * pageSize);
+        const articles = await Promise.all(pageEntries.map(entry => this.readArticle(entry).catch(() => null)));
+
+        return {
+            articles: articles.filter(Boolean),
+            total: entries.length,
+            page,
+            limit: pageSize,
+            pages: Math.ceil(entries.length / pageSize)
+        };
+    }
+}
+
+ContentRepository.STATUSES = STATUSES;
+ContentRepository.SORT_FIELDS = SORT_FIELDS;
+
+module.exports = ContentRepository;
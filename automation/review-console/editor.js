@@ -1,6 +1,7 @@
 /**
  * Advanced Article Editor for Smart Finance Hub Review Console
  * Handles rich text editing, auto-save, undo/redo, SEO analysis
+ * Quality scores come from the generator's QualityScorer (/js/quality-scorer.js)
  */
 
 class ArticleEditor {
@@ -13,6 +14,7 @@ class ArticleEditor {
         this.hasUnsavedChanges = false;
         this.seoIssues = [];
         this.qualityScore = 0;
+        this.qualityScorer = null;
         
         // Rich text editing state
         this.isRichTextMode = false;
@@ -34,6 +36,7 @@ class ArticleEditor {
         try {
             const response = await this.apiCall(`/articles/${articleId}`);
             this.currentArticle = response.article;
+            await this.loadQualityScorer();
             
             // Populate form fields
             this.populateForm(this.currentArticle);
@@ -297,8 +300,9 @@ class ArticleEditor {
         }
         
         // Keyword density analysis
-        const keywordDensity = this.calculateKeywordDensity(content, title);
-        if (keywordDensity < 1.0) {
+        const keywordDensity = this.calculateKeywordDensity();
+        const densityRange = this.qualityScorer?.settings.seoRequirements.keywordDensity || { min: 1, max: 2 };
+        if (keywordDensity < densityRange.min) {
             this.seoIssues.push({
                 field: 'content',
                 type: 'keyword_density',
@@ -306,7 +310,7 @@ class ArticleEditor {
                 message: `Low keyword density (${keywordDensity.toFixed(1)}%)`,
                 suggestion: 'Increase target keyword usage naturally'
             });
-        } else if (keywordDensity > 2.0) {
+        } else if (keywordDensity > densityRange.max) {
             this.seoIssues.push({
                 field: 'content',
                 type: 'keyword_density',
@@ -584,123 +588,35 @@ class ArticleEditor {
     /**
      * Quality Score Calculation
      */
-    async calculateQualityScore() {
-        if (!this.currentArticle) return;
-        
-        const title = document.getElementById('editTitle').value;
-        const metaDescription = document.getElementById('editMetaDescription').value;
-        const content = document.getElementById('editContent').value;
-        
-        // Mock article object for scoring
-        const mockArticle = {
-            title,
-            metaDescription,
-            content,
-            cta: document.getElementById('editCTA').value
-        };
-        
-        const scores = {
-            readability: this.calculateReadabilityScore(content),
-            seo: this.calculateSEOScore(mockArticle),
-            keywordDensity: this.calculateKeywordDensityScore(content, title),
-            structure: this.calculateStructureScore(mockArticle),
-            length: this.calculateLengthScore(content)
-        };
-        
-        // Weighted overall score
-        this.qualityScore = Math.round(
-            (scores.readability * 0.25) +
-            (scores.seo * 0.25) +
-            (scores.keywordDensity * 0.20) +
-            (scores.structure * 0.20) +
-            (scores.length * 0.10)
-        );
-        
-        this.updateQualityDisplay(this.qualityScore, scores);
-    }
+    async loadQualityScorer() {
+        if (this.qualityScorer) return this.qualityScorer;
 
-    calculateReadabilityScore(content) {
-        const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const words = content.split(/\s+/).filter(w => w.length > 0);
-        
-        if (sentences.length === 0 || words.length === 0) return 0;
-        
-        const avgWordsPerSentence = words.length / sentences.length;
-        
-        // Simple readability based on sentence length
-        if (avgWordsPerSentence <= 15) return 100;
-        if (avgWordsPerSentence <= 20) return 85;
-        if (avgWordsPerSentence <= 25) return 70;
-        return 50;
+        // Same scorer and settings as the generator
+        const Scorer = typeof QualityScorer !== 'undefined' ? QualityScorer : require('../content-generator/quality-scorer');
+        const response = await this.apiCall('/quality/settings');
+        this.qualityScorer = new Scorer(response.settings);
+        return this.qualityScorer;
     }
 
-    calculateSEOScore(article) {
-        let score = 0;
-        
-        // Title length
-        const titleLen = article.title.length;
-        if (titleLen >= 40 && titleLen <= 60) score += 25;
-        else if (titleLen <= 70) score += 15;
-        else score += 5;
-        
-        // Meta description length
-        const metaLen = article.metaDescription.length;
-        if (metaLen >= 140 && metaLen <= 160) score += 25;
-        else if (metaLen <= 170) score += 15;
-        else score += 5;
-        
-        // Heading structure
-        const h1Count = (article.content.match(/<h1[^>]*>/gi) || []).length;
-        const h2Count = (article.content.match(/<h2[^>]*>/gi) || []).length;
-        
-        if (h1Count === 1 && h2Count >= 3) score += 25;
-        else if (h1Count <= 1 && h2Count >= 2) score += 15;
-        else score += 5;
-        
-        // Links (simplified)
-        const linkCount = (article.content.match(/href=/gi) || []).length;
-        if (linkCount >= 5) score += 25;
-        else if (linkCount >= 3) score += 15;
-        else score += 5;
-        
-        return Math.min(score, 100);
-    }
+    scoreCurrentArticle() {
+        if (!this.currentArticle || !this.qualityScorer) return null;
 
-    calculateKeywordDensityScore(content, title) {
-        const words = content.toLowerCase().split(/\s+/).filter(w => w.length > 0);
-        const keyword = title.split(' ')[0]?.toLowerCase();
-        
-        if (!keyword || words.length === 0) return 0;
-        
-        const keywordCount = words.filter(w => w.includes(keyword)).length;
-        const density = (keywordCount / words.length) * 100;
-        
-        if (density >= 1.0 && density <= 2.0) return 100;
-        if (density >= 0.5 && density <= 2.5) return 75;
-        if (density >= 0.1 && density <= 3.0) return 50;
-        return 25;
+        const metadata = this.currentArticle.metadata || {};
+        return this.qualityScorer.score({
+            title: document.getElementById('editTitle').value,
+            metaDescription: document.getElementById('editMetaDescription').value,
+            content: document.getElementById('editContent').value,
+            cta: document.getElementById('editCTA').value,
+            metadata
+        }, { originality: metadata.originality?.originality });
     }
 
-    calculateStructureScore(article) {
-        let score = 0;
-        
-        if (article.content.length > 500) score += 25; // Has substantial content
-        if (article.content.includes('<h2')) score += 25; // Has sections
-        if (article.cta && article.cta.length > 20) score += 25; // Has CTA
-        if (article.content.toLowerCase().includes('conclusion') || 
-            article.content.toLowerCase().includes('summary')) score += 25; // Has conclusion
-        
-        return score;
-    }
+    async calculateQualityScore() {
+        const result = this.scoreCurrentArticle();
+        if (!result) return;
 
-    calculateLengthScore(content) {
-        const wordCount = this.getWordCount(content);
-        
-        if (wordCount >= 2000 && wordCount <= 3500) return 100;
-        if (wordCount >= 1500 && wordCount <= 4000) return 85;
-        if (wordCount >= 1000 && wordCount <= 4500) return 70;
-        if (wordCount >= 500) return 50;
-        return 25;
+        this.qualityScore = result.overall;
+        this.updateQualityDisplay(this.qualityScore, result.breakdown);
     }
 
     updateQualityDisplay(overallScore, breakdown) {
@@ -890,14 +806,9 @@ class ArticleEditor {
         return Math.max(1, Math.round(wordCount / wordsPerMinute));
     }
 
-    calculateKeywordDensity(content, title) {
-        const words = content.toLowerCase().split(/\s+/).filter(w => w.length > 0);
-        const keyword = title.split(' ')[0]?.toLowerCase();
-        
-        if (!keyword || words.length === 0) return 0;
-        
-        const keywordCount = words.filter(w => w.includes(keyword)).length;
-        return (keywordCount / words.length) * 100;
+    calculateKeywordDensity() {
+        // Average density of the article's target keywords
+        return this.scoreCurrentArticle()?.metrics.keywordDensity?.density || 0;
     }
 
     updateMetrics() {
@@ -910,7 +821,7 @@ class ArticleEditor {
             titleLength: title.length,
             metaLength: metaDescription.length,
             wordCount: this.getWordCount(content),
-            keywordDensity: this.calculateKeywordDensity(content, title).toFixed(1) + '%',
+            keywordDensity: this.calculateKeywordDensity().toFixed(1) + '%',
             readTime: this.calculateReadTime(content) + ' min'
         };
         
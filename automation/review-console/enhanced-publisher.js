@@ -3,10 +3,27 @@ const path = require('path');
 const { execSync } = require('child_process');
 
 class EnhancedPublisher {
-    constructor() {
+    constructor(options = {}) {
         this.basePath = process.cwd();
         this.approvedDir = path.join(this.basePath, 'content', 'approved');
         this.publishedDir = path.join(this.basePath, 'content', 'published');
+
+        // Articles the gate stops stay in approved/ for an editor to resolve
+        this.complianceGate = options.complianceGate || null;
+    }
+
+    /**
+     * Compliance gate decision for a batch move; allowed when no gate is set
+     */
+    checkCompliance(article, file, held) {
+        if (!this.complianceGate) return true;
+
+        const gate = this.complianceGate.check(article);
+        if (!gate.allowed) {
+            console.log(`🚫 Held back by compliance gate: ${file} - ${gate.error}`);
+            held.push({ file, id: article.metadata?.id || article.id, blocked: gate.blocked, error: gate.error });
+        }
+        return gate.allowed;
     }
 
     async publishApprovedArticles() {
@@ -18,6 +35,7 @@ class EnhancedPublisher {
             console.log(`📄 Found ${approvedFiles.length} approved articles to publish`);
 
             let movedCount = 0;
+            const held = [];
             for (const file of approvedFiles) {
                 try {
                     const sourcePath = path.join(this.approvedDir, file);
@@ -27,6 +45,10 @@ class EnhancedPublisher {
                     const content = await fs.readFile(sourcePath, 'utf8');
                     const article = JSON.parse(content);
 
+                    if (!this.checkCompliance(article, file, held)) {
+                        continue;
+                    }
+
                     // Ensure required fields
                     if (article.title && article.content) {
                         await fs.copyFile(sourcePath, targetPath);
@@ -42,6 +64,9 @@ class EnhancedPublisher {
             }
 
             console.log(`📦 Moved ${movedCount} articles to published folder`);
+            if (held.length > 0) {
+                console.log(`🚫 ${held.length} articles held back by the compliance gate`);
+            }
 
             // Step 2: Force homepage regeneration with all published articles
             console.log('🏠 Regenerating homepage with all published articles...');
@@ -82,7 +107,8 @@ EOF
                 success: true,
                 message: `Published ${movedCount} articles successfully`,
                 publishedCount: finalCount,
-                movedCount: movedCount
+                movedCount: movedCount,
+                held
             };
 
         } catch (error) {
@@ -154,10 +180,17 @@ EOF
         }
 
         let movedCount = 0;
+        const held = [];
         for (const file of approvedFiles) {
             try {
                 const sourcePath = path.join(this.approvedDir, file);
                 const targetPath = path.join(this.publishedDir, file);
+
+                const article = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+                if (!this.checkCompliance(article, file, held)) {
+                    continue;
+                }
+
                 await fs.copyFile(sourcePath, targetPath);
                 await fs.unlink(sourcePath);
                 movedCount++;
@@ -172,7 +205,8 @@ EOF
         return {
             success: true,
             message: `Quick published ${movedCount} articles`,
-            movedCount: movedCount
+            movedCount: movedCount,
+            held
         };
     }
 }
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Article Revision Store
+ * Keeps every saved version of an article's editable fields on disk
+ * (content/revisions/<articleId>/<revision>.json) and produces
+ * side-by-side diffs between any two versions.
+ */
+class RevisionStore {
+    constructor(options = {}) {
+        const settings = this.loadSettings();
+        const revisionSettings = settings.reviewConsole?.revisions || {};
+
+        this.revisionsDir = options.revisionsDir ||
+            path.join(__dirname, '../..', revisionSettings.dir || 'content/revisions');
+        this.fields = ['title', 'metaDescription', 'content', 'cta'];
+    }
+
+    loadSettings() {
+        try {
+            const settingsPath = path.join(__dirname, '../config/settings.json');
+            return JSON.parse(fsSync.readFileSync(settingsPath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    articleDir(articleId) {
+        // Article IDs are used as directory names, so keep them path-safe
+        const safeId = String(articleId).replace(/[^a-zA-Z0-9_-]/g, '_');
+        return path.join(this.revisionsDir, safeId);
+    }
+
+    /**
+     * Extract the editable fields of an article
+     */
+    snapshot(article) {
+        const snapshot = {};
+        for (const field of this.fields) {
+            snapshot[field] = article[field] || '';
+        }
+        return snapshot;
+    }
+
+    /**
+     * Store a new revision of the article (numbered sequentially from 1)
+     */
+    async saveRevision(article, { savedBy, reason = 'edit', folder = null } = {}) {
+        const articleId = article.id || article.metadata?.id;
+        const dir = this.articleDir(articleId);
+        await fs.mkdir(dir, { recursive: true });
+
+        const existing = await this.listRevisions(articleId);
+        let revisionNumber = existing.length > 0 ? existing[existing.length - 1].revision + 1 : 1;
+
+        const revision = {
+            articleId,
+            savedAt: new Date().toISOString(),
+            savedBy: savedBy || 'system',
+            reason,
+            folder,
+            status: article.metadata?.status || null,
+            snapshot: this.snapshot(article)
+        };
+
+        // 'wx' refuses to overwrite, so a concurrent save simply takes the next number
+        for (;;) {
+            const filePath = path.join(dir, `${String(revisionNumber).padStart(4, '0')}.json`);
+            try {
+                await fs.writeFile(filePath, JSON.stringify({ revision: revisionNumber, ...revision }, null, 2), { flag: 'wx' });
+                return { revision: revisionNumber, ...revision };
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                revisionNumber++;
+            }
+        }
+    }
+
+    /**
+     * Record the pre-edit state as revision 1 if the article has no history yet
+     */
+    async ensureBaseline(article, folder) {
+        const articleId = article.id || article.metadata?.id;
+        const existing = await this.listRevisions(articleId);
+        if (existing.length > 0) return null;
+
+        return this.saveRevision(article, {
+            savedBy: article.metadata?.updatedBy || article.metadata?.author || article.author || 'system',
+            reason: 'baseline',
+            folder
+        });
+    }
+
+    /**
+     * List revision summaries, oldest first
+     */
+    async listRevisions(articleId) {
+        let files;
+        try {
+            files = await fs.readdir(this.articleDir(articleId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const revisions = [];
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            try {
+                const revision = JSON.parse(await fs.readFile(path.join(this.articleDir(articleId), file), 'utf8'));
+                const { snapshot, ...summary } = revision;
+                revisions.push({
+                    ...summary,
+                    title: snapshot.title,
+                    wordCount: this.toText(snapshot.content).split(/\s+/).filter(Boolean).length
+                });
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable revision ${file} for ${articleId}: ${error.message}`);
+            }
+        }
+
+        return revisions.sort((a, b) => a.revision - b.revision);
+    }
+
+    async getRevision(articleId, revisionNumber) {
+        const filePath = path.join(this.articleDir(articleId), `${String(revisionNumber).padStart(4, '0')}.json`);
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Side-by-side diff of two snapshots, field by field.
+     * mode 'html' compares markup line by line; mode 'text' compares the rendered text.
+     */
+    diffSnapshots(left, right, mode = 'html') {
+        const fields = {};
+        let changedFields = 0;
+
+        for (const field of this.fields) {
+            const leftLines = this.toLines(left[field] || '', mode);
+            const rightLines = this.toLines(right[field] || '', mode);
+            const rows = this.diffLines(leftLines, rightLines);
+            const changed = rows.some(row => row.type !== 'same');
+
+            if (changed) changedFields++;
+            fields[field] = {
+                changed,
+                added: rows.filter(row => row.type === 'added' || row.type === 'changed').length,
+                removed: rows.filter(row => row.type === 'removed' || row.type === 'changed').length,
+                rows
+            };
+        }
+
+        return { mode, changedFields, fields };
+    }
+
+    toText(html) {
+        return String(html || '')
+            .replace(/<(br|\/p|\/h[1-6]|\/li|\/div|\/tr)\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'");
+    }
+
+    toLines(value, mode) {
+        const source = mode === 'text'
+            ? this.toText(value)
+            : String(value).replace(/>\s*</g, '>\n<');
+
+        return source
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    }
+
+    /**
+     * Longest-common-subsequence line diff, with adjacent removals and
+     * additions paired up as 'changed' rows for the side-by-side view
+     */
+    diffLines(left, right) {
+        const n = left.length;
+        const m = right.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = left[i] === right[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (left[i] === right[j]) {
+                ops.push({ type: 'same', left: left[i++], right: right[j++] });
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ type: 'removed', left: left[i++], right: null });
+            } else {
+                ops.push({ type: 'added', left: null, right: right[j++] });
+            }
+        }
+        while (i < n) ops.push({ type: 'removed', left: left[i++], right: null });
+        while (j < m) ops.push({ type: 'added', left: null, right: right[j++] });
+
+        const rows = [];
+        for (let k = 0; k < ops.length; k++) {
+            if (ops[k].type !== 'removed') {
+                rows.push(ops[k]);
+                continue;
+            }
+
+            const removed = [];
+            while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++]);
+            const added = [];
+            while (k < ops.length && ops[k].type === 'added') added.push(ops[k++]);
+            k--;
+
+            const paired = Math.max(removed.length, added.length);
+            for (let p = 0; p < paired; p++) {
+                if (removed[p] && added[p]) {
+                    rows.push({ type: 'changed', left: removed[p].left, right: added[p].right });
+                } else {
+                    rows.push(removed[p] || added[p]);
+                }
+            }
+        }
+
+        return rows;
+    }
+}
+
+module.exports = RevisionStore;
@@ -7,17 +7,71 @@ const cors = require('cors');
 const ContentGenerator = require('../content-generator/generator');
 const SEOOptimizer = require('../content-generator/seo-optimizer');
 const { checkArticleAccuracy } = require('../content-generator/fact-checker');
+const NearDuplicateDetector = require('../content-generator/near-duplicate-detector');
+const ArticleReviser = require('../content-generator/article-reviser');
+const QualityScorer = require('../content-generator/quality-scorer');
 const PublisherIntegration = require('./publisher-integration');
+const AuthManager = require('./auth');
+const AuditLog = require('./audit-log');
+const RevisionStore = require('./revision-store');
+const ContentRepository = require('./content-repository');
+const PublishingCalendar = require('../publisher/publishing-calendar');
+const SocialDispatcher = require('../publisher/social-dispatcher');
+const DigestBuilder = require('../newsletter/digest-builder');
+const IndexNowSubmitter = require('../publisher/indexnow');
+const ComplianceGate = require('../monitoring/compliance-gate');
+const DisclaimerLibrary = require('../monitoring/disclaimer-library');
+const { createJobQueue } = require('../jobs/handlers');
+const { generateArticleUrl } = require('../templates/article-template');
+
+// Request headers and body as they may appear in logs: no session cookie,
+// credentials or passwords
+function loggableRequest(req) {
+    const { cookie, authorization, ...headers } = req.headers;
+    const body = req.body?.password ? { ...req.body, password: '[redacted]' } : req.body;
+    return { headers, body };
+}
 
 class ReviewConsoleServer {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
         this.port = process.env.REVIEW_PORT || 3000;
         this.contentDir = path.join(__dirname, '../../content');
         this.publicDir = path.join(__dirname, '../../public');
 
-        // Initialize publisher integration
-        this.publisherIntegration = new PublisherIntegration();
+        // Queued social posts, shared with the publisher when there is one
+        this.socialDispatcher = options.publisher?.socialDispatcher ||
+            new SocialDispatcher({ queueDir: path.join(this.contentDir, 'social-queue') });
+
+        // Weekly newsletter digests, previewed and approved here before sending
+        this.newsletter = options.newsletter || new DigestBuilder();
+
+        // IndexNow submissions for published, edited and removed pages
+        this.indexNow = options.publisher?.indexNow || new IndexNowSubmitter();
+
+        // Publishing runs through the job queue; the automation server passes
+        // its own, otherwise the console runs a worker of its own
+        this.jobQueue = options.jobQueue || createJobQueue({
+            publisher: options.publisher,
+            socialDispatcher: this.socialDispatcher,
+            newsletter: this.newsletter,
+            indexNow: this.indexNow
+        });
+        this.ownsJobQueue = !options.jobQueue;
+
+        // Policy checks every approval and publish has to pass
+        this.complianceGate = new ComplianceGate();
+        this.disclaimerLibrary = new DisclaimerLibrary();
+
+        // Login sessions, roles and the per-user audit trail
+        this.auth = new AuthManager();
+        this.auditLog = new AuditLog();
+        this.revisionStore = new RevisionStore();
+        this.calendar = new PublishingCalendar({ contentDir: this.contentDir });
+        this.articles = new ContentRepository({ contentDir: this.contentDir });
+
+        // Queues publish jobs for approved articles found through the repository
+        this.publisherIntegration = new PublisherIntegration(this.jobQueue, { articles: this.articles });
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -27,6 +81,12 @@ class ReviewConsoleServer {
         // Initialize modules
         this.generator = new ContentGenerator();
         this.seoOptimizer = new SEOOptimizer();
+        this.duplicateDetector = new NearDuplicateDetector();
+        this.reviser = new ArticleReviser({
+            generator: this.generator,
+            seoOptimizer: this.seoOptimizer,
+            complianceGate: this.complianceGate
+        });
     }
 
     setupMiddleware() {
@@ -47,16 +107,18 @@ class ReviewConsoleServer {
         // Enhanced request logging
         this.app.use((req, res, next) => {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-            console.log(`  Headers:`, JSON.stringify(req.headers, null, 2));
-            if (req.body && Object.keys(req.body).length > 0) {
-                console.log(`  Body:`, JSON.stringify(req.body, null, 2));
+            const { headers, body } = loggableRequest(req);
+            console.log(`  Headers:`, JSON.stringify(headers, null, 2));
+            if (body && Object.keys(body).length > 0) {
+                console.log(`  Body:`, JSON.stringify(body, null, 2));
             }
             next();
         });
 
         // Global error handler
         this.app.use((err, req, res, next) => {
-            console.error('Global error handler caught:', err);
+            // The stack only: a body-parser error carries the raw body, passwords included
+            console.error('Global error handler caught:', err.stack || err.message);
             res.status(500).json({
                 success: false,
                 error: 'Internal server error',
@@ -104,22 +166,88 @@ class ReviewConsoleServer {
             res.sendFile(path.join(__dirname, 'dashboard.html'));
         });
 
+        // The quality scorer the generator uses, loaded as-is by the live editor
+        this.app.get('/js/quality-scorer.js', (req, res) => {
+            res.sendFile(path.join(__dirname, '../content-generator/quality-scorer.js'));
+        });
+
+        // Authentication endpoints (public)
+        this.app.post('/api/auth/login', this.login.bind(this));
+        this.app.get('/api/health', this.getHealth.bind(this));
+
+        // Everything else under /api requires a logged-in user
+        this.app.use('/api', this.auth.requireAuth());
+        this.app.post('/api/auth/logout', this.logout.bind(this));
+        this.app.get('/api/auth/me', this.getCurrentUser.bind(this));
+
+        const requireWriter = this.auth.requireRole('writer', 'editor');
+        const requireEditor = this.auth.requireRole('editor');
+        const requirePublisher = this.auth.requireRole('publisher');
+
         // Article management endpoints
+        this.app.get('/api/articles', this.listArticles.bind(this));
         this.app.get('/api/articles/drafts', this.getDrafts.bind(this));
         this.app.get('/api/articles/approved', this.getApproved.bind(this));
         this.app.get('/api/articles/published', this.getPublished.bind(this));
         this.app.get('/api/articles/rejected', this.getRejected.bind(this));
         this.app.get('/api/articles/:id', this.getArticle.bind(this));
+        this.app.get('/api/articles/:id/audit', this.getArticleAudit.bind(this));
+        this.app.get('/api/articles/:id/revisions', this.getRevisions.bind(this));
+        this.app.get('/api/articles/:id/revisions/:revision', this.getRevision.bind(this));
+        this.app.get('/api/articles/:id/revisions/:revision/diff', this.getRevisionDiff.bind(this));
+        this.app.post('/api/articles/:id/revisions/:revision/restore', requireWriter, this.restoreRevision.bind(this));
         
         // Article workflow endpoints
-        this.app.post('/api/articles/:id/approve', this.approveArticle.bind(this));
-        this.app.post('/api/articles/:id/reject', this.rejectArticle.bind(this));
-        this.app.put('/api/articles/:id', this.updateArticle.bind(this));
-        this.app.post('/api/articles/:id/schedule', this.scheduleArticle.bind(this));
-        this.app.delete('/api/articles/:id', this.deleteArticle.bind(this));
+        this.app.post('/api/articles/:id/approve', requireEditor, this.approveArticle.bind(this));
+        this.app.post('/api/articles/:id/reject', requireEditor, this.rejectArticle.bind(this));
+        this.app.post('/api/articles/:id/request-revision', requireEditor, this.requestRevision.bind(this));
+        this.app.post('/api/articles/:id/rewrite-section', requireWriter, this.rewriteSection.bind(this));
+        this.app.put('/api/articles/:id', requireWriter, this.updateArticle.bind(this));
+        this.app.post('/api/articles/:id/schedule', requirePublisher, this.scheduleArticle.bind(this));
+        this.app.delete('/api/articles/:id', requireEditor, this.deleteArticle.bind(this));
         
         // Content generation
-        this.app.post('/api/generate', this.generateArticles.bind(this));
+        this.app.post('/api/generate', requireWriter, this.generateArticles.bind(this));
+        this.app.get('/api/plan', this.getPlan.bind(this));
+        this.app.put('/api/plan/:date', requireEditor, this.updatePlan.bind(this));
+        this.app.post('/api/plan/:date/rebuild', requireEditor, this.rebuildPlan.bind(this));
+
+        // Content briefs (outline stage before a draft)
+        this.app.get('/api/briefs', this.getBriefs.bind(this));
+        this.app.get('/api/briefs/:id', this.getBrief.bind(this));
+        this.app.put('/api/briefs/:id', requireWriter, this.updateBrief.bind(this));
+        this.app.post('/api/briefs/:id/approve', requireEditor, this.approveBrief.bind(this));
+        this.app.post('/api/briefs/:id/reject', requireEditor, this.rejectBrief.bind(this));
+
+        // Audit trail
+        this.app.get('/api/audit', requireEditor, this.getAudit.bind(this));
+
+        // Job queue
+        this.app.get('/api/jobs', this.getJobs.bind(this));
+        this.app.get('/api/jobs/:id', this.getJob.bind(this));
+        this.app.post('/api/jobs', requirePublisher, this.enqueueJob.bind(this));
+        this.app.post('/api/jobs/:id/retry', requirePublisher, this.retryJob.bind(this));
+        this.app.post('/api/jobs/:id/cancel', requirePublisher, this.cancelJob.bind(this));
+
+        // Social media queue
+        this.app.get('/api/social', this.getSocialPosts.bind(this));
+        this.app.post('/api/social/dispatch', requirePublisher, this.dispatchSocial.bind(this));
+        this.app.put('/api/social/:queueId/:platform', requireWriter, this.updateSocialPost.bind(this));
+        this.app.post('/api/social/:queueId/:platform/approve', requireEditor, this.approveSocialPost.bind(this));
+        this.app.post('/api/social/:queueId/:platform/cancel', requireEditor, this.cancelSocialPost.bind(this));
+
+        // Newsletter digests
+        this.app.get('/api/newsletters', this.getNewsletters.bind(this));
+        this.app.post('/api/newsletters', requireEditor, this.buildNewsletter.bind(this));
+        this.app.get('/api/newsletters/:id', this.getNewsletter.bind(this));
+        this.app.put('/api/newsletters/:id', requireEditor, this.updateNewsletter.bind(this));
+        this.app.post('/api/newsletters/:id/approve', requireEditor, this.approveNewsletter.bind(this));
+        this.app.post('/api/newsletters/:id/reject', requireEditor, this.rejectNewsletter.bind(this));
+        this.app.post('/api/newsletters/:id/send', requirePublisher, this.sendNewsletter.bind(this));
+
+        // IndexNow submission log
+        this.app.get('/api/indexnow', this.getIndexNowSubmissions.bind(this));
+        this.app.post('/api/indexnow', requirePublisher, this.submitIndexNow.bind(this));
         
         // Analytics and monitoring
         this.app.get('/api/analytics', this.getAnalytics.bind(this));
@@ -127,21 +255,551 @@ class ReviewConsoleServer {
         this.app.get('/api/stats', this.getStats.bind(this));
         
         // SEO and fact-checking
+        this.app.get('/api/quality/settings', this.getQualitySettings.bind(this));
         this.app.post('/api/articles/:id/seo-check', this.runSEOCheck.bind(this));
         this.app.post('/api/articles/:id/fact-check', this.runFactCheck.bind(this));
-        this.app.post('/api/articles/:id/publish', this.publishArticle.bind(this));
-        this.app.post('/api/publish/all-approved', this.publishAllApproved.bind(this));
-        this.app.post('/api/publish/enhanced', this.publishEnhanced.bind(this));
-        this.app.post('/api/publish/quick', this.publishQuick.bind(this));
-        this.app.post('/api/process-pending-approvals', this.processPendingApprovals.bind(this));
-        
-        // Health check
-        this.app.get('/api/health', (req, res) => {
-            res.json({ 
-                status: 'healthy', 
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime()
+        this.app.post('/api/articles/:id/duplicate-check', this.runDuplicateCheck.bind(this));
+        this.app.post('/api/articles/:id/publish', requirePublisher, this.publishArticle.bind(this));
+        this.app.use('/api/publish', requirePublisher);
+        this.app.post('/api/publish/all-approved', this.scheduleApprovedArticles.bind(this));
+        this.app.post('/api/publish/enhanced', this.scheduleApprovedArticles.bind(this));
+        this.app.post('/api/publish/quick', this.scheduleApprovedArticles.bind(this));
+        this.app.post('/api/process-pending-approvals', requirePublisher, this.scheduleApprovedArticles.bind(this));
+    }
+
+    // Health check
+    getHealth(req, res) {
+        res.json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    }
+
+    // Authentication endpoints
+    async login(req, res) {
+        try {
+            const { username, password } = req.body;
+            const session = await this.auth.login(username, password);
+
+            if (!session) {
+                await this.auditLog.record({
+                    action: 'login_failed',
+                    user: null,
+                    details: { username: username || null }
+                });
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+
+            await this.auditLog.record({ action: 'login', user: session.user });
+
+            res.setHeader('Set-Cookie', this.auth.sessionCookie(session.token));
+            res.json({
+                success: true,
+                user: session.user,
+                token: session.token,
+                expiresAt: new Date(session.expiresAt).toISOString()
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async logout(req, res) {
+        try {
+            this.auth.logout(req.sessionToken);
+            await this.auditLog.record({ action: 'logout', user: req.user });
+
+            res.setHeader('Set-Cookie', this.auth.clearedCookie());
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    getCurrentUser(req, res) {
+        res.json({ success: true, user: req.user });
+    }
+
+    // Audit trail endpoints
+    async getArticleAudit(req, res) {
+        try {
+            const entries = await this.auditLog.getArticleHistory(req.params.id);
+            res.json({ success: true, count: entries.length, entries });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    // Revision history endpoints
+    async getRevisions(req, res) {
+        try {
+            const revisions = await this.revisionStore.listRevisions(req.params.id);
+            res.json({ success: true, count: revisions.length, revisions: revisions.reverse() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getRevision(req, res) {
+        try {
+            const revision = await this.revisionStore.getRevision(req.params.id, parseInt(req.params.revision, 10));
+            if (!revision) {
+                return res.status(404).json({ success: false, error: 'Revision not found' });
+            }
+            res.json({ success: true, revision });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getRevisionDiff(req, res) {
+        try {
+            const { id } = req.params;
+            const mode = req.query.mode === 'text' ? 'text' : 'html';
+            const against = req.query.against || 'current';
+
+            const revision = await this.revisionStore.getRevision(id, parseInt(req.params.revision, 10));
+            if (!revision) {
+                return res.status(404).json({ success: false, error: 'Revision not found' });
+            }
+
+            let right;
+            if (against === 'current') {
+                const article = await this.articles.get(id);
+                if (!article) {
+                    return res.status(404).json({ success: false, error: 'Article not found' });
+                }
+                right = { label: 'Current', snapshot: this.revisionStore.snapshot(article) };
+            } else {
+                const other = await this.revisionStore.getRevision(id, parseInt(against, 10));
+                if (!other) {
+                    return res.status(404).json({ success: false, error: `Revision ${against} not found` });
+                }
+                right = { label: `Revision ${other.revision}`, snapshot: other.snapshot };
+            }
+
+            const diff = this.revisionStore.diffSnapshots(revision.snapshot, right.snapshot, mode);
+
+            res.json({
+                success: true,
+                left: { label: `Revision ${revision.revision}`, savedAt: revision.savedAt, savedBy: revision.savedBy },
+                right: { label: right.label },
+                diff
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async restoreRevision(req, res) {
+        try {
+            const { id } = req.params;
+            const revisionNumber = parseInt(req.params.revision, 10);
+
+            const revision = await this.revisionStore.getRevision(id, revisionNumber);
+            if (!revision) {
+                return res.status(404).json({ success: false, error: 'Revision not found' });
+            }
+
+            const article = await this.articles.get(id);
+            if (!article) {
+                return res.status(404).json({ success: false, error: 'Article not found' });
+            }
+
+            const currentFolder = (await this.articles.locate(id)).status;
+            await this.revisionStore.ensureBaseline(article, currentFolder);
+
+            // Only the editable fields roll back; workflow status and dates stay as they are
+            Object.assign(article, revision.snapshot);
+            article.metadata.updatedAt = new Date().toISOString();
+            article.metadata.updatedBy = req.user.username;
+            article.metadata.restoredFromRevision = revisionNumber;
+
+            await this.articles.save(article);
+            const saved = await this.revisionStore.saveRevision(article, {
+                savedBy: req.user.username,
+                reason: `restore of revision ${revisionNumber}`,
+                folder: currentFolder
+            });
+
+            const liveUpdate = currentFolder === 'published'
+                ? await this.queueLiveChange('refresh-article', id, req.user)
+                : null;
+
+            await this.auditLog.record({
+                action: 'restore_revision',
+                articleId: id,
+                user: req.user,
+                details: { restoredRevision: revisionNumber, newRevision: saved.revision, folder: currentFolder }
+            });
+
+            res.json({
+                success: true,
+                message: `Restored revision ${revisionNumber}`,
+                revision: saved.revision,
+                article,
+                ...(liveUpdate && { jobId: liveUpdate.id })
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getAudit(req, res) {
+        try {
+            const { articleId, user, action } = req.query;
+            const limit = parseInt(req.query.limit, 10) || 100;
+            const entries = await this.auditLog.query({ articleId, user, action, limit });
+            res.json({ success: true, count: entries.length, entries });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getJobs(req, res) {
+        try {
+            const { status, type } = req.query;
+            const limit = parseInt(req.query.limit, 10) || 100;
+            const jobs = await this.jobQueue.list({ status, type, limit });
+            const stats = await this.jobQueue.stats();
+            res.json({ success: true, count: jobs.length, stats, jobs });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getJob(req, res) {
+        try {
+            await this.jobQueue.ensureLoaded();
+            const job = this.jobQueue.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            res.json({ success: true, job });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async enqueueJob(req, res) {
+        try {
+            const { type, payload = {}, runAt } = req.body;
+            if (!type) {
+                return res.status(400).json({ success: false, error: 'Job type is required' });
+            }
+
+            const job = await this.jobQueue.enqueue(type, payload, {
+                runAt,
+                dedupeKey: `manual:${type}:${JSON.stringify(payload)}`,
+                createdBy: req.user.username
+            });
+
+            await this.auditLog.record({ action: 'job_enqueue', user: req.user, details: { jobId: job.id, type } });
+
+            res.status(202).json({ success: true, job });
+        } catch (error) {
+            const status = error.message.startsWith('Unknown job type') ? 400 : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+
+    async retryJob(req, res) {
+        try {
+            const job = await this.jobQueue.retry(req.params.id, { retriedBy: req.user.username });
+            await this.auditLog.record({ action: 'job_retry', user: req.user, details: { jobId: job.id, type: job.type } });
+            res.json({ success: true, job });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    async cancelJob(req, res) {
+        try {
+            const job = await this.jobQueue.cancel(req.params.id, { cancelledBy: req.user.username });
+            await this.auditLog.record({ action: 'job_cancel', user: req.user, details: { jobId: job.id, type: job.type } });
+            res.json({ success: true, job });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    // Social media queue
+    async getSocialPosts(req, res) {
+        try {
+            const statuses = req.query.status ? String(req.query.status).split(',').filter(Boolean) : null;
+            const posts = await this.socialDispatcher.list({ statuses });
+
+            res.json({
+                success: true,
+                count: posts.length,
+                requireApproval: this.socialDispatcher.requireApproval,
+                posts
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updateSocialPost(req, res) {
+        try {
+            const { queueId, platform } = req.params;
+            const post = await this.socialDispatcher.update(queueId, platform, req.body, { updatedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'social_update',
+                articleId: post.articleId,
+                user: req.user,
+                details: { queueId, platform, fields: Object.keys(req.body) }
+            });
+
+            res.json({ success: true, message: `${platform} post updated`, post });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async approveSocialPost(req, res) {
+        try {
+            const { queueId, platform } = req.params;
+            const post = await this.socialDispatcher.approve(queueId, platform, { approvedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'social_approve',
+                articleId: post.articleId,
+                user: req.user,
+                details: { queueId, platform, scheduledFor: post.scheduledFor }
+            });
+
+            res.json({ success: true, message: `${platform} post scheduled for ${post.scheduledFor}`, post });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async cancelSocialPost(req, res) {
+        try {
+            const { queueId, platform } = req.params;
+            const { reason = '' } = req.body;
+            const post = await this.socialDispatcher.cancel(queueId, platform, { cancelledBy: req.user.username, reason });
+
+            await this.auditLog.record({ action: 'social_cancel', articleId: post.articleId, user: req.user, details: { queueId, platform, reason } });
+
+            res.json({ success: true, message: `${platform} post cancelled`, post });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Send the posts that are due now instead of waiting for the schedule
+     */
+    async dispatchSocial(req, res) {
+        try {
+            const job = await this.jobQueue.enqueue('dispatch-social', {}, {
+                dedupeKey: 'schedule:dispatch-social',
+                createdBy: req.user.username
+            });
+
+            await this.auditLog.record({ action: 'social_dispatch', user: req.user, details: { jobId: job.id } });
+
+            res.status(202).json({ success: true, message: 'Due social posts queued for sending', jobId: job.id });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    // Newsletter digests
+    async getNewsletters(req, res) {
+        try {
+            const statuses = req.query.status ? String(req.query.status).split(',').filter(Boolean) : null;
+            const digests = await this.newsletter.store.list({ statuses });
+
+            res.json({
+                success: true,
+                count: digests.length,
+                provider: process.env.NEWSLETTER_PROVIDER || this.newsletter.newsletterSettings.integrationPlatform || 'file',
+                subscribers: await this.newsletter.subscriptions.stats(),
+                // The rendered email is only sent with a single digest
+                digests: digests.map(({ html, text, ...digest }) => digest)
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getNewsletter(req, res) {
+        try {
+            const digest = await this.newsletter.store.require(req.params.id);
+            res.json({ success: true, digest });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Build (or rebuild) the draft for the next send day now
+     */
+    async buildNewsletter(req, res) {
+        try {
+            const digest = await this.newsletter.build({ createdBy: req.user.username });
+            if (!digest) {
+                return res.status(422).json({
+                    success: false,
+                    error: `No articles were published in the last ${this.newsletter.lookbackDays} days`
+                });
+            }
+
+            await this.auditLog.record({
+                action: 'newsletter_build',
+                user: req.user,
+                details: { digestId: digest.id, articleCount: digest.articleCount }
+            });
+
+            res.status(201).json({ success: true, message: `Digest ${digest.id} built`, digest });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updateNewsletter(req, res) {
+        try {
+            const digest = await this.newsletter.update(req.params.id, req.body, { updatedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'newsletter_update',
+                user: req.user,
+                details: { digestId: digest.id, fields: Object.keys(req.body) }
+            });
+
+            res.json({ success: true, message: `Digest ${digest.id} updated`, digest });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async approveNewsletter(req, res) {
+        try {
+            const digest = await this.newsletter.store.approve(req.params.id, { approvedBy: req.user.username });
+
+            await this.auditLog.record({ action: 'newsletter_approve', user: req.user, details: { digestId: digest.id } });
+
+            res.json({ success: true, message: `Digest ${digest.id} will be sent ${digest.scheduledFor}`, digest });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async rejectNewsletter(req, res) {
+        try {
+            const { reason = '' } = req.body;
+            const digest = await this.newsletter.store.reject(req.params.id, { rejectedBy: req.user.username, reason });
+
+            await this.auditLog.record({ action: 'newsletter_reject', user: req.user, details: { digestId: digest.id, reason } });
+
+            res.json({ success: true, message: `Digest ${digest.id} rejected`, digest });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Send an approved digest now instead of at its scheduled time
+     */
+    async sendNewsletter(req, res) {
+        try {
+            const digest = await this.newsletter.store.require(req.params.id);
+            if (digest.status !== 'approved') {
+                return res.status(409).json({ success: false, error: `Digest ${digest.id} is ${digest.status}; approve it before sending` });
+            }
+
+            const job = await this.jobQueue.enqueue('send-newsletter', { digestId: digest.id, sentBy: req.user.username }, {
+                dedupeKey: `send-newsletter:${digest.id}`,
+                createdBy: req.user.username
+            });
+
+            await this.auditLog.record({ action: 'newsletter_send', user: req.user, details: { digestId: digest.id, jobId: job.id } });
+
+            res.status(202).json({ success: true, message: `Digest ${digest.id} queued for sending`, jobId: job.id });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    // IndexNow
+    async getIndexNowSubmissions(req, res) {
+        try {
+            const limit = parseInt(req.query.limit, 10) || 50;
+            const submissions = await this.indexNow.list({ status: req.query.status || null, limit });
+            res.json({
+                success: true,
+                enabled: this.indexNow.enabled,
+                endpoint: this.indexNow.endpoint,
+                count: submissions.length,
+                submissions
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Submit URLs by hand, e.g. after fixing a page outside the console
+     */
+    async submitIndexNow(req, res) {
+        try {
+            const urls = Array.isArray(req.body.urls) ? req.body.urls.map(String) : [];
+            if (urls.length === 0) {
+                return res.status(400).json({ success: false, error: 'urls must be a non-empty array' });
+            }
+            if (!this.indexNow.enabled) {
+                return res.status(409).json({ success: false, error: 'IndexNow is disabled (indexNow.enabled)' });
+            }
+
+            const result = await this.queueIndexNow(urls, { reason: 'manual', user: req.user });
+            if (!result) {
+                return res.status(400).json({ success: false, error: `No URLs on ${this.indexNow.baseUrl}` });
+            }
+
+            await this.auditLog.record({
+                action: 'indexnow_submit',
+                user: req.user,
+                details: { submissionId: result.submission.id, urls: result.submission.urls.length }
             });
+
+            res.status(202).json({ success: true, submission: result.submission, jobId: result.jobId });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Log an IndexNow submission and queue its send job. `urls` are URLs or
+     * articles (their page is submitted).
+     */
+    async queueIndexNow(urls, { reason, articleId = null, user }) {
+        const pages = urls.map(entry => typeof entry === 'string' ? entry : generateArticleUrl(entry));
+        const submission = await this.indexNow.queue(pages, { reason, articleId, requestedBy: user.username });
+        if (!submission) {
+            return null;
+        }
+
+        const job = await this.jobQueue.enqueue('submit-indexnow', { submissionId: submission.id }, {
+            dedupeKey: `submit-indexnow:${submission.id}`,
+            createdBy: user.username
+        });
+        return { submission, jobId: job.id };
+    }
+
+    /**
+     * Queue the job that deploys a change to a live article (`refresh-article`
+     * or `unpublish-article`). The job submits the page to IndexNow once the
+     * deploy went through.
+     */
+    queueLiveChange(type, articleId, user) {
+        return this.jobQueue.enqueue(type, { articleId, requestedBy: user.username }, {
+            ...(type === 'unpublish-article' && { dedupeKey: `unpublish-article:${articleId}` }),
+            createdBy: user.username
         });
     }
 
@@ -159,12 +817,11 @@ class ReviewConsoleServer {
 
         // Global error handler (must be last middleware)
         this.app.use((err, req, res, next) => {
-            console.error('💥 Server error:', err);
+            console.error('💥 Server error:', err.message);
             console.error('📍 Request details:', {
                 method: req.method,
                 url: req.originalUrl,
-                headers: req.headers,
-                body: req.body
+                ...loggableRequest(req)
             });
             console.error('🔥 Stack trace:', err.stack);
             
@@ -183,173 +840,58 @@ class ReviewConsoleServer {
         });
     }
 
-    // Article listing endpoints
-    async getDrafts(req, res) {
-        try {
-            const draftsPath = path.join(this.contentDir, 'drafts');
-            
-            // Check if directory exists
-            const fsSync = require('fs');
-            if (!fsSync.existsSync(draftsPath)) {
-                await fs.mkdir(draftsPath, { recursive: true });
-                return res.json([]);
-            }
-            
-            const files = await fs.readdir(draftsPath);
-            const drafts = [];
-            
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    try {
-                        const filePath = path.join(draftsPath, file);
-                        const content = await fs.readFile(filePath, 'utf-8');
-                        const article = JSON.parse(content);
-
-                        // Check for article validity - support both direct id and metadata.id
-                        if (article && (article.id || (article.metadata && article.metadata.id))) {
-                            // Ensure the article has a top-level id for API consistency
-                            if (!article.id && article.metadata && article.metadata.id) {
-                                article.id = article.metadata.id;
-                            }
-
-                            // Add quality score at top level for sorting
-                            if (!article.qualityScore && article.metadata && article.metadata.qualityScore) {
-                                article.qualityScore = article.metadata.qualityScore.overall;
-                            }
-
-                            drafts.push(article);
-                        }
-                    } catch (err) {
-                        console.log('Skipping invalid file:', file);
-                    }
-                }
-            }
-            
-            drafts.sort((a, b) => (b.qualityScore || 0) - (a.qualityScore || 0));
-            res.json({
-                articles: drafts.slice(0, 20),
-                count: drafts.length,
-                total: drafts.length
-            });
-        } catch (error) {
-            console.error('Error in getDrafts:', error);
-            res.status(500).json({ error: error.message });
-        }
+    // Article listing endpoints. Query: page, limit, sort, order, q, category,
+    // workflowStatus, minQuality, maxQuality (see ContentRepository.query)
+    async listArticles(req, res) {
+        await this.sendArticlePage(req, res, req.query.status);
     }
 
-    async getDraftsOld(req, res) {
-        try {
-            const draftsPath = path.join(this.contentDir, 'drafts');
-
-            // Check if directory exists
-            try {
-                await fs.access(draftsPath);
-                console.log('✅ Drafts directory exists');
-            } catch (dirError) {
-                console.error('❌ Drafts directory does not exist:', dirError);
-                // Try to create it
-                await fs.mkdir(draftsPath, { recursive: true });
-                console.log('✅ Drafts directory created');
-            }
-            
-            const articles = await this.getArticlesFromFolder('drafts');
-            console.log(`📊 Found ${articles.length} draft articles`);
-            
-            if (articles.length > 0) {
-                console.log('📝 Draft articles:');
-                articles.forEach((article, index) => {
-                    console.log(`  ${index + 1}. ${article.title || article.metadata?.id || 'Unknown'}`);
-                });
-            }
-            
-            const sortedArticles = articles.sort((a, b) => {
-                const dateA = new Date(a.metadata?.createdAt || 0);
-                const dateB = new Date(b.metadata?.createdAt || 0);
-                return dateB - dateA;
-            });
-            
-            console.log('✅ getDrafts completed successfully');
-            
-            res.json({
-                success: true,
-                count: articles.length,
-                articles: sortedArticles,
-                debug: {
-                    path: draftsPath,
-                    timestamp: new Date().toISOString()
-                }
-            });
-        } catch (error) {
-            console.error('❌ getDrafts error:', error);
-            console.error('  Error stack:', error.stack);
-            res.status(500).json({ 
-                success: false, 
-                error: error.message,
-                stack: error.stack,
-                timestamp: new Date().toISOString()
-            });
-        }
+    async getDrafts(req, res) {
+        await this.sendArticlePage(req, res, 'drafts', 'qualityScore');
     }
 
     async getApproved(req, res) {
-        console.log('📥 getApproved endpoint called');
-        
-        try {
-            const articles = await this.getArticlesFromFolder('approved');
-            console.log(`📊 Found ${articles.length} approved articles`);
-            
-            const sortedArticles = articles.sort((a, b) => {
-                const dateA = new Date(a.metadata?.approvedAt || 0);
-                const dateB = new Date(b.metadata?.approvedAt || 0);
-                return dateB - dateA;
-            });
-            
-            res.json({
-                success: true,
-                count: articles.length,
-                articles: sortedArticles,
-                timestamp: new Date().toISOString()
-            });
-        } catch (error) {
-            console.error('❌ getApproved error:', error);
-            res.status(500).json({ 
-                success: false, 
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
-        }
+        await this.sendArticlePage(req, res, 'approved', 'approvedAt');
     }
 
     async getPublished(req, res) {
-        try {
-            const articles = await this.getArticlesFromFolder('published');
-            res.json({
-                success: true,
-                count: articles.length,
-                articles: articles.sort((a, b) => new Date(b.metadata.publishedAt) - new Date(a.metadata.publishedAt))
-            });
-        } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
-        }
+        await this.sendArticlePage(req, res, 'published', 'publishedAt');
     }
 
     async getRejected(req, res) {
+        await this.sendArticlePage(req, res, 'rejected', 'rejectedAt');
+    }
+
+    async sendArticlePage(req, res, status, defaultSort = 'createdAt') {
         try {
-            const articles = await this.getArticlesFromFolder('rejected');
+            const { page, limit, sort = defaultSort, order, q, category, workflowStatus, minQuality, maxQuality } = req.query;
+            const result = await this.articles.list({
+                status, page, limit, sort, order, q, category, workflowStatus, minQuality, maxQuality
+            });
+
             res.json({
                 success: true,
-                count: articles.length,
-                articles: articles.sort((a, b) => new Date(b.metadata.rejectedAt) - new Date(a.metadata.rejectedAt))
+                // `count` is the number of matching articles, not just this page
+                count: result.total,
+                total: result.total,
+                page: result.page,
+                pages: result.pages,
+                limit: result.limit,
+                articles: result.articles.map(article => ({
+                    ...article,
+                    id: article.id || article.metadata?.id,
+                    qualityScore: article.qualityScore ?? article.metadata?.qualityScore?.overall
+                }))
             });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
     async getArticle(req, res) {
         try {
             const { id } = req.params;
-            const article = await this.findArticleById(id);
+            const article = await this.articles.get(id);
             
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
@@ -362,21 +904,53 @@ class ReviewConsoleServer {
     }
 
     // Article workflow endpoints
+
+    /**
+     * Approve a draft into approved/, where the publishing calendar gives it
+     * the next free slot. `publishNow` is the publisher-only emergency
+     * override that queues the article for publishing straight away.
+     */
     async approveArticle(req, res) {
         try {
             const { id } = req.params;
-            const { reviewer, notes } = req.body;
+            const { notes, publishNow } = req.body;
+
+            console.log(`📝 Approving article: ${id} (by ${req.user.username})`);
 
-            console.log(`📝 Approving article: ${id}`);
+            if (publishNow && !this.auth.hasRole(req.user, ['publisher'])) {
+                return res.status(403).json({ success: false, error: 'Publishing on approval requires the publisher role' });
+            }
+            if (publishNow && !this.calendar.emergencyOverride) {
+                return res.status(400).json({ success: false, error: 'Emergency overrides are disabled in publishingSchedule settings' });
+            }
 
-            const article = await this.findArticleById(id);
+            const article = await this.articles.get(id);
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
             }
 
-            // Update article metadata with full publish data
             if (!article.metadata) article.metadata = {};
 
+            if (article.metadata.status === 'needs_revision') {
+                return res.status(409).json({ success: false, error: 'Article is being revised; review the revised version first' });
+            }
+
+            // Scored again so edits made outside the console count
+            article.metadata.qualityScore = await this.generator.scoreQuality(article);
+            const minQualityScore = this.generator.getQualityScorer().settings.contentGeneration.minQualityScore || 0;
+            if (article.metadata.qualityScore.overall < minQualityScore) {
+                return res.status(422).json({
+                    success: false,
+                    error: `Quality score ${article.metadata.qualityScore.overall} is below the minimum of ${minQualityScore}`,
+                    qualityScore: article.metadata.qualityScore
+                });
+            }
+
+            const gate = await this.enforceComplianceGate(article, 'approve', req, res);
+            if (!gate) {
+                return;
+            }
+
             // Preserve original creation date
             const originalDate = article.metadata.originalCreatedAt ||
                                article.metadata.createdAt ||
@@ -385,12 +959,9 @@ class ReviewConsoleServer {
             article.metadata.originalCreatedAt = originalDate;
             article.metadata.status = 'approved';
             article.metadata.approvedAt = new Date().toISOString();
-            article.metadata.approvedBy = reviewer || 'system';
+            article.metadata.approvedBy = req.user.username;
             article.metadata.reviewNotes = notes || '';
 
-            // Add publishedDate metadata for immediate publishing
-            article.metadata.publishedAt = new Date().toISOString();
-
             // Ensure slug and URL for publishing
             if (!article.slug && article.title) {
                 article.slug = this.generateSlug(article.title);
@@ -403,56 +974,100 @@ class ReviewConsoleServer {
                 article.url = `/articles/${year}/${month}/${article.slug}`;
             }
 
-            // Move from drafts → published (skip approved folder for immediate publishing)
-            await this.moveArticle(id, 'drafts', 'published', article);
+            await this.articles.move(id, 'approved', article, { from: 'drafts' });
+            await this.recordComplianceOverride(gate, 'approve', id, req.user);
 
-            console.log('📤 Article approved and moved to published - triggering complete fix...');
+            await this.auditLog.record({
+                action: 'approve',
+                articleId: id,
+                user: req.user,
+                details: { notes: notes || '', from: 'drafts', to: 'approved' }
+            });
 
-            try {
-                // Trigger newest-first publisher to update homepage
-                const { execSync } = require('child_process');
-                const publisherPath = path.join(__dirname, '../publisher/publish-newest-first.js');
-                execSync(`node "${publisherPath}"`, {
-                    cwd: path.join(__dirname, '../..'),
-                    stdio: 'inherit'
+            if (!publishNow) {
+                return res.json({
+                    success: true,
+                    message: 'Article approved; the publishing calendar will give it the next free slot',
+                    article: { id, title: article.title, status: 'approved' }
                 });
+            }
 
-                console.log('✅ Homepage updated with newest-first ordering');
+            const scheduled = await this.calendar.scheduleArticle(id, {
+                publishAt: new Date().toISOString(),
+                override: true,
+                scheduledBy: req.user.username
+            });
+            const result = await this.publisherIntegration.publishSingleArticle(id, req.user.username);
 
-                res.json({
-                    success: true,
-                    message: 'Article approved and published successfully',
-                    article: {
-                        id: id,
-                        title: article.title,
-                        status: 'published',
-                        publishedAt: article.metadata.publishedAt,
-                        url: article.url
-                    },
-                    homepageUpdated: true
-                });
+            await this.auditLog.record({
+                action: 'publish',
+                articleId: id,
+                user: req.user,
+                details: { jobId: result.jobId, emergencyOverride: true, scheduledFor: scheduled.scheduledFor }
+            });
 
-            } catch (publishError) {
-                console.error('❌ Homepage update failed:', publishError);
-                res.json({
-                    success: true,
-                    message: 'Article approved and published, but homepage update failed',
-                    article: {
-                        id: id,
-                        title: article.title,
-                        status: 'published',
-                        publishedAt: article.metadata.publishedAt
-                    },
-                    warning: 'Homepage will be updated on next automated run'
-                });
-            }
+            console.log(`🚨 Emergency publish of ${id} queued as job ${result.jobId}`);
 
+            res.status(202).json({
+                success: true,
+                message: 'Article approved and queued for immediate publishing',
+                article: { id, title: article.title, status: 'scheduled', url: article.url },
+                jobId: result.jobId
+            });
         } catch (error) {
             console.error('❌ Approval failed:', error);
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
+    /**
+     * Run the compliance gate for an approve or publish request. Hard
+     * violations answer 422, soft ones without an `overrideReason` 409, and
+     * null is returned; otherwise any new override is set on the article.
+     * The caller audits the override with recordComplianceOverride() once
+     * the article is saved.
+     */
+    async enforceComplianceGate(article, action, req, res) {
+        const articleId = article.metadata?.id || article.id;
+        const gate = this.complianceGate.check(article, {
+            overrideReason: req.body?.overrideReason,
+            user: req.user.username
+        });
+
+        if (!gate.allowed) {
+            console.warn(`🚫 ${action} of ${articleId} stopped: ${gate.error}`);
+            await this.auditLog.record({
+                action: 'compliance_block',
+                articleId,
+                user: req.user,
+                details: { attempted: action, hard: gate.result.hard, soft: gate.result.soft }
+            });
+
+            res.status(gate.blocked ? 422 : 409).json({
+                success: false,
+                error: gate.error,
+                compliance: { ...gate.result, overridable: !gate.blocked }
+            });
+            return null;
+        }
+
+        if (gate.override) {
+            article.metadata = { ...article.metadata, complianceOverride: gate.override };
+        }
+
+        return gate;
+    }
+
+    async recordComplianceOverride(gate, action, articleId, user) {
+        if (!gate.override) return;
+        await this.auditLog.record({
+            action: 'compliance_override',
+            articleId,
+            user,
+            details: { attempted: action, reason: gate.override.reason, violations: gate.override.violations }
+        });
+    }
+
     generateSlug(title) {
         return title
             .toLowerCase()
@@ -463,33 +1078,131 @@ class ReviewConsoleServer {
             .replace(/^-|-$/g, '');
     }
 
-    async rejectArticle(req, res) {
+    async rejectArticle(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason, notes } = req.body;
+            
+            const article = await this.articles.get(id);
+            if (!article) {
+                return res.status(404).json({ success: false, error: 'Article not found' });
+            }
+            
+            // Update article metadata
+            article.metadata.status = 'rejected';
+            article.metadata.rejectedAt = new Date().toISOString();
+            article.metadata.rejectedBy = req.user.username;
+            article.metadata.rejectionReason = reason || 'Quality concerns';
+            article.metadata.reviewNotes = notes || '';
+            
+            // Move from drafts to rejected
+            await this.articles.move(id, 'rejected', article, { from: 'drafts' });
+
+            await this.auditLog.record({
+                action: 'reject',
+                articleId: id,
+                user: req.user,
+                details: { reason: article.metadata.rejectionReason, notes: notes || '' }
+            });
+            
+            res.json({ 
+                success: true, 
+                message: 'Article rejected',
+                article: article.metadata
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Send a draft back to the generator with the reviewer's notes and the
+     * current SEO, fact-check and compliance findings; the `revise-article`
+     * job stores the result as a new revision and returns it to review
+     */
+    async requestRevision(req, res) {
+        try {
+            const { id } = req.params;
+            const { notes = '' } = req.body;
+
+            const article = await this.articles.get(id);
+            if (!article) {
+                return res.status(404).json({ success: false, error: 'Article not found' });
+            }
+            if ((await this.articles.locate(id)).status !== 'drafts') {
+                return res.status(409).json({ success: false, error: 'Only drafts can be sent back for revision' });
+            }
+            if (article.metadata.status === 'needs_revision') {
+                return res.status(409).json({ success: false, error: 'A revision is already in progress' });
+            }
+
+            // The version the reviewer saw stays restorable
+            await this.revisionStore.ensureBaseline(article, 'drafts');
+
+            const findings = this.reviser.collectFindings(article);
+            article.metadata.status = 'needs_revision';
+            article.metadata.revisionRequest = {
+                requestedBy: req.user.username,
+                requestedAt: new Date().toISOString(),
+                notes: String(notes).trim(),
+                findings
+            };
+
+            // Saved before queuing, so the job finds the request
+            await this.articles.save(article);
+            const job = await this.jobQueue.enqueue('revise-article', { articleId: id }, {
+                dedupeKey: `revise-article:${id}`,
+                createdBy: req.user.username
+            });
+
+            await this.auditLog.record({
+                action: 'request_revision',
+                articleId: id,
+                user: req.user,
+                details: {
+                    notes: article.metadata.revisionRequest.notes,
+                    jobId: job.id,
+                    findings: Object.fromEntries(Object.entries(findings).map(([key, list]) => [key, list.length]))
+                }
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Article sent back for revision',
+                jobId: job.id,
+                findings
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Rewrite a passage the editor selected. The result is returned, not
+     * saved; it becomes a revision when the editor saves the article.
+     */
+    async rewriteSection(req, res) {
         try {
             const { id } = req.params;
-            const { reviewer, reason, notes } = req.body;
-            
-            const article = await this.findArticleById(id);
+            const { html, instruction } = req.body;
+
+            const article = await this.articles.get(id);
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
             }
-            
-            // Update article metadata
-            article.metadata.status = 'rejected';
-            article.metadata.rejectedAt = new Date().toISOString();
-            article.metadata.rejectedBy = reviewer || 'system';
-            article.metadata.rejectionReason = reason || 'Quality concerns';
-            article.metadata.reviewNotes = notes || '';
-            
-            // Move from drafts to rejected
-            await this.moveArticle(id, 'drafts', 'rejected', article);
-            
-            res.json({ 
-                success: true, 
-                message: 'Article rejected',
-                article: article.metadata
+
+            const result = await this.reviser.rewriteSection(article, { html, instruction });
+
+            await this.auditLog.record({
+                action: 'rewrite_section',
+                articleId: id,
+                user: req.user,
+                details: { instruction, words: String(html).replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length }
             });
+
+            res.json({ success: true, html: result.html });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
@@ -498,10 +1211,14 @@ class ReviewConsoleServer {
             const { id } = req.params;
             const updates = req.body;
             
-            const article = await this.findArticleById(id);
+            const article = await this.articles.get(id);
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
             }
+
+            // Keep the pre-edit version so the first edit can be rolled back too
+            const currentFolder = (await this.articles.locate(id)).status;
+            await this.revisionStore.ensureBaseline(article, currentFolder);
             
             // Update article content
             if (updates.title) article.title = updates.title;
@@ -511,65 +1228,87 @@ class ReviewConsoleServer {
             
             // Update metadata
             article.metadata.updatedAt = new Date().toISOString();
-            article.metadata.updatedBy = updates.updatedBy || 'system';
+            article.metadata.updatedBy = req.user.username;
+
+            // A live page is re-rendered below, with the disclaimer versions now in effect
+            if (currentFolder === 'published') {
+                article.metadata.disclaimers = this.disclaimerLibrary.apply(article, article.metadata.updatedAt);
+            }
             
             // Recalculate quality score if content changed
             if (updates.content) {
-                const ContentGenerator = require('../content-generator/generator');
-                const generator = new ContentGenerator();
-                article.metadata.qualityScore = generator.scoreQuality(article);
+                article.metadata.qualityScore = await this.generator.scoreQuality(article);
+                article.metadata.originality = await this.duplicateDetector.check(article);
             }
             
             // Save updated article
-            const currentFolder = await this.findArticleFolder(id);
-            await this.saveArticle(currentFolder, article);
+            await this.articles.save(article);
+            const revision = await this.revisionStore.saveRevision(article, {
+                savedBy: req.user.username,
+                reason: 'edit',
+                folder: currentFolder
+            });
+
+            const liveUpdate = currentFolder === 'published'
+                ? await this.queueLiveChange('refresh-article', id, req.user)
+                : null;
+
+            await this.auditLog.record({
+                action: 'update',
+                articleId: id,
+                user: req.user,
+                details: {
+                    folder: currentFolder,
+                    revision: revision.revision,
+                    fields: ['title', 'content', 'metaDescription', 'cta'].filter(field => updates[field])
+                }
+            });
             
             res.json({ 
                 success: true, 
-                message: 'Article updated successfully',
-                article
+                message: liveUpdate ? 'Article updated; the live page is being redeployed' : 'Article updated successfully',
+                revision: revision.revision,
+                article,
+                ...(liveUpdate && { jobId: liveUpdate.id })
             });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
     async scheduleArticle(req, res) {
         try {
             const { id } = req.params;
-            const { publishDate, platforms } = req.body;
-            
-            const article = await this.findArticleById(id);
-            if (!article) {
-                return res.status(404).json({ success: false, error: 'Article not found' });
-            }
-            
-            // Validate article is approved
-            if (article.metadata.status !== 'approved') {
-                return res.status(400).json({ 
-                    success: false, 
-                    error: 'Article must be approved before scheduling' 
-                });
-            }
-            
-            // Update scheduling metadata
-            article.metadata.scheduledFor = publishDate;
-            article.metadata.publishPlatforms = platforms || ['website'];
-            article.metadata.status = 'scheduled';
-            article.metadata.scheduledAt = new Date().toISOString();
-            
-            // Save updated article
-            const currentFolder = await this.findArticleFolder(id);
-            await this.saveArticle(currentFolder, article);
+            const { publishDate, platforms, override } = req.body;
+
+            // Without a publish date the article takes the next free slot
+            const result = await this.calendar.scheduleArticle(id, {
+                publishAt: publishDate || null,
+                platforms,
+                override: !!override,
+                scheduledBy: req.user.username
+            });
+
+            await this.auditLog.record({
+                action: result.previous ? 'reschedule' : 'schedule',
+                articleId: id,
+                user: req.user,
+                details: {
+                    scheduledFor: result.scheduledFor,
+                    previous: result.previous,
+                    override: result.override,
+                    platforms: result.article.metadata.publishPlatforms
+                }
+            });
             
             res.json({ 
                 success: true, 
-                message: 'Article scheduled for publication',
-                scheduledFor: publishDate,
-                article: article.metadata
+                message: result.previous ? 'Article rescheduled' : 'Article scheduled for publication',
+                scheduledFor: result.scheduledFor,
+                article: result.article.metadata
             });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
@@ -578,24 +1317,37 @@ class ReviewConsoleServer {
             const { id } = req.params;
             const { reason } = req.body;
             
-            const folder = await this.findArticleFolder(id);
-            if (!folder) {
+            const entry = await this.articles.locate(id);
+            if (!entry) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
             }
             
             // Move to archive instead of permanent deletion
-            const article = await this.findArticleById(id);
+            const folder = entry.status;
+            const article = await this.articles.get(id);
             article.metadata.archivedAt = new Date().toISOString();
             article.metadata.archiveReason = reason || 'Manual deletion';
+            article.metadata.archivedBy = req.user.username;
             
-            await this.moveArticle(id, folder, 'archive', article);
+            await this.articles.move(id, 'archive', article, { from: folder });
+            const removal = folder === 'published'
+                ? await this.queueLiveChange('unpublish-article', id, req.user)
+                : null;
+
+            await this.auditLog.record({
+                action: 'archive',
+                articleId: id,
+                user: req.user,
+                details: { from: folder, reason: article.metadata.archiveReason }
+            });
             
             res.json({ 
                 success: true, 
-                message: 'Article archived successfully'
+                message: removal ? 'Article archived; its page is being taken off the live site' : 'Article archived successfully',
+                ...(removal && { jobId: removal.id })
             });
         } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
@@ -604,9 +1356,44 @@ class ReviewConsoleServer {
         try {
             const { count = 1, topicIds = [] } = req.body;
             
+            // Outline-first: generation stops at briefs, which editors approve before drafts are written
+            if (await this.generator.usesBriefs()) {
+                console.log(`Generating ${count} briefs...`);
+                const briefs = await this.generator.generateBriefs(count);
+
+                for (const brief of briefs) {
+                    await this.auditLog.record({
+                        action: 'brief_generate',
+                        articleId: brief.id,
+                        user: req.user,
+                        details: { topic: brief.topic.id }
+                    });
+                }
+
+                return res.json({
+                    success: true,
+                    message: `Generated ${briefs.length} briefs for review`,
+                    briefs: briefs.map(brief => ({
+                        id: brief.id,
+                        workingTitle: brief.workingTitle,
+                        sections: brief.outline.length,
+                        status: brief.status
+                    }))
+                });
+            }
+
             console.log(`Generating ${count} articles...`);
             
             const articles = await this.generator.generateArticles(count);
+
+            for (const article of articles) {
+                await this.auditLog.record({
+                    action: 'generate',
+                    articleId: article.metadata.id,
+                    user: req.user,
+                    details: { status: article.metadata.status }
+                });
+            }
             
             res.json({
                 success: true,
@@ -625,6 +1412,138 @@ class ReviewConsoleServer {
         }
     }
 
+    // Content briefs
+    async getBriefs(req, res) {
+        try {
+            const statuses = req.query.status ? String(req.query.status).split(',') : null;
+            const briefs = await this.generator.briefStore.list({ statuses });
+
+            res.json({ success: true, briefs });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getBrief(req, res) {
+        try {
+            const brief = await this.generator.briefStore.get(req.params.id);
+            if (!brief) {
+                return res.status(404).json({ success: false, error: 'Brief not found' });
+            }
+
+            res.json({ success: true, brief });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updateBrief(req, res) {
+        try {
+            const { id } = req.params;
+            const brief = await this.generator.briefStore.update(id, req.body, { updatedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'brief_update',
+                articleId: id,
+                user: req.user,
+                details: { fields: Object.keys(req.body) }
+            });
+
+            res.json({ success: true, message: 'Brief updated', brief });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async approveBrief(req, res) {
+        try {
+            const { id } = req.params;
+            const brief = await this.generator.briefStore.approve(id, { approvedBy: req.user.username });
+
+            // Expansion takes one provider call per section, so it runs as a job
+            const job = await this.jobQueue.enqueue('expand-brief', { briefId: id }, {
+                dedupeKey: `expand-brief:${id}`,
+                createdBy: req.user.username
+            });
+
+            await this.auditLog.record({
+                action: 'brief_approve',
+                articleId: id,
+                user: req.user,
+                details: { jobId: job.id, sections: brief.outline.length }
+            });
+
+            res.status(202).json({
+                success: true,
+                message: `Brief "${brief.workingTitle}" approved and queued for expansion`,
+                jobId: job.id
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async rejectBrief(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason = '' } = req.body;
+            await this.generator.briefStore.reject(id, { rejectedBy: req.user.username, reason });
+
+            await this.auditLog.record({ action: 'brief_reject', articleId: id, user: req.user, details: { reason } });
+
+            res.json({ success: true, message: 'Brief rejected' });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    // Generation plan. Viewing only previews an unsaved plan; saving is left to
+    // PUT /api/plan/:date, a rebuild and the generation run.
+    async getPlan(req, res) {
+        try {
+            const plan = await this.generator.planner.previewPlan(req.query.date || new Date());
+            const candidates = await this.generator.planner.getCandidates(parseInt(req.query.candidates) || 10);
+
+            res.json({ success: true, plan, candidates });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updatePlan(req, res) {
+        try {
+            const { date } = req.params;
+            const plan = await this.generator.planner.updatePlan(date, req.body.slots, { updatedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'plan_update',
+                user: req.user,
+                details: { date: plan.date, topics: plan.slots.map(slot => slot.topicId) }
+            });
+
+            res.json({ success: true, message: `Generation plan for ${plan.date} updated`, plan });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
+    async rebuildPlan(req, res) {
+        try {
+            const { date } = req.params;
+            const plan = await this.generator.planner.rebuildPlan(date, { updatedBy: req.user.username });
+
+            await this.auditLog.record({
+                action: 'plan_rebuild',
+                user: req.user,
+                details: { date: plan.date, topics: plan.slots.map(slot => slot.topicId) }
+            });
+
+            res.json({ success: true, message: `Generation plan for ${plan.date} rebuilt`, plan });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
+        }
+    }
+
     // Analytics and monitoring
     async getAnalytics(req, res) {
         console.log('📈 getAnalytics endpoint called');
@@ -658,8 +1577,17 @@ class ReviewConsoleServer {
 
     async getSchedule(req, res) {
         try {
-            const schedule = await this.getPublishingSchedule();
-            res.json({ success: true, schedule });
+            const from = req.query.from ? new Date(req.query.from) : new Date();
+            if (isNaN(from)) {
+                return res.status(400).json({ success: false, error: 'Invalid from date' });
+            }
+            const days = Math.min(parseInt(req.query.days) || 28, 366);
+
+            const [schedule, calendar] = await Promise.all([
+                this.getPublishingSchedule(),
+                this.calendar.getCalendar({ from, days })
+            ]);
+            res.json({ success: true, schedule, calendar });
         } catch (error) {
             res.status(500).json({ success: false, error: error.message });
         }
@@ -675,10 +1603,21 @@ class ReviewConsoleServer {
     }
 
     // SEO and fact-checking endpoints
+    async getQualitySettings(req, res) {
+        try {
+            // The live editor scores with the same settings as the generator
+            const settings = QualityScorer.pickSettings(this.generator.getQualityScorer().settings);
+
+            res.json({ success: true, settings });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
     async runSEOCheck(req, res) {
         try {
             const { id } = req.params;
-            const article = await this.findArticleById(id);
+            const article = await this.articles.get(id);
             
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
@@ -690,7 +1629,8 @@ class ReviewConsoleServer {
                 metaValidation: this.seoOptimizer.validateMetaTags(article),
                 keywordDensity: this.seoOptimizer.checkKeywordDensity(article),
                 relatedArticles: this.seoOptimizer.suggestRelatedArticles(article),
-                imageAlts: this.seoOptimizer.generateImageAltTexts(article)
+                imageAlts: this.seoOptimizer.generateImageAltTexts(article),
+                qualityScore: await this.generator.scoreQuality(article)
             };
             
             res.json({ success: true, seoAnalysis });
@@ -702,7 +1642,7 @@ class ReviewConsoleServer {
     async runFactCheck(req, res) {
         try {
             const { id } = req.params;
-            const article = await this.findArticleById(id);
+            const article = await this.articles.get(id);
 
             if (!article) {
                 return res.status(404).json({ success: false, error: 'Article not found' });
@@ -716,287 +1656,128 @@ class ReviewConsoleServer {
         }
     }
 
-    // Publishing endpoints
-    async publishArticle(req, res) {
+    async runDuplicateCheck(req, res) {
         try {
             const { id } = req.params;
-            console.log(`🚀 Publishing article: ${id}`);
-
-            const result = await this.publisherIntegration.publishSingleArticle(id);
-
-            res.json({
-                success: true,
-                message: `Article "${result.article}" published successfully`,
-                result: result
-            });
-        } catch (error) {
-            console.error('❌ Failed to publish article:', error);
-            res.status(500).json({ success: false, error: error.message });
-        }
-    }
+            const article = await this.articles.get(id);
 
-    async publishAllApproved(req, res) {
-        try {
-            console.log('🚀 Publishing all approved articles...');
+            if (!article) {
+                return res.status(404).json({ success: false, error: 'Article not found' });
+            }
 
-            const result = await this.publisherIntegration.publishApprovedArticles();
+            const originality = await this.duplicateDetector.check(article);
 
-            res.json({
-                success: true,
-                message: `Published ${result.published} articles successfully (${result.failed} failed)`,
-                result: result
-            });
+            res.json({ success: true, originality });
         } catch (error) {
-            console.error('❌ Failed to publish approved articles:', error);
             res.status(500).json({ success: false, error: error.message });
         }
     }
 
-    async publishEnhanced(req, res) {
+    // Publishing endpoints
+
+    /**
+     * Publish one approved article straight away. That bypasses the publishing
+     * calendar, so it is an emergency override: it needs `emergencyOverride`
+     * in publishingSchedule settings and is recorded as one.
+     */
+    async publishArticle(req, res) {
         try {
-            console.log('🚀 Starting enhanced publishing process...');
+            const { id } = req.params;
+            console.log(`🚀 Publishing article: ${id}`);
 
-            const EnhancedPublisher = require('./enhanced-publisher');
-            const publisher = new EnhancedPublisher();
+            if (!this.calendar.emergencyOverride) {
+                return res.status(400).json({ success: false, error: 'Emergency overrides are disabled in publishingSchedule settings' });
+            }
 
-            const stats = await publisher.getPublishingStats();
-            console.log(`📊 Pre-publish stats:`, stats);
+            const article = await this.publisherIntegration.findApprovedArticle(id);
+            if (!article) {
+                return res.status(404).json({ success: false, error: `Article ${id} not found in approved folder` });
+            }
 
-            const result = await publisher.publishApprovedArticles();
-            const finalStats = await publisher.getPublishingStats();
+            const gate = await this.enforceComplianceGate(article, 'publish', req, res);
+            if (!gate) {
+                return;
+            }
+            if (gate.override) {
+                await this.articles.save(article);
+                await this.recordComplianceOverride(gate, 'publish', id, req.user);
+            }
 
-            res.json({
-                success: result.success,
-                message: result.message,
-                movedCount: result.movedCount,
-                publishedCount: result.publishedCount,
-                stats: {
-                    before: stats,
-                    after: finalStats
-                },
-                homepageUpdated: true,
-                deployed: result.success,
-                timestamp: new Date().toISOString()
-            });
-        } catch (error) {
-            console.error('❌ Enhanced publishing failed:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Enhanced publishing failed: ' + error.message,
-                error: error.message,
-                timestamp: new Date().toISOString()
+            const scheduled = await this.calendar.scheduleArticle(id, {
+                publishAt: new Date().toISOString(),
+                override: true,
+                scheduledBy: req.user.username
             });
-        }
-    }
-
-    async publishQuick(req, res) {
-        try {
-            console.log('⚡ Starting quick publishing process...');
+            const result = await this.publisherIntegration.publishSingleArticle(id, req.user.username);
 
-            const EnhancedPublisher = require('./enhanced-publisher');
-            const publisher = new EnhancedPublisher();
+            await this.auditLog.record({
+                action: 'publish',
+                articleId: id,
+                user: req.user,
+                details: { jobId: result.jobId, emergencyOverride: true, scheduledFor: scheduled.scheduledFor }
+            });
 
-            const result = await publisher.quickPublish();
+            console.log(`🚨 Emergency publish of ${id} queued as job ${result.jobId}`);
 
-            res.json({
-                success: result.success,
-                message: result.message,
-                movedCount: result.movedCount,
-                homepageUpdated: true,
-                timestamp: new Date().toISOString()
+            res.status(202).json({
+                success: true,
+                message: `Article "${result.article}" queued for immediate publishing`,
+                result: result
             });
         } catch (error) {
-            console.error('❌ Quick publishing failed:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Quick publishing failed: ' + error.message,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            console.error('❌ Failed to publish article:', error);
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
     }
 
-    // Utility methods
-    async getArticlesFromFolder(folderName) {
-        console.log(`📂 getArticlesFromFolder called for: ${folderName}`);
-        
+    /**
+     * The batch publish endpoints (`/publish/all-approved`, `/publish/enhanced`,
+     * `/publish/quick`, `/process-pending-approvals`) give every unscheduled
+     * approved article its calendar slot; the publish-scheduled job publishes
+     * them when their slots arrive, `batchSize` at a time.
+     */
+    async scheduleApprovedArticles(req, res) {
         try {
-            const folderPath = path.join(this.contentDir, folderName);
-            console.log(`📁 Full folder path: ${folderPath}`);
-            
-            // Check if folder exists
-            try {
-                await fs.access(folderPath);
-                console.log(`✅ Folder exists: ${folderPath}`);
-            } catch (accessError) {
-                console.error(`❌ Folder does not exist: ${folderPath}`, accessError);
-                return [];
-            }
-            
-            const files = await fs.readdir(folderPath);
-            console.log(`📄 Files found in ${folderName}: ${files.length}`);
-            console.log(`📋 File list:`, files);
-            
-            const articles = [];
-            let successCount = 0;
-            let errorCount = 0;
-            
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    try {
-                        const filePath = path.join(folderPath, file);
-                        console.log(`📖 Reading file: ${filePath}`);
-                        
-                        const content = await fs.readFile(filePath, 'utf8');
-                        console.log(`📝 File content length: ${content.length} characters`);
-                        
-                        const article = JSON.parse(content);
-                        console.log(`✅ Successfully parsed article from ${file}`);
-                        console.log(`  Article title: ${article.title || 'No title'}`);
-                        console.log(`  Article ID: ${article.metadata?.id || 'No ID'}`);
-                        
-                        articles.push(article);
-                        successCount++;
-                        
-                    } catch (error) {
-                        console.error(`❌ Error reading article ${file}:`, error);
-                        console.error(`  Error type: ${error.constructor.name}`);
-                        console.error(`  Error message: ${error.message}`);
-                        errorCount++;
-                    }
-                } else {
-                    console.log(`⏭️  Skipping non-JSON file: ${file}`);
-                }
-            }
-            
-            console.log(`📊 Summary for ${folderName}:`);
-            console.log(`  Total files: ${files.length}`);
-            console.log(`  JSON files processed: ${successCount + errorCount}`);
-            console.log(`  Successfully loaded: ${successCount}`);
-            console.log(`  Errors: ${errorCount}`);
-            console.log(`  Articles returned: ${articles.length}`);
-            
-            return articles;
-            
-        } catch (error) {
-            console.error(`❌ Error reading folder ${folderName}:`, error);
-            console.error(`  Error type: ${error.constructor.name}`);
-            console.error(`  Error code: ${error.code}`);
-            console.error(`  Error path: ${error.path}`);
-            console.error(`  Full error:`, error);
-            return [];
-        }
-    }
-
-    async findArticleById(id) {
-        const folders = ['drafts', 'approved', 'published', 'rejected', 'archive'];
-
-        for (const folder of folders) {
-            try {
-                const folderPath = path.join(this.contentDir, folder);
-                const files = await fs.readdir(folderPath);
-
-                for (const file of files) {
-                    if (file.endsWith('.json')) {
-                        try {
-                            const filePath = path.join(folderPath, file);
-                            const content = await fs.readFile(filePath, 'utf8');
-                            const article = JSON.parse(content);
-
-                            // Check if this article matches the ID
-                            const articleId = article.id || article.metadata?.id;
-                            if (articleId === id) {
-                                return article;
-                            }
-                        } catch (parseError) {
-                            // Skip invalid JSON files
-                            continue;
-                        }
-                    }
-                }
-            } catch (error) {
-                // Folder doesn't exist or can't be read, continue
-                continue;
-            }
-        }
-
-        return null;
-    }
+            console.log('📅 Scheduling all approved articles...');
 
-    async findArticleFolder(id) {
-        const folders = ['drafts', 'approved', 'published', 'rejected', 'archive'];
+            const assigned = await this.calendar.assignApproved({ assignedBy: req.user.username });
 
-        for (const folder of folders) {
-            const filename = await this.findArticleFilename(id, folder);
-            if (filename) {
-                return folder;
+            for (const entry of assigned) {
+                await this.auditLog.record({
+                    action: 'schedule',
+                    articleId: entry.id,
+                    user: req.user,
+                    details: { scheduledFor: entry.scheduledFor }
+                });
             }
-        }
-
-        return null;
-    }
 
-    async findArticleFilename(id, folder) {
-        const folderPath = path.join(this.contentDir, folder);
-        try {
-            const files = await fs.readdir(folderPath);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    try {
-                        const filePath = path.join(folderPath, file);
-                        const content = await fs.readFile(filePath, 'utf8');
-                        const article = JSON.parse(content);
-                        const articleId = article.id || article.metadata?.id;
-                        if (articleId === id) {
-                            return file;
-                        }
-                    } catch (parseError) {
-                        continue;
-                    }
-                }
-            }
+            res.json({
+                success: true,
+                message: assigned.length > 0
+                    ? `Scheduled ${assigned.length} approved articles into the publishing calendar`
+                    : 'No unscheduled approved articles',
+                scheduled: assigned
+            });
         } catch (error) {
-            console.error(`Error searching for article ${id} in ${folder}:`, error);
-        }
-        return null;
-    }
-
-    async moveArticle(id, fromFolder, toFolder, article) {
-        // Find the actual filename in the source folder
-        const actualFilename = await this.findArticleFilename(id, fromFolder);
-        if (!actualFilename) {
-            throw new Error(`Article ${id} not found in ${fromFolder} folder`);
+            console.error('❌ Failed to schedule approved articles:', error);
+            res.status(error.statusCode || 500).json({ success: false, error: error.message });
         }
-
-        const fromPath = path.join(this.contentDir, fromFolder, actualFilename);
-        const toPath = path.join(this.contentDir, toFolder, `${id}.json`);
-
-        // Save to new location with clean filename
-        await fs.writeFile(toPath, JSON.stringify(article, null, 2));
-
-        // Remove from old location
-        await fs.unlink(fromPath);
-
-        console.log(`Moved article ${id} from ${fromFolder}/${actualFilename} to ${toFolder}/${id}.json`);
-    }
-
-    async saveArticle(folder, article) {
-        const filePath = path.join(this.contentDir, folder, `${article.metadata.id}.json`);
-        await fs.writeFile(filePath, JSON.stringify(article, null, 2));
     }
 
+    // Utility methods
+    // Counts and scores come from the content index, without reading articles
     async calculateAnalytics() {
-        const drafts = await this.getArticlesFromFolder('drafts');
-        const approved = await this.getArticlesFromFolder('approved');
-        const published = await this.getArticlesFromFolder('published');
-        const rejected = await this.getArticlesFromFolder('rejected');
+        const drafts = await this.articles.query({ status: 'drafts' });
+        const approved = await this.articles.query({ status: 'approved' });
+        const published = await this.articles.query({ status: 'published' });
+        const rejected = await this.articles.query({ status: 'rejected' });
         
         const totalArticles = drafts.length + approved.length + published.length + rejected.length;
         
         // Quality score analysis
         const allArticles = [...drafts, ...approved, ...published];
         const avgQualityScore = allArticles.length > 0 
-            ? allArticles.reduce((sum, a) => sum + (a.metadata.qualityScore?.overall || 0), 0) / allArticles.length
+            ? allArticles.reduce((sum, a) => sum + (a.qualityScore || 0), 0) / allArticles.length
             : 0;
         
         // Approval rate
@@ -1020,11 +1801,11 @@ class ReviewConsoleServer {
     }
 
     async getPublishingSchedule() {
-        const approved = await this.getArticlesFromFolder('approved');
-        const scheduled = approved.filter(a => a.metadata.scheduledFor);
+        const scheduled = (await this.articles.query({ status: 'approved', sort: 'scheduledFor', order: 'asc' }))
+            .filter(entry => entry.scheduledFor);
+        const articles = await Promise.all(scheduled.map(entry => this.articles.readArticle(entry)));
         
-        return scheduled
-            .sort((a, b) => new Date(a.metadata.scheduledFor) - new Date(b.metadata.scheduledFor))
+        return articles
             .map(article => ({
                 id: article.metadata.id,
                 title: article.title,
@@ -1050,7 +1831,7 @@ class ReviewConsoleServer {
     getGeneratedToday(drafts) {
         const today = new Date().toDateString();
         return drafts.filter(a => 
-            new Date(a.metadata.createdAt).toDateString() === today
+            new Date(a.createdAt).toDateString() === today
         ).length;
     }
 
@@ -1059,48 +1840,33 @@ class ReviewConsoleServer {
         oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
         
         return published.filter(a => 
-            new Date(a.metadata.publishedAt) > oneWeekAgo
+            new Date(a.publishedAt) > oneWeekAgo
         ).length;
     }
 
-    start() {
-        this.app.listen(this.port, () => {
-            console.log(`🚀 Review Console Server running on http://localhost:${this.port}`);
-            console.log(`📊 Dashboard: http://localhost:${this.port}`);
-            console.log(`🔍 API Health: http://localhost:${this.port}/api/health`);
-        });
-    }
-
-    async processPendingApprovals(req, res) {
-        try {
-            console.log('🚀 Processing all pending approved articles...');
-
-            const EnhancedPublisher = require('./enhanced-publisher');
-            const publisher = new EnhancedPublisher();
+    async start(port = this.port) {
+        this.port = port;
 
-            const stats = await publisher.getPublishingStats();
-            console.log('📊 Pre-processing stats:', stats);
+        if (this.ownsJobQueue) {
+            await this.jobQueue.start();
+        }
 
-            if (stats.approved > 0) {
-                const result = await publisher.publishApprovedArticles();
-                const finalStats = await publisher.getPublishingStats();
+        await new Promise(resolve => {
+            this.server = this.app.listen(this.port, () => {
+                console.log(`🚀 Review Console Server running on http://localhost:${this.port}`);
+                console.log(`📊 Dashboard: http://localhost:${this.port}`);
+                console.log(`🔍 API Health: http://localhost:${this.port}/api/health`);
+                resolve();
+            });
+        });
+    }
 
-                res.json({
-                    success: result.success,
-                    message: `Processed ${result.movedCount} approved articles`,
-                    stats: { before: stats, after: finalStats },
-                    result: result
-                });
-            } else {
-                res.json({
-                    success: true,
-                    message: 'No approved articles to process',
-                    stats: stats
-                });
-            }
-        } catch (error) {
-            console.error('❌ Batch processing failed:', error);
-            res.status(500).json({ success: false, error: error.message });
+    async shutdown() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+        if (this.ownsJobQueue) {
+            await this.jobQueue.stop();
         }
     }
 }
@@ -1108,7 +1874,15 @@ class ReviewConsoleServer {
 // Start server if run directly
 if (require.main === module) {
     const server = new ReviewConsoleServer();
-    server.start();
+    server.start().catch(error => {
+        console.error('❌ Failed to start review console:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await server.shutdown();
+        process.exit(0);
+    });
 }
 
 module.exports = ReviewConsoleServer;
\ No newline at end of file
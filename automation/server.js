@@ -1,18 +1,20 @@
 require('dotenv').config({ path: '../.env' });
 const path = require('path');
-const cron = require('node-cron');
 
 // Import all modules
 const ContentGenerator = require('./content-generator/generator');
 const ReviewConsole = require('./review-console/server');
+const SubscriptionServer = require('./newsletter/subscription-server');
 const Publisher = require('./publisher/deploy');
 const AnalyticsMonitor = require('./monitoring/analytics');
 const ComplianceMonitor = require('./monitoring/compliance');
+const { createJobQueue } = require('./jobs/handlers');
+const { getTargetName } = require('./publisher/targets');
 
 class SmartFinanceAutomationServer {
     constructor() {
         this.modules = {};
-        this.cronJobs = [];
+        this.jobQueue = null;
         this.isShuttingDown = false;
         this.startTime = new Date();
         
@@ -35,12 +37,15 @@ class SmartFinanceAutomationServer {
             console.log('\n🔧 Initializing Modules...');
             await this.initializeModules();
             
+            console.log('\n⏰ Setting up Job Queue...');
+            await this.setupJobQueue();
+            
             console.log('\n🌐 Starting Review Console Server...');
             await this.startReviewConsole();
             
-            console.log('\n⏰ Setting up Cron Jobs...');
-            this.setupCronJobs();
-            
+            console.log('\n📬 Starting Newsletter Subscription Server...');
+            await this.startSubscriptionServer();
+
             console.log('\n🛡️  Setting up Error Handlers...');
             this.setupErrorHandlers();
             
@@ -74,12 +79,18 @@ class SmartFinanceAutomationServer {
             console.log(`✅ Keywords loaded: ${Object.keys(this.keywords.keywordGroups).length} groups`);
             
             // Validate environment variables
-            const requiredEnvVars = [
-                'OPENAI_API_KEY',
-                'GITHUB_TOKEN',
-                'GITHUB_OWNER',
-                'GITHUB_REPO'
-            ];
+            const requiredEnvVars = [];
+
+            // Only the GitHub deploy target needs repository credentials
+            if (getTargetName(this.settings) === 'github') {
+                requiredEnvVars.push('GITHUB_TOKEN', 'GITHUB_OWNER', 'GITHUB_REPO');
+            }
+
+            // Only the hosted OpenAI provider needs an API key
+            const llmProvider = process.env.LLM_PROVIDER || this.settings.automation?.contentGeneration?.provider || 'openai';
+            if (llmProvider === 'openai') {
+                requiredEnvVars.unshift('OPENAI_API_KEY');
+            }
             
             const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
             if (missingEnvVars.length > 0) {
@@ -132,7 +143,8 @@ class SmartFinanceAutomationServer {
                 contentGenerator: this.modules.contentGenerator,
                 publisher: this.modules.publisher,
                 analyticsMonitor: this.modules.analyticsMonitor,
-                complianceMonitor: this.modules.complianceMonitor
+                complianceMonitor: this.modules.complianceMonitor,
+                jobQueue: this.jobQueue
             });
 
             const port = process.env.REVIEW_CONSOLE_PORT || 3000;
@@ -147,101 +159,36 @@ class SmartFinanceAutomationServer {
         }
     }
 
-    setupCronJobs() {
+    async startSubscriptionServer() {
         try {
-            // Content Generation - Daily at 6 AM
-            const contentGenerationJob = cron.schedule('0 6 * * *', async () => {
-                console.log('⏰ Running scheduled content generation...');
-                try {
-                    await this.modules.contentGenerator.generateScheduledContent();
-                    console.log('✅ Scheduled content generation completed');
-                } catch (error) {
-                    console.error('❌ Scheduled content generation failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Content Generation', job: contentGenerationJob });
-
-            // Analytics Collection - Every hour
-            const analyticsJob = cron.schedule('0 * * * *', async () => {
-                console.log('⏰ Running hourly analytics collection...');
-                try {
-                    await this.modules.analyticsMonitor.collectHourlyMetrics();
-                    console.log('✅ Hourly analytics collection completed');
-                } catch (error) {
-                    console.error('❌ Analytics collection failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Analytics Collection', job: analyticsJob });
-
-            // Daily Analytics Report - Daily at 8 AM
-            const dailyReportJob = cron.schedule('0 8 * * *', async () => {
-                console.log('⏰ Generating daily analytics report...');
-                try {
-                    await this.modules.analyticsMonitor.generateDailyReport();
-                    console.log('✅ Daily analytics report generated');
-                } catch (error) {
-                    console.error('❌ Daily report generation failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Daily Report', job: dailyReportJob });
-
-            // Compliance Check - Daily at 10 AM
-            const complianceJob = cron.schedule('0 10 * * *', async () => {
-                console.log('⏰ Running daily compliance check...');
-                try {
-                    await this.modules.complianceMonitor.runDailyCompliance();
-                    console.log('✅ Daily compliance check completed');
-                } catch (error) {
-                    console.error('❌ Compliance check failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Compliance Check', job: complianceJob });
-
-            // Archive Management - Weekly on Sundays at 3 AM
-            const archiveJob = cron.schedule('0 3 * * 0', async () => {
-                console.log('⏰ Running weekly archive management...');
-                try {
-                    await this.modules.publisher.runArchiveManagement();
-                    console.log('✅ Weekly archive management completed');
-                } catch (error) {
-                    console.error('❌ Archive management failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Archive Management', job: archiveJob });
-
-            // Sitemap Update - Daily at 2 AM
-            const sitemapJob = cron.schedule('0 2 * * *', async () => {
-                console.log('⏰ Updating sitemap...');
-                try {
-                    await this.modules.publisher.updateSitemap();
-                    console.log('✅ Sitemap update completed');
-                } catch (error) {
-                    console.error('❌ Sitemap update failed:', error);
-                }
-            }, { scheduled: false });
-            
-            this.cronJobs.push({ name: 'Sitemap Update', job: sitemapJob });
-
-            // Start all cron jobs if in production
-            if (process.env.NODE_ENV === 'production') {
-                this.cronJobs.forEach(({ name, job }) => {
-                    job.start();
-                    console.log(`✅ Started cron job: ${name}`);
-                });
-            } else {
-                console.log('⚠️  Cron jobs configured but not started (development mode)');
+            this.modules.subscriptionServer = new SubscriptionServer();
+            await this.modules.subscriptionServer.start();
+            console.log(`✅ Subscription server started on port ${this.modules.subscriptionServer.port}`);
+        } catch (error) {
+            console.error('❌ Subscription server startup failed:', error.message);
+            throw error;
+        }
+    }
+
+    async setupJobQueue() {
+        try {
+            // All scheduled work runs as persistent jobs; the schedules live in settings.jobs.schedules
+            this.jobQueue = createJobQueue(this.modules);
+
+            // The worker always runs so queued and interrupted jobs complete;
+            // cron schedules only enqueue work in production
+            const schedules = process.env.NODE_ENV === 'production';
+            await this.jobQueue.start({ schedules });
+
+            if (!schedules) {
+                console.log('⚠️  Job schedules configured but not started (development mode)');
                 console.log('💡 Set NODE_ENV=production to enable automated scheduling');
             }
 
-            console.log(`✅ ${this.cronJobs.length} cron jobs configured successfully`);
+            console.log('✅ Job queue configured successfully');
             
         } catch (error) {
-            console.error('❌ Cron job setup failed:', error.message);
+            console.error('❌ Job queue setup failed:', error.message);
             throw error;
         }
     }
@@ -343,18 +290,22 @@ class SmartFinanceAutomationServer {
         }, 30000); // 30 second timeout
 
         try {
-            console.log('⏹️  Stopping cron jobs...');
-            this.cronJobs.forEach(({ name, job }) => {
-                job.stop();
-                console.log(`✅ Stopped cron job: ${name}`);
-            });
-
             console.log('🌐 Shutting down Review Console server...');
             if (this.modules.reviewConsole) {
                 await this.modules.reviewConsole.shutdown();
                 console.log('✅ Review Console shut down');
             }
 
+            if (this.modules.subscriptionServer) {
+                await this.modules.subscriptionServer.shutdown();
+                console.log('✅ Subscription server shut down');
+            }
+
+            console.log('⏹️  Stopping job queue...');
+            if (this.jobQueue) {
+                await this.jobQueue.stop();
+            }
+
             console.log('💾 Saving final analytics data...');
             if (this.modules.analyticsMonitor) {
                 await this.modules.analyticsMonitor.saveCurrentMetrics();
@@ -391,6 +342,9 @@ class SmartFinanceAutomationServer {
         console.log(`🔧 Node.js Version: ${process.version}`);
         console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
         console.log(`📂 Working Directory: ${process.cwd()}`);
+        if (this.modules.publisher) {
+            console.log(`🚚 Deploy Target: ${this.modules.publisher.deployTarget.describe()}`);
+        }
         
         console.log('\n🧩 Module Status:');
         Object.entries(this.modules).forEach(([name, module]) => {
@@ -398,15 +352,18 @@ class SmartFinanceAutomationServer {
             console.log(`  ${name}: ${status}`);
         });
         
-        console.log('\n⏰ Cron Jobs:');
-        this.cronJobs.forEach(({ name, job }) => {
-            const status = job.running ? '🟢 Active' : '🔴 Inactive';
-            console.log(`  ${name}: ${status}`);
+        console.log('\n⏰ Job Schedules:');
+        if (this.jobQueue.cronTasks.length === 0) {
+            console.log('  🔴 Inactive (development mode)');
+        }
+        this.jobQueue.cronTasks.forEach(({ type, cron }) => {
+            console.log(`  ${type}: 🟢 ${cron}`);
         });
         
         console.log('\n🔗 Endpoints:');
         console.log(`  Dashboard: http://localhost:${process.env.REVIEW_CONSOLE_PORT || 3000}`);
         console.log(`  API: http://localhost:${process.env.REVIEW_CONSOLE_PORT || 3000}/api`);
+        console.log(`  Jobs: http://localhost:${process.env.REVIEW_CONSOLE_PORT || 3000}/api/jobs`);
         
         console.log('\n🎯 Ready to serve Smart Finance Hub content automation!');
         console.log('========================\n');
@@ -416,8 +373,8 @@ class SmartFinanceAutomationServer {
     async triggerContentGeneration() {
         console.log('🔄 Manually triggering content generation...');
         try {
-            await this.modules.contentGenerator.generateScheduledContent();
-            console.log('✅ Manual content generation completed');
+            const job = await this.jobQueue.enqueue('generate-content', {}, { createdBy: 'manual' });
+            console.log(`✅ Content generation queued (${job.id})`);
         } catch (error) {
             console.error('❌ Manual content generation failed:', error);
         }
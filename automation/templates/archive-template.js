@@ -0,0 +1,270 @@
+const { generateArticleUrl } = require('./article-template');
+const { getCategoryUrl, getCategoryFeedUrl } = require('./taxonomy');
+
+/**
+ * Listing Page Templates for Smart Finance Hub
+ * Paginated category and tag landing pages, the category index and the
+ * search page
+ */
+
+const BASE_URL = 'https://smartfinancehub.vip';
+const ARCHIVE_ROOTS = { category: 'category', tag: 'tag' };
+
+/**
+ * Site URL of one page of an archive: /category/investing/, /category/investing/page/2/
+ */
+function getArchivePageUrl(type, slug, pageNumber = 1) {
+    const root = `/${ARCHIVE_ROOTS[type]}/${slug}/`;
+    return pageNumber > 1 ? `${root}page/${pageNumber}/` : root;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Some generated titles still carry the quotes the model wrapped them in
+function cleanTitle(title) {
+    return String(title || '').trim().replace(/^"+|"+$/g, '');
+}
+
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return text.substring(0, text.lastIndexOf(' ', maxLength - 1)) + '…';
+}
+
+function getArchiveDescription(archive, page) {
+    const subject = archive.type === 'category'
+        ? `${archive.name} guides and analysis from Smart Finance Hub`
+        : `Smart Finance Hub articles about ${archive.name}`;
+    const pageSuffix = page.totalPages > 1 ? ` Page ${page.number} of ${page.totalPages}.` : '';
+    const lead = cleanTitle(page.articles[0]?.title);
+
+    // Naming the page's first article keeps every page's description unique
+    const leadLength = 160 - subject.length - pageSuffix.length - ', including "".'.length;
+    return `${subject}${lead ? `, including "${truncate(lead, leadLength)}"` : ''}.${pageSuffix}`;
+}
+
+function generatePageHead({ title, description, canonicalUrl, prevUrl, nextUrl, feed = null, extraStyles = '' }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${BASE_URL}${canonicalUrl}">
+    <meta property="og:type" content="website">
+
+    <link rel="canonical" href="${BASE_URL}${canonicalUrl}">${prevUrl ? `
+    <link rel="prev" href="${BASE_URL}${prevUrl}">` : ''}${nextUrl ? `
+    <link rel="next" href="${BASE_URL}${nextUrl}">` : ''}${feed ? `
+    <link rel="alternate" type="application/rss+xml" title="${escapeHtml(feed.title)}" href="${BASE_URL}${feed.urls.rss}">
+    <link rel="alternate" type="application/atom+xml" title="${escapeHtml(feed.title)}" href="${BASE_URL}${feed.urls.atom}">
+    <link rel="alternate" type="application/feed+json" title="${escapeHtml(feed.title)}" href="${BASE_URL}${feed.urls.json}">` : ''}
+    <link rel="stylesheet" href="/assets/css/style.css">
+
+    <style>
+        .archive-hero { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 3rem 0; text-align: center; }
+        .container { max-width: 1000px; margin: 0 auto; padding: 0 2rem; }
+        .archive-label { text-transform: uppercase; letter-spacing: 0.1em; font-size: 0.8rem; opacity: 0.8; }
+        .category-links { display: flex; flex-wrap: wrap; gap: 0.75rem; justify-content: center; margin: 2rem 0; }
+        .category-link { border: 2px solid #e2e8f0; border-radius: 25px; padding: 0.4rem 1.2rem; color: #4a5568; text-decoration: none; }
+        .category-link.active, .category-link:hover { background: #f59e0b; border-color: #f59e0b; color: white; }
+        .article-card { background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); padding: 1.5rem; margin-bottom: 1.5rem; }
+        .article-card h2 { font-size: 1.3rem; margin-bottom: 0.5rem; }
+        .article-card h2 a { color: #2d3748; text-decoration: none; }
+        .article-card h2 a:hover { color: #f59e0b; }
+        .article-meta { color: #718096; font-size: 0.9rem; }
+        .article-excerpt { color: #4a5568; line-height: 1.6; }
+        .pagination { display: flex; gap: 0.5rem; justify-content: center; align-items: center; margin: 2rem 0 3rem; }
+        .pagination a, .pagination span { padding: 0.4rem 0.9rem; border-radius: 6px; text-decoration: none; color: #4a5568; border: 1px solid #e2e8f0; }
+        .pagination .current { background: #f59e0b; border-color: #f59e0b; color: white; }${extraStyles}
+    </style>
+</head>`;
+}
+
+function generateFooter() {
+    return `    <footer class="footer">
+        <div class="container">
+            <p>&copy; 2025 Smart Finance Hub. All rights reserved. |
+               <a href="/privacy.html">Privacy Policy</a> |
+               <a href="/affiliate-disclosure.html">Affiliate Disclosure</a>
+            </p>
+        </div>
+    </footer>
+</body>
+</html>`;
+}
+
+function generateArticleCard(article) {
+    const publishDate = new Date(article.metadata?.publishedAt || article.metadata?.createdAt).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    return `
+        <article class="article-card">
+            <h2><a href="${generateArticleUrl(article)}">${escapeHtml(cleanTitle(article.title))}</a></h2>
+            <p class="article-meta">${publishDate} • ${escapeHtml(article.metadata?.readingTime || '5 min read')}</p>
+            <p class="article-excerpt">${escapeHtml(cleanTitle(article.metaDescription))}</p>
+        </article>`;
+}
+
+function generatePagination(archive, page) {
+    if (page.totalPages <= 1) return '';
+
+    const links = [];
+    if (page.number > 1) {
+        links.push(`<a href="${getArchivePageUrl(archive.type, archive.slug, page.number - 1)}" rel="prev">← Newer</a>`);
+    }
+    for (let number = 1; number <= page.totalPages; number++) {
+        links.push(number === page.number
+            ? `<span class="current">${number}</span>`
+            : `<a href="${getArchivePageUrl(archive.type, archive.slug, number)}">${number}</a>`);
+    }
+    if (page.number < page.totalPages) {
+        links.push(`<a href="${getArchivePageUrl(archive.type, archive.slug, page.number + 1)}" rel="next">Older →</a>`);
+    }
+
+    return `
+        <nav class="pagination" aria-label="Pagination">
+            ${links.join('\n            ')}
+        </nav>`;
+}
+
+/**
+ * One page of a category or tag archive.
+ * `archive` is { type, slug, name, articles }, `page` is { number, totalPages, articles }
+ * and `categories` ({ slug, name }) fills the category navigation.
+ */
+function generateArchiveHTML(archive, page, { categories = [] } = {}) {
+    const pageTitle = `${archive.type === 'tag' ? `Articles tagged "${archive.name}"` : archive.name}` +
+        `${page.number > 1 ? ` - Page ${page.number}` : ''} | Smart Finance Hub`;
+
+    const categoryLinks = categories.map(category =>
+        `<a href="${getCategoryUrl(category.slug)}" class="category-link${archive.type === 'category' && category.slug === archive.slug ? ' active' : ''}">${escapeHtml(category.name)}</a>`
+    ).join('\n            ');
+
+    return `${generatePageHead({
+        title: pageTitle,
+        description: getArchiveDescription(archive, page),
+        canonicalUrl: getArchivePageUrl(archive.type, archive.slug, page.number),
+        prevUrl: page.number > 1 ? getArchivePageUrl(archive.type, archive.slug, page.number - 1) : null,
+        nextUrl: page.number < page.totalPages ? getArchivePageUrl(archive.type, archive.slug, page.number + 1) : null,
+        // Category pages advertise their own feeds
+        feed: archive.type === 'category' ? {
+            title: `Smart Finance Hub: ${archive.name}`,
+            urls: {
+                rss: getCategoryFeedUrl(archive.slug, 'rss'),
+                atom: getCategoryFeedUrl(archive.slug, 'atom'),
+                json: getCategoryFeedUrl(archive.slug, 'json')
+            }
+        } : null
+    })}
+<body>
+    <header class="archive-hero">
+        <div class="container">
+            <a href="/"><img src="/assets/logo/SFH_VIP_Logo.png" alt="Smart Finance Hub" style="height: 60px;"></a>
+            <p class="archive-label">${archive.type === 'tag' ? 'Tag' : 'Category'}</p>
+            <h1>${escapeHtml(archive.name)}</h1>
+            <p>${archive.articles.length} article${archive.articles.length === 1 ? '' : 's'}${page.totalPages > 1 ? ` • Page ${page.number} of ${page.totalPages}` : ''}</p>
+        </div>
+    </header>
+
+    <main class="container">
+        <nav class="category-links">
+            ${categoryLinks}
+        </nav>
+${page.articles.map(generateArticleCard).join('')}
+${generatePagination(archive, page)}
+    </main>
+
+${generateFooter()}`;
+}
+
+/**
+ * /category/ - every category with its article count
+ */
+function generateCategoryIndexHTML(categories) {
+    const description = `Browse Smart Finance Hub by topic: ${categories.map(category => category.name).join(', ')}.`;
+
+    const cards = categories.map(category => `
+        <article class="article-card">
+            <h2><a href="${getCategoryUrl(category.slug)}">${escapeHtml(category.name)}</a></h2>
+            <p class="article-meta">${category.articles.length} article${category.articles.length === 1 ? '' : 's'}</p>
+        </article>`).join('');
+
+    return `${generatePageHead({
+        title: 'Categories | Smart Finance Hub',
+        description: truncate(description, 160),
+        canonicalUrl: '/category/'
+    })}
+<body>
+    <header class="archive-hero">
+        <div class="container">
+            <a href="/"><img src="/assets/logo/SFH_VIP_Logo.png" alt="Smart Finance Hub" style="height: 60px;"></a>
+            <h1>Categories</h1>
+        </div>
+    </header>
+
+    <main class="container">
+${cards}
+    </main>
+
+${generateFooter()}`;
+}
+
+/**
+ * /search/ - hosts the client-side search in assets/js/search.js
+ */
+function generateSearchHTML() {
+    return `${generatePageHead({
+        title: 'Search | Smart Finance Hub',
+        description: 'Search every Smart Finance Hub article by title, topic or keyword.',
+        canonicalUrl: '/search/',
+        extraStyles: `
+        .site-search { margin: 2rem 0 3rem; }
+        .site-search-input { width: 100%; padding: 0.9rem 1.2rem; font-size: 1.1rem; border: 2px solid #e2e8f0; border-radius: 10px; }
+        .site-search-input:focus { outline: none; border-color: #f59e0b; }
+        .site-search-filters { display: flex; flex-wrap: wrap; gap: 0.5rem; margin: 1rem 0; }
+        .site-search-filter { background: white; border: 2px solid #e2e8f0; border-radius: 20px; padding: 0.3rem 1rem; color: #4a5568; cursor: pointer; }
+        .site-search-filter.active { background: #f59e0b; border-color: #f59e0b; color: white; }
+        .site-search-status { color: #718096; }
+        .site-search-results { list-style: none; padding: 0; }
+        .site-search-result { background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); padding: 1.25rem 1.5rem; margin-bottom: 1rem; }
+        .site-search-title { font-size: 1.2rem; font-weight: 600; color: #2d3748; text-decoration: none; }
+        .site-search-meta { color: #718096; font-size: 0.85rem; margin: 0.25rem 0; }
+        .site-search-snippet { color: #4a5568; line-height: 1.6; margin: 0; }
+        .site-search mark { background: #fde68a; color: inherit; padding: 0 0.1em; }`
+    })}
+<body>
+    <header class="archive-hero">
+        <div class="container">
+            <a href="/"><img src="/assets/logo/SFH_VIP_Logo.png" alt="Smart Finance Hub" style="height: 60px;"></a>
+            <h1>Search Articles</h1>
+        </div>
+    </header>
+
+    <main class="container">
+        <div data-site-search></div>
+        <noscript>Search needs JavaScript. Browse by <a href="/category/">category</a> instead.</noscript>
+    </main>
+
+    <script src="/assets/js/search.js"></script>
+${generateFooter()}`;
+}
+
+module.exports = {
+    generateArchiveHTML,
+    generateCategoryIndexHTML,
+    generateSearchHTML,
+    getArchivePageUrl
+};
@@ -1,11 +1,39 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { getArticleCategory, getArticleTags, getCategoryUrl, getTagUrl } = require('./taxonomy');
+const DisclaimerLibrary = require('../monitoring/disclaimer-library');
+const SubscriptionManager = require('../newsletter/subscription-manager');
 
 /**
  * Universal Article Template for Smart Finance Hub
  * Creates consistent, professional article pages with SFH VIP branding
  */
 
+let disclaimerLibrary = null;
+let newsletterApiUrl = null;
+
+function getDisclaimerLibrary() {
+    if (!disclaimerLibrary) {
+        disclaimerLibrary = new DisclaimerLibrary();
+    }
+    return disclaimerLibrary;
+}
+
+// automation/newsletter/subscription-server.js, at newsletter.subscriptions.publicUrl
+function getNewsletterApiUrl() {
+    if (!newsletterApiUrl) {
+        newsletterApiUrl = SubscriptionManager.getApiUrl();
+    }
+    return newsletterApiUrl;
+}
+
+// Place a block after the article's first paragraph
+function insertAfterIntro(content, block) {
+    const introEnd = content.indexOf('</p>');
+    if (introEnd === -1) return `${block}\n${content}`;
+    return `${content.slice(0, introEnd + 4)}\n${block}${content.slice(introEnd + 4)}`;
+}
+
 function generateArticleHTML(article) {
     const currentDate = new Date().toLocaleDateString('en-US', {
         year: 'numeric',
@@ -20,10 +48,19 @@ function generateArticleHTML(article) {
             day: 'numeric'
         }) : currentDate;
 
-    const category = article.category || article.metadata?.topic?.category || 'Finance';
-    const author = article.metadata?.author || 'Smart Finance Hub Team';
+    const category = getArticleCategory(article);
+    const tags = getArticleTags(article);
+    const author = article.author?.name || article.metadata?.author || 'Smart Finance Hub Team';
     const readingTime = article.metadata?.readingTime || '5 min read';
 
+    // Disclaimer versions pinned on the article when it was published; older
+    // articles keep the generic affiliate box
+    const disclaimers = getDisclaimerLibrary().renderBlock(article);
+    const placement = disclaimers ? getDisclaimerLibrary().placement : null;
+    const content = placement === 'after-intro'
+        ? insertAfterIntro(article.content || '', disclaimers)
+        : article.content || '';
+
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -115,6 +152,41 @@ function generateArticleHTML(article) {
             color: #d97706;
         }
 
+        .article-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin: 2rem 0;
+        }
+
+        .article-tag {
+            background: #f3f4f6;
+            color: #4b5563;
+            padding: 0.25rem 0.75rem;
+            border-radius: 15px;
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        .article-tag:hover {
+            background: #f59e0b;
+            color: white;
+        }
+
+        .article-disclaimers {
+            background: #f3f4f6;
+            border: 1px solid #d1d5db;
+            border-radius: 8px;
+            padding: 0.5rem 1rem;
+            margin: 1.5rem 0;
+            font-size: 0.9rem;
+            color: #4b5563;
+        }
+
+        .article-disclaimer a {
+            color: #f59e0b;
+        }
+
         .newsletter-signup {
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             color: white;
@@ -131,13 +203,14 @@ function generateArticleHTML(article) {
 
         .newsletter-form {
             display: flex;
+            flex-wrap: wrap;
             gap: 1rem;
             justify-content: center;
             max-width: 400px;
             margin: 0 auto;
         }
 
-        .newsletter-form input {
+        .newsletter-form input[type="email"] {
             flex: 1;
             padding: 0.75rem;
             border: none;
@@ -160,6 +233,27 @@ function generateArticleHTML(article) {
             background: #d97706;
         }
 
+        .newsletter-consent {
+            flex-basis: 100%;
+            font-size: 0.8rem;
+            text-align: left;
+            opacity: 0.9;
+        }
+
+        .newsletter-consent a {
+            color: white;
+        }
+
+        .newsletter-honeypot {
+            position: absolute;
+            left: -9999px;
+        }
+
+        .newsletter-status {
+            flex-basis: 100%;
+            font-size: 0.9rem;
+        }
+
         .related-articles {
             background: #f8fafc;
             padding: 2rem;
@@ -241,7 +335,8 @@ function generateArticleHTML(article) {
                 <ul class="nav-links">
                     <li><a href="/">Home</a></li>
                     <li><a href="/articles">All Articles</a></li>
-                    <li><a href="/categories">Categories</a></li>
+                    <li><a href="/category/">Categories</a></li>
+                    <li><a href="/search/">Search</a></li>
                     <li><a href="/about.html">About</a></li>
                 </ul>
             </nav>
@@ -251,7 +346,7 @@ function generateArticleHTML(article) {
     <main>
         <article class="article-container">
             <div class="breadcrumbs">
-                <a href="/">Home</a> > <a href="/categories/${category.toLowerCase().replace(' ', '-')}">${category}</a> > ${article.title}
+                <a href="/">Home</a> > <a href="${getCategoryUrl(category)}">${category}</a> > ${article.title}
             </div>
 
             <header class="article-header">
@@ -266,15 +361,23 @@ function generateArticleHTML(article) {
                     <div class="article-reading-time">
                         ⏱️ ${readingTime}
                     </div>
-                    <a href="/categories/${category.toLowerCase().replace(' ', '-')}" class="article-category">
+                    <a href="${getCategoryUrl(category)}" class="article-category">
                         ${category}
                     </a>
                 </div>
             </header>
 
+            ${placement === 'top' ? disclaimers : ''}
+
             <div class="article-content">
-                ${article.content || ''}
+                ${content}
+            </div>
+
+            ${tags.length > 0 ? `
+            <div class="article-tags">
+                ${tags.map(tag => `<a href="${getTagUrl(tag.slug)}" class="article-tag">#${tag.name}</a>`).join('\n                ')}
             </div>
+            ` : ''}
 
             ${article.cta ? `
             <div class="article-cta">
@@ -282,19 +385,25 @@ function generateArticleHTML(article) {
             </div>
             ` : ''}
 
-            <div class="affiliate-disclosure">
+            ${disclaimers ? (placement === 'footer' ? disclaimers : '') : `<div class="affiliate-disclosure">
                 <strong>Affiliate Disclosure:</strong> Smart Finance Hub may earn commissions from affiliate links in this content.
                 Our recommendations are based on thorough research and genuine belief in the products' value.
                 <a href="/affiliate-disclosure.html" style="color: #f59e0b;">Learn more about our affiliate policy</a>.
-            </div>
+            </div>`}
         </article>
 
         <div class="newsletter-signup">
             <h3>Get Weekly Financial Insights</h3>
             <p>Join thousands of smart investors getting our weekly newsletter with actionable financial tips.</p>
-            <form class="newsletter-form" data-convertkit-form="newsletter">
-                <input type="email" placeholder="Enter your email address" required>
+            <form class="newsletter-form" action="${getNewsletterApiUrl()}/subscribe" method="post" data-source="article">
+                <input type="email" name="email" placeholder="Enter your email address" required>
                 <button type="submit">Subscribe Free</button>
+                <label class="newsletter-consent">
+                    <input type="checkbox" name="consent" value="true" required>
+                    I agree to receive the weekly newsletter and can unsubscribe at any time. <a href="/privacy.html">Privacy Policy</a>
+                </label>
+                <input type="text" name="website" tabindex="-1" autocomplete="off" aria-hidden="true" class="newsletter-honeypot">
+                <p class="newsletter-status" role="status"></p>
             </form>
         </div>
 
@@ -318,14 +427,14 @@ function generateArticleHTML(article) {
                 <div style="display: flex; flex-direction: column;">
                     <a href="/">Home</a>
                     <a href="/articles">All Articles</a>
-                    <a href="/categories">Categories</a>
+                    <a href="/category/">Categories</a>
                     <a href="/about.html">About</a>
                 </div>
             </div>
             <div class="footer-section">
                 <h4>Legal</h4>
                 <div style="display: flex; flex-direction: column;">
-                    <a href="/privacy-policy.html">Privacy Policy</a>
+                    <a href="/privacy.html">Privacy Policy</a>
                     <a href="/terms.html">Terms of Service</a>
                     <a href="/affiliate-disclosure.html">Affiliate Disclosure</a>
                     <a href="/contact.html">Contact</a>
@@ -338,16 +447,34 @@ function generateArticleHTML(article) {
     </footer>
 
     <script>
-    // ConvertKit Integration
+    // Newsletter signup (double opt-in through the subscription server)
     document.addEventListener('DOMContentLoaded', function() {
         const newsletterForm = document.querySelector('.newsletter-form');
         if (newsletterForm) {
-            newsletterForm.addEventListener('submit', function(e) {
+            newsletterForm.addEventListener('submit', async function(e) {
                 e.preventDefault();
-                const email = this.querySelector('input[type="email"]').value;
-                // ConvertKit API integration would go here
-                console.log('Newsletter signup:', email);
-                alert('Thanks for subscribing! Please check your email to confirm.');
+                const status = this.querySelector('.newsletter-status');
+                const button = this.querySelector('button[type="submit"]');
+                button.disabled = true;
+                try {
+                    const response = await fetch(this.action, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                        body: JSON.stringify({
+                            email: this.querySelector('input[name="email"]').value,
+                            consent: this.querySelector('input[name="consent"]').checked,
+                            website: this.querySelector('input[name="website"]').value,
+                            source: this.dataset.source
+                        })
+                    });
+                    const result = await response.json();
+                    status.textContent = result.success ? result.message : result.error;
+                    if (result.success) this.reset();
+                } catch (error) {
+                    status.textContent = 'Something went wrong. Please try again.';
+                } finally {
+                    button.disabled = false;
+                }
             });
         }
     });
@@ -357,15 +484,29 @@ function generateArticleHTML(article) {
 }
 
 function generateArticleUrl(article) {
-    if (article.metadata?.publishedAt || article.metadata?.createdAt) {
-        const date = new Date(article.metadata.publishedAt || article.metadata.createdAt);
+    const metadata = article.metadata || {};
+
+    // Published articles keep the URL they went live at
+    if (metadata.filePath) {
+        return `/${metadata.filePath.replace(/^\/+/, '')}`;
+    }
+    if (metadata.publishedUrl) {
+        return new URL(metadata.publishedUrl).pathname;
+    }
+
+    // Older records only carry a slug, filed under the month they were written
+    const dateValue = article.slug
+        ? metadata.createdAt || metadata.publishedAt
+        : metadata.publishedAt || metadata.createdAt;
+    const slug = article.slug || generateSlug(article.title || 'article');
+
+    if (dateValue) {
+        const date = new Date(dateValue);
         const year = date.getFullYear();
         const month = String(date.getMonth() + 1).padStart(2, '0');
-        const slug = generateSlug(article.title || 'article');
         return `/articles/${year}/${month}/${slug}.html`;
     }
 
-    const slug = generateSlug(article.title || 'article');
     return `/articles/${slug}.html`;
 }
 
@@ -0,0 +1,156 @@
+/**
+ * Newsletter Digest Templates for Smart Finance Hub
+ * Responsive HTML (table layout with inline styles, which email clients
+ * need) and plain-text versions of the weekly digest. With a recipient
+ * that has `categories`, their categories' sections come first.
+ */
+
+const BASE_URL = 'https://smartfinancehub.vip';
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function orderSections(sections, recipient) {
+    const preferred = recipient?.categories || [];
+    if (preferred.length === 0) return sections;
+
+    const rank = section => {
+        const index = preferred.indexOf(section.slug);
+        return index === -1 ? preferred.length : index;
+    };
+    return [...sections].sort((a, b) => rank(a) - rank(b));
+}
+
+function getUnsubscribeUrl(digest, recipient) {
+    // Subscribers from the subscription backend carry their own signed links
+    if (recipient?.unsubscribeUrl) return recipient.unsubscribeUrl;
+    const base = digest.unsubscribeUrl || `${BASE_URL}/unsubscribe`;
+    return recipient?.email ? `${base}?email=${encodeURIComponent(recipient.email)}` : base;
+}
+
+function generateArticleBlock(article, { featured = false } = {}) {
+    return `
+                    <tr>
+                        <td style="padding: ${featured ? '0 0 24px' : '0 0 16px'};">
+                            <p style="margin: 0 0 4px; font-size: 12px; color: #64748b; text-transform: uppercase; letter-spacing: 0.05em;">${escapeHtml(article.categoryName)} · ${formatDate(article.publishedAt)}</p>
+                            <a href="${escapeHtml(article.url)}" style="font-size: ${featured ? '20px' : '16px'}; font-weight: 700; color: #1e3a8a; text-decoration: none; line-height: 1.3;">${escapeHtml(article.title)}</a>
+                            ${article.excerpt ? `<p style="margin: 6px 0 0; font-size: 15px; color: #334155; line-height: 1.5;">${escapeHtml(article.excerpt)}</p>` : ''}
+                            ${featured ? `<p style="margin: 10px 0 0;"><a href="${escapeHtml(article.url)}" class="button" style="display: inline-block; background: #1e3a8a; color: #ffffff; padding: 10px 18px; border-radius: 6px; font-size: 14px; font-weight: 600; text-decoration: none;">Read the article →</a></p>` : ''}
+                        </td>
+                    </tr>`;
+}
+
+function generateDigestHTML(digest, { recipient = null } = {}) {
+    const sections = orderSections(digest.sections, recipient);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="x-apple-disable-message-reformatting">
+    <title>${escapeHtml(digest.subject)}</title>
+    <style>
+        @media only screen and (max-width: 620px) {
+            .container { width: 100% !important; }
+            .content { padding: 20px 16px !important; }
+            .button { display: block !important; text-align: center !important; }
+        }
+    </style>
+</head>
+<body style="margin: 0; padding: 0; background: #f1f5f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;">
+    <div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(digest.previewText)}</div>
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f1f5f9;">
+        <tr>
+            <td align="center" style="padding: 24px 8px;">
+                <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" style="width: 600px; max-width: 600px; background: #ffffff; border-radius: 8px;">
+                    <tr>
+                        <td style="background: #1e3a8a; border-radius: 8px 8px 0 0; padding: 24px 32px;">
+                            <a href="${BASE_URL}/" style="color: #ffffff; font-size: 22px; font-weight: 700; text-decoration: none;">Smart Finance Hub</a>
+                            <p style="margin: 4px 0 0; color: #bfdbfe; font-size: 14px;">Weekly digest · ${formatDate(digest.period.from)} – ${formatDate(digest.period.to)}</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td class="content" style="padding: 28px 32px;">
+                            <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                                ${digest.intro ? `
+                                <tr>
+                                    <td style="padding: 0 0 24px; font-size: 16px; color: #1e293b; line-height: 1.6;">${escapeHtml(digest.intro)}</td>
+                                </tr>` : ''}
+                                ${digest.featured.length ? `
+                                <tr>
+                                    <td style="padding: 0 0 12px; font-size: 13px; font-weight: 700; color: #b45309; text-transform: uppercase; letter-spacing: 0.08em;">This week's top reads</td>
+                                </tr>
+                                ${digest.featured.map(article => generateArticleBlock(article, { featured: true })).join('')}` : ''}
+                                ${sections.map(section => `
+                                <tr>
+                                    <td style="padding: 12px 0; border-top: 1px solid #e2e8f0;">
+                                        <a href="${escapeHtml(section.url)}" style="font-size: 13px; font-weight: 700; color: #0f172a; text-transform: uppercase; letter-spacing: 0.08em; text-decoration: none;">More in ${escapeHtml(section.name)}</a>
+                                    </td>
+                                </tr>
+                                ${section.articles.map(article => generateArticleBlock(article)).join('')}`).join('')}
+                            </table>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 20px 32px; background: #f8fafc; border-radius: 0 0 8px 8px; font-size: 12px; color: #64748b; line-height: 1.5;">
+                            Educational content only, not financial advice. You're receiving this because you subscribed to the Smart Finance Hub newsletter.
+                            <br><a href="${escapeHtml(getUnsubscribeUrl(digest, recipient))}" style="color: #64748b;">Unsubscribe</a>${recipient?.preferencesUrl ? ` · <a href="${escapeHtml(recipient.preferencesUrl)}" style="color: #64748b;">Update your preferences</a>` : ''} · <a href="${BASE_URL}/" style="color: #64748b;">smartfinancehub.vip</a>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+}
+
+function generateDigestText(digest, { recipient = null } = {}) {
+    const articleText = article => [
+        article.title,
+        ...(article.excerpt ? [article.excerpt] : []),
+        article.url
+    ].join('\n');
+
+    const lines = [
+        `SMART FINANCE HUB - WEEKLY DIGEST`,
+        `${formatDate(digest.period.from)} - ${formatDate(digest.period.to)}`,
+        ''
+    ];
+    if (digest.intro) {
+        lines.push(digest.intro, '');
+    }
+    if (digest.featured.length) {
+        lines.push(`THIS WEEK'S TOP READS`, '');
+        digest.featured.forEach(article => lines.push(articleText(article), ''));
+    }
+    for (const section of orderSections(digest.sections, recipient)) {
+        lines.push(`MORE IN ${section.name.toUpperCase()}`, '');
+        section.articles.forEach(article => lines.push(articleText(article), ''));
+    }
+    lines.push(
+        '--',
+        'Educational content only, not financial advice.',
+        `Unsubscribe: ${getUnsubscribeUrl(digest, recipient)}`,
+        ...(recipient?.preferencesUrl ? [`Update your preferences: ${recipient.preferencesUrl}`] : [])
+    );
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    escapeHtml,
+    getUnsubscribeUrl,
+    generateDigestHTML,
+    generateDigestText
+};
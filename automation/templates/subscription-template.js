@@ -0,0 +1,136 @@
+/**
+ * Newsletter Subscription Templates for Smart Finance Hub
+ * The double opt-in confirmation email and the pages the subscription
+ * server shows for confirmation links, the preference center and unsubscribe.
+ * Pages work without JavaScript: their forms post back to the server.
+ */
+
+const { escapeHtml } = require('./newsletter-template');
+
+const BASE_URL = 'https://smartfinancehub.vip';
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short'
+    });
+}
+
+function generateConfirmationEmail(subscriber, { confirmUrl, unsubscribeUrl, expiresAt }) {
+    const greeting = subscriber.name ? `Hi ${subscriber.name},` : 'Hi,';
+    const subject = 'Confirm your Smart Finance Hub subscription';
+    const previewText = 'One click and the weekly digest is on its way.';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f1f5f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;">
+    <div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(previewText)}</div>
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f1f5f9;">
+        <tr>
+            <td align="center" style="padding: 24px 8px;">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 520px; background: #ffffff; border-radius: 8px;">
+                    <tr>
+                        <td style="padding: 32px; font-size: 16px; color: #1e293b; line-height: 1.6;">
+                            <p style="margin: 0 0 16px; font-size: 20px; font-weight: 700; color: #1e3a8a;">Smart Finance Hub</p>
+                            <p style="margin: 0 0 16px;">${escapeHtml(greeting)}</p>
+                            <p style="margin: 0 0 24px;">Please confirm that you want to receive our weekly newsletter at <strong>${escapeHtml(subscriber.email)}</strong>.</p>
+                            <p style="margin: 0 0 24px;"><a href="${escapeHtml(confirmUrl)}" style="display: inline-block; background: #1e3a8a; color: #ffffff; padding: 12px 22px; border-radius: 6px; font-weight: 600; text-decoration: none;">Confirm my subscription</a></p>
+                            <p style="margin: 0 0 8px; font-size: 13px; color: #64748b;">This link expires ${escapeHtml(formatDateTime(expiresAt))}. If you didn't sign up, ignore this email and you won't hear from us again.</p>
+                            <p style="margin: 0; font-size: 13px; color: #64748b;"><a href="${escapeHtml(unsubscribeUrl)}" style="color: #64748b;">Don't email me again</a></p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    const text = [
+        greeting,
+        '',
+        `Please confirm that you want to receive the Smart Finance Hub weekly newsletter at ${subscriber.email}:`,
+        confirmUrl,
+        '',
+        `This link expires ${formatDateTime(expiresAt)}. If you didn't sign up, ignore this email and you won't hear from us again.`,
+        '',
+        `Don't email me again: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject, previewText, html, text };
+}
+
+function generatePage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | Smart Finance Hub</title>
+    <style>
+        body { margin: 0; background: #f1f5f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1e293b; }
+        .card { max-width: 520px; margin: 3rem auto; background: #ffffff; border-radius: 12px; padding: 2rem; box-shadow: 0 8px 25px rgba(15, 23, 42, 0.08); }
+        .brand { color: #1e3a8a; font-weight: 700; font-size: 1.2rem; text-decoration: none; }
+        h1 { font-size: 1.5rem; margin: 1rem 0; }
+        p { line-height: 1.6; }
+        label { display: block; padding: 0.3rem 0; }
+        input[type="text"] { width: 100%; box-sizing: border-box; padding: 0.6rem; border: 1px solid #cbd5e1; border-radius: 6px; font-size: 1rem; }
+        button { background: #1e3a8a; color: #ffffff; border: none; border-radius: 6px; padding: 0.75rem 1.5rem; font-size: 1rem; font-weight: 600; cursor: pointer; }
+        button.secondary { background: #e2e8f0; color: #1e293b; }
+        .note { font-size: 0.85rem; color: #64748b; }
+        .error { color: #b91c1c; }
+        @media (max-width: 560px) { .card { margin: 0; border-radius: 0; } }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <a class="brand" href="${BASE_URL}/">Smart Finance Hub</a>
+        <h1>${escapeHtml(title)}</h1>
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
+function generateMessagePage(title, message, { error = false, link = null } = {}) {
+    return generatePage(title, `
+        <p${error ? ' class="error"' : ''}>${escapeHtml(message)}</p>
+        ${link ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>` : ''}`);
+}
+
+function generatePreferencesPage(subscriber, { categories, actionUrl, unsubscribeUrl, saved = false }) {
+    const selected = subscriber.categories || [];
+    return generatePage('Newsletter preferences', `
+        ${saved ? '<p><strong>✓ Your preferences were saved.</strong></p>' : ''}
+        <p>You're subscribed as <strong>${escapeHtml(subscriber.email)}</strong>. Pick the topics you care about most
+        and we'll put them first in your weekly digest.</p>
+        <form method="post" action="${escapeHtml(actionUrl)}">
+            <input type="hidden" name="token" value="${escapeHtml(subscriber.token)}">
+            <p><label>Name (optional)<input type="text" name="name" maxlength="100" value="${escapeHtml(subscriber.name || '')}"></label></p>
+            ${Object.entries(categories).map(([slug, name]) => `
+            <label><input type="checkbox" name="categories" value="${escapeHtml(slug)}"${selected.includes(slug) ? ' checked' : ''}> ${escapeHtml(name)}</label>`).join('')}
+            <p><button type="submit">Save preferences</button></p>
+        </form>
+        <p class="note"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from the newsletter</a></p>`);
+}
+
+function generateUnsubscribePage(subscriber, { actionUrl }) {
+    return generatePage('Unsubscribe', `
+        <p>Stop sending the Smart Finance Hub newsletter to <strong>${escapeHtml(subscriber.email)}</strong>?</p>
+        <form method="post" action="${escapeHtml(actionUrl)}">
+            <input type="hidden" name="token" value="${escapeHtml(subscriber.token)}">
+            <button type="submit">Unsubscribe</button>
+        </form>`);
+}
+
+module.exports = {
+    generateConfirmationEmail,
+    generateMessagePage,
+    generatePreferencesPage,
+    generateUnsubscribePage
+};
@@ -0,0 +1,119 @@
+/**
+ * Site taxonomy: categories and keyword tags, their slugs, display names and
+ * archive URLs. Shared by the article template, archive pages and sitemap.
+ */
+
+const CATEGORY_NAMES = {
+    banking: 'Banking & Savings',
+    investing: 'Investment Strategies',
+    credit: 'Credit Management',
+    debt: 'Debt Management',
+    retirement: 'Retirement Planning',
+    taxes: 'Tax Planning',
+    insurance: 'Insurance',
+    budgeting: 'Budgeting & Planning',
+    'real-estate': 'Real Estate',
+    business: 'Business Finance'
+};
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function titleCase(slug) {
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function getArticleCategory(article) {
+    return article.category || article.metadata?.topic?.category || 'Finance';
+}
+
+function getCategorySlug(category) {
+    return slugify(category) || 'finance';
+}
+
+function getCategoryName(slug) {
+    return CATEGORY_NAMES[slug] || titleCase(slug);
+}
+
+function getCategoryUrl(category) {
+    return `/category/${getCategorySlug(category)}/`;
+}
+
+/**
+ * A category's own feed, e.g. /feeds/investing/rss.xml (format rss, atom or json)
+ */
+function getCategoryFeedUrl(category, format = 'rss') {
+    const file = { rss: 'rss.xml', atom: 'atom.xml', json: 'feed.json' }[format] || 'rss.xml';
+    return `/feeds/${getCategorySlug(category)}/${file}`;
+}
+
+/**
+ * Keyword tags of an article, de-duplicated by slug
+ */
+function getArticleTags(article) {
+    const metadata = article.metadata || {};
+    const keywords = metadata.targetKeywords?.primary || metadata.topic?.keywords || metadata.keywords || [];
+    const tags = new Map();
+
+    for (const keyword of keywords) {
+        const slug = slugify(keyword);
+        if (slug && !tags.has(slug)) {
+            tags.set(slug, { slug, name: String(keyword).trim().toLowerCase() });
+        }
+    }
+
+    return [...tags.values()];
+}
+
+function getTagUrl(tag) {
+    return `/tag/${slugify(tag)}/`;
+}
+
+/**
+ * Group articles by category slug, keeping the order they were given in
+ */
+function groupByCategory(articles) {
+    const groups = new Map();
+    for (const article of articles) {
+        const slug = getCategorySlug(getArticleCategory(article));
+        if (!groups.has(slug)) {
+            groups.set(slug, { slug, name: getCategoryName(slug), articles: [] });
+        }
+        groups.get(slug).articles.push(article);
+    }
+    return groups;
+}
+
+/**
+ * Group articles by tag slug, keeping the order they were given in
+ */
+function groupByTag(articles) {
+    const groups = new Map();
+    for (const article of articles) {
+        for (const tag of getArticleTags(article)) {
+            if (!groups.has(tag.slug)) {
+                groups.set(tag.slug, { slug: tag.slug, name: tag.name, articles: [] });
+            }
+            groups.get(tag.slug).articles.push(article);
+        }
+    }
+    return groups;
+}
+
+module.exports = {
+    CATEGORY_NAMES,
+    slugify,
+    getArticleCategory,
+    getCategorySlug,
+    getCategoryName,
+    getCategoryUrl,
+    getCategoryFeedUrl,
+    getArticleTags,
+    getTagUrl,
+    groupByCategory,
+    groupByTag
+};
@@ -3,7 +3,8 @@ const fs = require('fs');
 const path = require('path');
 
 class TopicDiversityChecker {
-    constructor() {
+    constructor(options = {}) {
+        this.contentDir = options.contentDir || path.join(__dirname, '../content');
         this.categories = [
             'Personal Finance',
             'Investing',
@@ -38,13 +39,8 @@ class TopicDiversityChecker {
     analyzeExistingContent() {
         console.log('🔍 Analyzing existing content for topic diversity...');
 
-        const folders = ['content/published', 'content/approved', 'content/drafts'];
-        let totalArticles = 0;
-
-        // Initialize category counts
-        this.categories.forEach(cat => {
-            this.categoryDistribution[cat] = 0;
-        });
+        const folders = ['published', 'approved', 'drafts'].map(folder => path.join(this.contentDir, folder));
+        const summaries = [];
 
         folders.forEach(folder => {
             if (fs.existsSync(folder)) {
@@ -54,28 +50,7 @@ class TopicDiversityChecker {
                     if (file.endsWith('.json') && file !== '.gitkeep') {
                         try {
                             const article = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'));
-                            const category = this.categorizeArticle(article);
-
-                            if (category) {
-                                this.categoryDistribution[category]++;
-                                totalArticles++;
-
-                                // Track recent topics (last 30 days if we have dates)
-                                const createdAt = article.metadata?.createdAt || article.metadata?.publishedAt;
-                                if (createdAt) {
-                                    const articleDate = new Date(createdAt);
-                                    const thirtyDaysAgo = new Date();
-                                    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-                                    if (articleDate > thirtyDaysAgo) {
-                                        this.recentTopics.push({
-                                            title: article.title,
-                                            category: category,
-                                            date: articleDate
-                                        });
-                                    }
-                                }
-                            }
+                            summaries.push(this.summarizeArticle(article));
                         } catch (e) {
                             // Skip invalid files
                         }
@@ -84,6 +59,53 @@ class TopicDiversityChecker {
             }
         });
 
+        return this.analyzeSummaries(summaries);
+    }
+
+    /**
+     * What the analysis needs of an article, so callers can cache it per file
+     */
+    summarizeArticle(article) {
+        return {
+            title: article.title,
+            category: this.categorizeArticle(article),
+            createdAt: article.metadata?.createdAt || article.metadata?.publishedAt || null
+        };
+    }
+
+    /**
+     * Category distribution, recent topics and diversity score from
+     * summarizeArticle() results
+     */
+    analyzeSummaries(summaries) {
+        let totalArticles = 0;
+
+        // Start over so repeated analyses don't double count
+        this.recentTopics = [];
+
+        // Initialize category counts
+        this.categories.forEach(cat => {
+            this.categoryDistribution[cat] = 0;
+        });
+
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+        summaries.forEach(({ title, category, createdAt }) => {
+            if (!category) return;
+
+            this.categoryDistribution[category]++;
+            totalArticles++;
+
+            // Track recent topics (last 30 days if we have dates)
+            if (createdAt) {
+                const articleDate = new Date(createdAt);
+                if (articleDate > thirtyDaysAgo) {
+                    this.recentTopics.push({ title, category, date: articleDate });
+                }
+            }
+        });
+
         this.calculateDiversityScore(totalArticles);
         return this.diversityScore;
     }